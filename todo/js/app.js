@@ -12,6 +12,7 @@ class TodoApp {
         this.storageManager = null;
         this.todoManager = null;
         this.uiManager = null;
+        this.reminderScheduler = null;
 
         // 初期化フラグ
         this.initialized = false;
@@ -42,32 +43,47 @@ class TodoApp {
             }
 
             // 1. ストレージマネージャーの初期化
-            this.initializeStorageManager();
+            await this.initializeStorageManager();
 
-            // 2. TODOマネージャーの初期化
+            // 2. 暗号化されたデータの解錠
+            await this.unlockStorage();
+
+            // 3. TODOマネージャーの初期化
             this.initializeTodoManager();
 
-            // 3. UIマネージャーの初期化
+            // 4. UIマネージャーの初期化
             this.initializeUIManager();
 
-            // 4. グローバルエラーハンドラーの設定
+            // 5. グローバルエラーハンドラーの設定
             this.setupGlobalErrorHandling();
 
-            // 5. サービスワーカーの登録（オフライン対応）
+            // 6. サービスワーカーの登録（オフライン対応）
             await this.setupServiceWorker();
 
-            // 6. パフォーマンス監視
+            // 7. パフォーマンス監視
             this.setupPerformanceMonitoring();
 
-            // 7. アクセシビリティの設定
+            // 8. アクセシビリティの設定
             this.setupAccessibility();
 
-            // 8. 自動保存の設定
+            // 9. 自動保存の設定
             this.setupAutoSave();
 
-            // 9. 期限切れ通知の設定
+            // 10. 期限切れ通知の設定
             this.setupDueDateNotifications();
 
+            // 11. リマインダーの設定
+            this.setupReminders();
+
+            // 12. 開始日時の確認の設定
+            this.setupStartDateRefresh();
+
+            // 13. データバージョンの確認
+            this.checkDataVersion();
+
+            // 14. タブ間同期の開始
+            this.setupTabSync();
+
             // 初期化完了
             this.initialized = true;
             this.performanceMetrics.initTime = performance.now() - this.performanceMetrics.startTime;
@@ -85,10 +101,18 @@ class TodoApp {
 
     /**
      * ストレージマネージャーを初期化
+     * IndexedDBが使用可能な場合はIndexedDBバックエンドを使用し、
+     * 既存のlocalStorageデータは初回起動時に自動移行される
+     * @returns {Promise<void>}
      */
-    initializeStorageManager() {
+    async initializeStorageManager() {
         try {
-            this.storageManager = new StorageManager('todos', 'todos_backup');
+            const backend = IndexedDBBackend.isSupported()
+                ? new IndexedDBBackend('todo-app', 'todos', 'todos_backup')
+                : new LocalStorageBackend('todos');
+
+            this.storageManager = new StorageManager('todos', 'todos_backup', backend);
+            await this.storageManager.initialize();
 
             // ストレージのクリーンアップを実行
             StorageManager.cleanup();
@@ -104,6 +128,56 @@ class TodoApp {
         }
     }
 
+    /**
+     * 保存データが暗号化されている場合、解錠画面を表示してパスフレーズの入力を待つ
+     * 正しいパスフレーズが入力されるまで初期化を進めない
+     * @returns {Promise<void>}
+     */
+    unlockStorage() {
+        if (!this.storageManager.isLocked()) {
+            return Promise.resolve();
+        }
+
+        const screen = document.getElementById('unlockScreen');
+        const form = document.getElementById('unlockForm');
+        const input = document.getElementById('unlockPassphrase');
+        const errorElement = document.getElementById('unlockError');
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        screen.hidden = false;
+        input.focus();
+
+        return new Promise(resolve => {
+            const handleSubmit = async (event) => {
+                event.preventDefault();
+
+                if (!input.value) {
+                    errorElement.textContent = 'パスフレーズを入力してください';
+                    return;
+                }
+
+                submitButton.disabled = true;
+                errorElement.textContent = '解錠しています…';
+
+                try {
+                    await this.storageManager.unlock(input.value);
+
+                    form.removeEventListener('submit', handleSubmit);
+                    input.value = '';
+                    screen.hidden = true;
+                    resolve();
+                } catch (error) {
+                    errorElement.textContent = error.message;
+                    input.select();
+                } finally {
+                    submitButton.disabled = false;
+                }
+            };
+
+            form.addEventListener('submit', handleSubmit);
+        });
+    }
+
     /**
      * TODOマネージャーを初期化
      */
@@ -139,6 +213,20 @@ class TodoApp {
         }
     }
 
+    /**
+     * タブ間同期を開始
+     * 他のタブで暗号化の設定が変わった場合は、現在の鍵では読み書きできないため再読み込みする
+     */
+    setupTabSync() {
+        this.todoManager.addEventListener('encryptionChanged', ({ remote }) => {
+            if (remote) {
+                window.location.reload();
+            }
+        });
+
+        this.todoManager.startSync();
+    }
+
     /**
      * グローバルエラーハンドラーを設定
      */
@@ -227,14 +315,15 @@ class TodoApp {
 
     /**
      * 自動保存を設定
+     * 変更は遅延してまとめて保存されるため、ここでは未保存の変更のみを書き込む
+     * （変更のあったTODOのみを書き込むため、他のタブで保存された内容を上書きしない）
      */
     setupAutoSave() {
         // 定期的なバックアップ（5分ごと）
         setInterval(() => {
             try {
                 if (this.todoManager && this.storageManager) {
-                    const todos = this.todoManager.getAllTodos();
-                    this.storageManager.saveTodos(todos);
+                    this.todoManager.flushChanges();
 
                     if (this.debugMode) {
                         console.log('🔄 自動保存が実行されました');
@@ -249,13 +338,20 @@ class TodoApp {
         window.addEventListener('beforeunload', () => {
             try {
                 if (this.todoManager && this.storageManager) {
-                    const todos = this.todoManager.getAllTodos();
-                    this.storageManager.saveTodos(todos);
+                    this.todoManager.flushChanges();
+                    this.todoManager.stopSync();
                 }
             } catch (error) {
                 console.error('終了時保存に失敗しました:', error);
             }
         });
+
+        // タブが非表示になったときの保存（モバイルではbeforeunloadが発火しないことがある）
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.todoManager) {
+                this.todoManager.flushChanges();
+            }
+        });
     }
 
     /**
@@ -266,7 +362,7 @@ class TodoApp {
         setInterval(() => {
             if (!this.todoManager) return;
 
-            const todos = this.todoManager.getAllTodos();
+            const todos = this.todoManager.getActiveTodos();
             const overdueTodos = todos.filter(todo =>
                 !todo.completed && todo.getDueStatus() === 'overdue'
             );
@@ -277,6 +373,53 @@ class TodoApp {
         }, 30 * 60 * 1000); // 30分
     }
 
+    /**
+     * リマインダーを設定
+     * 通知日時を過ぎたリマインダーを画面に表示し、新しく通知日時を迎えたものはブラウザ通知も行う。
+     * 起動時にはアプリを閉じている間に過ぎたリマインダーもまとめて表示する
+     */
+    setupReminders() {
+        this.reminderScheduler = new ReminderScheduler(this.todoManager, (newEntries, dueEntries) => {
+            this.uiManager.renderDueReminders(dueEntries);
+
+            if (newEntries.length > 0) {
+                this.showReminderNotification(newEntries);
+            }
+        });
+        this.reminderScheduler.start();
+    }
+
+    /**
+     * 開始日時の確認を設定
+     * スヌーズや開始日時で非表示にしているタスクを、開始日時を迎えたら一覧に再び表示する
+     */
+    setupStartDateRefresh() {
+        // 1分ごとに開始日時をチェック
+        setInterval(() => {
+            this.todoManager?.refreshStartDates();
+        }, 60 * 1000);
+
+        // バックグラウンドのタブではタイマーが遅れるため、表示されたときにも確認する
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.todoManager) {
+                this.todoManager.refreshStartDates();
+            }
+        });
+    }
+
+    /**
+     * 保存データが新しいバージョンのアプリで作成されていないか確認し、ユーザーに通知
+     */
+    checkDataVersion() {
+        if (!this.storageManager.isReadOnly()) return;
+
+        const message = `保存データは新しいバージョン（v${this.storageManager.newerDataVersion}）のアプリで作成されています。` +
+            'データを保護するため、変更は保存されません。アプリを更新してください。';
+
+        console.warn(message);
+        this.uiManager?.showToast(message, 'warning', 15000);
+    }
+
     /**
      * デバッグモードをチェック
      * @returns {boolean}
@@ -337,6 +480,34 @@ class TodoApp {
         }
     }
 
+    /**
+     * リマインダーのブラウザ通知を表示
+     * 通知が許可されていない場合は、リマインダーの一覧とあわせてトースト通知を表示
+     * @param {Array<{todo: Todo, reminder: Object, time: Date}>} entries 新しく通知日時を迎えたリマインダー
+     */
+    showReminderNotification(entries) {
+        if ('Notification' in window && Notification.permission === 'granted') {
+            entries.forEach(({ todo, reminder }) => {
+                const notification = new Notification('TODOアプリ - リマインダー', {
+                    body: `${todo.title}（${Todo.describeReminder(reminder)}）`,
+                    icon: '/favicon.ico',
+                    tag: `reminder-${reminder.id}`
+                });
+
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                };
+            });
+        } else if (this.uiManager) {
+            const message = entries.length === 1
+                ? `🔔 "${entries[0].todo.title}" のリマインダーです`
+                : `🔔 ${entries.length}件のリマインダーがあります`;
+
+            this.uiManager.showToast(message, 'info', 10000);
+        }
+    }
+
     /**
      * デバッグ情報を表示
      */
@@ -0,0 +1,345 @@
+/**
+ * CategoryRegistry Class - カテゴリの管理
+ * ユーザーが定義したカテゴリ（ID・名前・色）を並び順どおりに保持する
+ *
+ * TODOはカテゴリをIDで参照するため、名前や色を変えてもTODOの付け替えは不要。
+ * 初回起動時は従来の固定カテゴリ（work/personal/shopping/health/learning/other）を登録する
+ */
+class CategoryRegistry {
+    /**
+     * CategoryRegistryインスタンスを作成
+     * @param {Array<Object>|null} [categories=null] - 保存済みのカテゴリ（id, name, color）。nullの場合は既定のカテゴリ
+     */
+    constructor(categories = null) {
+        this.categories = [];
+
+        const source = Array.isArray(categories) ? categories : CategoryRegistry.getDefaults();
+        source.forEach(category => {
+            try {
+                this._add(category);
+            } catch (error) {
+                console.warn('Invalid category:', category, error);
+            }
+        });
+    }
+
+    /**
+     * 既定のカテゴリを取得
+     * @returns {Array<{id: string, name: string, color: string}>} - 既定のカテゴリ
+     * @static
+     */
+    static getDefaults() {
+        return [
+            { id: 'work', name: '仕事', color: '#3366cc' },
+            { id: 'personal', name: '個人', color: '#e83e8c' },
+            { id: 'shopping', name: '買い物', color: '#28a745' },
+            { id: 'health', name: '健康', color: '#dc3545' },
+            { id: 'learning', name: '学習', color: '#6f42c1' },
+            { id: 'other', name: 'その他', color: '#6c757d' }
+        ];
+    }
+
+    /**
+     * 新しいカテゴリに順番に割り当てる色を取得
+     * @returns {Array<string>} - カラーコード
+     * @static
+     */
+    static getPalette() {
+        return ['#3366cc', '#e83e8c', '#28a745', '#dc3545', '#6f42c1', '#fd7e14', '#17a2b8', '#6c757d'];
+    }
+
+    /**
+     * すべてのカテゴリを並び順どおりに取得
+     * @returns {Array<{id: string, name: string, color: string}>} - カテゴリのコピー
+     */
+    getAll() {
+        return this.categories.map(category => ({ ...category }));
+    }
+
+    /**
+     * IDでカテゴリを取得
+     * @param {string} id - カテゴリID
+     * @returns {Object|null} - カテゴリのコピー、見つからない場合はnull
+     */
+    get(id) {
+        const category = this.categories.find(item => item.id === id);
+        return category ? { ...category } : null;
+    }
+
+    /**
+     * カテゴリが登録されているかチェック
+     * @param {string} id - カテゴリID
+     * @returns {boolean} - 登録されている場合true
+     */
+    has(id) {
+        return this.categories.some(category => category.id === id);
+    }
+
+    /**
+     * カテゴリの表示名を取得
+     * @param {string} id - カテゴリID
+     * @returns {string} - 表示名（未登録の場合はIDをそのまま返す）
+     */
+    getDisplayName(id) {
+        const category = this.categories.find(item => item.id === id);
+        return category ? category.name : id;
+    }
+
+    /**
+     * カテゴリの色を取得
+     * @param {string} id - カテゴリID
+     * @returns {string|null} - カラーコード、未登録の場合はnull
+     */
+    getColor(id) {
+        const category = this.categories.find(item => item.id === id);
+        return category ? category.color : null;
+    }
+
+    /**
+     * IDまたは名前からカテゴリIDを探す（大文字・小文字は区別しない）
+     * @param {string} value - カテゴリIDまたは名前
+     * @returns {string|null} - カテゴリID、見つからない場合はnull
+     */
+    resolve(value) {
+        const normalized = String(value || '').trim().toLowerCase();
+        if (!normalized) {
+            return null;
+        }
+
+        const category = this.categories.find(item => item.id.toLowerCase() === normalized) ||
+            this.categories.find(item => item.name.toLowerCase() === normalized);
+        return category ? category.id : null;
+    }
+
+    /**
+     * カテゴリを作成
+     * @param {Object} data - カテゴリのデータ
+     * @param {string} data.name - 名前（必須）
+     * @param {string} [data.color] - カラーコード（省略時はパレットから割り当て）
+     * @param {string} [data.id] - カテゴリID（省略時は自動生成）
+     * @returns {Object} - 作成されたカテゴリのコピー
+     * @throws {Error} - 名前が空、同じ名前のカテゴリがある、または色が正しくない場合
+     */
+    create(data) {
+        const name = this._validateName(data && data.name);
+
+        if (this.resolve(name)) {
+            throw new Error('同じ名前のカテゴリが既に存在します');
+        }
+
+        const category = this._add({
+            id: data.id || this._generateId(),
+            name,
+            color: data.color || this._getNextColor()
+        });
+
+        return { ...category };
+    }
+
+    /**
+     * カテゴリの名前を変更
+     * @param {string} id - カテゴリID
+     * @param {string} name - 新しい名前
+     * @returns {Object} - 変更後のカテゴリのコピー
+     * @throws {Error} - カテゴリが見つからない、名前が空、または他のカテゴリと名前が重複する場合
+     */
+    rename(id, name) {
+        const category = this._find(id);
+        const normalizedName = this._validateName(name);
+        const existingId = this.resolve(normalizedName);
+
+        if (existingId && existingId !== id) {
+            throw new Error('同じ名前のカテゴリが既に存在します');
+        }
+
+        category.name = normalizedName;
+        return { ...category };
+    }
+
+    /**
+     * カテゴリの色を変更
+     * @param {string} id - カテゴリID
+     * @param {string} color - カラーコード（#rrggbb）
+     * @returns {Object} - 変更後のカテゴリのコピー
+     * @throws {Error} - カテゴリが見つからない、または色が正しくない場合
+     */
+    recolor(id, color) {
+        const category = this._find(id);
+        category.color = this._validateColor(color);
+        return { ...category };
+    }
+
+    /**
+     * カテゴリの並び順を変更
+     * 指定されなかったカテゴリは元の順序のまま末尾に残す
+     * @param {Array<string>} orderedIds - 新しい並び順のカテゴリID
+     */
+    reorder(orderedIds) {
+        const ordered = orderedIds
+            .map(id => this.categories.find(category => category.id === id))
+            .filter((category, index, list) => category && list.indexOf(category) === index);
+        const rest = this.categories.filter(category => !ordered.includes(category));
+
+        this.categories = [...ordered, ...rest];
+    }
+
+    /**
+     * カテゴリを削除
+     * @param {string} id - カテゴリID
+     * @returns {Object} - 削除されたカテゴリのコピー
+     * @throws {Error} - カテゴリが見つからない場合
+     */
+    remove(id) {
+        const category = this._find(id);
+        this.categories = this.categories.filter(item => item !== category);
+        return { ...category };
+    }
+
+    /**
+     * 未登録のカテゴリを登録（インポートしたTODOのカテゴリなど）
+     * IDまたは名前が一致するカテゴリがあればそのIDを返し、なければ値をIDと名前にして登録する
+     * @param {string} value - カテゴリIDまたは名前
+     * @returns {{id: string, created: boolean}} - カテゴリIDと、新しく登録したか
+     */
+    ensure(value) {
+        const existingId = this.resolve(value);
+        if (existingId) {
+            return { id: existingId, created: false };
+        }
+
+        const category = this._add({ id: value, name: value, color: this._getNextColor() });
+        return { id: category.id, created: true };
+    }
+
+    /**
+     * 他のデータのカテゴリを結合（同じIDのカテゴリは現在の内容を残す）
+     * @param {Array<Object>} categories - 結合するカテゴリ（id, name, color）
+     * @returns {boolean} - カテゴリが追加された場合true
+     */
+    merge(categories) {
+        let changed = false;
+
+        (Array.isArray(categories) ? categories : []).forEach(category => {
+            if (!category || this.has(category.id)) return;
+
+            try {
+                // 名前が重複する場合は別名を付けて区別する
+                const name = this.resolve(category.name) ? `${category.name} (${category.id})` : category.name;
+                this._add({ ...category, name });
+                changed = true;
+            } catch (error) {
+                console.warn('Skipping invalid category:', category, error);
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * シリアライズ可能な配列に変換
+     * @returns {Array<{id: string, name: string, color: string}>} - カテゴリの配列
+     */
+    toJSON() {
+        return this.getAll();
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * カテゴリを検証して末尾に追加
+     * @param {Object} data - カテゴリのデータ（id, name, color）
+     * @returns {Object} - 追加されたカテゴリ
+     * @throws {Error} - IDや名前が不正、またはIDが重複する場合
+     * @private
+     */
+    _add(data) {
+        const id = typeof data.id === 'string' ? data.id.trim() : '';
+
+        if (!id) {
+            throw new Error('カテゴリIDが必要です');
+        }
+        if (this.has(id)) {
+            throw new Error(`カテゴリID "${id}" は既に使われています`);
+        }
+
+        const category = {
+            id,
+            name: this._validateName(data.name),
+            color: data.color ? this._validateColor(data.color) : this._getNextColor()
+        };
+
+        this.categories.push(category);
+        return category;
+    }
+
+    /**
+     * IDでカテゴリを取得（内部の参照）
+     * @param {string} id - カテゴリID
+     * @returns {Object} - カテゴリ
+     * @throws {Error} - 見つからない場合
+     * @private
+     */
+    _find(id) {
+        const category = this.categories.find(item => item.id === id);
+
+        if (!category) {
+            throw new Error('指定されたカテゴリが見つかりません');
+        }
+
+        return category;
+    }
+
+    /**
+     * カテゴリ名をバリデーション
+     * @param {string} name - カテゴリ名
+     * @returns {string} - 前後の空白を除いたカテゴリ名
+     * @throws {Error} - 名前が空、または長すぎる場合
+     * @private
+     */
+    _validateName(name) {
+        const normalized = typeof name === 'string' ? name.replace(/<[^>]*>/g, '').trim() : '';
+
+        if (!normalized) {
+            throw new Error('カテゴリ名を入力してください');
+        }
+        if (normalized.length > 30) {
+            throw new Error('カテゴリ名は30文字以内にしてください');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * カラーコードをバリデーション
+     * @param {string} color - カラーコード
+     * @returns {string} - 小文字のカラーコード
+     * @throws {Error} - #rrggbb形式でない場合
+     * @private
+     */
+    _validateColor(color) {
+        if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`色 "${color}" は #rrggbb 形式で指定してください`);
+        }
+
+        return color.toLowerCase();
+    }
+
+    /**
+     * パレットから次に割り当てる色を取得
+     * @returns {string} - カラーコード
+     * @private
+     */
+    _getNextColor() {
+        const palette = CategoryRegistry.getPalette();
+        return palette[this.categories.length % palette.length];
+    }
+
+    /**
+     * 一意のカテゴリIDを生成
+     * @returns {string} - カテゴリID
+     * @private
+     */
+    _generateId() {
+        return 'category-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 5);
+    }
+}
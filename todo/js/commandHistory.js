@@ -0,0 +1,107 @@
+/**
+ * CommandHistory Class - 元に戻す・やり直しの履歴管理
+ * 実行済みのコマンド（label, undo, redo を持つオブジェクト）を積み、
+ * 新しいものから順に元に戻す・やり直す
+ */
+class CommandHistory {
+    /**
+     * CommandHistoryインスタンスを作成
+     * @param {number} [limit=50] - 保持するコマンドの最大数（超えた場合は古いものから破棄）
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastId = 0;
+    }
+
+    /**
+     * 新しいコマンドIDを発行
+     * （コマンドを記録する前に、実行中の操作を識別するために使う）
+     * @returns {number} - コマンドID
+     */
+    createId() {
+        this.lastId++;
+        return this.lastId;
+    }
+
+    /**
+     * 実行済みのコマンドを記録（やり直しの履歴は破棄する）
+     * @param {Object} command - コマンド
+     * @param {number} [command.id] - コマンドID（省略時は新しく発行）
+     * @param {string} command.label - 操作の表示名
+     * @param {function(): void} command.undo - 元に戻す処理
+     * @param {function(): void} command.redo - やり直す処理
+     * @returns {Object} - 記録したコマンド
+     */
+    push(command) {
+        const entry = { ...command, id: command.id || this.createId() };
+
+        this.undoStack.push(entry);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+
+        return entry;
+    }
+
+    /**
+     * 最後のコマンドを元に戻す
+     * 元に戻す処理が失敗した場合、コマンドは履歴に残る
+     * @returns {Object|null} - 元に戻したコマンド、履歴がない場合はnull
+     */
+    undo() {
+        const command = this.peekUndo();
+        if (!command) {
+            return null;
+        }
+
+        command.undo();
+        this.undoStack.pop();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * 最後に元に戻したコマンドをやり直す
+     * やり直す処理が失敗した場合、コマンドは履歴に残る
+     * @returns {Object|null} - やり直したコマンド、履歴がない場合はnull
+     */
+    redo() {
+        const command = this.peekRedo();
+        if (!command) {
+            return null;
+        }
+
+        command.redo();
+        this.redoStack.pop();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * 次に元に戻すコマンドを取得
+     * @returns {Object|null} - コマンド、履歴がない場合はnull
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * 次にやり直すコマンドを取得
+     * @returns {Object|null} - コマンド、履歴がない場合はnull
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * 履歴をすべて破棄
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
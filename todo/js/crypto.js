@@ -0,0 +1,199 @@
+/**
+ * CryptoService Class - WebCryptoによる暗号化
+ * パスフレーズからPBKDF2で鍵を導出し、AES-GCMで暗号化・復号する
+ *
+ * 暗号化したテキストは {iv, data}（Base64）として扱い、
+ * パスフレーズ付きで持ち出すファイルは鍵導出の情報を含む封筒（envelope）形式にする
+ */
+class CryptoService {
+    /**
+     * WebCryptoが使用可能かチェック
+     * @returns {boolean} - 使用可能な場合true（HTTPSまたはlocalhostが必要）
+     * @static
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * 鍵導出の設定を取得
+     * @returns {{name: string, hash: string, iterations: number}} - PBKDF2の設定
+     * @static
+     */
+    static getKdfSettings() {
+        return { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000 };
+    }
+
+    /**
+     * ランダムなソルトを生成
+     * @returns {string} - Base64エンコードされた16バイトのソルト
+     * @static
+     */
+    static generateSalt() {
+        return CryptoService._toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    /**
+     * パスフレーズからAES-GCMの鍵を導出
+     * @param {string} passphrase - パスフレーズ
+     * @param {string} salt - Base64エンコードされたソルト
+     * @param {number} [iterations] - 反復回数
+     * @returns {Promise<CryptoKey>} - 導出された鍵
+     * @static
+     */
+    static async deriveKey(passphrase, salt, iterations = CryptoService.getKdfSettings().iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: CryptoService._fromBase64(salt), iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * テキストを暗号化
+     * @param {CryptoKey} key - 鍵
+     * @param {string} text - 平文
+     * @returns {Promise<{iv: string, data: string}>} - Base64エンコードされたIVと暗号文
+     * @static
+     */
+    static async encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(text)
+        );
+
+        return {
+            iv: CryptoService._toBase64(iv),
+            data: CryptoService._toBase64(new Uint8Array(encrypted))
+        };
+    }
+
+    /**
+     * テキストを復号
+     * @param {CryptoKey} key - 鍵
+     * @param {{iv: string, data: string}} payload - encryptの結果
+     * @returns {Promise<string>} - 平文
+     * @throws {Error} - 鍵が異なる、またはデータが改ざんされている場合
+     * @static
+     */
+    static async decrypt(key, payload) {
+        try {
+            const decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: CryptoService._fromBase64(payload.iv) },
+                key,
+                CryptoService._fromBase64(payload.data)
+            );
+
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            throw new Error('パスフレーズが正しくないか、データが破損しています');
+        }
+    }
+
+    /**
+     * パスフレーズでテキストを暗号化し、持ち出し用の封筒形式にする
+     * @param {string} text - 平文
+     * @param {string} passphrase - パスフレーズ
+     * @param {string} format - 平文の形式（json/csv/ics/md）
+     * @returns {Promise<Object>} - 封筒形式のオブジェクト
+     * @static
+     */
+    static async encryptWithPassphrase(text, passphrase, format) {
+        const kdf = { ...CryptoService.getKdfSettings(), salt: CryptoService.generateSalt() };
+        const key = await CryptoService.deriveKey(passphrase, kdf.salt, kdf.iterations);
+        const { iv, data } = await CryptoService.encrypt(key, text);
+
+        return {
+            type: 'todo-app-encrypted',
+            version: 1,
+            format,
+            kdf,
+            cipher: { name: 'AES-GCM', iv },
+            data
+        };
+    }
+
+    /**
+     * 封筒形式のデータをパスフレーズで復号
+     * @param {Object} envelope - encryptWithPassphraseの結果
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<{format: string, text: string}>} - 平文の形式と平文
+     * @throws {Error} - パスフレーズが正しくない場合
+     * @static
+     */
+    static async decryptWithPassphrase(envelope, passphrase) {
+        const key = await CryptoService.deriveKey(passphrase, envelope.kdf.salt, envelope.kdf.iterations);
+        const text = await CryptoService.decrypt(key, { iv: envelope.cipher.iv, data: envelope.data });
+
+        return { format: envelope.format, text };
+    }
+
+    /**
+     * 文字列が暗号化された封筒形式かチェック
+     * @param {string} text - ファイルの内容
+     * @returns {Object|null} - 封筒形式の場合はパース済みのオブジェクト、それ以外はnull
+     * @static
+     */
+    static parseEnvelope(text) {
+        try {
+            const envelope = JSON.parse(text);
+            if (envelope && envelope.type === 'todo-app-encrypted' && envelope.kdf && envelope.cipher) {
+                return envelope;
+            }
+        } catch (error) {
+            // JSONでない場合は封筒形式ではない
+        }
+        return null;
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * バイト列をBase64に変換
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {string} - Base64文字列
+     * @private
+     * @static
+     */
+    static _toBase64(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+
+        // 大きな配列で引数の上限を超えないよう分割して変換
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary);
+    }
+
+    /**
+     * Base64をバイト列に変換
+     * @param {string} base64 - Base64文字列
+     * @returns {Uint8Array} - バイト列
+     * @private
+     * @static
+     */
+    static _fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+}
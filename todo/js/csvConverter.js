@@ -0,0 +1,452 @@
+/**
+ * CsvConverter Class - CSV形式の変換
+ * TODOのCSVエクスポートと、列マッピングを使ったCSVインポートを提供
+ */
+class CsvConverter {
+    /**
+     * TODO配列をCSV文字列に変換
+     * Todo.toJSONのすべてのフィールドを列として出力する（Excelで文字化けしないようBOM付き）。
+     * 表計算ソフトで数式として実行されないよう、=・+・-・@・タブ・CRで始まる文字列には先頭に ' を付ける
+     * @param {Array<Todo>} todos - Todo配列
+     * @returns {string} - CSV文字列
+     * @static
+     */
+    static toCsv(todos) {
+        const records = todos.map(todo => todo.toJSON());
+        const headers = records.length > 0
+            ? Object.keys(records[0])
+            : Object.keys(new Todo({ title: 'header' }).toJSON());
+
+        const lines = [headers.map(header => CsvConverter._escapeField(header)).join(',')];
+
+        records.forEach(record => {
+            lines.push(headers.map(header => CsvConverter._escapeField(CsvConverter._formatValue(record[header]))).join(','));
+        });
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * CSV文字列をパース（RFC 4180準拠、区切り文字はカンマ・セミコロン・タブを自動判定）
+     * @param {string} text - CSV文字列
+     * @returns {{headers: Array<string>, rows: Array<Array<string>>}} - ヘッダー行とデータ行
+     * @throws {Error} - ヘッダー行がない場合
+     * @static
+     */
+    static parse(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const delimiter = CsvConverter._detectDelimiter(source);
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        // 空行を除外
+        const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+
+        if (nonEmpty.length === 0) {
+            throw new Error('CSVにヘッダー行がありません');
+        }
+
+        return {
+            headers: nonEmpty[0].map(header => header.trim()),
+            rows: nonEmpty.slice(1)
+        };
+    }
+
+    /**
+     * ヘッダー名から列マッピングを推測
+     * @param {Array<string>} headers - CSVのヘッダー
+     * @returns {Object<string, number>} - 取り込み先フィールド名 -> 列番号（該当なしは-1）
+     * @static
+     */
+    static guessMapping(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const mapping = {};
+
+        Object.entries(CsvConverter.getHeaderAliases()).forEach(([field, aliases]) => {
+            mapping[field] = normalized.findIndex(header => aliases.includes(header));
+        });
+
+        return mapping;
+    }
+
+    /**
+     * データ行をTODOに変換
+     * 各行はTodoコンストラクタで検証し、変換できない行は行番号とともにエラーとして返す
+     * @param {Array<Array<string>>} rows - データ行
+     * @param {Object<string, number>} mapping - 取り込み先フィールド名 -> 列番号（-1は取り込まない）
+     * @returns {{todos: Array<Todo>, errors: Array<{row: number, message: string}>}} - 変換結果
+     * @static
+     */
+    static toTodos(rows, mapping) {
+        const todos = [];
+        const errors = [];
+
+        rows.forEach((row, index) => {
+            // ヘッダー行を1行目とした行番号
+            const rowNumber = index + 2;
+
+            try {
+                const data = {};
+
+                Object.entries(mapping).forEach(([field, column]) => {
+                    if (column < 0 || column >= row.length) return;
+
+                    const value = row[column].trim();
+                    if (value === '') return;
+
+                    data[field] = CsvConverter._convertValue(field, value);
+                });
+
+                if (!data.title) {
+                    throw new Error('タイトルが空です');
+                }
+
+                todos.push(new Todo(data));
+
+            } catch (error) {
+                errors.push({ row: rowNumber, message: error.message });
+            }
+        });
+
+        return { todos, errors };
+    }
+
+    /**
+     * 取り込み先フィールドと、対応するヘッダー名の候補を取得
+     * @returns {Object<string, Array<string>>} - フィールド名 -> ヘッダー名候補（小文字）
+     * @static
+     */
+    static getHeaderAliases() {
+        return {
+            title: ['title', 'タイトル', 'タスク', 'タスク名', 'name', 'subject', '件名'],
+            description: ['description', '詳細', '詳細説明', '説明', 'notes', 'note', 'メモ'],
+            category: ['category', 'カテゴリ', 'カテゴリー', '分類'],
+            tags: ['tags', 'tag', 'タグ', 'ラベル', 'labels'],
+            priority: ['priority', '優先度'],
+            dueDate: ['duedate', 'due date', 'due', '期限', '期日', '締切'],
+            startDate: ['startdate', 'start date', 'start', 'scheduled', '開始日', '開始日時'],
+            completed: ['completed', 'done', 'status', '完了', '状態'],
+            subtasks: ['subtasks', 'サブタスク'],
+            recurrence: ['recurrence', '繰り返し'],
+            dependsOn: ['dependson', 'depends on', 'blocked by', 'blockedby', '依存先'],
+            estimateMinutes: ['estimateminutes', 'estimate', '見積もり', '見積', '見積もり（分）'],
+            timeEntries: ['timeentries', '作業記録'],
+            attachments: ['attachments', '添付'],
+            reminders: ['reminders', 'リマインダー'],
+            position: ['position', 'order', '並び順'],
+            listId: ['listid', 'list', 'project', 'リスト', 'プロジェクト'],
+            deletedAt: ['deletedat', 'deleted', '削除日時'],
+            activity: ['activity', '変更履歴'],
+            id: ['id'],
+            createdAt: ['createdat', 'created', '作成日時'],
+            updatedAt: ['updatedat', 'updated', '更新日時']
+        };
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * CSVのフィールドをエスケープ
+     * @param {string} value - 値
+     * @returns {string} - エスケープされた値
+     * @private
+     * @static
+     */
+    static _escapeField(value) {
+        if (/[",\r\n]/.test(value) || /^\s|\s$/.test(value)) {
+            return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+    }
+
+    /**
+     * 値をCSV出力用の文字列に変換
+     * 数式として解釈される文字列には先頭に ' を付ける（すでに ' が付いている場合も付け、取り込み時に1つだけ外す）
+     * @param {*} value - 値
+     * @returns {string} - 文字列
+     * @private
+     * @static
+     */
+    static _formatValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        if (typeof value === 'string' && CsvConverter._isFormulaLike(value)) {
+            return `'${value}`;
+        }
+        return String(value);
+    }
+
+    /**
+     * 表計算ソフトで数式として解釈される文字列かチェック
+     * 先頭の ' を除いた後の文字で判定する（' を付けた値も、取り込み時に元の値へ戻せるよう対象にする）
+     * @param {string} value - 値
+     * @returns {boolean} - =・+・-・@・タブ・CRで始まる場合true
+     * @private
+     * @static
+     */
+    static _isFormulaLike(value) {
+        return /^'*[=+\-@\t\r]/.test(value);
+    }
+
+    /**
+     * 区切り文字を判定
+     * @param {string} text - CSV文字列
+     * @returns {string} - 区切り文字
+     * @private
+     * @static
+     */
+    static _detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+        const maxCount = Math.max(...counts);
+
+        return maxCount > 0 ? candidates[counts.indexOf(maxCount)] : ',';
+    }
+
+    /**
+     * CSVの値をTodoのフィールド値に変換（エクスポート時に付けた数式防止の ' は外す）
+     * @param {string} field - フィールド名
+     * @param {string} value - CSVの値
+     * @returns {*} - 変換後の値
+     * @throws {Error} - 値を解釈できない場合
+     * @private
+     * @static
+     */
+    static _convertValue(field, value) {
+        // エクスポート時に数式の実行を防ぐため付けた ' を外す
+        if (value.startsWith("'") && CsvConverter._isFormulaLike(value.slice(1))) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'priority': {
+                const priorityMap = { 'high': 'high', 'medium': 'medium', 'low': 'low', '高': 'high', '中': 'medium', '低': 'low' };
+                const priority = priorityMap[value.toLowerCase()];
+                if (!priority) {
+                    throw new Error(`優先度 "${value}" を解釈できません（high/medium/low または 高/中/低）`);
+                }
+                return priority;
+            }
+
+            case 'category':
+                // 未登録のカテゴリは取り込み時に新しいカテゴリとして登録される
+                return Todo.getCategoryRegistry().resolve(value) || value;
+
+            case 'tags': {
+                // JSON配列（エクスポート形式）または "#clientA #waiting" のような空白・カンマ区切り
+                if (value.trim().startsWith('[')) {
+                    let tags;
+                    try {
+                        tags = JSON.parse(value);
+                    } catch (error) {
+                        tags = null;
+                    }
+                    if (!Array.isArray(tags)) {
+                        throw new Error(`タグ "${value}" を解釈できません（JSON配列または空白区切り）`);
+                    }
+                    return Todo.parseTags(tags.map(String));
+                }
+                return Todo.parseTags(value);
+            }
+
+            case 'dependsOn': {
+                // JSON配列（エクスポート形式）またはIDの空白・カンマ区切り
+                // （取り込み後に存在しないIDを指す依存先は外される）
+                if (value.trim().startsWith('[')) {
+                    let dependsOn;
+                    try {
+                        dependsOn = JSON.parse(value);
+                    } catch (error) {
+                        dependsOn = null;
+                    }
+                    if (!Array.isArray(dependsOn)) {
+                        throw new Error(`依存先 "${value}" を解釈できません（JSON配列またはIDの空白区切り）`);
+                    }
+                    return Todo.parseDependsOn(dependsOn.map(String));
+                }
+                return Todo.parseDependsOn(value);
+            }
+
+            case 'estimateMinutes': {
+                const minutes = Number(value);
+                if (!Number.isFinite(minutes) || minutes < 0) {
+                    throw new Error(`見積もり時間 "${value}" を解釈できません（分単位の数値）`);
+                }
+                return minutes;
+            }
+
+            case 'position': {
+                const position = Number(value);
+                if (!Number.isFinite(position)) {
+                    throw new Error(`並び順 "${value}" を解釈できません（数値）`);
+                }
+                return position;
+            }
+
+            case 'timeEntries': {
+                let timeEntries;
+                try {
+                    timeEntries = JSON.parse(value);
+                } catch (error) {
+                    timeEntries = null;
+                }
+                if (!Array.isArray(timeEntries)) {
+                    throw new Error(`作業記録 "${value}" を解釈できません（JSON配列）`);
+                }
+                return timeEntries;
+            }
+
+            case 'attachments': {
+                let attachments;
+                try {
+                    attachments = JSON.parse(value);
+                } catch (error) {
+                    attachments = null;
+                }
+                if (!Array.isArray(attachments)) {
+                    throw new Error(`添付 "${value}" を解釈できません（JSON配列）`);
+                }
+                return attachments;
+            }
+
+            case 'reminders': {
+                let reminders;
+                try {
+                    reminders = JSON.parse(value);
+                } catch (error) {
+                    reminders = null;
+                }
+                if (!Array.isArray(reminders)) {
+                    throw new Error(`リマインダー "${value}" を解釈できません（JSON配列）`);
+                }
+                return reminders;
+            }
+
+            case 'activity': {
+                let activity;
+                try {
+                    activity = JSON.parse(value);
+                } catch (error) {
+                    activity = null;
+                }
+                if (!Array.isArray(activity)) {
+                    throw new Error(`変更履歴 "${value}" を解釈できません（JSON配列）`);
+                }
+                return activity;
+            }
+
+            case 'completed': {
+                const normalized = value.toLowerCase();
+                if (['true', '1', 'yes', 'y', 'x', '✓', 'done', 'completed', '完了', '済'].includes(normalized)) {
+                    return true;
+                }
+                if (['false', '0', 'no', 'n', 'pending', '未完了', '未'].includes(normalized)) {
+                    return false;
+                }
+                throw new Error(`完了状態 "${value}" を解釈できません（true/false など）`);
+            }
+
+            case 'subtasks': {
+                let subtasks;
+                try {
+                    subtasks = JSON.parse(value);
+                } catch (error) {
+                    subtasks = null;
+                }
+                if (!Array.isArray(subtasks)) {
+                    throw new Error(`サブタスク "${value}" を解釈できません（JSON配列）`);
+                }
+                return subtasks;
+            }
+
+            case 'recurrence': {
+                let recurrence;
+                try {
+                    recurrence = JSON.parse(value);
+                } catch (error) {
+                    recurrence = null;
+                }
+                if (!Recurrence.normalize(recurrence)) {
+                    throw new Error(`繰り返し "${value}" を解釈できません（JSON）`);
+                }
+                return recurrence;
+            }
+
+            case 'dueDate':
+            case 'startDate':
+            case 'deletedAt':
+            case 'createdAt':
+            case 'updatedAt': {
+                const date = CsvConverter._parseDate(value);
+                if (!date) {
+                    throw new Error(`日時 "${value}" を解釈できません`);
+                }
+                return date;
+            }
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * 日時文字列をパース（ISO 8601 と "2024/01/31 10:00" 形式に対応、時刻省略時はローカル時刻の0時）
+     * @param {string} value - 日時文字列
+     * @returns {Date|null} - パースされた日時、解釈できない場合はnull
+     * @private
+     * @static
+     */
+    static _parseDate(value) {
+        const normalized = value.trim();
+
+        const localMatch = normalized.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (localMatch) {
+            const [, year, month, day, hour = '0', minute = '0', second = '0'] = localMatch;
+            const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const date = new Date(normalized);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
@@ -0,0 +1,429 @@
+/**
+ * EncryptedBackend Class - 暗号化ストレージバックエンド
+ * 別のバックエンド（LocalStorageBackend / IndexedDBBackend）を包み、
+ * 書き込むデータと付随データ（バックアップ等）をAES-GCMで暗号化して保存する
+ *
+ * WebCryptoは非同期のため、unlock()時に全データを復号してメモリに保持し、
+ * 以降の読み込みはメモリから、書き込みは暗号化して非同期で反映する。
+ * 暗号化の設定（ソルト・反復回数・検証用データ）は平文のまま `${storageKey}_encryption` に保存する。
+ */
+class EncryptedBackend {
+    /**
+     * EncryptedBackendインスタンスを作成
+     * @param {Object} inner - 暗号文を保存するバックエンド（open済みであること）
+     * @param {string} [storageKey='todos'] - データのキー名（暗号化データのキー接頭辞）
+     */
+    constructor(inner, storageKey = 'todos') {
+        this.name = `${inner.name} (encrypted)`;
+        this.inner = inner;
+        this.dataKey = `${storageKey}_encrypted`;
+        this.configKey = `${storageKey}_encryption`;
+        this.itemListKey = `${storageKey}_encrypted_items`;
+
+        this.key = null;
+        this.config = null;
+
+        // 復号済みのメモリキャッシュ（同期読み込み用）
+        this.dataJson = null;
+        this.items = new Map();
+
+        // 書き込みを直列化するためのキューと、完了していない書き込み（flushで失敗を伝えるため）
+        this.writeQueue = Promise.resolve();
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * バックエンドに暗号化の設定があるかチェック
+     * @param {Object} inner - 確認するバックエンド
+     * @param {string} [storageKey='todos'] - データのキー名
+     * @returns {boolean} - 暗号化されている場合true
+     * @static
+     */
+    static isConfigured(inner, storageKey = 'todos') {
+        try {
+            return Boolean(inner.getItem(`${storageKey}_encryption`));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 使用可能かチェック
+     * @returns {boolean} - 解錠済みで、内側のバックエンドが使用可能な場合true
+     */
+    isAvailable() {
+        return this.key !== null && this.inner.isAvailable();
+    }
+
+    /**
+     * バックエンドを初期化（内側のバックエンドを開く。復号はunlockで行う）
+     * @returns {Promise<void>}
+     */
+    async open() {
+        await this.inner.open();
+    }
+
+    /**
+     * 新しいパスフレーズで暗号化を設定
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     */
+    async setup(passphrase) {
+        const config = await this._createConfig(passphrase);
+        this.key = config.key;
+        this.config = config.config;
+        this.inner.setItem(this.configKey, JSON.stringify(this.config));
+    }
+
+    /**
+     * パスフレーズで解錠し、全データを復号してメモリに読み込む
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - パスフレーズが正しくない場合
+     */
+    async unlock(passphrase) {
+        const config = JSON.parse(this.inner.getItem(this.configKey));
+        const key = await CryptoService.deriveKey(passphrase, config.salt, config.iterations);
+
+        // 検証用データを復号できなければパスフレーズの誤り
+        try {
+            await CryptoService.decrypt(key, config.check);
+        } catch (error) {
+            throw new Error('パスフレーズが正しくありません');
+        }
+
+        this.key = key;
+        this.config = config;
+        await this._loadCache();
+    }
+
+    /**
+     * パスフレーズを変更（新しい鍵ですべてのデータを暗号化し直す）
+     * @param {string} currentPassphrase - 現在のパスフレーズ
+     * @param {string} newPassphrase - 新しいパスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - 現在のパスフレーズが正しくない場合
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await this.verifyPassphrase(currentPassphrase);
+        await this.flush();
+
+        const { key, config } = await this._createConfig(newPassphrase);
+        this.key = key;
+        this.config = config;
+
+        if (this.dataJson !== null) {
+            this._enqueueEncrypted(this.dataKey, this.dataJson);
+        }
+        this.items.forEach((value, itemKey) => this._enqueueEncrypted(itemKey, value));
+
+        // すべての暗号文を書き換えてから設定を切り替える
+        await this.flush();
+        this.inner.setItem(this.configKey, JSON.stringify(config));
+        await this._flushInner();
+    }
+
+    /**
+     * パスフレーズが正しいか確認
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - パスフレーズが正しくない場合
+     */
+    async verifyPassphrase(passphrase) {
+        const key = await CryptoService.deriveKey(passphrase, this.config.salt, this.config.iterations);
+
+        try {
+            await CryptoService.decrypt(key, this.config.check);
+        } catch (error) {
+            throw new Error('パスフレーズが正しくありません');
+        }
+    }
+
+    /**
+     * 保存済みデータを読み込み
+     * @returns {Object|Array|null} - 復号済みのデータ、未保存の場合はnull
+     */
+    readData() {
+        return this.dataJson !== null ? JSON.parse(this.dataJson) : null;
+    }
+
+    /**
+     * データ全体を暗号化して書き込み
+     * @param {Object} data - 保存するデータ
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    writeData(data) {
+        this.dataJson = JSON.stringify(data);
+        return this._enqueueEncrypted(this.dataKey, this.dataJson);
+    }
+
+    /**
+     * データを削除
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    clearData() {
+        this.dataJson = null;
+        return this._enqueue(() => this.inner.removeItem(this.dataKey));
+    }
+
+    /**
+     * 付随データを取得
+     * 暗号化前に保存された平文の付随データは、そのまま返す（次回の保存時に暗号化される）
+     * @param {string} key - キー名
+     * @returns {string|null} - 保存値
+     */
+    getItem(key) {
+        if (this.items.has(key)) {
+            return this.items.get(key);
+        }
+
+        const value = this.inner.getItem(key);
+        return value !== null && !EncryptedBackend._isEncryptedValue(value) ? value : null;
+    }
+
+    /**
+     * 付随データを暗号化して保存
+     * @param {string} key - キー名
+     * @param {string} value - 保存値
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    setItem(key, value) {
+        const isNewKey = !this.items.has(key);
+        this.items.set(key, String(value));
+        const write = this._enqueueEncrypted(key, String(value));
+
+        if (isNewKey) {
+            this._writeItemList();
+        }
+
+        return write;
+    }
+
+    /**
+     * 付随データを削除
+     * @param {string} key - キー名
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    removeItem(key) {
+        this.items.delete(key);
+        const write = this._enqueue(() => this.inner.removeItem(key));
+        this._writeItemList();
+
+        return write;
+    }
+
+    /**
+     * 付随データのキー一覧を取得
+     * @returns {Array<string>} - キー名の配列
+     */
+    getItemKeys() {
+        return [...this.items.keys()];
+    }
+
+    /**
+     * 使用量情報を取得
+     * @returns {Object} - dataSize（暗号化後のバイト数）とestimatedLimit（バイト）
+     */
+    getUsage() {
+        const encrypted = this.inner.getItem(this.dataKey);
+
+        return {
+            dataSize: encrypted ? new Blob([encrypted]).size : 0,
+            estimatedLimit: this.inner.getUsage().estimatedLimit
+        };
+    }
+
+    /**
+     * 他のタブでの変更を読み直して復号する
+     * @returns {Promise<void>}
+     */
+    reload() {
+        this.writeQueue = this.writeQueue
+            .then(() => (this.inner.reload ? this.inner.reload() : undefined))
+            .then(() => this._loadCache())
+            .catch(error => console.error('Encrypted storage reload failed:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * 保留中の書き込みがすべて完了するまで待機
+     * @returns {Promise<void>}
+     * @throws {Error} - 保留中の書き込みのいずれかが失敗した場合
+     */
+    async flush() {
+        const pending = [...this.pendingWrites];
+
+        await this.writeQueue;
+        await Promise.all(pending);
+        await this._flushInner();
+    }
+
+    /**
+     * 内側のバックエンドに保存された暗号文を読み直し、復号した内容がメモリ上のデータと一致するか確認
+     * 平文のデータを削除する前に、暗号化したデータが読める状態で保存されていることを確かめる
+     * @returns {Promise<void>}
+     * @throws {Error} - 暗号文が保存されていない、または復号した内容が一致しない場合
+     */
+    async verifyStoredData() {
+        if (this.inner.reload) {
+            await this.inner.reload();
+        }
+
+        const expected = new Map(this.items);
+        if (this.dataJson !== null) {
+            expected.set(this.dataKey, this.dataJson);
+        }
+
+        for (const [key, value] of expected) {
+            const stored = this.inner.getItem(key);
+
+            if (stored === null || !EncryptedBackend._isEncryptedValue(stored) ||
+                await CryptoService.decrypt(this.key, JSON.parse(stored)) !== value) {
+                throw new Error(`暗号化したデータ "${key}" を読み出せませんでした`);
+            }
+        }
+    }
+
+    /**
+     * 現在の鍵でテキストを暗号化（タブ間同期のメッセージ用）
+     * @param {string} text - 平文
+     * @returns {Promise<{iv: string, data: string}>} - 暗号文
+     */
+    encryptText(text) {
+        return CryptoService.encrypt(this.key, text);
+    }
+
+    /**
+     * 現在の鍵でテキストを復号（タブ間同期のメッセージ用）
+     * @param {{iv: string, data: string}} payload - 暗号文
+     * @returns {Promise<string>} - 平文
+     */
+    decryptText(payload) {
+        return CryptoService.decrypt(this.key, payload);
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * パスフレーズから新しい鍵と設定を作成
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<{key: CryptoKey, config: Object}>} - 鍵と保存用の設定
+     * @private
+     */
+    async _createConfig(passphrase) {
+        const { iterations } = CryptoService.getKdfSettings();
+        const salt = CryptoService.generateSalt();
+        const key = await CryptoService.deriveKey(passphrase, salt, iterations);
+
+        return {
+            key,
+            config: {
+                version: 1,
+                salt,
+                iterations,
+                check: await CryptoService.encrypt(key, 'todo-app')
+            }
+        };
+    }
+
+    /**
+     * 暗号化データと付随データを復号してメモリキャッシュに読み込む
+     * 暗号化データがない場合（暗号化の設定直後）は内側のバックエンドの平文データを読み込む
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _loadCache() {
+        const encrypted = this.inner.getItem(this.dataKey);
+        let dataJson = null;
+
+        if (encrypted) {
+            dataJson = await CryptoService.decrypt(this.key, JSON.parse(encrypted));
+        } else {
+            const plainData = this.inner.readData();
+            dataJson = plainData ? JSON.stringify(plainData) : null;
+        }
+
+        const items = new Map();
+        const itemKeys = JSON.parse(this.inner.getItem(this.itemListKey) || '[]');
+
+        for (const itemKey of itemKeys) {
+            const value = this.inner.getItem(itemKey);
+            if (value === null) continue;
+
+            items.set(itemKey, EncryptedBackend._isEncryptedValue(value)
+                ? await CryptoService.decrypt(this.key, JSON.parse(value))
+                : value);
+        }
+
+        this.dataJson = dataJson;
+        this.items = items;
+    }
+
+    /**
+     * 付随データのキー一覧を保存（キー名は平文）
+     * @private
+     */
+    _writeItemList() {
+        const itemKeys = JSON.stringify(this.getItemKeys());
+        this._enqueue(() => this.inner.setItem(this.itemListKey, itemKeys));
+    }
+
+    /**
+     * 値を暗号化して内側のバックエンドに書き込む処理をキューに追加
+     * @param {string} key - キー名
+     * @param {string} value - 平文
+     * @private
+     */
+    _enqueueEncrypted(key, value) {
+        const cryptoKey = this.key;
+        return this._enqueue(async () => {
+            const payload = await CryptoService.encrypt(cryptoKey, value);
+            await this.inner.setItem(key, JSON.stringify(payload));
+        });
+    }
+
+    /**
+     * 書き込み処理をキューに追加
+     * 失敗しても後続の書き込みは続けるが、返すPromiseと次のflush()はエラーで終わる
+     * @param {function(): (void|Promise<void>)} operation - 書き込み処理
+     * @returns {Promise<void>} - この書き込みの完了（失敗した場合はreject）
+     * @private
+     */
+    _enqueue(operation) {
+        const write = this.writeQueue.then(operation);
+
+        this.pendingWrites.add(write);
+        this.writeQueue = write
+            .catch(error => console.error('Encrypted storage write failed:', error))
+            .then(() => this.pendingWrites.delete(write));
+        return write;
+    }
+
+    /**
+     * 内側のバックエンドの保留中の書き込みを待機
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _flushInner() {
+        if (this.inner.flush) {
+            await this.inner.flush();
+        }
+    }
+
+    /**
+     * 保存値が暗号文かチェック
+     * @param {string} value - 保存値
+     * @returns {boolean} - 暗号文の場合true
+     * @private
+     * @static
+     */
+    static _isEncryptedValue(value) {
+        try {
+            const parsed = JSON.parse(value);
+            return Boolean(parsed && typeof parsed.iv === 'string' && typeof parsed.data === 'string' &&
+                Object.keys(parsed).length === 2);
+        } catch (error) {
+            return false;
+        }
+    }
+}
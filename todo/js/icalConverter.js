@@ -0,0 +1,449 @@
+/**
+ * ICalConverter Class - iCalendar（RFC 5545）形式の変換
+ * TODOをVTODOとしてエクスポートし、VTODO/VEVENTをTODOとしてインポートする
+ */
+class ICalConverter {
+    /**
+     * TODO配列をiCalendar文字列に変換
+     * @param {Array<Todo>} todos - Todo配列
+     * @returns {string} - iCalendar文字列
+     * @static
+     */
+    static toICal(todos) {
+        const now = ICalConverter._formatDateTime(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//TODOアプリ//TODO App 1.0//JA',
+            'CALSCALE:GREGORIAN'
+        ];
+
+        todos.forEach(todo => {
+            lines.push('BEGIN:VTODO');
+            lines.push(`UID:${ICalConverter._escapeText(todo.id)}`);
+            lines.push(`DTSTAMP:${now}`);
+            lines.push(`CREATED:${ICalConverter._formatDateTime(todo.createdAt)}`);
+            lines.push(`LAST-MODIFIED:${ICalConverter._formatDateTime(todo.updatedAt)}`);
+            lines.push(`SUMMARY:${ICalConverter._escapeText(todo.title)}`);
+
+            if (todo.description) {
+                lines.push(`DESCRIPTION:${ICalConverter._escapeText(todo.description)}`);
+            }
+            // カテゴリとタグ（"#"付き）をまとめてCATEGORIESに出力
+            const categories = [
+                ...(todo.category ? [Todo.getCategoryDisplayName(todo.category)] : []),
+                ...todo.tags.map(tag => `#${tag}`)
+            ];
+            if (categories.length > 0) {
+                lines.push(`CATEGORIES:${categories.map(value => ICalConverter._escapeText(value)).join(',')}`);
+            }
+
+            lines.push(`PRIORITY:${ICalConverter._toICalPriority(todo.priority)}`);
+
+            if (todo.startDate) {
+                lines.push(`DTSTART:${ICalConverter._formatDateTime(todo.startDate)}`);
+            }
+            if (todo.dueDate) {
+                lines.push(`DUE:${ICalConverter._formatDateTime(todo.dueDate)}`);
+            }
+
+            // 完了後N日の繰り返しはRRULEで表現できないため出力しない
+            const rrule = todo.recurrence ? Recurrence.toRRule(todo.recurrence) : null;
+            if (rrule) {
+                lines.push(`RRULE:${rrule}`);
+            }
+
+            // 依存先（RFC 9253のRELTYPE=DEPENDS-ON）
+            todo.dependsOn.forEach(prerequisiteId => {
+                lines.push(`RELATED-TO;RELTYPE=DEPENDS-ON:${ICalConverter._escapeText(prerequisiteId)}`);
+            });
+
+            // ゴミ箱のTODOはキャンセル扱い（完了済みの場合はCOMPLETEDも残す）
+            if (todo.isTrashed()) {
+                lines.push('STATUS:CANCELLED');
+            }
+            if (todo.completed) {
+                if (!todo.isTrashed()) {
+                    lines.push('STATUS:COMPLETED');
+                }
+                lines.push(`COMPLETED:${ICalConverter._formatDateTime(todo.updatedAt)}`);
+                lines.push('PERCENT-COMPLETE:100');
+            } else if (!todo.isTrashed()) {
+                lines.push('STATUS:NEEDS-ACTION');
+            }
+
+            lines.push('END:VTODO');
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => ICalConverter._foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * iCalendar文字列をTODOに変換
+     * VTODOとVEVENTを対象とし、変換できない項目は開始行番号とともにエラーとして返す
+     * @param {string} text - iCalendar文字列
+     * @returns {{todos: Array<Todo>, errors: Array<{row: number, message: string}>}} - 変換結果
+     * @throws {Error} - iCalendar形式でない場合
+     * @static
+     */
+    static toTodos(text) {
+        const lines = ICalConverter._unfoldLines(text);
+
+        if (!lines.some(line => line.value.toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('iCalendar形式のファイルではありません');
+        }
+
+        const todos = [];
+        const errors = [];
+        let component = null;
+
+        lines.forEach(line => {
+            const property = ICalConverter._parseContentLine(line.value);
+            if (!property) return;
+
+            if (property.name === 'BEGIN' && ['VTODO', 'VEVENT'].includes(property.value.toUpperCase())) {
+                component = { type: property.value.toUpperCase(), row: line.row, properties: {}, relations: [], depth: 0 };
+                return;
+            }
+
+            if (!component) return;
+
+            // ネストされたコンポーネント（VALARMなど）のプロパティは無視
+            if (property.name === 'BEGIN') {
+                component.depth++;
+                return;
+            }
+            if (property.name === 'END' && component.depth > 0) {
+                component.depth--;
+                return;
+            }
+            if (component.depth > 0) return;
+
+            if (property.name === 'END' && property.value.toUpperCase() === component.type) {
+                try {
+                    todos.push(ICalConverter._componentToTodo(component));
+                } catch (error) {
+                    errors.push({ row: component.row, message: error.message });
+                }
+                component = null;
+                return;
+            }
+
+            // RELATED-TOは複数指定できるため、すべて残す
+            if (property.name === 'RELATED-TO') {
+                component.relations.push(property);
+            } else if (!component.properties[property.name]) {
+                component.properties[property.name] = property;
+            }
+        });
+
+        return { todos, errors };
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * VTODO/VEVENTのプロパティからTodoを作成
+     * @param {Object} component - コンポーネント（type, properties, relations）
+     * @returns {Todo} - Todoインスタンス
+     * @throws {Error} - 必須項目がない、または値を解釈できない場合
+     * @private
+     * @static
+     */
+    static _componentToTodo(component) {
+        const props = component.properties;
+        const summary = props.SUMMARY ? ICalConverter._unescapeText(props.SUMMARY.value).trim() : '';
+
+        if (!summary) {
+            throw new Error(`${component.type}にSUMMARY（タイトル）がありません`);
+        }
+
+        const data = {
+            title: summary,
+            description: props.DESCRIPTION ? ICalConverter._unescapeText(props.DESCRIPTION.value) : ''
+        };
+
+        if (props.UID) {
+            data.id = ICalConverter._unescapeText(props.UID.value);
+        }
+
+        // 期限: VTODOはDUE、VEVENTは開始日時
+        const dueProperty = component.type === 'VTODO' ? props.DUE : props.DTSTART;
+        if (dueProperty) {
+            data.dueDate = ICalConverter._parseDateTime(dueProperty);
+        }
+
+        // 開始日時: VTODOのDTSTART
+        if (component.type === 'VTODO' && props.DTSTART) {
+            data.startDate = ICalConverter._parseDateTime(props.DTSTART);
+        }
+
+        if (props.PRIORITY) {
+            data.priority = ICalConverter._fromICalPriority(props.PRIORITY.value);
+        }
+
+        if (props.RRULE) {
+            data.recurrence = Recurrence.fromRRule(props.RRULE.value);
+        }
+
+        if (props.CATEGORIES) {
+            Object.assign(data, ICalConverter._parseCategories(props.CATEGORIES.value));
+        }
+
+        // 依存先（RELTYPEを省略したRELATED-TOは親子関係のため取り込まない）
+        data.dependsOn = component.relations
+            .filter(relation => (relation.params.RELTYPE || '').toUpperCase() === 'DEPENDS-ON')
+            .map(relation => ICalConverter._unescapeText(relation.value).trim());
+
+        const status = props.STATUS ? props.STATUS.value.toUpperCase() : '';
+        data.completed = status === 'COMPLETED' ||
+            Boolean(props.COMPLETED) ||
+            (props['PERCENT-COMPLETE'] && Number(props['PERCENT-COMPLETE'].value) >= 100);
+
+        // キャンセルされた項目はゴミ箱に入れる（取り込んだ時点から保持日数を数える）
+        if (status === 'CANCELLED') {
+            data.deletedAt = new Date();
+        }
+
+        if (props.CREATED) {
+            data.createdAt = ICalConverter._parseDateTime(props.CREATED);
+        }
+        if (props['LAST-MODIFIED']) {
+            data.updatedAt = ICalConverter._parseDateTime(props['LAST-MODIFIED']);
+        }
+
+        return new Todo(data);
+    }
+
+    /**
+     * CATEGORIESの値をカテゴリとタグに分ける
+     * "#"で始まる値はタグとし、それ以外は登録済みのカテゴリ（IDまたは名前）を優先してカテゴリに、
+     * 見つからない場合は最初の値を新しいカテゴリとして使う。カテゴリにしなかった値はタグとして残す
+     * @param {string} value - CATEGORIESの値（カンマ区切り）
+     * @returns {{category: string, tags: Array<string>}} - カテゴリIDまたはカテゴリ名（値がない場合は空文字）とタグ
+     * @private
+     * @static
+     */
+    static _parseCategories(value) {
+        const registry = Todo.getCategoryRegistry();
+        const values = ICalConverter._splitList(value)
+            .map(name => ICalConverter._unescapeText(name).trim())
+            .filter(name => name !== '');
+
+        const names = values.filter(name => !name.startsWith('#'));
+        const categoryName = names.find(name => registry.resolve(name)) || names[0] || '';
+        const category = categoryName ? (registry.resolve(categoryName) || categoryName) : '';
+
+        return {
+            category,
+            tags: Todo.parseTags(values.filter(name => name !== categoryName))
+        };
+    }
+
+    /**
+     * エスケープされていないカンマで値を分割
+     * @param {string} value - カンマ区切りの値
+     * @returns {Array<string>} - 分割された値（エスケープは保持）
+     * @private
+     * @static
+     */
+    static _splitList(value) {
+        const items = [];
+        let current = '';
+
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '\\' && i + 1 < value.length) {
+                current += value[i] + value[i + 1];
+                i++;
+            } else if (value[i] === ',') {
+                items.push(current);
+                current = '';
+            } else {
+                current += value[i];
+            }
+        }
+
+        items.push(current);
+        return items;
+    }
+
+    /**
+     * 優先度をiCalendarのPRIORITY値に変換（1: 高, 5: 中, 9: 低）
+     * @param {string} priority - 優先度
+     * @returns {number} - PRIORITY値
+     * @private
+     * @static
+     */
+    static _toICalPriority(priority) {
+        const priorityMap = { 'high': 1, 'medium': 5, 'low': 9 };
+        return priorityMap[priority] || 5;
+    }
+
+    /**
+     * iCalendarのPRIORITY値を優先度に変換（1-4: 高, 5/0: 中, 6-9: 低）
+     * @param {string} value - PRIORITY値
+     * @returns {string} - 優先度
+     * @private
+     * @static
+     */
+    static _fromICalPriority(value) {
+        const priority = Number(value);
+
+        if (priority >= 1 && priority <= 4) return 'high';
+        if (priority >= 6 && priority <= 9) return 'low';
+        return 'medium';
+    }
+
+    /**
+     * 日時をUTCのiCalendar形式（YYYYMMDDTHHMMSSZ）に変換
+     * @param {Date} date - 日時
+     * @returns {string} - iCalendar形式の日時
+     * @private
+     * @static
+     */
+    static _formatDateTime(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * iCalendarの日時プロパティをパース
+     * UTC（末尾Z）、日付のみ（VALUE=DATE）、ローカル時刻（TZID付きを含む）に対応する。
+     * TZIDのタイムゾーン変換は行わず、ブラウザのローカル時刻として扱う。
+     * @param {Object} property - プロパティ（value, params）
+     * @returns {Date} - パースされた日時
+     * @throws {Error} - 日時を解釈できない場合
+     * @private
+     * @static
+     */
+    static _parseDateTime(property) {
+        const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+
+        if (!match) {
+            throw new Error(`${property.name} "${property.value}" を解釈できません`);
+        }
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+        const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+
+        return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+    }
+
+    /**
+     * テキスト値をエスケープ
+     * @param {string} text - テキスト
+     * @returns {string} - エスケープされたテキスト
+     * @private
+     * @static
+     */
+    static _escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * テキスト値のエスケープを解除
+     * @param {string} text - エスケープされたテキスト
+     * @returns {string} - テキスト
+     * @private
+     * @static
+     */
+    static _unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    /**
+     * 行を75オクテットごとに折り返す（UTF-8のマルチバイト文字は分割しない）
+     * @param {string} line - コンテンツ行
+     * @returns {string} - 折り返された行
+     * @private
+     * @static
+     */
+    static _foldLine(line) {
+        const chunks = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const codePoint = char.codePointAt(0);
+            const bytes = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+            // 2行目以降は先頭の空白1オクテットを含めて75オクテット
+            const limit = chunks.length === 0 ? 75 : 74;
+
+            if (currentBytes + bytes > limit) {
+                chunks.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+
+            current += char;
+            currentBytes += bytes;
+        }
+
+        chunks.push(current);
+        return chunks.join('\r\n ');
+    }
+
+    /**
+     * 折り返された行を展開
+     * @param {string} text - iCalendar文字列
+     * @returns {Array<{row: number, value: string}>} - 行番号付きのコンテンツ行
+     * @private
+     * @static
+     */
+    static _unfoldLines(text) {
+        const lines = [];
+
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+            if ((rawLine.startsWith(' ') || rawLine.startsWith('\t')) && lines.length > 0) {
+                lines[lines.length - 1].value += rawLine.slice(1);
+            } else if (rawLine.trim() !== '') {
+                lines.push({ row: index + 1, value: rawLine });
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * コンテンツ行をパース（NAME;PARAM=VALUE:値）
+     * @param {string} line - コンテンツ行
+     * @returns {{name: string, params: Object<string, string>, value: string}|null} - パース結果
+     * @private
+     * @static
+     */
+    static _parseContentLine(line) {
+        // パラメータ値の引用符内のコロンを考慮して区切り位置を探す
+        let inQuotes = false;
+        let separator = -1;
+
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+
+        if (separator < 0) {
+            return null;
+        }
+
+        const [name, ...paramParts] = line.slice(0, separator).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...valueParts] = part.split('=');
+            params[key.toUpperCase()] = valueParts.join('=').replace(/^"|"$/g, '');
+        });
+
+        return {
+            name: name.toUpperCase(),
+            params,
+            value: line.slice(separator + 1)
+        };
+    }
+}
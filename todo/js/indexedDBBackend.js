@@ -0,0 +1,467 @@
+/**
+ * IndexedDBBackend Class - IndexedDBによるストレージバックエンド
+ * TODOを1件ずつ個別のレコードとして保存し、localStorageの容量制限を回避する
+ *
+ * StorageManagerの同期APIを維持するため、open()時に全データをメモリに読み込み、
+ * 以降の読み込みはメモリから、書き込みは差分のみを非同期で反映する。
+ */
+class IndexedDBBackend {
+    /**
+     * IndexedDBBackendインスタンスを作成
+     * @param {string} [dbName='todo-app'] - データベース名
+     * @param {string} [legacyKey='todos'] - 移行元となるlocalStorageのキー名
+     * @param {string} [legacyBackupKey='todos_backup'] - 移行元となるlocalStorageのバックアップキー名
+     */
+    constructor(dbName = 'todo-app', legacyKey = 'todos', legacyBackupKey = 'todos_backup') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.legacyKey = legacyKey;
+        this.legacyBackupKey = legacyBackupKey;
+
+        this.db = null;
+        this.quota = null;
+
+        // メモリキャッシュ（同期読み込み用）
+        this.records = new Map();   // id -> JSON文字列
+        this.order = [];            // TODOの並び順（IDの配列）
+        this.meta = {};             // version, timestamp
+        this.items = new Map();     // 付随データ（key -> 文字列）
+
+        // 書き込みを直列化するためのキューと、完了していない書き込み（flushで失敗を伝えるため）
+        this.writeQueue = Promise.resolve();
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * IndexedDBがサポートされているかチェック
+     * @returns {boolean} - サポートされている場合true
+     * @static
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * IndexedDBが使用可能かチェック
+     * @returns {boolean} - データベースが開かれている場合true
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * データベースを開き、全データをメモリに読み込む
+     * 初回はlocalStorageの既存データを自動的に移行する
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.db = await this._openDatabase();
+
+        await this._loadCache();
+
+        if (this.records.size === 0 && this.meta.version === undefined) {
+            await this._migrateFromLocalStorage();
+        }
+
+        await this._estimateQuota();
+    }
+
+    /**
+     * 保存済みデータを読み込み
+     * @returns {Object|Array|null} - {version, timestamp, todos}、バージョン情報がない場合は配列、未保存の場合はnull
+     */
+    readData() {
+        if (this.records.size === 0 && this.meta.version === undefined) {
+            return null;
+        }
+
+        const todos = this.order
+            .filter(id => this.records.has(id))
+            .map(id => JSON.parse(this.records.get(id)));
+
+        if (this.meta.version === undefined) {
+            return todos;
+        }
+
+        return {
+            version: this.meta.version,
+            timestamp: this.meta.timestamp,
+            todos
+        };
+    }
+
+    /**
+     * データ全体を書き込み（変更のあったレコードのみ反映）
+     * @param {Object|Array} data - 保存するデータ
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    writeData(data) {
+        const todos = Array.isArray(data) ? data : data.todos;
+        const nextRecords = new Map();
+
+        todos.forEach(todo => {
+            nextRecords.set(todo.id, JSON.stringify(todo));
+        });
+
+        // 差分を計算
+        const puts = [];
+        nextRecords.forEach((json, id) => {
+            if (this.records.get(id) !== json) {
+                puts.push(JSON.parse(json));
+            }
+        });
+        const deletes = [...this.records.keys()].filter(id => !nextRecords.has(id));
+
+        const nextOrder = todos.map(todo => todo.id);
+        const orderChanged = nextOrder.length !== this.order.length ||
+            nextOrder.some((id, index) => id !== this.order[index]);
+
+        const nextMeta = Array.isArray(data) ? {} : {
+            version: data.version,
+            timestamp: data.timestamp
+        };
+
+        // メモリキャッシュを同期的に更新
+        this.records = nextRecords;
+        this.order = nextOrder;
+        this.meta = nextMeta;
+
+        return this._enqueue(['todos', 'meta'], (stores) => {
+            puts.forEach(record => stores.todos.put(record));
+            deletes.forEach(id => stores.todos.delete(id));
+
+            if (orderChanged) {
+                stores.meta.put(nextOrder, 'order');
+            }
+            if (nextMeta.version !== undefined) {
+                stores.meta.put(nextMeta.version, 'version');
+                stores.meta.put(nextMeta.timestamp, 'timestamp');
+            } else {
+                stores.meta.delete('version');
+                stores.meta.delete('timestamp');
+            }
+        });
+    }
+
+    /**
+     * 変更のあったレコードのみを書き込み
+     * 新しいレコードは並び順の末尾に追加する
+     * @param {Array<Object>} upserts - 追加・更新するTODO（JSON形式）
+     * @param {Array<string>} deletes - 削除するTODOのID
+     * @param {Object} meta - version, timestamp
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    writeRecords(upserts, deletes, meta) {
+        let orderChanged = false;
+
+        upserts.forEach(record => {
+            if (!this.records.has(record.id)) {
+                this.order.push(record.id);
+                orderChanged = true;
+            }
+            this.records.set(record.id, JSON.stringify(record));
+        });
+
+        const deletedIds = deletes.filter(id => this.records.has(id));
+        if (deletedIds.length > 0) {
+            deletedIds.forEach(id => this.records.delete(id));
+            this.order = this.order.filter(id => this.records.has(id));
+            orderChanged = true;
+        }
+
+        this.meta = { version: meta.version, timestamp: meta.timestamp };
+        const nextOrder = [...this.order];
+
+        return this._enqueue(['todos', 'meta'], (stores) => {
+            upserts.forEach(record => stores.todos.put(record));
+            deletedIds.forEach(id => stores.todos.delete(id));
+
+            if (orderChanged) {
+                stores.meta.put(nextOrder, 'order');
+            }
+            stores.meta.put(meta.version, 'version');
+            stores.meta.put(meta.timestamp, 'timestamp');
+        });
+    }
+
+    /**
+     * データを削除
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    clearData() {
+        this.records.clear();
+        this.order = [];
+        this.meta = {};
+
+        return this._enqueue(['todos', 'meta'], (stores) => {
+            stores.todos.clear();
+            stores.meta.clear();
+        });
+    }
+
+    /**
+     * 付随データを取得
+     * @param {string} key - キー名
+     * @returns {string|null} - 保存値
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * 付随データを保存
+     * @param {string} key - キー名
+     * @param {string} value - 保存値
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    setItem(key, value) {
+        const stringValue = String(value);
+        this.items.set(key, stringValue);
+        return this._enqueue(['items'], (stores) => stores.items.put(stringValue, key));
+    }
+
+    /**
+     * 付随データを削除
+     * @param {string} key - キー名
+     * @returns {Promise<void>} - 書き込みの完了（失敗した場合はreject）
+     */
+    removeItem(key) {
+        this.items.delete(key);
+        return this._enqueue(['items'], (stores) => stores.items.delete(key));
+    }
+
+    /**
+     * 使用量情報を取得
+     * @returns {Object} - dataSize（バイト）とestimatedLimit（バイト）
+     */
+    getUsage() {
+        let dataSize = 0;
+        this.records.forEach(json => {
+            dataSize += new Blob([json]).size;
+        });
+
+        return {
+            dataSize,
+            // 取得できない場合は一般的な下限値（50MB）を仮定
+            estimatedLimit: this.quota || 50 * 1024 * 1024
+        };
+    }
+
+    /**
+     * メモリキャッシュをデータベースから読み直す（他のタブでの変更を反映するため）
+     * 保留中の書き込みが完了してから読み込む
+     * @returns {Promise<void>}
+     */
+    reload() {
+        this.writeQueue = this.writeQueue
+            .then(() => this._loadCache())
+            .catch(error => console.error('IndexedDB reload failed:', error));
+        return this.writeQueue;
+    }
+
+    /**
+     * 保留中の書き込みがすべて完了するまで待機
+     * @returns {Promise<void>}
+     * @throws {Error} - 保留中の書き込みのいずれかが失敗した場合（容量超過・トランザクションの中断など）
+     */
+    async flush() {
+        const pending = [...this.pendingWrites];
+
+        await this.writeQueue;
+        await Promise.all(pending);
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * データベースを開く（必要に応じてスキーマを作成）
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('todos')) {
+                    db.createObjectStore('todos', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                if (!db.objectStoreNames.contains('items')) {
+                    db.createObjectStore('items');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open request was blocked'));
+        });
+    }
+
+    /**
+     * 全データをメモリキャッシュに読み込み
+     * @returns {Promise<void>}
+     * @private
+     */
+    _loadCache() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['todos', 'meta', 'items'], 'readonly');
+            const todosStore = transaction.objectStore('todos');
+            const metaStore = transaction.objectStore('meta');
+            const itemsStore = transaction.objectStore('items');
+
+            const records = new Map();
+            const items = new Map();
+            const meta = {};
+            let order = [];
+
+            todosStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    records.set(cursor.key, JSON.stringify(cursor.value));
+                    cursor.continue();
+                }
+            };
+
+            metaStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (cursor.key === 'order') {
+                        order = cursor.value;
+                    } else {
+                        meta[cursor.key] = cursor.value;
+                    }
+                    cursor.continue();
+                }
+            };
+
+            itemsStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    items.set(cursor.key, cursor.value);
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => {
+                // 並び順に含まれないレコードは末尾に追加
+                const orderedIds = order.filter(id => records.has(id));
+                const knownIds = new Set(orderedIds);
+                records.forEach((json, id) => {
+                    if (!knownIds.has(id)) orderedIds.push(id);
+                });
+
+                this.records = records;
+                this.order = orderedIds;
+                this.meta = meta;
+                this.items = items;
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * localStorageの既存データをIndexedDBへ移行
+     * 移行が完了するまでlocalStorageのデータは削除しない
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _migrateFromLocalStorage() {
+        let legacyData;
+        let legacyBackup;
+
+        try {
+            legacyData = localStorage.getItem(this.legacyKey);
+            legacyBackup = localStorage.getItem(this.legacyBackupKey);
+        } catch (error) {
+            return;
+        }
+
+        if (!legacyData) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(legacyData);
+        } catch (error) {
+            console.warn('Skipping migration of unreadable localStorage data:', error);
+            return;
+        }
+
+        if (!Array.isArray(data) && !(data && Array.isArray(data.todos))) {
+            console.warn('Skipping migration of unrecognized localStorage data');
+            return;
+        }
+
+        this.writeData(data);
+        if (legacyBackup) {
+            this.setItem(this.legacyBackupKey, legacyBackup);
+        }
+
+        await this.flush();
+
+        localStorage.removeItem(this.legacyKey);
+        localStorage.removeItem(this.legacyBackupKey);
+
+        console.info(`Migrated ${this.records.size} todos from localStorage to IndexedDB`);
+    }
+
+    /**
+     * ブラウザのストレージ容量を取得
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _estimateQuota() {
+        try {
+            if (navigator.storage && navigator.storage.estimate) {
+                const estimate = await navigator.storage.estimate();
+                this.quota = estimate.quota || null;
+            }
+        } catch (error) {
+            this.quota = null;
+        }
+    }
+
+    /**
+     * 書き込みトランザクションをキューに追加
+     * 失敗しても後続の書き込みは続けるが、返すPromiseと次のflush()はエラーで終わる
+     * @param {Array<string>} storeNames - 対象のオブジェクトストア名
+     * @param {function(Object): void} operation - ストアを受け取り書き込みを行う関数
+     * @returns {Promise<void>} - この書き込みの完了（失敗した場合はreject）
+     * @private
+     */
+    _enqueue(storeNames, operation) {
+        const write = this.writeQueue.then(() => new Promise((resolve, reject) => {
+            try {
+                const transaction = this.db.transaction(storeNames, 'readwrite');
+                const stores = {};
+                storeNames.forEach(name => {
+                    stores[name] = transaction.objectStore(name);
+                });
+
+                operation(stores);
+
+                transaction.oncomplete = () => resolve();
+                // 失敗したトランザクションはerrorに続いてabortも発生するため、abortで終了する
+                transaction.onabort = () => {
+                    reject(transaction.error || new Error('IndexedDB write aborted'));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        }));
+
+        this.pendingWrites.add(write);
+        this.writeQueue = write
+            .catch(error => console.error('IndexedDB write failed:', error))
+            .then(() => this.pendingWrites.delete(write));
+        return write;
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * ListRegistry Class - リスト（プロジェクト）の管理
+ * ユーザーが作成したリスト（ID・名前・色・既定のカテゴリ）を作成順に保持する
+ *
+ * TODOはリストをIDで参照する。既定のリスト（ID: default）は常に存在し、
+ * リストを持たない以前のバージョンのTODOはこのリストに入る
+ */
+class ListRegistry {
+    /**
+     * ListRegistryインスタンスを作成
+     * @param {Array<Object>|null} [lists=null] - 保存済みのリスト（id, name, color, defaultCategory）。nullの場合は既定のリストのみ
+     */
+    constructor(lists = null) {
+        this.lists = [];
+
+        (Array.isArray(lists) ? lists : []).forEach(list => {
+            try {
+                this._add(list);
+            } catch (error) {
+                console.warn('Invalid list:', list, error);
+            }
+        });
+
+        // 既定のリストは削除できないため、保存済みのデータになくても先頭に用意する
+        if (!this.has(ListRegistry.getDefaultId())) {
+            this.lists.unshift({ ...ListRegistry.getDefault() });
+        }
+    }
+
+    /**
+     * 既定のリストのIDを取得
+     * @returns {string} - リストID
+     * @static
+     */
+    static getDefaultId() {
+        return 'default';
+    }
+
+    /**
+     * 既定のリストを取得（初回起動時・以前のバージョンからの移行時に作成する）
+     * @returns {{id: string, name: string, color: string, defaultCategory: string}} - 既定のリスト
+     * @static
+     */
+    static getDefault() {
+        return { id: ListRegistry.getDefaultId(), name: 'マイリスト', color: '#3366cc', defaultCategory: '' };
+    }
+
+    /**
+     * すべてのリストを作成順に取得
+     * @returns {Array<{id: string, name: string, color: string, defaultCategory: string}>} - リストのコピー
+     */
+    getAll() {
+        return this.lists.map(list => ({ ...list }));
+    }
+
+    /**
+     * IDでリストを取得
+     * @param {string} id - リストID
+     * @returns {Object|null} - リストのコピー、見つからない場合はnull
+     */
+    get(id) {
+        const list = this.lists.find(item => item.id === id);
+        return list ? { ...list } : null;
+    }
+
+    /**
+     * リストが登録されているかチェック
+     * @param {string} id - リストID
+     * @returns {boolean} - 登録されている場合true
+     */
+    has(id) {
+        return this.lists.some(list => list.id === id);
+    }
+
+    /**
+     * リストの表示名を取得
+     * @param {string} id - リストID
+     * @returns {string} - 表示名（未登録の場合はIDをそのまま返す）
+     */
+    getDisplayName(id) {
+        const list = this.lists.find(item => item.id === id);
+        return list ? list.name : id;
+    }
+
+    /**
+     * IDまたは名前からリストIDを探す（大文字・小文字は区別しない）
+     * @param {string} value - リストIDまたは名前
+     * @returns {string|null} - リストID、見つからない場合はnull
+     */
+    resolve(value) {
+        const normalized = String(value || '').trim().toLowerCase();
+        if (!normalized) {
+            return null;
+        }
+
+        const list = this.lists.find(item => item.id.toLowerCase() === normalized) ||
+            this.lists.find(item => item.name.toLowerCase() === normalized);
+        return list ? list.id : null;
+    }
+
+    /**
+     * リストを作成
+     * @param {Object} data - リストのデータ
+     * @param {string} data.name - 名前（必須）
+     * @param {string} [data.color] - カラーコード（省略時はパレットから割り当て）
+     * @param {string} [data.defaultCategory=''] - このリストに追加するタスクの既定のカテゴリID
+     * @returns {Object} - 作成されたリストのコピー
+     * @throws {Error} - 名前が空、同じ名前のリストがある、または色が正しくない場合
+     */
+    create(data) {
+        const name = this._validateName(data && data.name);
+
+        if (this.resolve(name)) {
+            throw new Error('同じ名前のリストが既に存在します');
+        }
+
+        const list = this._add({
+            id: this._generateId(),
+            name,
+            color: data.color || this._getNextColor(),
+            defaultCategory: data.defaultCategory
+        });
+
+        return { ...list };
+    }
+
+    /**
+     * リストの名前を変更
+     * @param {string} id - リストID
+     * @param {string} name - 新しい名前
+     * @returns {Object} - 変更後のリストのコピー
+     * @throws {Error} - リストが見つからない、名前が空、または他のリストと名前が重複する場合
+     */
+    rename(id, name) {
+        const list = this._find(id);
+        const normalizedName = this._validateName(name);
+        const existingId = this.resolve(normalizedName);
+
+        if (existingId && existingId !== id) {
+            throw new Error('同じ名前のリストが既に存在します');
+        }
+
+        list.name = normalizedName;
+        return { ...list };
+    }
+
+    /**
+     * リストの色を変更
+     * @param {string} id - リストID
+     * @param {string} color - カラーコード（#rrggbb）
+     * @returns {Object} - 変更後のリストのコピー
+     * @throws {Error} - リストが見つからない、または色が正しくない場合
+     */
+    recolor(id, color) {
+        const list = this._find(id);
+        list.color = this._validateColor(color);
+        return { ...list };
+    }
+
+    /**
+     * リストの既定のカテゴリを変更
+     * @param {string} id - リストID
+     * @param {string} categoryId - カテゴリID（空文字の場合はカテゴリなし）
+     * @returns {Object} - 変更後のリストのコピー
+     * @throws {Error} - リストが見つからない場合
+     */
+    setDefaultCategory(id, categoryId) {
+        const list = this._find(id);
+        list.defaultCategory = typeof categoryId === 'string' ? categoryId.trim() : '';
+        return { ...list };
+    }
+
+    /**
+     * リストを削除
+     * @param {string} id - リストID
+     * @returns {Object} - 削除されたリストのコピー
+     * @throws {Error} - リストが見つからない、または既定のリストの場合
+     */
+    remove(id) {
+        const list = this._find(id);
+
+        if (list.id === ListRegistry.getDefaultId()) {
+            throw new Error('既定のリストは削除できません');
+        }
+
+        this.lists = this.lists.filter(item => item !== list);
+        return { ...list };
+    }
+
+    /**
+     * 未登録のリストを登録（リストの定義を含まないファイルからインポートしたTODOのリストなど）
+     * @param {string} id - リストID
+     * @returns {{id: string, created: boolean}} - リストIDと、新しく登録したか
+     */
+    ensure(id) {
+        if (this.has(id)) {
+            return { id, created: false };
+        }
+
+        // IDを名前にできない場合（他のリストと重複する・長すぎるなど）は番号を付けた名前にする
+        let name = String(id).replace(/<[^>]*>/g, '').trim();
+        if (!name || name.length > 30 || this.resolve(name)) {
+            name = `リスト${this.lists.length + 1}`;
+        }
+
+        const list = this._add({ id, name });
+        return { id: list.id, created: true };
+    }
+
+    /**
+     * 他のデータのリストを結合（同じIDのリストは現在の内容を残す）
+     * @param {Array<Object>} lists - 結合するリスト（id, name, color, defaultCategory）
+     * @returns {boolean} - リストが追加された場合true
+     */
+    merge(lists) {
+        let changed = false;
+
+        (Array.isArray(lists) ? lists : []).forEach(list => {
+            if (!list || this.has(list.id)) return;
+
+            try {
+                // 名前が重複する場合は別名を付けて区別する
+                const name = this.resolve(list.name) ? `${list.name} (${list.id})` : list.name;
+                this._add({ ...list, name });
+                changed = true;
+            } catch (error) {
+                console.warn('Skipping invalid list:', list, error);
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * シリアライズ可能な配列に変換
+     * @returns {Array<{id: string, name: string, color: string, defaultCategory: string}>} - リストの配列
+     */
+    toJSON() {
+        return this.getAll();
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * リストを検証して末尾に追加
+     * @param {Object} data - リストのデータ（id, name, color, defaultCategory）
+     * @returns {Object} - 追加されたリスト
+     * @throws {Error} - IDや名前が不正、またはIDが重複する場合
+     * @private
+     */
+    _add(data) {
+        const id = typeof data.id === 'string' ? data.id.trim() : '';
+
+        if (!id) {
+            throw new Error('リストIDが必要です');
+        }
+        if (this.has(id)) {
+            throw new Error(`リストID "${id}" は既に使われています`);
+        }
+
+        const list = {
+            id,
+            name: this._validateName(data.name),
+            color: data.color ? this._validateColor(data.color) : this._getNextColor(),
+            defaultCategory: typeof data.defaultCategory === 'string' ? data.defaultCategory.trim() : ''
+        };
+
+        this.lists.push(list);
+        return list;
+    }
+
+    /**
+     * IDでリストを取得（内部の参照）
+     * @param {string} id - リストID
+     * @returns {Object} - リスト
+     * @throws {Error} - 見つからない場合
+     * @private
+     */
+    _find(id) {
+        const list = this.lists.find(item => item.id === id);
+
+        if (!list) {
+            throw new Error('指定されたリストが見つかりません');
+        }
+
+        return list;
+    }
+
+    /**
+     * リスト名をバリデーション
+     * @param {string} name - リスト名
+     * @returns {string} - 前後の空白を除いたリスト名
+     * @throws {Error} - 名前が空、または長すぎる場合
+     * @private
+     */
+    _validateName(name) {
+        const normalized = typeof name === 'string' ? name.replace(/<[^>]*>/g, '').trim() : '';
+
+        if (!normalized) {
+            throw new Error('リスト名を入力してください');
+        }
+        if (normalized.length > 30) {
+            throw new Error('リスト名は30文字以内にしてください');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * カラーコードをバリデーション
+     * @param {string} color - カラーコード
+     * @returns {string} - 小文字のカラーコード
+     * @throws {Error} - #rrggbb形式でない場合
+     * @private
+     */
+    _validateColor(color) {
+        if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`色 "${color}" は #rrggbb 形式で指定してください`);
+        }
+
+        return color.toLowerCase();
+    }
+
+    /**
+     * パレット（カテゴリと共通）から次に割り当てる色を取得
+     * @returns {string} - カラーコード
+     * @private
+     */
+    _getNextColor() {
+        const palette = CategoryRegistry.getPalette();
+        return palette[this.lists.length % palette.length];
+    }
+
+    /**
+     * 一意のリストIDを生成
+     * @returns {string} - リストID
+     * @private
+     */
+    _generateId() {
+        return 'list-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 5);
+    }
+}
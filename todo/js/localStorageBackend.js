@@ -0,0 +1,122 @@
+/**
+ * LocalStorageBackend Class - localStorageによるストレージバックエンド
+ * TODOデータ全体を1つのキーにJSON文字列として保存する
+ *
+ * StorageManagerが利用するバックエンドの共通インターフェース:
+ * - isAvailable(): boolean - 使用可能かどうか
+ * - open(): Promise<void> - 初期化（非同期バックエンドはここで読み込みを完了させる）
+ * - readData(): Object|Array|null - 保存済みデータ（{version, timestamp, todos} または旧形式の配列）
+ * - writeData(data): void - データ全体を書き込み
+ * - clearData(): void - データを削除
+ * - getItem(key) / setItem(key, value) / removeItem(key) - 付随データ（バックアップ等）の文字列保存
+ * - getUsage(): Object - 使用量情報（dataSize, estimatedLimit）
+ * - writeRecords(upserts, deletes, meta): void - 変更のあったレコードのみ書き込み（任意。未実装の場合はwriteDataで全体を書き込む）
+ * - reload(): Promise<void> - 他のタブでの変更を読み直す（キャッシュを持つバックエンドのみ処理が必要）
+ * - flush(): Promise<void> - 保留中の書き込みの完了を待つ（任意。非同期バックエンドのみ。失敗した書き込みがあればreject）
+ *
+ * 同期的なバックエンドは書き込みに失敗すると例外を投げる。非同期バックエンドの書き込みメソッドは
+ * 完了を表すPromiseを返し、失敗はそのPromiseとflush()で伝える
+ */
+class LocalStorageBackend {
+    /**
+     * LocalStorageBackendインスタンスを作成
+     * @param {string} [storageKey='todos'] - データを保存するキー名
+     */
+    constructor(storageKey = 'todos') {
+        this.name = 'localStorage';
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * localStorageが使用可能かチェック
+     * @returns {boolean} - 使用可能な場合true
+     */
+    isAvailable() {
+        try {
+            const testKey = 'storage_test';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * バックエンドを初期化（localStorageは同期的に読めるため処理なし）
+     * @returns {Promise<void>}
+     */
+    async open() {}
+
+    /**
+     * 保存済みデータを読み込み
+     * @returns {Object|Array|null} - パース済みデータ、未保存の場合はnull
+     * @throws {SyntaxError} - 保存データが壊れている場合
+     */
+    readData() {
+        const jsonString = localStorage.getItem(this.storageKey);
+        return jsonString ? JSON.parse(jsonString) : null;
+    }
+
+    /**
+     * データ全体を書き込み
+     * @param {Object} data - 保存するデータ
+     * @throws {Error} - 容量超過などで書き込めない場合
+     */
+    writeData(data) {
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    /**
+     * データを削除
+     */
+    clearData() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * 付随データを取得
+     * @param {string} key - キー名
+     * @returns {string|null} - 保存値
+     */
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    /**
+     * 付随データを保存
+     * @param {string} key - キー名
+     * @param {string} value - 保存値
+     */
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    /**
+     * 付随データを削除
+     * @param {string} key - キー名
+     */
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+
+    /**
+     * 他のタブでの変更を読み直す（localStorageは常に最新を読むため処理なし）
+     * @returns {Promise<void>}
+     */
+    async reload() {}
+
+    /**
+     * 使用量情報を取得
+     * @returns {Object} - dataSize（バイト）とestimatedLimit（バイト）
+     */
+    getUsage() {
+        const data = localStorage.getItem(this.storageKey);
+
+        return {
+            dataSize: data ? new Blob([data]).size : 0,
+            // LocalStorageの制限（概算5MB）
+            estimatedLimit: 5 * 1024 * 1024
+        };
+    }
+}
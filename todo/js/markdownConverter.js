@@ -0,0 +1,354 @@
+/**
+ * MarkdownConverter Class - Markdownチェックリスト形式の変換
+ * TODOをカテゴリ別の `- [ ]` / `- [x]` チェックリストとして出力し、
+ * 貼り付けられたチェックリストをTODOのデータに変換する
+ *
+ * 出力形式:
+ *   ## 仕事
+ *
+ *   - [ ] タイトル (優先度: 高) (タグ: #clientA #waiting) (期限: 2026-01-31 10:00)
+ *   - [ ] ゴミ箱のタスク (優先度: 中) (削除: 2026-01-20 09:00)
+ *     詳細説明（2文字インデント）
+ *     - [x] サブタスク (期限: 2026-01-30)
+ */
+class MarkdownConverter {
+    /**
+     * TODO配列をMarkdownのチェックリストに変換
+     * カテゴリごとに見出しを付けてまとめ、優先度・タグ・期限を行末に付記する
+     * @param {Array<Todo>} todos - Todo配列
+     * @returns {string} - Markdown文字列
+     * @static
+     */
+    static toMarkdown(todos) {
+        const lines = ['# TODOリスト', ''];
+
+        MarkdownConverter.getCategoryOrder(todos).forEach(category => {
+            const group = todos.filter(todo => todo.category === category);
+            if (group.length === 0) return;
+
+            lines.push(`## ${MarkdownConverter._getHeading(category)}`, '');
+
+            group.forEach(todo => {
+                lines.push(...MarkdownConverter._formatTodo(todo));
+            });
+
+            lines.push('');
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Markdownのチェックリストをパース
+     * チェックボックス付きの項目のみを取り込み、直前の見出しをカテゴリ、
+     * 項目より深くインデントされたチェックボックスをサブタスク、それ以外の行を詳細説明として扱う
+     * @param {string} text - Markdown文字列
+     * @returns {{entries: Array<{row: number, data: Object}>, errors: Array<{row: number, message: string}>}} - addTodoに渡せるデータと、変換できなかった行
+     * @static
+     */
+    static parse(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const entries = [];
+        const errors = [];
+        let category = '';
+        let current = null;
+
+        const finishItem = () => {
+            if (!current) return;
+            current.data.description = MarkdownConverter._dedent(current.descriptionLines);
+            entries.push({ row: current.row, data: current.data });
+            current = null;
+        };
+
+        lines.forEach((line, index) => {
+            const rowNumber = index + 1;
+            const indent = MarkdownConverter._getIndent(line);
+
+            const itemMatch = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/);
+
+            // 項目より深いインデントの行はサブタスクまたは詳細説明
+            if (current && (line.trim() === '' || indent > current.indent)) {
+                if (itemMatch) {
+                    try {
+                        const { title, dueDate } = MarkdownConverter._parseItem(itemMatch[3]);
+                        current.data.subtasks.push({ title, dueDate, completed: itemMatch[2] !== ' ' });
+                    } catch (error) {
+                        errors.push({ row: rowNumber, message: error.message });
+                    }
+                } else {
+                    current.descriptionLines.push(line);
+                }
+                return;
+            }
+
+            if (itemMatch) {
+                finishItem();
+
+                try {
+                    current = {
+                        row: rowNumber,
+                        indent,
+                        data: { ...MarkdownConverter._parseItem(itemMatch[3]), category, completed: itemMatch[2] !== ' ', subtasks: [] },
+                        descriptionLines: []
+                    };
+                } catch (error) {
+                    errors.push({ row: rowNumber, message: error.message });
+                }
+                return;
+            }
+
+            finishItem();
+
+            const headingMatch = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+            if (headingMatch) {
+                category = MarkdownConverter._findCategory(headingMatch[1]);
+            }
+        });
+
+        finishItem();
+
+        return { entries, errors };
+    }
+
+    /**
+     * 見出しとして出力するカテゴリの順序を取得
+     * 登録済みのカテゴリの並び順に、未登録のカテゴリ（出現順）とカテゴリなしを続ける
+     * @param {Array<Todo>} [todos=[]] - 出力するTodo配列（未登録のカテゴリを含めるため）
+     * @returns {Array<string>} - カテゴリIDの配列（最後はカテゴリなし）
+     * @static
+     */
+    static getCategoryOrder(todos = []) {
+        const order = Todo.getCategoryRegistry().getAll().map(category => category.id);
+
+        todos.forEach(todo => {
+            if (todo.category && !order.includes(todo.category)) {
+                order.push(todo.category);
+            }
+        });
+
+        return [...order, ''];
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * 1件のTODOをチェックリストの行に変換
+     * @param {Todo} todo - Todo
+     * @returns {Array<string>} - 出力行
+     * @private
+     * @static
+     */
+    static _formatTodo(todo) {
+        let line = `- [${todo.completed ? 'x' : ' '}] ${MarkdownConverter._escapeText(todo.title)}`;
+        line += ` (優先度: ${Todo.getPriorityDisplayName(todo.priority)})`;
+
+        if (todo.tags.length > 0) {
+            line += ` (タグ: ${MarkdownConverter._escapeText(Todo.formatTags(todo.tags))})`;
+        }
+
+        if (todo.dueDate) {
+            line += ` (期限: ${MarkdownConverter._formatDate(todo.dueDate)})`;
+        }
+
+        if (todo.deletedAt) {
+            line += ` (削除: ${MarkdownConverter._formatDate(todo.deletedAt)})`;
+        }
+
+        const lines = [line];
+
+        if (todo.description) {
+            todo.description.split('\n').forEach(descriptionLine => {
+                lines.push(descriptionLine === '' ? '' : `  ${descriptionLine}`);
+            });
+        }
+
+        todo.subtasks.forEach(subtask => {
+            let subtaskLine = `  - [${subtask.completed ? 'x' : ' '}] ${MarkdownConverter._escapeText(subtask.title)}`;
+            if (subtask.dueDate) {
+                subtaskLine += ` (期限: ${MarkdownConverter._formatDate(subtask.dueDate)})`;
+            }
+            lines.push(subtaskLine);
+        });
+
+        return lines;
+    }
+
+    /**
+     * 項目の本文からタイトルと行末の付記（優先度・タグ・期限・ゴミ箱に移動した日時）を取り出す
+     * @param {string} content - チェックボックスより後ろの文字列
+     * @returns {Object} - title, priority, tags, dueDate, deletedAt
+     * @throws {Error} - タイトルが空、または付記の値を解釈できない場合
+     * @private
+     * @static
+     */
+    static _parseItem(content) {
+        const data = {};
+        const metaPattern = /(?:^|\s)\((優先度|タグ|期限|削除|priority|tags|due|deleted)\s*:\s*((?:[^()\\]|\\.)*?)\s*\)\s*$/i;
+        let rest = content.trim();
+        let match;
+
+        while ((match = rest.match(metaPattern))) {
+            const key = match[1].toLowerCase();
+            const value = match[2];
+
+            if (key === '優先度' || key === 'priority') {
+                data.priority = MarkdownConverter._parsePriority(value);
+            } else if (key === 'タグ' || key === 'tags') {
+                data.tags = Todo.parseTags(MarkdownConverter._unescapeText(value));
+            } else {
+                const isDeletedAt = key === '削除' || key === 'deleted';
+                const date = MarkdownConverter._parseDate(value);
+                if (!date) {
+                    throw new Error(`${isDeletedAt ? '削除日時' : '期限'} "${value}" を解釈できません`);
+                }
+                data[isDeletedAt ? 'deletedAt' : 'dueDate'] = date;
+            }
+
+            rest = rest.slice(0, match.index).trim();
+        }
+
+        data.title = MarkdownConverter._unescapeText(rest);
+
+        if (!data.title.trim()) {
+            throw new Error('タイトルが空です');
+        }
+
+        return data;
+    }
+
+    /**
+     * 優先度の表記を優先度IDに変換
+     * @param {string} value - 優先度の表記（high/medium/low または 高/中/低）
+     * @returns {string} - 優先度ID
+     * @throws {Error} - 解釈できない場合
+     * @private
+     * @static
+     */
+    static _parsePriority(value) {
+        const priorityMap = { 'high': 'high', 'medium': 'medium', 'low': 'low', '高': 'high', '中': 'medium', '低': 'low' };
+        const priority = priorityMap[value.toLowerCase()];
+
+        if (!priority) {
+            throw new Error(`優先度 "${value}" を解釈できません（high/medium/low または 高/中/低）`);
+        }
+
+        return priority;
+    }
+
+    /**
+     * 見出しの文字列から登録済みのカテゴリIDを取得
+     * （議事録の見出しなどをカテゴリとして登録しないよう、未登録の見出しはカテゴリなしとする）
+     * @param {string} heading - 見出しの文字列
+     * @returns {string} - カテゴリID（該当なしは空文字）
+     * @private
+     * @static
+     */
+    static _findCategory(heading) {
+        const normalized = MarkdownConverter._unescapeText(heading).trim();
+
+        return Todo.getCategoryRegistry().resolve(normalized) || '';
+    }
+
+    /**
+     * カテゴリの見出し文字列を取得
+     * @param {string} category - カテゴリID
+     * @returns {string} - 見出し文字列
+     * @private
+     * @static
+     */
+    static _getHeading(category) {
+        return category ? Todo.getCategoryDisplayName(category) : 'カテゴリなし';
+    }
+
+    /**
+     * 日時を "2026-01-31" または "2026-01-31 10:00" 形式（ローカル時刻）に変換
+     * @param {Date} date - 日時
+     * @returns {string} - 日時文字列
+     * @private
+     * @static
+     */
+    static _formatDate(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        let value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+        if (date.getHours() !== 0 || date.getMinutes() !== 0 || date.getSeconds() !== 0) {
+            value += ` ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            if (date.getSeconds() !== 0) {
+                value += `:${pad(date.getSeconds())}`;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * 日時文字列をパース（時刻省略時はローカル時刻の0時）
+     * @param {string} value - 日時文字列（2026-01-31 / 2026/1/31 10:00 など）
+     * @returns {Date|null} - パースされた日時、解釈できない場合はnull
+     * @private
+     * @static
+     */
+    static _parseDate(value) {
+        const match = value.trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+        const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Markdownとして解釈される記号をバックスラッシュでエスケープ
+     * @param {string} text - テキスト
+     * @returns {string} - エスケープされたテキスト
+     * @private
+     * @static
+     */
+    static _escapeText(text) {
+        return text.replace(/[\\`*_[\]()<>~]/g, '\\$&');
+    }
+
+    /**
+     * バックスラッシュによるエスケープを解除
+     * @param {string} text - エスケープされたテキスト
+     * @returns {string} - 元のテキスト
+     * @private
+     * @static
+     */
+    static _unescapeText(text) {
+        return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+    }
+
+    /**
+     * 行頭のインデント幅を取得（タブは4文字として数える）
+     * @param {string} line - 行
+     * @returns {number} - インデント幅
+     * @private
+     * @static
+     */
+    static _getIndent(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * 詳細説明の行から共通のインデントを取り除いて結合
+     * @param {Array<string>} lines - 詳細説明の行
+     * @returns {string} - 詳細説明
+     * @private
+     * @static
+     */
+    static _dedent(lines) {
+        const expanded = lines.map(line => line.replace(/^\s+/, space => space.replace(/\t/g, '    ')));
+        const indents = expanded
+            .filter(line => line.trim() !== '')
+            .map(line => MarkdownConverter._getIndent(line));
+        const minIndent = indents.length > 0 ? Math.min(...indents) : 0;
+
+        return expanded
+            .map(line => line.slice(Math.min(minIndent, MarkdownConverter._getIndent(line))))
+            .join('\n')
+            .trim();
+    }
+}
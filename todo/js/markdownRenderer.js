@@ -0,0 +1,454 @@
+/**
+ * MarkdownRenderer Class - 詳細説明のMarkdown表示
+ * Markdownを許可した要素（getAllowedElements）だけからなるHTMLに変換する。
+ * 入力に含まれるHTMLはタグとして解釈せず文字として表示し、リンクはhttp/https/mailtoのみ許可する
+ *
+ * 対応する書式:
+ *   見出し（#）、段落と改行、箇条書き・番号付きリスト（インデントで入れ子）、
+ *   チェックリスト（- [ ] / - [x]）、引用（>）、コードブロック（```）、区切り線（---）、
+ *   **太字**、*斜体*、~~取り消し線~~、`コード`、[リンク](https://...)、<https://...>、URLの自動リンク
+ */
+class MarkdownRenderer {
+    /**
+     * MarkdownをHTMLに変換
+     * @param {string} markdown - Markdown文字列
+     * @param {Object} [options={}] - オプション
+     * @param {boolean} [options.interactive=true] - チェックリストのチェックボックスを操作可能にするか
+     *                                              （操作可能な場合は data-task-index にチェックリストの番号を持つ）
+     * @returns {string} - HTML文字列
+     * @static
+     */
+    static render(markdown, { interactive = true } = {}) {
+        if (typeof markdown !== 'string' || markdown.trim() === '') {
+            return '';
+        }
+
+        const context = { interactive, taskIndex: 0 };
+        return MarkdownRenderer._renderBlocks(markdown.replace(/\r\n?/g, '\n').split('\n'), context);
+    }
+
+    /**
+     * Markdownを書式を除いたテキストに変換（検索用）
+     * @param {string} markdown - Markdown文字列
+     * @returns {string} - テキスト
+     * @static
+     */
+    static toPlainText(markdown) {
+        const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+        return MarkdownRenderer.render(markdown, { interactive: false })
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&(?:amp|lt|gt|quot|#39);/g, entity => entities[entity])
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * チェックリストの項目の完了状態を切り替えたMarkdownを取得
+     * @param {string} markdown - Markdown文字列
+     * @param {number} taskIndex - チェックリストの番号（renderが出力する data-task-index）
+     * @returns {string} - 切り替え後のMarkdown文字列
+     * @throws {Error} - 指定された番号の項目がない場合
+     * @static
+     */
+    static toggleTaskItem(markdown, taskIndex) {
+        const patterns = MarkdownRenderer._getPatterns();
+        const lines = markdown.split('\n');
+        let index = 0;
+        let fence = null;
+
+        // renderと同じ順序で数えるため、コードブロックの中の行は除く
+        for (let i = 0; i < lines.length; i++) {
+            if (fence !== null) {
+                if (lines[i].trim().startsWith(fence)) {
+                    fence = null;
+                }
+                continue;
+            }
+
+            const fenceMatch = lines[i].match(patterns.fence);
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+                continue;
+            }
+
+            const taskMatch = lines[i].match(patterns.taskLine);
+            if (!taskMatch) {
+                continue;
+            }
+
+            if (index === taskIndex) {
+                const mark = taskMatch[2] === ' ' ? 'x' : ' ';
+                lines[i] = `${taskMatch[1]}[${mark}]${lines[i].slice(taskMatch[0].length)}`;
+                return lines.join('\n');
+            }
+            index++;
+        }
+
+        throw new Error(`Task item not found: ${taskIndex}`);
+    }
+
+    /**
+     * 出力するHTMLで許可する要素と属性を取得
+     * @returns {Object<string, Array<string>>} - 要素名 -> 許可する属性名
+     * @static
+     */
+    static getAllowedElements() {
+        return {
+            p: [],
+            br: [],
+            h4: [],
+            h5: [],
+            h6: [],
+            ul: [],
+            ol: ['start'],
+            li: ['class'],
+            input: ['type', 'checked', 'disabled', 'data-task-index', 'aria-label'],
+            blockquote: [],
+            pre: [],
+            code: [],
+            hr: [],
+            strong: [],
+            em: [],
+            del: [],
+            a: ['href', 'title', 'target', 'rel']
+        };
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * ブロック要素の判定に使う正規表現を取得
+     * @returns {Object<string, RegExp>} - 種類 -> 正規表現
+     * @private
+     * @static
+     */
+    static _getPatterns() {
+        return {
+            fence: /^\s{0,3}(```+|~~~+)/,
+            heading: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+            rule: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+            quote: /^\s{0,3}>\s?(.*)$/,
+            listItem: /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/,
+            taskLine: /^(\s*(?:[-*+]|\d{1,9}[.)])\s+)\[([ xX])\](?=\s|$)/
+        };
+    }
+
+    /**
+     * 行の配列をブロック要素のHTMLに変換
+     * @param {Array<string>} lines - 行の配列
+     * @param {Object} context - 変換中の状態（interactive, taskIndex）
+     * @returns {string} - HTML文字列
+     * @private
+     * @static
+     */
+    static _renderBlocks(lines, context) {
+        const patterns = MarkdownRenderer._getPatterns();
+        const html = [];
+        let paragraph = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                const content = paragraph.map(line => MarkdownRenderer._renderInline(line.trim())).join(MarkdownRenderer._element('br'));
+                html.push(MarkdownRenderer._element('p', {}, content));
+                paragraph = [];
+            }
+        };
+
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                flushParagraph();
+                i++;
+                continue;
+            }
+
+            // コードブロック（閉じられていない場合は最後まで）
+            const fenceMatch = line.match(patterns.fence);
+            if (fenceMatch) {
+                flushParagraph();
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fenceMatch[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html.push(MarkdownRenderer._element('pre', {}, MarkdownRenderer._element('code', {}, MarkdownRenderer._escape(code.join('\n')))));
+                continue;
+            }
+
+            const headingMatch = line.match(patterns.heading);
+            if (headingMatch) {
+                flushParagraph();
+                // タスクの中に表示するため、見出しは小さいもの（h4〜h6）に揃える
+                const level = Math.min(headingMatch[1].length + 3, 6);
+                html.push(MarkdownRenderer._element(`h${level}`, {}, MarkdownRenderer._renderInline(headingMatch[2])));
+                i++;
+                continue;
+            }
+
+            if (patterns.rule.test(line)) {
+                flushParagraph();
+                html.push(MarkdownRenderer._element('hr'));
+                i++;
+                continue;
+            }
+
+            // 引用（中身はブロック要素として変換し、チェックボックスは操作不可）
+            if (patterns.quote.test(line)) {
+                flushParagraph();
+                const quoted = [];
+                while (i < lines.length && patterns.quote.test(lines[i])) {
+                    quoted.push(lines[i].match(patterns.quote)[1]);
+                    i++;
+                }
+                const content = MarkdownRenderer._renderBlocks(quoted, { interactive: false, taskIndex: 0 });
+                html.push(MarkdownRenderer._element('blockquote', {}, content));
+                continue;
+            }
+
+            if (patterns.listItem.test(line)) {
+                flushParagraph();
+                const listLines = [];
+                while (i < lines.length && lines[i].trim() !== '' &&
+                    (patterns.listItem.test(lines[i]) || /^\s+\S/.test(lines[i])) &&
+                    !patterns.fence.test(lines[i])) {
+                    listLines.push(lines[i]);
+                    i++;
+                }
+                html.push(MarkdownRenderer._renderList(listLines, context));
+                continue;
+            }
+
+            paragraph.push(line);
+            i++;
+        }
+
+        flushParagraph();
+        return html.join('');
+    }
+
+    /**
+     * リストの行をHTMLに変換（インデントが深い項目は直前の項目の入れ子にする）
+     * @param {Array<string>} lines - リストの行（項目と、その続きのインデントされた行）
+     * @param {Object} context - 変換中の状態（interactive, taskIndex）
+     * @returns {string} - HTML文字列
+     * @private
+     * @static
+     */
+    static _renderList(lines, context) {
+        const patterns = MarkdownRenderer._getPatterns();
+
+        // 行を項目にまとめる（項目でない行は直前の項目の続き）
+        const items = [];
+        lines.forEach(line => {
+            const match = line.match(patterns.listItem);
+            if (match) {
+                items.push({ indent: match[1].replace(/\t/g, '    ').length, marker: match[2], lines: [match[3]], children: [] });
+            } else if (items.length > 0) {
+                items[items.length - 1].lines.push(line.trim());
+            }
+        });
+
+        // インデントで入れ子の構造を作る
+        const root = { indent: -1, children: [] };
+        const stack = [root];
+        items.forEach(item => {
+            while (stack.length > 1 && stack[stack.length - 1].indent >= item.indent) {
+                stack.pop();
+            }
+            stack[stack.length - 1].children.push(item);
+            stack.push(item);
+        });
+
+        return MarkdownRenderer._renderListItems(root.children, context);
+    }
+
+    /**
+     * 同じ階層のリスト項目をHTMLに変換
+     * 番号付きかどうかが変わる位置でリストを分ける
+     * @param {Array<Object>} items - リスト項目（marker, lines, children）
+     * @param {Object} context - 変換中の状態（interactive, taskIndex）
+     * @returns {string} - HTML文字列
+     * @private
+     * @static
+     */
+    static _renderListItems(items, context) {
+        const groups = [];
+        items.forEach(item => {
+            const ordered = /^\d/.test(item.marker);
+            const last = groups[groups.length - 1];
+            if (last && last.ordered === ordered) {
+                last.items.push(item);
+            } else {
+                groups.push({ ordered, items: [item] });
+            }
+        });
+
+        return groups.map(group => {
+            const content = group.items.map(item => MarkdownRenderer._renderListItem(item, context)).join('');
+
+            if (!group.ordered) {
+                return MarkdownRenderer._element('ul', {}, content);
+            }
+
+            const start = parseInt(group.items[0].marker, 10);
+            return MarkdownRenderer._element('ol', start !== 1 ? { start: String(start) } : {}, content);
+        }).join('');
+    }
+
+    /**
+     * リスト項目をHTMLに変換（チェックリストの項目はチェックボックス付き）
+     * @param {Object} item - リスト項目（lines, children）
+     * @param {Object} context - 変換中の状態（interactive, taskIndex）
+     * @returns {string} - HTML文字列
+     * @private
+     * @static
+     */
+    static _renderListItem(item, context) {
+        const taskMatch = item.lines[0].match(/^\[([ xX])\](?:\s+|$)(.*)$/);
+        const textLines = taskMatch ? [taskMatch[2], ...item.lines.slice(1)] : item.lines;
+        let content = textLines.map(line => MarkdownRenderer._renderInline(line)).join(MarkdownRenderer._element('br'));
+        let attributes = {};
+
+        if (taskMatch) {
+            const checkboxAttributes = { type: 'checkbox', 'aria-label': 'チェックリストの項目を完了としてマークする' };
+            if (taskMatch[1] !== ' ') {
+                checkboxAttributes.checked = '';
+            }
+            if (context.interactive) {
+                checkboxAttributes['data-task-index'] = String(context.taskIndex);
+            } else {
+                checkboxAttributes.disabled = '';
+            }
+            context.taskIndex++;
+
+            content = `${MarkdownRenderer._element('input', checkboxAttributes)} ${content}`;
+            attributes = { class: 'task-list-item' };
+        }
+
+        if (item.children.length > 0) {
+            content += MarkdownRenderer._renderListItems(item.children, context);
+        }
+
+        return MarkdownRenderer._element('li', attributes, content);
+    }
+
+    /**
+     * 行内の書式をHTMLに変換
+     * @param {string} text - 変換するテキスト
+     * @param {boolean} [allowLinks=true] - リンクを作成するか（リンクの中ではリンクを作らない）
+     * @returns {string} - HTML文字列
+     * @private
+     * @static
+     */
+    static _renderInline(text, allowLinks = true) {
+        const pattern = /`([^`]+)`|\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)(?:\s+"[^"]*")?\s*\)|<((?:https?:\/\/|mailto:)[^>\s]+)>|(https?:\/\/[^\s<]*[^\s<.,:;"')\]])|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:.*?[^*\s])?)\*|(?<![\w])_([^_\s](?:.*?[^_\s])?)_(?![\w])/g;
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            html += MarkdownRenderer._escape(text.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            const [whole, code, linkText, linkUrl, autoLink, bareUrl, strong, strongUnderscore, deleted, em, emUnderscore] = match;
+
+            if (code !== undefined) {
+                html += MarkdownRenderer._element('code', {}, MarkdownRenderer._escape(code));
+            } else if (linkText !== undefined) {
+                const label = MarkdownRenderer._renderInline(linkText, false);
+                html += allowLinks ? MarkdownRenderer._link(linkUrl, label) : label;
+            } else if (autoLink !== undefined || bareUrl !== undefined) {
+                const url = autoLink || bareUrl;
+                html += allowLinks ? MarkdownRenderer._link(url, MarkdownRenderer._escape(url)) : MarkdownRenderer._escape(whole);
+            } else if (strong !== undefined || strongUnderscore !== undefined) {
+                html += MarkdownRenderer._element('strong', {}, MarkdownRenderer._renderInline(strong || strongUnderscore, allowLinks));
+            } else if (deleted !== undefined) {
+                html += MarkdownRenderer._element('del', {}, MarkdownRenderer._renderInline(deleted, allowLinks));
+            } else {
+                html += MarkdownRenderer._element('em', {}, MarkdownRenderer._renderInline(em || emUnderscore, allowLinks));
+            }
+        }
+
+        return html + MarkdownRenderer._escape(text.slice(lastIndex));
+    }
+
+    /**
+     * リンクのHTMLを作成（許可しないスキームのURLは文字として表示）
+     * @param {string} url - URL
+     * @param {string} label - 表示内容（HTML）
+     * @returns {string} - HTML文字列
+     * @private
+     * @static
+     */
+    static _link(url, label) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            parsed = null;
+        }
+
+        if (!parsed || !['http:', 'https:', 'mailto:'].includes(parsed.protocol)) {
+            return label;
+        }
+
+        return MarkdownRenderer._element('a', {
+            href: parsed.href,
+            title: parsed.href,
+            target: '_blank',
+            rel: 'noopener noreferrer'
+        }, label);
+    }
+
+    /**
+     * 要素のHTMLを作成
+     * 許可していない要素・属性は作成しない（変換処理の誤りでも不正なHTMLを出力しないため）
+     * @param {string} tag - 要素名
+     * @param {Object<string, string>} [attributes={}] - 属性（値はエスケープする）
+     * @param {string} [content=''] - 内容（HTML）
+     * @returns {string} - HTML文字列
+     * @throws {Error} - 許可していない要素・属性の場合
+     * @private
+     * @static
+     */
+    static _element(tag, attributes = {}, content = '') {
+        const allowedAttributes = MarkdownRenderer.getAllowedElements()[tag];
+        if (!allowedAttributes) {
+            throw new Error(`Element not allowed: ${tag}`);
+        }
+
+        const attributeHtml = Object.entries(attributes).map(([name, value]) => {
+            if (!allowedAttributes.includes(name)) {
+                throw new Error(`Attribute not allowed: ${tag}[${name}]`);
+            }
+            return value === '' ? ` ${name}` : ` ${name}="${MarkdownRenderer._escape(value)}"`;
+        }).join('');
+
+        if (['br', 'hr', 'input'].includes(tag)) {
+            return `<${tag}${attributeHtml}>`;
+        }
+
+        return `<${tag}${attributeHtml}>${content}</${tag}>`;
+    }
+
+    /**
+     * HTMLの特殊文字をエスケープ
+     * @param {string} text - テキスト
+     * @returns {string} - エスケープされたテキスト
+     * @private
+     * @static
+     */
+    static _escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * Recurrence Class - 繰り返しルール
+ * TODOの繰り返し設定（毎日・毎週・毎月・完了後N日）の正規化と、次回の期限の計算を行う
+ *
+ * ルールの形式:
+ *   {
+ *     frequency: 'daily' | 'weekly' | 'monthly' | 'afterCompletion',
+ *     interval: 1,          // N日・N週・Nか月ごと（完了後はN日後）
+ *     weekdays: [1, 3],     // 毎週の曜日（0=日曜〜6=土曜）
+ *     dayOfMonth: 15,       // 毎月の日付（月末を超える場合は月末）
+ *     until: Date | null,   // 終了日（この日まで）
+ *     count: 10 | null,     // 繰り返しの総回数
+ *     occurrence: 1         // このTODOが何回目か
+ *   }
+ *
+ * iCalendarのRRULE（FREQ=DAILY/WEEKLY/MONTHLY）と相互に変換できる
+ */
+class Recurrence {
+    /**
+     * 繰り返しの種類と表示名を取得
+     * @returns {Object<string, string>} - 種類ID -> 表示名
+     * @static
+     */
+    static getFrequencies() {
+        return {
+            daily: '毎日',
+            weekly: '毎週',
+            monthly: '毎月',
+            afterCompletion: '完了後'
+        };
+    }
+
+    /**
+     * 繰り返しルールを正規化
+     * @param {Object|null} rule - 繰り返しルール
+     * @returns {Object|null} - 正規化されたルール、繰り返さない場合はnull
+     * @static
+     */
+    static normalize(rule) {
+        if (!rule || typeof rule !== 'object') {
+            return null;
+        }
+
+        if (!Object.keys(Recurrence.getFrequencies()).includes(rule.frequency)) {
+            console.warn(`Invalid recurrence frequency: ${rule.frequency}. Recurrence removed.`);
+            return null;
+        }
+
+        const weekdays = Array.isArray(rule.weekdays)
+            ? [...new Set(rule.weekdays.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+            : [];
+        const dayOfMonth = Number(rule.dayOfMonth);
+        const until = Recurrence._parseDate(rule.until);
+
+        return {
+            frequency: rule.frequency,
+            interval: Recurrence._toPositiveInteger(rule.interval) || 1,
+            weekdays: rule.frequency === 'weekly' ? weekdays : [],
+            dayOfMonth: rule.frequency === 'monthly' && Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31
+                ? dayOfMonth
+                : null,
+            until,
+            count: Recurrence._toPositiveInteger(rule.count),
+            occurrence: Recurrence._toPositiveInteger(rule.occurrence) || 1
+        };
+    }
+
+    /**
+     * 繰り返しルールをシリアライズ可能なオブジェクトに変換
+     * @param {Object|null} rule - 正規化されたルール
+     * @returns {Object|null} - シリアライズ可能なオブジェクト
+     * @static
+     */
+    static toJSON(rule) {
+        if (!rule) {
+            return null;
+        }
+
+        return {
+            ...rule,
+            weekdays: [...rule.weekdays],
+            until: rule.until ? rule.until.toISOString() : null
+        };
+    }
+
+    /**
+     * 次回の期限を計算
+     * 毎日・毎週・毎月は現在の期限（未設定の場合は完了日時）を起点に、
+     * 完了後N日は完了日を起点に計算する（時刻は現在の期限の時刻を引き継ぐ）
+     * @param {Object} rule - 正規化されたルール
+     * @param {Date|null} dueDate - 現在の期限
+     * @param {Date} [completedAt=new Date()] - 完了日時
+     * @returns {Date|null} - 次回の期限、繰り返しが終了している場合はnull
+     * @static
+     */
+    static getNextDueDate(rule, dueDate, completedAt = new Date()) {
+        if (rule.count !== null && rule.occurrence >= rule.count) {
+            return null;
+        }
+
+        const base = dueDate || completedAt;
+        let next;
+
+        switch (rule.frequency) {
+            case 'daily':
+                next = Recurrence._addDays(base, rule.interval);
+                break;
+            case 'weekly':
+                next = Recurrence._getNextWeekly(base, rule.interval, rule.weekdays);
+                break;
+            case 'monthly':
+                next = Recurrence._getNextMonthly(base, rule.interval, rule.dayOfMonth);
+                break;
+            case 'afterCompletion':
+            default: {
+                const time = dueDate || completedAt;
+                next = Recurrence._addDays(completedAt, rule.interval);
+                next.setHours(time.getHours(), time.getMinutes(), time.getSeconds(), 0);
+                break;
+            }
+        }
+
+        if (rule.until && next > Recurrence._endOfDay(rule.until)) {
+            return null;
+        }
+
+        return next;
+    }
+
+    /**
+     * 繰り返しルールの説明文を取得
+     * @param {Object} rule - 正規化されたルール
+     * @returns {string} - 説明文（例: 毎週 月・水（2026/3/31まで））
+     * @static
+     */
+    static describe(rule) {
+        const interval = rule.interval;
+        let text;
+
+        switch (rule.frequency) {
+            case 'daily':
+                text = interval === 1 ? '毎日' : `${interval}日ごと`;
+                break;
+            case 'weekly':
+                text = interval === 1 ? '毎週' : `${interval}週ごと`;
+                if (rule.weekdays.length > 0) {
+                    text += ` ${rule.weekdays.map(day => Recurrence.getWeekdayNames()[day]).join('・')}`;
+                }
+                break;
+            case 'monthly':
+                text = interval === 1 ? '毎月' : `${interval}か月ごと `;
+                if (rule.dayOfMonth) {
+                    text += `${rule.dayOfMonth}日`;
+                }
+                text = text.trim();
+                break;
+            case 'afterCompletion':
+            default:
+                text = `完了の${interval}日後`;
+                break;
+        }
+
+        const limits = [];
+        if (rule.until) {
+            limits.push(`${rule.until.toLocaleDateString('ja-JP')}まで`);
+        }
+        if (rule.count !== null) {
+            limits.push(`${rule.occurrence}/${rule.count}回目`);
+        }
+
+        return limits.length > 0 ? `${text}（${limits.join('、')}）` : text;
+    }
+
+    /**
+     * 曜日の表示名を取得
+     * @returns {Array<string>} - 日曜始まりの曜日名
+     * @static
+     */
+    static getWeekdayNames() {
+        return ['日', '月', '火', '水', '木', '金', '土'];
+    }
+
+    /**
+     * 繰り返しルールをiCalendarのRRULEの値に変換
+     * 完了後N日はRRULEで表現できないためnullを返す。
+     * COUNTはこのTODOを1回目とした残りの回数を出力する（UNTILとCOUNTは併用できないため、回数を優先する）
+     * @param {Object} rule - 正規化されたルール
+     * @returns {string|null} - RRULEの値（例: FREQ=WEEKLY;BYDAY=MO,WE）
+     * @static
+     */
+    static toRRule(rule) {
+        const frequencies = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+        if (!frequencies[rule.frequency]) {
+            return null;
+        }
+
+        const parts = [`FREQ=${frequencies[rule.frequency]}`];
+
+        if (rule.interval > 1) {
+            parts.push(`INTERVAL=${rule.interval}`);
+        }
+        if (rule.weekdays.length > 0) {
+            parts.push(`BYDAY=${rule.weekdays.map(day => Recurrence._getRRuleWeekdays()[day]).join(',')}`);
+        }
+        if (rule.dayOfMonth) {
+            parts.push(`BYMONTHDAY=${rule.dayOfMonth}`);
+        }
+        if (rule.until && rule.count === null) {
+            parts.push(`UNTIL=${Recurrence._endOfDay(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+        }
+        if (rule.count !== null) {
+            parts.push(`COUNT=${rule.count - rule.occurrence + 1}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * iCalendarのRRULEの値を繰り返しルールに変換
+     * @param {string} value - RRULEの値
+     * @returns {Object|null} - 正規化されたルール、対応していない場合はnull
+     * @static
+     */
+    static fromRRule(value) {
+        const params = {};
+        String(value).split(';').forEach(part => {
+            const [key, ...rest] = part.split('=');
+            if (key) {
+                params[key.trim().toUpperCase()] = rest.join('=').trim();
+            }
+        });
+
+        const frequencies = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+        const frequency = frequencies[(params.FREQ || '').toUpperCase()];
+        if (!frequency) {
+            return null;
+        }
+
+        const rule = {
+            frequency,
+            interval: params.INTERVAL,
+            count: params.COUNT
+        };
+
+        if (params.BYDAY) {
+            // "1MO" のような序数付きの指定は曜日のみを取り出す
+            rule.weekdays = params.BYDAY.split(',')
+                .map(day => Recurrence._getRRuleWeekdays().indexOf(day.trim().slice(-2).toUpperCase()))
+                .filter(day => day !== -1);
+        }
+        if (params.BYMONTHDAY) {
+            rule.dayOfMonth = parseInt(params.BYMONTHDAY.split(',')[0], 10);
+        }
+        if (params.UNTIL) {
+            const match = params.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+            if (match) {
+                const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+                const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+                rule.until = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+            }
+        }
+
+        return Recurrence.normalize(rule);
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * 毎週の次回日時を計算（週は月曜始まり）
+     * 同じ週に残りの指定曜日があればその日、なければN週後の最初の指定曜日
+     * @param {Date} base - 起点の日時
+     * @param {number} interval - 週の間隔
+     * @param {Array<number>} weekdays - 曜日（0=日曜）。空の場合は起点の曜日
+     * @returns {Date} - 次回の日時
+     * @private
+     * @static
+     */
+    static _getNextWeekly(base, interval, weekdays) {
+        const toMondayIndex = (day) => (day + 6) % 7;
+        const baseIndex = toMondayIndex(base.getDay());
+        const indexes = (weekdays.length > 0 ? weekdays : [base.getDay()])
+            .map(toMondayIndex)
+            .sort((a, b) => a - b);
+
+        const laterInWeek = indexes.find(index => index > baseIndex);
+        if (laterInWeek !== undefined) {
+            return Recurrence._addDays(base, laterInWeek - baseIndex);
+        }
+
+        return Recurrence._addDays(base, 7 * interval - baseIndex + indexes[0]);
+    }
+
+    /**
+     * 毎月の次回日時を計算
+     * 指定日が同じ月の起点より後ならその日、それ以外はNか月後の指定日（月末を超える場合は月末）
+     * @param {Date} base - 起点の日時
+     * @param {number} interval - 月の間隔
+     * @param {number|null} dayOfMonth - 日付。nullの場合は起点の日付
+     * @returns {Date} - 次回の日時
+     * @private
+     * @static
+     */
+    static _getNextMonthly(base, interval, dayOfMonth) {
+        const day = dayOfMonth || base.getDate();
+        const dateInMonth = (monthOffset) => {
+            const year = base.getFullYear();
+            const month = base.getMonth() + monthOffset;
+            const lastDay = new Date(year, month + 1, 0).getDate();
+            return new Date(year, month, Math.min(day, lastDay),
+                base.getHours(), base.getMinutes(), base.getSeconds());
+        };
+
+        const sameMonth = dateInMonth(0);
+        return sameMonth > base ? sameMonth : dateInMonth(interval);
+    }
+
+    /**
+     * 日数を加算（ローカル時刻を維持）
+     * @param {Date} date - 日時
+     * @param {number} days - 加算する日数
+     * @returns {Date} - 新しい日時
+     * @private
+     * @static
+     */
+    static _addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days,
+            date.getHours(), date.getMinutes(), date.getSeconds());
+    }
+
+    /**
+     * その日の終わり（23:59:59.999）を取得
+     * @param {Date} date - 日時
+     * @returns {Date} - その日の終わり
+     * @private
+     * @static
+     */
+    static _endOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    }
+
+    /**
+     * RRULEの曜日表記を取得
+     * @returns {Array<string>} - 日曜始まりの曜日表記
+     * @private
+     * @static
+     */
+    static _getRRuleWeekdays() {
+        return ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    }
+
+    /**
+     * 正の整数に変換
+     * @param {*} value - 値
+     * @returns {number|null} - 正の整数、変換できない場合はnull
+     * @private
+     * @static
+     */
+    static _toPositiveInteger(value) {
+        const number = Number(value);
+        return Number.isInteger(number) && number > 0 ? number : null;
+    }
+
+    /**
+     * 日時をパース
+     * @param {Date|string|null} value - 日時
+     * @returns {Date|null} - パースされた日時、無効な場合はnull
+     * @private
+     * @static
+     */
+    static _parseDate(value) {
+        if (!value) {
+            return null;
+        }
+
+        const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
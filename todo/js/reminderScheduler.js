@@ -0,0 +1,117 @@
+/**
+ * ReminderScheduler Class - リマインダーの通知タイミング管理
+ * 次のリマインダーの通知日時に合わせてタイマーを設定し、通知日時を過ぎたリマインダーを通知する。
+ * 開始時には、アプリを閉じている間に通知日時を過ぎたリマインダーもまとめて通知する
+ */
+class ReminderScheduler {
+    /**
+     * ReminderSchedulerインスタンスを作成
+     * @param {TodoManager} todoManager - TODOマネージャー
+     * @param {function(Array<Object>, Array<Object>): void} onChange - 通知中のリマインダーが変わったときの処理
+     *        （新しく通知するリマインダーと、通知中のすべてのリマインダー。いずれも {todo, reminder, time} の配列）
+     * @param {Object} [options={}] - オプション
+     * @param {number} [options.maxDelay=60000] - タイマーの最大の待ち時間（ミリ秒）
+     */
+    constructor(todoManager, onChange, { maxDelay = 60 * 1000 } = {}) {
+        this.todoManager = todoManager;
+        this.onChange = onChange;
+
+        // スリープやバックグラウンドのタブではタイマーが遅れるため、
+        // 次の通知日時が先でも最長maxDelayごとに確認し直す
+        this.maxDelay = maxDelay;
+
+        this.timer = null;
+        this.notifiedKeys = new Set();
+        this.started = false;
+
+        this.handleTodosChanged = () => this.check();
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') {
+                this.check();
+            }
+        };
+    }
+
+    /**
+     * 通知を開始（通知日時を過ぎたリマインダーをすぐに通知する）
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        this.started = true;
+        this.todoManager.addEventListener('todosChanged', this.handleTodosChanged);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.check();
+    }
+
+    /**
+     * 通知を停止
+     */
+    stop() {
+        if (!this.started) {
+            return;
+        }
+
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.todoManager.removeEventListener('todosChanged', this.handleTodosChanged);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * 通知日時を過ぎたリマインダーを確認し、通知中のものが変わった場合はonChangeを呼ぶ
+     * 同じリマインダーは閉じるかスヌーズするまで再び「新しい通知」にはならない
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Array<Object>} - 新しく通知したリマインダー
+     */
+    check(now = new Date()) {
+        const due = this.todoManager.getDueReminders(now);
+        const dueKeys = new Set(due.map(entry => this._getKey(entry)));
+        const added = due.filter(entry => !this.notifiedKeys.has(this._getKey(entry)));
+        const removed = [...this.notifiedKeys].some(key => !dueKeys.has(key));
+
+        this.notifiedKeys = dueKeys;
+
+        if (added.length > 0 || removed) {
+            this.onChange(added, due);
+        }
+
+        this._schedule(now);
+        return added;
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * 次の通知日時（または最大の待ち時間）にタイマーを設定
+     * @param {Date} now - 現在日時
+     * @private
+     */
+    _schedule(now) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.started) {
+            return;
+        }
+
+        const next = this.todoManager.getNextReminderTime(now);
+        const delay = next ? Math.min(next.getTime() - now.getTime(), this.maxDelay) : this.maxDelay;
+
+        this.timer = setTimeout(() => this.check(), Math.max(delay, 0));
+    }
+
+    /**
+     * 通知済みかを判定するキーを取得
+     * 通知日時を含めるため、スヌーズ後や期限の変更後は別の通知として扱う
+     * @param {{todo: Todo, reminder: Object, time: Date}} entry - 通知日時を過ぎたリマインダー
+     * @returns {string} - キー
+     * @private
+     */
+    _getKey(entry) {
+        return `${entry.todo.id}:${entry.reminder.id}:${entry.time.getTime()}`;
+    }
+}
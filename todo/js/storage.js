@@ -1,34 +1,85 @@
 /**
- * StorageManager Class - ローカルストレージ管理
+ * StorageManager Class - ストレージ管理
  * データの永続化、バックアップ、復元機能を提供
+ * 実際の読み書きは差し替え可能なバックエンド（LocalStorageBackend / IndexedDBBackend）に委譲する
  */
 class StorageManager {
     /**
      * StorageManagerインスタンスを作成
      * @param {string} [storageKey='todos'] - ローカルストレージのキー名
-     * @param {string} [backupKey='todos_backup'] - バックアップキー名
+     * @param {string} [backupKey='todos_backup'] - バックアップキー名（スナップショットのキー接頭辞）
+     * @param {Object} [backend] - ストレージバックエンド（省略時はLocalStorageBackend）
      */
-    constructor(storageKey = 'todos', backupKey = 'todos_backup') {
+    constructor(storageKey = 'todos', backupKey = 'todos_backup', backend = null) {
         this.storageKey = storageKey;
         this.backupKey = backupKey;
-        this.version = '1.0.0';
+        this.version = StorageManager.getMigrations().slice(-1)[0].version;
+        this.backend = backend || new LocalStorageBackend(storageKey);
+
+        // 新しいバージョンのアプリで保存されたデータを検出した場合、そのバージョン
+        // （データ保護のため保存を停止する）
+        this.newerDataVersion = null;
+
+        // バックアップ（スナップショット）の保持ポリシー
+        // 直近keepLast件に加え、過去keepDaily日間は1日1件（その日の最新）を保持する
+        // 通常の保存によるスナップショットはsaveInterval（ミリ秒）に1回まで作成する
+        // スナップショットの合計サイズは容量の概算上限のmaxSizeRatioまでとし、超える分は古いものから削除する
+        this.backupPolicy = {
+            keepLast: 10,
+            keepDaily: 7,
+            saveInterval: 60 * 1000,
+            maxSizeRatio: 0.3
+        };
+
+        // スナップショットを保存できなかった場合に呼び出す関数（setBackupFailureHandlerで設定）
+        this.backupFailureHandler = null;
+
+        // 最後にストレージ使用量を確認した時刻（保存のたびに確認しないため）
+        this.lastUsageCheck = 0;
+
+        // タブ間同期（startSyncで開始）
+        this.syncChannel = null;
+        this.syncStorageListener = null;
+
+        // ストレージの使用可能性をチェック
+        this.isStorageAvailable = this._checkStorageAvailability();
+
+        if (!this.isStorageAvailable && this.backend.name === 'localStorage') {
+            console.warn('LocalStorage is not available. Data will not be persisted.');
+        }
+    }
+
+    /**
+     * バックエンドを初期化
+     * 非同期バックエンド（IndexedDB）はここで全データを読み込むため、
+     * TodoManagerを作成する前に完了を待つ必要がある。
+     * 初期化に失敗した場合はlocalStorageにフォールバックする。
+     * @returns {Promise<boolean>} - ストレージが使用可能な場合true
+     */
+    async initialize() {
+        try {
+            await this.backend.open();
+        } catch (error) {
+            console.warn(`Failed to open ${this.backend.name} backend. Falling back to localStorage.`, error);
+            this.backend = new LocalStorageBackend(this.storageKey);
+        }
 
-        // ローカルストレージの使用可能性をチェック
         this.isStorageAvailable = this._checkStorageAvailability();
 
         if (!this.isStorageAvailable) {
-            console.warn('LocalStorage is not available. Data will not be persisted.');
+            console.warn('Storage is not available. Data will not be persisted.');
         }
+
+        return this.isStorageAvailable;
     }
 
     /**
      * すべてのTODOデータを保存
      * @param {Array<Todo>} todos - Todo配列
-     * @returns {boolean} - 保存成功の可否
+     * @returns {Promise<void>|false} - 書き込みの完了を待つPromise（非同期バックエンドで書き込みに失敗した場合はreject）、保存に失敗した場合はfalse
      */
     saveTodos(todos) {
-        if (!this.isStorageAvailable) {
-            console.error('LocalStorage is not available');
+        if (!this._canWrite()) {
             return false;
         }
 
@@ -39,7 +90,8 @@ class StorageManager {
             }
 
             // 保存前にバックアップを作成
-            this._createBackup();
+            const previousData = this.backend.readData();
+            this._createBackup('save', previousData);
 
             // データの準備
             const data = {
@@ -57,13 +109,15 @@ class StorageManager {
             };
 
             // 保存実行
-            const jsonString = JSON.stringify(data);
-            localStorage.setItem(this.storageKey, jsonString);
+            const write = Promise.resolve(this.backend.writeData(data));
+
+            // 他のタブに変更を通知
+            this._broadcastChanges(previousData, data.todos);
 
             // ストレージサイズの確認
             this._checkStorageUsage();
 
-            return true;
+            return write;
 
         } catch (error) {
             console.error('Error saving todos:', error);
@@ -85,33 +139,43 @@ class StorageManager {
         }
 
         try {
-            const jsonString = localStorage.getItem(this.storageKey);
+            let data = this.backend.readData();
 
-            if (!jsonString) {
+            if (!data) {
                 return [];
             }
 
-            const data = JSON.parse(jsonString);
-
             // データ形式のバリデーション
             if (!this._validateDataStructure(data)) {
                 throw new Error('Invalid data structure');
             }
 
-            // バージョン互換性チェック
-            if (data.version && data.version !== this.version) {
-                console.info(`Data version mismatch. Expected: ${this.version}, Found: ${data.version}`);
-                // 必要に応じてデータ移行処理を実装
+            const dataVersion = this._getDataVersion(data);
+            const comparison = this._compareVersions(dataVersion, this.version);
+
+            if (comparison > 0) {
+                // 新しいバージョンのデータは移行できないため、読み込みのみ行い保存を停止する
+                console.warn(`Data was written by a newer app version. Expected: ${this.version}, Found: ${dataVersion}`);
+                this.newerDataVersion = dataVersion;
+                return Todo.fromJSONArray(data.todos);
+            }
+
+            this.newerDataVersion = null;
+
+            if (comparison < 0) {
+                console.info(`Migrating data from version ${dataVersion} to ${this.version}`);
+
+                // 移行前の状態をスナップショットとして保存
+                this._createBackup('migration', data);
+
                 data = this._migrateData(data);
+
+                // 移行結果を書き戻し、次回以降の移行を不要にする
+                this.backend.writeData(data);
             }
 
             // Todo配列の復元
-            if (Array.isArray(data.todos)) {
-                return Todo.fromJSONArray(data.todos);
-            } else {
-                // 古い形式との互換性
-                return Array.isArray(data) ? Todo.fromJSONArray(data) : [];
-            }
+            return Todo.fromJSONArray(data.todos);
 
         } catch (error) {
             console.error('Error loading todos:', error);
@@ -122,37 +186,98 @@ class StorageManager {
     }
 
     /**
-     * 特定のTODOを保存（部分保存）
-     * @param {Todo} todo - 保存するTodo
-     * @returns {boolean} - 保存成功の可否
+     * 変更のあったTODOのみを保存（差分保存）
+     * レコード単位の書き込みに対応するバックエンド（IndexedDB）は変更分のみを書き込み、
+     * それ以外は保存済みデータに変更を適用して全体を書き込む
+     * @param {Array<Todo>} upserts - 追加・更新されたTodo
+     * @param {Array<string>} [deletes=[]] - 削除されたTodoのID
+     * @returns {Promise<void>|false} - 書き込みの完了を待つPromise（非同期バックエンドで書き込みに失敗した場合はreject）、保存に失敗した場合はfalse
      */
-    saveTodo(todo) {
-        const todos = this.loadTodos();
-        const existingIndex = todos.findIndex(t => t.id === todo.id);
+    saveChanges(upserts, deletes = []) {
+        if (!this._canWrite()) {
+            return false;
+        }
 
-        if (existingIndex >= 0) {
-            todos[existingIndex] = todo;
-        } else {
-            todos.push(todo);
+        if (upserts.length === 0 && deletes.length === 0) {
+            return Promise.resolve();
         }
 
-        return this.saveTodos(todos);
+        try {
+            // 保存前にバックアップを作成
+            // レコード単位で書き込む場合は、スナップショットを作成するときだけ保存済みデータを読み込む
+            const writesRecords = typeof this.backend.writeRecords === 'function';
+            const previousData = writesRecords ? null : this.backend.readData();
+            this._createBackup('save', previousData);
+
+            const records = upserts.map(todo => (typeof todo.toJSON === 'function' ? todo.toJSON() : todo));
+            const meta = {
+                version: this.version,
+                timestamp: new Date().toISOString()
+            };
+
+            let write;
+            if (writesRecords) {
+                write = this.backend.writeRecords(records, deletes, meta);
+            } else {
+                const previousTodos = previousData ? (Array.isArray(previousData) ? previousData : previousData.todos) : [];
+                const deletedIds = new Set(deletes);
+                const todos = previousTodos.filter(todo => !deletedIds.has(todo.id));
+
+                records.forEach(record => {
+                    const index = todos.findIndex(todo => todo.id === record.id);
+                    if (index >= 0) {
+                        todos[index] = record;
+                    } else {
+                        todos.push(record);
+                    }
+                });
+
+                write = this.backend.writeData({ ...meta, todos });
+            }
+
+            // 他のタブに変更を通知
+            this._postSyncMessage(records, deletes);
+
+            // ストレージサイズの確認
+            this._checkStorageUsage();
+
+            return Promise.resolve(write);
+
+        } catch (error) {
+            console.error('Error saving changes:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保留中の書き込みがすべて完了するまで待機
+     * 非同期バックエンド（IndexedDB・暗号化）は書き込みをメモリに反映した時点で保存メソッドが成功を返すため、
+     * 実際に書き込めたかはこのPromiseで確認する
+     * @returns {Promise<void>}
+     * @throws {Error} - 保留中の書き込みのいずれかが失敗した場合
+     */
+    async flush() {
+        if (this.backend.flush) {
+            await this.backend.flush();
+        }
+    }
+
+    /**
+     * 特定のTODOを保存（部分保存）
+     * @param {Todo} todo - 保存するTodo
+     * @returns {Promise<void>|false} - saveChangesと同じ
+     */
+    saveTodo(todo) {
+        return this.saveChanges([todo]);
     }
 
     /**
      * 特定のTODOを削除
      * @param {string} todoId - 削除するTodoのID
-     * @returns {boolean} - 削除成功の可否
+     * @returns {Promise<void>|false} - saveChangesと同じ（削除対象が存在しない場合も成功とする）
      */
     deleteTodo(todoId) {
-        const todos = this.loadTodos();
-        const filteredTodos = todos.filter(todo => todo.id !== todoId);
-
-        if (filteredTodos.length !== todos.length) {
-            return this.saveTodos(filteredTodos);
-        }
-
-        return true; // 削除対象が存在しない場合も成功とする
+        return this.saveChanges([], [todoId]);
     }
 
     /**
@@ -160,14 +285,17 @@ class StorageManager {
      * @returns {boolean} - クリア成功の可否
      */
     clearAll() {
-        if (!this.isStorageAvailable) {
+        if (!this._canWrite()) {
             return false;
         }
 
         try {
             // バックアップを作成してからクリア
-            this._createBackup();
-            localStorage.removeItem(this.storageKey);
+            const previousData = this.backend.readData();
+            this._createBackup('clear', previousData);
+            this.backend.clearData();
+
+            this._broadcastChanges(previousData, []);
             return true;
         } catch (error) {
             console.error('Error clearing todos:', error);
@@ -177,16 +305,22 @@ class StorageManager {
 
     /**
      * データをエクスポート（JSON形式）
+     * @param {Array<Todo>} [todos] - エクスポートするTodo配列（省略時は保存済みのすべてのTODO）
+     * @param {Array<Object>} [categories] - エクスポートするカテゴリ（省略時は保存済みのカテゴリ）
+     * @param {boolean} [embedAttachments=true] - 添付ファイルの内容をBase64形式（data）で埋め込むか
+     * @param {Array<Object>} [lists] - エクスポートするリスト（省略時は保存済みのリスト）
      * @returns {string|null} - JSON文字列、またはエラー時はnull
      */
-    exportData() {
+    exportData(todos = null, categories = null, embedAttachments = true, lists = null) {
         try {
-            const todos = this.loadTodos();
+            todos = todos || this.loadTodos();
             const exportData = {
                 version: this.version,
                 exportDate: new Date().toISOString(),
                 appName: 'TODOアプリ',
-                todos: todos.map(todo => todo.toJSON())
+                categories: categories || this.loadCategories() || CategoryRegistry.getDefaults(),
+                lists: lists || new ListRegistry(this.loadLists()).toJSON(),
+                todos: todos.map(todo => embedAttachments ? this._embedAttachmentData(todo.toJSON()) : todo.toJSON())
             };
 
             return JSON.stringify(exportData, null, 2);
@@ -200,31 +334,220 @@ class StorageManager {
      * データをインポート（JSON形式）
      * @param {string} jsonString - インポートするJSON文字列
      * @param {boolean} [merge=false] - 既存データと結合するか
-     * @returns {boolean} - インポート成功の可否
+     * @param {string} [strategy='newest'] - ID重複時の結合方法（newest/local/imported/field）
+     * @param {string|null} [listId=null] - 取り込み先のリストID（importTodos参照。省略時はファイルのリストのまま）
+     * @returns {Object|null} - インポート結果レポート（importTodosと同じ。ファイルにカテゴリ・リストが含まれる場合はcategories・listsも）、失敗時はnull
      */
-    importData(jsonString, merge = false) {
+    importData(jsonString, merge = false, strategy = 'newest', listId = null) {
         try {
-            const importData = JSON.parse(jsonString);
+            let importData = JSON.parse(jsonString);
 
             // インポートデータのバリデーション
-            if (!importData.todos || !Array.isArray(importData.todos)) {
+            if (!this._validateDataStructure(importData)) {
                 throw new Error('Invalid import data format');
             }
 
-            // 現在のデータを取得
-            const currentTodos = merge ? this.loadTodos() : [];
-            const importedTodos = Todo.fromJSONArray(importData.todos);
+            // 古いバージョンのファイルは移行してから取り込む（新しいバージョンの場合はエラー）
+            // 取り込む前の保存データのスナップショットはimportTodosで作成する
+            importData = this._migrateData(importData);
 
-            // IDの重複チェックと処理
-            const finalTodos = this._mergeWithConflictResolution(currentTodos, importedTodos);
+            const report = this.importTodos(Todo.fromJSONArray(importData.todos), merge, strategy, listId);
+            if (report && Array.isArray(importData.categories)) {
+                report.categories = importData.categories;
+            }
+            if (report && Array.isArray(importData.lists)) {
+                report.lists = importData.lists;
+            }
+            if (report) {
+                report.attachmentErrors = this._saveEmbeddedAttachments(importData.todos);
+            }
 
-            // 保存実行
-            return this.saveTodos(finalTodos);
+            return report;
 
         } catch (error) {
             console.error('Error importing data:', error);
+
+            // バージョン不一致はユーザーに理由を伝えるため呼び出し元へ伝播させる
+            if (error.code === 'SCHEMA_TOO_NEW') {
+                throw error;
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Todo配列をインポート（CSVなど他の形式から変換済みのデータ用）
+     * @param {Array<Todo>} importedTodos - インポートするTodo配列
+     * @param {boolean} [merge=false] - 既存データと結合するか
+     * @param {string} [strategy='newest'] - ID重複時の結合方法（newest/local/imported/field）
+     * @param {string|null} [listId=null] - 取り込み先のリストID。指定した場合はすべてのTODOをこのリストに入れ、
+     *        結合しない場合もこのリストのTODOだけを置き換える（省略時は各TODOのリストのまま）
+     * @returns {Object|null} - インポート結果レポート（書き込みの完了を待つPromiseをwriteに含む）、失敗時はnull
+     */
+    importTodos(importedTodos, merge = false, strategy = 'newest', listId = null) {
+        try {
+            // 現在のデータを取得（リストを指定した置き換えでは、他のリストのTODOを残す）
+            let currentTodos = [];
+            if (merge) {
+                currentTodos = this.loadTodos();
+            } else if (listId) {
+                currentTodos = this.loadTodos().filter(todo => todo.listId !== listId);
+            }
+
+            if (listId) {
+                importedTodos.forEach(todo => {
+                    todo.listId = listId;
+                });
+            }
+
+            // IDの重複チェックと処理
+            const { todos: finalTodos, items } = this._mergeWithConflictResolution(currentTodos, importedTodos, strategy);
+
+            // インポート前の状態を保存してから保存実行
+            this._createBackup('import');
+            const write = this.saveTodos(finalTodos);
+            if (!write) {
+                return null;
+            }
+
+            const report = this._createImportReport(items, merge, strategy);
+            report.write = write;
+            return report;
+
+        } catch (error) {
+            console.error('Error importing todos:', error);
+            return null;
+        }
+    }
+
+    /**
+     * バックアップ（スナップショット）の一覧を取得
+     * @returns {Array<Object>} - 新しい順のスナップショット情報（id, timestamp, reason, todoCount）
+     */
+    listBackups() {
+        return this._readBackupIndex().map(({ id, timestamp, reason, todoCount }) => ({
+            id,
+            timestamp,
+            reason,
+            todoCount
+        }));
+    }
+
+    /**
+     * スナップショットのTODOを取得
+     * @param {string} backupId - スナップショットID
+     * @returns {Array<Todo>|null} - Todo配列、読み込めない場合はnull
+     */
+    getBackup(backupId) {
+        try {
+            const backupData = this.backend.getItem(this._getBackupItemKey(backupId));
+            if (!backupData) {
+                return null;
+            }
+
+            const data = JSON.parse(backupData);
+            if (!this._validateDataStructure(data)) {
+                throw new Error('Invalid backup data structure');
+            }
+
+            return Todo.fromJSONArray(this._migrateData(data).todos);
+
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * スナップショットと現在のデータの差分を取得
+     * 差分は「このスナップショットを復元した場合に何が起こるか」の観点で表す
+     * @param {string} backupId - スナップショットID
+     * @param {Array<Todo>} [currentTodos] - 比較対象の現在のTodo配列（省略時はストレージから読み込み）
+     * @returns {Object|null} - {added, removed, changed, unchangedCount}、読み込めない場合はnull
+     */
+    diffBackup(backupId, currentTodos = null) {
+        const backupTodos = this.getBackup(backupId);
+        if (!backupTodos) {
+            return null;
+        }
+
+        const current = currentTodos || this.loadTodos();
+        const currentById = new Map(current.map(todo => [todo.id, todo]));
+        const backupIds = new Set(backupTodos.map(todo => todo.id));
+
+        const diff = {
+            added: [],      // 復元すると戻ってくるTODO
+            removed: current.filter(todo => !backupIds.has(todo.id)), // 復元すると消えるTODO
+            changed: [],    // 内容が異なるTODO（before: 現在, after: スナップショット）
+            unchangedCount: 0
+        };
+
+        backupTodos.forEach(backupTodo => {
+            const currentTodo = currentById.get(backupTodo.id);
+
+            if (!currentTodo) {
+                diff.added.push(backupTodo);
+                return;
+            }
+
+            const before = currentTodo.toJSON();
+            const after = backupTodo.toJSON();
+            const fields = Object.keys(after).filter(field =>
+                field !== 'updatedAt' && field !== 'activity' &&
+                JSON.stringify(before[field]) !== JSON.stringify(after[field])
+            );
+
+            if (fields.length > 0) {
+                diff.changed.push({ before: currentTodo, after: backupTodo, fields });
+            } else {
+                diff.unchangedCount++;
+            }
+        });
+
+        return diff;
+    }
+
+    /**
+     * スナップショットから復元
+     * 復元前の状態も新しいスナップショットとして保存するため、復元は取り消し可能
+     * @param {string} backupId - スナップショットID
+     * @returns {Promise<void>|false} - 書き込みの完了を待つPromise（saveTodosと同じ）、復元に失敗した場合はfalse
+     */
+    restoreBackup(backupId) {
+        const todos = this.getBackup(backupId);
+        if (!todos) {
             return false;
         }
+
+        this._createBackup('restore');
+        return this.saveTodos(todos);
+    }
+
+    /**
+     * バックアップの保持ポリシーを設定
+     * @param {Object} policy - 保持ポリシー
+     * @param {number} [policy.keepLast] - 直近何件を保持するか
+     * @param {number} [policy.keepDaily] - 過去何日間、1日1件を保持するか
+     * @param {number} [policy.saveInterval] - 通常の保存によるスナップショットの最小間隔（ミリ秒）
+     * @param {number} [policy.maxSizeRatio] - スナップショットの合計サイズの上限（容量の概算上限に対する割合）
+     */
+    setBackupPolicy(policy) {
+        this.backupPolicy = {
+            ...this.backupPolicy,
+            ...policy
+        };
+
+        const index = this._readBackupIndex();
+        this._writeBackupIndex(this._pruneBackups(index));
+    }
+
+    /**
+     * スナップショットを保存できなかった場合に呼び出す関数を設定
+     * @param {Function|null} handler - 作成理由（reason）とエラー（error）を受け取る関数
+     */
+    setBackupFailureHandler(handler) {
+        this.backupFailureHandler = handler;
     }
 
     /**
@@ -237,26 +560,26 @@ class StorageManager {
         }
 
         try {
-            const data = localStorage.getItem(this.storageKey);
-            const backup = localStorage.getItem(this.backupKey);
+            const { dataSize, estimatedLimit } = this.backend.getUsage();
 
             // サイズ計算（概算）
-            const dataSize = data ? new Blob([data]).size : 0;
-            const backupSize = backup ? new Blob([backup]).size : 0;
+            const backupSize = this._readBackupIndex().reduce((size, entry) => {
+                const backup = this.backend.getItem(this._getBackupItemKey(entry.id));
+                return size + (backup ? new Blob([backup]).size : 0);
+            }, 0);
             const totalSize = dataSize + backupSize;
-
-            // LocalStorageの制限（概算5MB）
-            const estimatedLimit = 5 * 1024 * 1024;
             const usagePercentage = (totalSize / estimatedLimit) * 100;
 
             return {
                 available: true,
+                backend: this.backend.name,
                 dataSize,
                 backupSize,
                 totalSize,
                 estimatedLimit,
                 usagePercentage: Math.round(usagePercentage * 100) / 100,
-                todoCount: this.loadTodos().length
+                backupCount: this._readBackupIndex().length,
+                todoCount: this._countStoredTodos()
             };
 
         } catch (error) {
@@ -265,156 +588,1604 @@ class StorageManager {
         }
     }
 
-    // ===== プライベートメソッド =====
+    // ===== カテゴリ =====
 
     /**
-     * ローカルストレージの使用可能性をチェック
-     * @returns {boolean} - 使用可能な場合true
-     * @private
+     * 保存済みのカテゴリを読み込み
+     * @returns {Array<Object>|null} - カテゴリ（id, name, color）の配列、未保存の場合はnull
      */
-    _checkStorageAvailability() {
+    loadCategories() {
         try {
-            const testKey = 'storage_test';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
+            const categoriesData = this.backend.getItem(this._getCategoriesKey());
+            if (!categoriesData) {
+                return null;
+            }
+
+            const categories = JSON.parse(categoriesData);
+            return Array.isArray(categories) ? categories : null;
         } catch (error) {
-            return false;
+            console.error('Error loading categories:', error);
+            return null;
         }
     }
 
     /**
-     * データ構造をバリデーション
-     * @param {*} data - チェック対象のデータ
-     * @returns {boolean} - 有効な場合true
-     * @private
+     * カテゴリを保存し、他のタブに通知
+     * @param {Array<Object>} categories - カテゴリ（id, name, color）の配列
+     * @returns {Promise<void>|false} - 書き込みの完了を待つPromise（非同期バックエンドで書き込みに失敗した場合はreject）、保存に失敗した場合はfalse
      */
-    _validateDataStructure(data) {
-        if (!data) return false;
-
-        // 新しい形式
-        if (data.version && Array.isArray(data.todos)) {
-            return true;
+    saveCategories(categories) {
+        if (!this._canWrite()) {
+            return false;
         }
 
-        // 旧い形式（配列のみ）との互換性
-        if (Array.isArray(data)) {
-            return true;
+        try {
+            const write = Promise.resolve(this.backend.setItem(this._getCategoriesKey(), JSON.stringify(categories)));
+            this._postMetadataChanged('categoriesChanged');
+            return write;
+        } catch (error) {
+            console.error('Error saving categories:', error);
+            return false;
         }
-
-        return false;
     }
 
-    /**
-     * データのバージョン移行
-     * @param {Object} data - 移行対象のデータ
-     * @returns {Object} - 移行後のデータ
-     * @private
-     */
-    _migrateData(data) {
-        // 現在のバージョンでは移行処理は不要
-        // 将来的なバージョンアップ時に実装
-        return data;
-    }
+    // ===== リスト =====
 
     /**
-     * バックアップを作成
-     * @private
+     * 保存済みのリストを読み込み
+     * @returns {Array<Object>|null} - リスト（id, name, color, defaultCategory）の配列、未保存の場合はnull
      */
-    _createBackup() {
+    loadLists() {
         try {
-            const currentData = localStorage.getItem(this.storageKey);
-            if (currentData) {
-                localStorage.setItem(this.backupKey, currentData);
+            const listsData = this.backend.getItem(this._getListsKey());
+            if (!listsData) {
+                return null;
             }
+
+            const lists = JSON.parse(listsData);
+            return Array.isArray(lists) ? lists : null;
         } catch (error) {
-            console.warn('Failed to create backup:', error);
+            console.error('Error loading lists:', error);
+            return null;
         }
     }
 
     /**
-     * バックアップから復元
-     * @returns {Array<Todo>} - 復元されたTodo配列
-     * @private
+     * リストを保存し、他のタブに通知
+     * @param {Array<Object>} lists - リスト（id, name, color, defaultCategory）の配列
+     * @returns {Promise<void>|false} - 書き込みの完了を待つPromise（非同期バックエンドで書き込みに失敗した場合はreject）、保存に失敗した場合はfalse
      */
-    _restoreFromBackup() {
-        try {
-            console.info('Attempting to restore from backup...');
-            const backupData = localStorage.getItem(this.backupKey);
-
-            if (backupData) {
-                const data = JSON.parse(backupData);
+    saveLists(lists) {
+        if (!this._canWrite()) {
+            return false;
+        }
 
-                if (this._validateDataStructure(data)) {
-                    const todos = Array.isArray(data.todos) ? data.todos : data;
-                    return Todo.fromJSONArray(todos);
-                }
-            }
+        try {
+            const write = Promise.resolve(this.backend.setItem(this._getListsKey(), JSON.stringify(lists)));
+            this._postMetadataChanged('listsChanged');
+            return write;
         } catch (error) {
-            console.error('Failed to restore from backup:', error);
+            console.error('Error saving lists:', error);
+            return false;
         }
-
-        return [];
     }
 
+    // ===== 設定 =====
+
     /**
-     * バックアップから復元（保存時エラー用）
-     * @private
+     * 保存済みの設定を読み込み
+     * @returns {Object} - 設定（未保存または読み込めない場合は空のオブジェクト）
      */
-    _restoreFromBackup() {
+    loadSettings() {
         try {
-            console.info('Restoring data from backup due to save error...');
-            const backupData = localStorage.getItem(this.backupKey);
-
-            if (backupData) {
-                localStorage.setItem(this.storageKey, backupData);
+            const settingsData = this.backend.getItem(this._getSettingsKey());
+            if (!settingsData) {
+                return {};
             }
+
+            const settings = JSON.parse(settingsData);
+            return settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {};
         } catch (error) {
-            console.error('Failed to restore from backup:', error);
+            console.error('Error loading settings:', error);
+            return {};
         }
     }
 
     /**
-     * ストレージ使用量をチェック
-     * @private
+     * 設定を保存（保存済みの設定に結合する）
+     * @param {Object} settings - 変更する設定
+     * @returns {boolean} - 保存成功の可否
      */
-    _checkStorageUsage() {
-        const info = this.getStorageInfo();
+    saveSettings(settings) {
+        if (!this._canWrite()) {
+            return false;
+        }
 
-        if (info.usagePercentage > 80) {
-            console.warn(`Storage usage is high: ${info.usagePercentage}%`);
+        try {
+            this.backend.setItem(this._getSettingsKey(), JSON.stringify({ ...this.loadSettings(), ...settings }));
+            return true;
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            return false;
         }
+    }
 
-        if (info.usagePercentage > 95) {
-            console.error('Storage is nearly full. Consider cleaning up old data.');
+    // ===== 添付ファイル =====
+
+    /**
+     * 添付ファイル1件あたりのサイズ上限を取得
+     * 容量の小さいlocalStorageでは上限を低くする
+     * @returns {number} - バイト数
+     */
+    getAttachmentSizeLimit() {
+        const backendName = this.backend.inner ? this.backend.inner.name : this.backend.name;
+        return (backendName === 'indexedDB' ? 5 : 1) * 1024 * 1024;
+    }
+
+    /**
+     * 添付ファイルのサイズをチェック
+     * @param {number} size - バイト数
+     * @throws {Error} - サイズ上限を超えている場合
+     */
+    validateAttachmentSize(size) {
+        const limit = this.getAttachmentSizeLimit();
+        if (size > limit) {
+            throw new Error(`添付ファイルは${limit / (1024 * 1024)}MBまでです`);
         }
     }
 
     /**
-     * データの結合（重複処理付き）
-     * @param {Array<Todo>} currentTodos - 現在のTodo配列
-     * @param {Array<Todo>} importedTodos - インポートされたTodo配列
-     * @returns {Array<Todo>} - 結合されたTodo配列
-     * @private
+     * 添付ファイルの内容を保存
+     * @param {string} attachmentId - 添付ID
+     * @param {string} dataUrl - 内容（Base64形式のData URL）
+     * @returns {number} - 保存した内容のバイト数
+     * @throws {Error} - 内容が不正、サイズ上限を超えている、または保存できない場合
      */
-    _mergeWithConflictResolution(currentTodos, importedTodos) {
-        const result = [...currentTodos];
-        const existingIds = new Set(currentTodos.map(todo => todo.id));
+    saveAttachmentData(attachmentId, dataUrl) {
+        const file = ZipArchive.fromDataUrl(dataUrl);
+        if (!file) {
+            throw new Error('添付ファイルの内容を読み込めません');
+        }
+        this.validateAttachmentSize(file.bytes.length);
 
-        for (const importedTodo of importedTodos) {
-            if (existingIds.has(importedTodo.id)) {
-                // ID重複の場合：新しいIDを生成
-                const newTodo = importedTodo.clone();
-                result.push(newTodo);
-            } else {
-                result.push(importedTodo);
+        if (!this._canWrite()) {
+            throw new Error('データの保存に失敗しました');
+        }
+
+        try {
+            this.backend.setItem(this._getAttachmentItemKey(attachmentId), dataUrl);
+
+            const index = this._readAttachmentIndex();
+            if (!index.includes(attachmentId)) {
+                this._writeAttachmentIndex([...index, attachmentId]);
             }
+        } catch (error) {
+            console.error('Error saving attachment:', error);
+            this.backend.removeItem(this._getAttachmentItemKey(attachmentId));
+            throw new Error('添付ファイルを保存できませんでした（ストレージの空き容量が不足している可能性があります）');
         }
 
-        return result;
+        return file.bytes.length;
     }
 
-    // ===== 静的メソッド =====
+    /**
+     * 添付ファイルの内容を読み込み
+     * @param {string} attachmentId - 添付ID
+     * @returns {string|null} - 内容（Base64形式のData URL）、保存されていない場合はnull
+     */
+    loadAttachmentData(attachmentId) {
+        try {
+            return this.backend.getItem(this._getAttachmentItemKey(attachmentId));
+        } catch (error) {
+            console.error('Error loading attachment:', error);
+            return null;
+        }
+    }
+
+    /**
+     * どのTODOからも参照されていない添付ファイルの内容を削除
+     * バックアップ（スナップショット）から参照されている内容は、復元できるよう残す
+     * @param {Array<Todo>} todos - 現在のTodo配列
+     * @returns {number} - 削除した件数
+     */
+    pruneAttachmentData(todos) {
+        if (!this._canWrite()) {
+            return 0;
+        }
+
+        try {
+            const index = this._readAttachmentIndex();
+            if (index.length === 0) {
+                return 0;
+            }
+
+            const referencedIds = new Set();
+            const collect = todo => todo.attachments.forEach(attachment => referencedIds.add(attachment.id));
+
+            todos.forEach(collect);
+            this._readBackupIndex().forEach(entry => (this.getBackup(entry.id) || []).forEach(collect));
+
+            const kept = index.filter(id => referencedIds.has(id));
+            if (kept.length === index.length) {
+                return 0;
+            }
+
+            index.filter(id => !referencedIds.has(id)).forEach(id => {
+                this.backend.removeItem(this._getAttachmentItemKey(id));
+            });
+            this._writeAttachmentIndex(kept);
+
+            return index.length - kept.length;
+
+        } catch (error) {
+            console.error('Error pruning attachments:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * データをZIPアーカイブとしてエクスポート
+     * todos.json（JSON形式のデータ）と attachments/<添付ID>/<ファイル名> に添付ファイルの内容を格納する
+     * @param {Array<Todo>} todos - エクスポートするTodo配列
+     * @param {Array<Object>} [categories] - エクスポートするカテゴリ（省略時は保存済みのカテゴリ）
+     * @param {Array<Object>} [lists] - エクスポートするリスト（省略時は保存済みのリスト）
+     * @returns {Uint8Array|null} - ZIPアーカイブのバイト列、またはエラー時はnull
+     */
+    exportArchive(todos, categories = null, lists = null) {
+        try {
+            const json = this.exportData(todos, categories, false, lists);
+            if (json === null) {
+                return null;
+            }
+
+            const files = [{ name: 'todos.json', data: json }];
+
+            todos.forEach(todo => {
+                todo.attachments.filter(attachment => attachment.type === 'file').forEach(attachment => {
+                    const file = ZipArchive.fromDataUrl(this.loadAttachmentData(attachment.id));
+                    if (file) {
+                        files.push({ name: this._getArchivePath(attachment), data: file.bytes });
+                    }
+                });
+            });
+
+            return ZipArchive.create(files);
+        } catch (error) {
+            console.error('Error exporting archive:', error);
+            return null;
+        }
+    }
+
+    /**
+     * ZIPアーカイブを読み込み、添付ファイルの内容を埋め込んだJSON文字列に変換
+     * （変換後の文字列は importData で取り込む）
+     * @param {Uint8Array|ArrayBuffer} archive - ZIPアーカイブのバイト列
+     * @returns {string} - JSON文字列
+     * @throws {Error} - ZIPアーカイブとして読み込めない、または todos.json を含まない場合
+     */
+    readArchive(archive) {
+        const files = new Map(ZipArchive.read(archive).map(file => [file.name, file.data]));
+        if (!files.has('todos.json')) {
+            throw new Error('ZIPファイルに todos.json が含まれていません');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder().decode(files.get('todos.json')));
+        } catch (error) {
+            throw new Error('todos.json をJSONとして読み込めません');
+        }
+
+        (Array.isArray(data) ? data : (data.todos || [])).forEach(todo => {
+            (Array.isArray(todo.attachments) ? todo.attachments : []).forEach(attachment => {
+                if (attachment && attachment.type === 'file' && files.has(this._getArchivePath(attachment))) {
+                    attachment.data = ZipArchive.toDataUrl(files.get(this._getArchivePath(attachment)), attachment.mimeType);
+                }
+            });
+        });
+
+        return JSON.stringify(data);
+    }
+
+    // ===== 暗号化 =====
+
+    /**
+     * 保存データが暗号化されているかチェック
+     * @returns {boolean} - 暗号化されている場合true（未解錠を含む）
+     */
+    isEncrypted() {
+        return this.backend instanceof EncryptedBackend ||
+            EncryptedBackend.isConfigured(this.backend, this.storageKey);
+    }
+
+    /**
+     * 暗号化されたデータが未解錠かチェック
+     * 未解錠の間は読み書きできないため、TodoManagerを作成する前にunlockする必要がある
+     * @returns {boolean} - 未解錠の場合true
+     */
+    isLocked() {
+        return !(this.backend instanceof EncryptedBackend) &&
+            EncryptedBackend.isConfigured(this.backend, this.storageKey);
+    }
+
+    /**
+     * パスフレーズで暗号化されたデータを解錠
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - パスフレーズが正しくない場合
+     */
+    async unlock(passphrase) {
+        if (!this.isLocked()) {
+            return;
+        }
+
+        const encryptedBackend = new EncryptedBackend(this.backend, this.storageKey);
+        await encryptedBackend.unlock(passphrase);
+
+        this.backend = encryptedBackend;
+        this.isStorageAvailable = this._checkStorageAvailability();
+    }
+
+    /**
+     * 保存データの暗号化を開始
+     * 現在のデータとバックアップ（スナップショット）を暗号化して書き直し、平文のデータを削除する
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - すでに暗号化されている、またはWebCryptoが使用できない場合
+     */
+    async enableEncryption(passphrase) {
+        if (this.isEncrypted()) {
+            throw new Error('データはすでに暗号化されています');
+        }
+        if (!CryptoService.isSupported()) {
+            throw new Error('このブラウザでは暗号化を使用できません（HTTPSまたはlocalhostで開いてください）');
+        }
+        if (!this._canWrite()) {
+            throw new Error('データの保存に失敗しました');
+        }
+        this._validatePassphrase(passphrase);
+
+        const plainBackend = this.backend;
+        const data = plainBackend.readData();
+        const itemKeys = [
+            ...this._getBackupItemKeys(),
+            ...this._getAttachmentItemKeys(),
+            this._getCategoriesKey(),
+            this._getListsKey(),
+            this._getSettingsKey()
+        ];
+
+        const plainItems = new Map();
+        itemKeys.forEach(key => {
+            const value = plainBackend.getItem(key);
+            if (value !== null) {
+                plainItems.set(key, value);
+            }
+        });
+
+        const encryptedBackend = new EncryptedBackend(plainBackend, this.storageKey);
+        await encryptedBackend.setup(passphrase);
+
+        if (data) {
+            encryptedBackend.writeData(data);
+        }
+        plainItems.forEach((value, key) => encryptedBackend.setItem(key, value));
+
+        // 暗号文が保存され、読み出して復号できることを確認してから平文を削除する
+        // （localStorageでは暗号文が平文より大きいため容量超過で失敗しやすい）
+        try {
+            await encryptedBackend.flush();
+            await encryptedBackend.verifyStoredData();
+        } catch (error) {
+            console.error('Error writing encrypted data:', error);
+            await this._rollbackEncryption(encryptedBackend, plainItems);
+            throw new Error('暗号化したデータを保存できませんでした（容量不足の可能性があります）。データは暗号化していない状態のままです');
+        }
+
+        plainBackend.clearData();
+        this._removeSyncFallbackItem();
+
+        this.backend = encryptedBackend;
+        await encryptedBackend.flush();
+        this._postEncryptionChanged();
+    }
+
+    /**
+     * パスフレーズを変更
+     * @param {string} currentPassphrase - 現在のパスフレーズ
+     * @param {string} newPassphrase - 新しいパスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - 暗号化されていない、または現在のパスフレーズが正しくない場合
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        if (!(this.backend instanceof EncryptedBackend)) {
+            throw new Error('データは暗号化されていません');
+        }
+        this._validatePassphrase(newPassphrase);
+
+        await this.backend.changePassphrase(currentPassphrase, newPassphrase);
+        this._postEncryptionChanged();
+    }
+
+    /**
+     * 保存データの暗号化を解除し、平文で保存し直す
+     * @param {string} passphrase - 現在のパスフレーズ
+     * @returns {Promise<void>}
+     * @throws {Error} - 暗号化されていない、またはパスフレーズが正しくない場合
+     */
+    async disableEncryption(passphrase) {
+        if (!(this.backend instanceof EncryptedBackend)) {
+            throw new Error('データは暗号化されていません');
+        }
+
+        const encryptedBackend = this.backend;
+        await encryptedBackend.verifyPassphrase(passphrase);
+        await encryptedBackend.flush();
+
+        const plainBackend = encryptedBackend.inner;
+        const data = encryptedBackend.readData();
+
+        if (data) {
+            plainBackend.writeData(data);
+        }
+        encryptedBackend.getItemKeys().forEach(key => {
+            plainBackend.setItem(key, encryptedBackend.getItem(key));
+        });
+
+        plainBackend.removeItem(encryptedBackend.dataKey);
+        plainBackend.removeItem(encryptedBackend.itemListKey);
+        plainBackend.removeItem(encryptedBackend.configKey);
+
+        if (plainBackend.flush) {
+            await plainBackend.flush();
+        }
+
+        this.backend = plainBackend;
+        this._postEncryptionChanged();
+    }
+
+    // ===== タブ間同期 =====
+
+    /**
+     * 他のタブとの同期を開始
+     * 保存のたびに変更（追加・更新・削除されたTODO）を他のタブへ通知し、
+     * 他のタブからの通知を受け取るとバックエンドを読み直してからコールバックを呼ぶ。
+     * BroadcastChannelが使えない場合はlocalStorageのstorageイベントで代用する。
+     * 暗号化中は通知の内容も暗号化する。
+     * @param {function({upserts: Array<Todo>, deletes: Array<string>}): void} onRemoteChange - 他のタブで変更されたときのコールバック
+     * @param {function(): void} [onEncryptionChanged] - 他のタブで暗号化の設定が変更されたときのコールバック
+     * @param {function(): void} [onCategoriesChanged] - 他のタブでカテゴリが変更されたときのコールバック（読み直し後に呼ばれる）
+     * @param {function(): void} [onListsChanged] - 他のタブでリストが変更されたときのコールバック（読み直し後に呼ばれる）
+     */
+    startSync(onRemoteChange, onEncryptionChanged = null, onCategoriesChanged = null, onListsChanged = null) {
+        this.stopSync();
+
+        const handleMessage = (message) => this._handleSyncMessage(message, { onRemoteChange, onEncryptionChanged, onCategoriesChanged, onListsChanged });
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(this._getSyncKey());
+            this.syncChannel.onmessage = (event) => handleMessage(event.data);
+        } else if (typeof window !== 'undefined') {
+            this.syncStorageListener = (event) => {
+                if (event.key !== this._getSyncKey() || !event.newValue) return;
+
+                try {
+                    handleMessage(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.warn('Ignoring unreadable sync message:', error);
+                }
+            };
+            window.addEventListener('storage', this.syncStorageListener);
+        }
+    }
+
+    /**
+     * 他のタブとの同期を停止
+     */
+    stopSync() {
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+
+        if (this.syncStorageListener) {
+            window.removeEventListener('storage', this.syncStorageListener);
+            this.syncStorageListener = null;
+        }
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * 新しく設定するパスフレーズをバリデーション
+     * @param {string} passphrase - パスフレーズ
+     * @throws {Error} - 短すぎる場合
+     * @private
+     */
+    _validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < 8) {
+            throw new Error('パスフレーズは8文字以上にしてください');
+        }
+    }
+
+    /**
+     * 暗号化の開始に失敗した場合に、暗号化前の状態に戻す
+     * 付随データは同じキーに暗号文を書き込んでいるため、平文の値で書き直す
+     * @param {EncryptedBackend} encryptedBackend - 書き込みに失敗した暗号化バックエンド
+     * @param {Map<string, string>} plainItems - 暗号化前の付随データ
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _rollbackEncryption(encryptedBackend, plainItems) {
+        const plainBackend = encryptedBackend.inner;
+
+        // 容量を空けるため、暗号文と設定を先に削除する
+        try {
+            await encryptedBackend.flush();
+        } catch (error) {
+            // 失敗した書き込みは元に戻すため無視する
+        }
+
+        try {
+            plainBackend.removeItem(encryptedBackend.configKey);
+            plainBackend.removeItem(encryptedBackend.dataKey);
+            plainBackend.removeItem(encryptedBackend.itemListKey);
+            plainItems.forEach((value, key) => plainBackend.setItem(key, value));
+
+            if (plainBackend.flush) {
+                await plainBackend.flush();
+            }
+        } catch (error) {
+            console.error('Error rolling back encryption:', error);
+        }
+    }
+
+    /**
+     * 書き込みできる状態かチェック
+     * @returns {boolean} - 書き込みできる場合true
+     * @private
+     */
+    _canWrite() {
+        if (!this.isStorageAvailable) {
+            console.error('Storage is not available');
+            return false;
+        }
+
+        if (this.isReadOnly()) {
+            console.error(`Saving is disabled: data was written by a newer app version (${this.newerDataVersion})`);
+            return false;
+        }
+
+        if (this.isLocked()) {
+            console.error('Saving is disabled: storage is encrypted and locked');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * ストレージの使用可能性をチェック
+     * @returns {boolean} - 使用可能な場合true
+     * @private
+     */
+    _checkStorageAvailability() {
+        try {
+            return this.backend.isAvailable();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * データ構造をバリデーション
+     * @param {*} data - チェック対象のデータ
+     * @returns {boolean} - 有効な場合true
+     * @private
+     */
+    _validateDataStructure(data) {
+        if (!data) return false;
+
+        // 旧い形式（配列のみ）との互換性
+        if (Array.isArray(data)) {
+            return true;
+        }
+
+        if (typeof data !== 'object' || !Array.isArray(data.todos)) {
+            return false;
+        }
+
+        // バージョン表記は "1.2.3" 形式のみ許可（省略時は旧形式として扱う）
+        if (data.version !== undefined && !/^\d+\.\d+\.\d+$/.test(String(data.version))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * データのバージョン移行
+     * getMigrations()の移行ステップのうち、データのバージョンより新しいものを順に適用する
+     * @param {Object|Array} data - 移行対象のデータ
+     * @returns {Object} - 移行後のデータ（{version, timestamp, todos}形式）
+     * @throws {Error} - データが新しいバージョンのアプリで作成されている場合（code: 'SCHEMA_TOO_NEW'）
+     * @private
+     */
+    _migrateData(data) {
+        const dataVersion = this._getDataVersion(data);
+
+        if (this._compareVersions(dataVersion, this.version) > 0) {
+            const error = new Error(
+                `このデータは新しいバージョン（v${dataVersion}）のアプリで作成されています。` +
+                `現在のアプリ（v${this.version}）では読み込めません。アプリを更新してください。`
+            );
+            error.code = 'SCHEMA_TOO_NEW';
+            throw error;
+        }
+
+        let migrated = data;
+
+        StorageManager.getMigrations().forEach(step => {
+            if (this._compareVersions(dataVersion, step.version) < 0) {
+                migrated = step.migrate(migrated);
+                migrated.version = step.version;
+                console.info(`Applied migration ${step.version}: ${step.description}`);
+            }
+        });
+
+        if (!this._validateDataStructure(migrated) || Array.isArray(migrated)) {
+            throw new Error('Migration produced an invalid data structure');
+        }
+
+        return migrated;
+    }
+
+    /**
+     * データのスキーマバージョンを取得
+     * @param {Object|Array} data - 対象データ
+     * @returns {string} - バージョン（配列のみの旧形式やバージョン情報がない場合は'0.0.0'）
+     * @private
+     */
+    _getDataVersion(data) {
+        if (Array.isArray(data) || !data.version) {
+            return '0.0.0';
+        }
+        return String(data.version);
+    }
+
+    /**
+     * バージョン文字列を比較
+     * @param {string} a - バージョンA
+     * @param {string} b - バージョンB
+     * @returns {number} - a < b なら負、a > b なら正、等しければ0
+     * @private
+     */
+    _compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+
+        for (let i = 0; i < 3; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * 現在のデータのスナップショットを作成
+     * 直前のスナップショットと内容が同じ場合や、通常の保存で前回のスナップショットから
+     * saveIntervalが経過していない場合は作成しない。
+     * 書き込む前に保持ポリシーとサイズの上限に従って古いスナップショットを削除し、
+     * それでも書き込めない場合は古いものから削除して再試行する。保存できなかった場合はbackupFailureHandlerに通知する
+     * @param {string} [reason='save'] - 作成理由（save/clear/import/restore/migration）
+     * @param {Object|Array} [data] - スナップショットにするデータ（省略時は現在の保存データ）
+     * @private
+     */
+    _createBackup(reason = 'save', data = null) {
+        try {
+            const index = this._readBackupIndex();
+
+            // 保存データの読み込みやハッシュの計算より先に判定する
+            if (!this._isBackupDue(reason, index)) {
+                return;
+            }
+
+            const currentData = data || this.backend.readData();
+            if (!currentData) {
+                return;
+            }
+
+            const todos = Array.isArray(currentData) ? currentData : currentData.todos;
+            const signature = this._hashString(JSON.stringify(todos));
+
+            if (index.length > 0 && index[0].signature === signature) {
+                return;
+            }
+
+            const serialized = JSON.stringify(currentData);
+            const entry = {
+                id: Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 5),
+                timestamp: new Date().toISOString(),
+                reason,
+                todoCount: todos.length,
+                signature,
+                size: serialized.length
+            };
+
+            if (entry.size > this._getBackupSizeLimit()) {
+                throw new Error('データが大きすぎるため、スナップショットを保存できません');
+            }
+
+            const kept = this._pruneBackups([entry, ...index]);
+            const result = this._writeBackupItem(entry, serialized, kept);
+
+            this._writeBackupIndex(kept);
+
+            // 非同期バックエンドでは書き込みの失敗が後から分かるため、一覧から外して通知する
+            if (result && typeof result.then === 'function') {
+                result.catch(error => {
+                    this._writeBackupIndex(this._readBackupIndex().filter(item => item.id !== entry.id));
+                    this._notifyBackupFailure(reason, error);
+                });
+            }
+
+        } catch (error) {
+            this._notifyBackupFailure(reason, error);
+        }
+    }
+
+    /**
+     * スナップショット本体を書き込み
+     * 書き込めない場合は、保持するスナップショットのうち最も古いものを削除して再試行する
+     * @param {Object} entry - 書き込むスナップショットの情報
+     * @param {string} serialized - スナップショットのJSON文字列
+     * @param {Array<Object>} kept - 保持するスナップショット情報（新しい順、entryを含む。削除したものは取り除く）
+     * @returns {*} - バックエンドのsetItemの戻り値（非同期バックエンドではPromise）
+     * @throws {Error} - 古いスナップショットをすべて削除しても書き込めない場合
+     * @private
+     */
+    _writeBackupItem(entry, serialized, kept) {
+        for (;;) {
+            try {
+                return this.backend.setItem(this._getBackupItemKey(entry.id), serialized);
+            } catch (error) {
+                if (kept.length <= 1) {
+                    throw error;
+                }
+
+                const oldest = kept.pop();
+                this.backend.removeItem(this._getBackupItemKey(oldest.id));
+            }
+        }
+    }
+
+    /**
+     * スナップショットを保存できなかったことを通知
+     * @param {string} reason - 作成理由
+     * @param {Error} error - エラー
+     * @private
+     */
+    _notifyBackupFailure(reason, error) {
+        console.warn('Failed to create backup:', error);
+
+        if (this.backupFailureHandler) {
+            this.backupFailureHandler({ reason, error });
+        }
+    }
+
+    /**
+     * スナップショットの合計サイズの上限を取得
+     * @returns {number} - 上限（文字数）
+     * @private
+     */
+    _getBackupSizeLimit() {
+        return this.backend.getUsage().estimatedLimit * this.backupPolicy.maxSizeRatio;
+    }
+
+    /**
+     * スナップショットを作成する時期かチェック
+     * 通常の保存は、前回の通常の保存によるスナップショットからsaveIntervalが経過した場合のみ作成する
+     * @param {string} reason - 作成理由
+     * @param {Array<Object>} index - スナップショットのインデックス（新しい順）
+     * @returns {boolean} - 作成する場合true
+     * @private
+     */
+    _isBackupDue(reason, index) {
+        if (reason !== 'save' || index.length === 0 || index[0].reason !== 'save') {
+            return true;
+        }
+
+        return Date.now() - new Date(index[0].timestamp).getTime() >= this.backupPolicy.saveInterval;
+    }
+
+    /**
+     * 有効な最新のスナップショットからTODOを読み込み（読み込み時エラー用）
+     * @returns {Array<Todo>} - 復元されたTodo配列
+     * @private
+     */
+    _loadFromBackup() {
+        console.info('Attempting to load from backup...');
+
+        for (const entry of this._readBackupIndex()) {
+            const todos = this.getBackup(entry.id);
+            if (todos) {
+                return todos;
+            }
+        }
+
+        console.error('No valid backup found');
+        return [];
+    }
+
+    /**
+     * 最新のスナップショットをストレージに書き戻す（保存時エラー用）
+     * @private
+     */
+    _restoreFromBackup() {
+        try {
+            console.info('Restoring data from backup due to save error...');
+            const latest = this._readBackupIndex()[0];
+            const backupData = latest ? this.backend.getItem(this._getBackupItemKey(latest.id)) : null;
+
+            if (backupData) {
+                this.backend.writeData(JSON.parse(backupData));
+            }
+        } catch (error) {
+            console.error('Failed to restore from backup:', error);
+        }
+    }
+
+    /**
+     * スナップショット一覧（インデックス）を読み込み
+     * 旧形式の単一バックアップが残っている場合はスナップショットとして取り込む
+     * @returns {Array<Object>} - 新しい順のスナップショット情報
+     * @private
+     */
+    _readBackupIndex() {
+        try {
+            const indexData = this.backend.getItem(this._getBackupIndexKey());
+            if (indexData) {
+                return JSON.parse(indexData);
+            }
+
+            const legacyBackup = this.backend.getItem(this.backupKey);
+            if (!legacyBackup) {
+                return [];
+            }
+
+            const data = JSON.parse(legacyBackup);
+            const todos = Array.isArray(data) ? data : (data.todos || []);
+            const entry = {
+                id: 'legacy',
+                timestamp: data.timestamp || new Date().toISOString(),
+                reason: 'legacy',
+                todoCount: todos.length,
+                signature: this._hashString(JSON.stringify(todos))
+            };
+
+            this.backend.setItem(this._getBackupItemKey(entry.id), legacyBackup);
+            this._writeBackupIndex([entry]);
+            this.backend.removeItem(this.backupKey);
+
+            return [entry];
+
+        } catch (error) {
+            console.warn('Failed to read backup index:', error);
+            return [];
+        }
+    }
+
+    /**
+     * スナップショット一覧（インデックス）を保存
+     * @param {Array<Object>} index - スナップショット情報
+     * @private
+     */
+    _writeBackupIndex(index) {
+        this.backend.setItem(this._getBackupIndexKey(), JSON.stringify(index));
+    }
+
+    /**
+     * 保持ポリシーに従って古いスナップショットを削除
+     * @param {Array<Object>} index - 新しい順のスナップショット情報
+     * @returns {Array<Object>} - 保持するスナップショット情報
+     * @private
+     */
+    _pruneBackups(index) {
+        const { keepLast, keepDaily } = this.backupPolicy;
+        const oneDayInMs = 24 * 60 * 60 * 1000;
+        const dailyLimit = Date.now() - keepDaily * oneDayInMs;
+        const keptDays = new Set();
+
+        const kept = index.filter((entry, position) => {
+            if (position < keepLast) {
+                keptDays.add(new Date(entry.timestamp).toDateString());
+                return true;
+            }
+
+            const date = new Date(entry.timestamp);
+            const day = date.toDateString();
+
+            if (date.getTime() >= dailyLimit && !keptDays.has(day)) {
+                keptDays.add(day);
+                return true;
+            }
+
+            return false;
+        });
+
+        // 合計サイズが上限を超える分は古いものから削除する（最新の1件は残す）
+        const sizeLimit = this._getBackupSizeLimit();
+        let totalSize = kept.reduce((size, entry) => size + this._getBackupEntrySize(entry), 0);
+
+        while (kept.length > 1 && totalSize > sizeLimit) {
+            totalSize -= this._getBackupEntrySize(kept.pop());
+        }
+
+        const keptIds = new Set(kept.map(entry => entry.id));
+        index.filter(entry => !keptIds.has(entry.id)).forEach(entry => {
+            this.backend.removeItem(this._getBackupItemKey(entry.id));
+        });
+
+        return kept;
+    }
+
+    /**
+     * スナップショットのサイズを取得
+     * サイズを記録していない以前のスナップショットは本体から求めて記録する
+     * @param {Object} entry - スナップショット情報
+     * @returns {number} - サイズ（文字数）
+     * @private
+     */
+    _getBackupEntrySize(entry) {
+        if (typeof entry.size !== 'number') {
+            const backupData = this.backend.getItem(this._getBackupItemKey(entry.id));
+            entry.size = backupData ? backupData.length : 0;
+        }
+
+        return entry.size;
+    }
+
+    /**
+     * スナップショット一覧のキー名を取得
+     * @returns {string} - キー名
+     * @private
+     */
+    _getBackupIndexKey() {
+        return `${this.backupKey}_index`;
+    }
+
+    /**
+     * スナップショット本体のキー名を取得
+     * @param {string} backupId - スナップショットID
+     * @returns {string} - キー名
+     * @private
+     */
+    _getBackupItemKey(backupId) {
+        return `${this.backupKey}_${backupId}`;
+    }
+
+    /**
+     * カテゴリのキー名を取得
+     * @returns {string} - キー名
+     * @private
+     */
+    _getCategoriesKey() {
+        return `${this.storageKey}_categories`;
+    }
+
+    /**
+     * リストのキー名を取得
+     * @returns {string} - キー名
+     * @private
+     */
+    _getListsKey() {
+        return `${this.storageKey}_lists`;
+    }
+
+    /**
+     * 設定のキー名を取得
+     * @returns {string} - キー名
+     * @private
+     */
+    _getSettingsKey() {
+        return `${this.storageKey}_settings`;
+    }
+
+    /**
+     * バックアップに使用しているすべてのキー名を取得（インデックスとスナップショット本体）
+     * @returns {Array<string>} - キー名の配列
+     * @private
+     */
+    _getBackupItemKeys() {
+        const index = this._readBackupIndex();
+        return [this._getBackupIndexKey(), ...index.map(entry => this._getBackupItemKey(entry.id))];
+    }
+
+    /**
+     * 添付ファイル一覧（インデックス）を読み込み
+     * @returns {Array<string>} - 内容を保存している添付IDの配列
+     * @private
+     */
+    _readAttachmentIndex() {
+        try {
+            const index = JSON.parse(this.backend.getItem(this._getAttachmentIndexKey()) || '[]');
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.warn('Failed to read attachment index:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 添付ファイル一覧（インデックス）を保存
+     * @param {Array<string>} index - 内容を保存している添付IDの配列
+     * @private
+     */
+    _writeAttachmentIndex(index) {
+        this.backend.setItem(this._getAttachmentIndexKey(), JSON.stringify(index));
+    }
+
+    /**
+     * 添付ファイル一覧のキー名を取得
+     * @returns {string} - キー名
+     * @private
+     */
+    _getAttachmentIndexKey() {
+        return `${this.storageKey}_attachments`;
+    }
+
+    /**
+     * 添付ファイルの内容のキー名を取得
+     * @param {string} attachmentId - 添付ID
+     * @returns {string} - キー名
+     * @private
+     */
+    _getAttachmentItemKey(attachmentId) {
+        return `${this.storageKey}_attachment_${attachmentId}`;
+    }
+
+    /**
+     * 添付ファイルに使用しているすべてのキー名を取得（インデックスと内容）
+     * @returns {Array<string>} - キー名の配列
+     * @private
+     */
+    _getAttachmentItemKeys() {
+        const index = this._readAttachmentIndex();
+        return [this._getAttachmentIndexKey(), ...index.map(id => this._getAttachmentItemKey(id))];
+    }
+
+    /**
+     * ZIPアーカイブ内の添付ファイルのパスを取得
+     * @param {Object} attachment - 添付（id, name）
+     * @returns {string} - パス
+     * @private
+     */
+    _getArchivePath(attachment) {
+        const name = String(attachment.name || 'file').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_');
+        return `attachments/${attachment.id}/${name}`;
+    }
+
+    /**
+     * エクスポートするTODOのデータに添付ファイルの内容を埋め込む
+     * @param {Object} data - TODOのデータ（toJSONの結果）
+     * @returns {Object} - 添付ファイルの内容（data）を追加したデータ
+     * @private
+     */
+    _embedAttachmentData(data) {
+        return {
+            ...data,
+            attachments: data.attachments.map(attachment => {
+                const dataUrl = attachment.type === 'file' ? this.loadAttachmentData(attachment.id) : null;
+                return dataUrl ? { ...attachment, data: dataUrl } : attachment;
+            })
+        };
+    }
+
+    /**
+     * インポートしたデータに埋め込まれた添付ファイルの内容を保存
+     * @param {Array<Object>} todos - インポートしたTODOのデータ
+     * @returns {Array<{name: string, message: string}>} - 保存できなかった添付ファイル
+     * @private
+     */
+    _saveEmbeddedAttachments(todos) {
+        const errors = [];
+
+        todos.forEach(todo => {
+            (Array.isArray(todo.attachments) ? todo.attachments : []).forEach(attachment => {
+                if (!attachment || attachment.type !== 'file' || typeof attachment.data !== 'string') {
+                    return;
+                }
+
+                try {
+                    this.saveAttachmentData(attachment.id, attachment.data);
+                } catch (error) {
+                    errors.push({ name: attachment.name, message: error.message });
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * 文字列のハッシュ値を計算（スナップショットの重複判定用）
+     * @param {string} text - 対象文字列
+     * @returns {string} - 16進数のハッシュ値
+     * @private
+     */
+    _hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * タブ間同期に使うチャンネル名（storageイベント使用時はキー名）を取得
+     * @returns {string} - チャンネル名
+     * @private
+     */
+    _getSyncKey() {
+        return `${this.storageKey}_sync`;
+    }
+
+    /**
+     * 保存前後の差分を他のタブに通知
+     * @param {Object|Array|null} previousData - 保存前のデータ
+     * @param {Array<Object>} nextTodos - 保存後のTODO（JSON形式）
+     * @private
+     */
+    _broadcastChanges(previousData, nextTodos) {
+        if (!this.syncChannel && !this.syncStorageListener) {
+            return;
+        }
+
+        const previousTodos = previousData ? (Array.isArray(previousData) ? previousData : previousData.todos) : [];
+        const previousJson = new Map(previousTodos.map(todo => [todo.id, JSON.stringify(todo)]));
+        const nextIds = new Set(nextTodos.map(todo => todo.id));
+
+        this._postSyncMessage(
+            nextTodos.filter(todo => previousJson.get(todo.id) !== JSON.stringify(todo)),
+            [...previousJson.keys()].filter(id => !nextIds.has(id))
+        );
+    }
+
+    /**
+     * 変更内容を他のタブに通知
+     * @param {Array<Object>} upserts - 追加・更新されたTODO（JSON形式）
+     * @param {Array<string>} deletes - 削除されたTODOのID
+     * @private
+     */
+    _postSyncMessage(upserts, deletes) {
+        if (!this.syncChannel && !this.syncStorageListener) {
+            return;
+        }
+
+        if (upserts.length === 0 && deletes.length === 0) {
+            return;
+        }
+
+        const message = {
+            type: 'todosChanged',
+            version: this.version,
+            upserts,
+            deletes,
+            timestamp: new Date().toISOString()
+        };
+
+        // 非同期バックエンドは書き込み完了後に通知する（受信側が読み直したときに反映済みであるように）
+        const backend = this.backend;
+        Promise.resolve(backend.flush ? backend.flush() : undefined)
+            .then(async () => {
+                // 暗号化中は変更内容を平文で送らない（storageイベント使用時はlocalStorageに残るため）
+                if (backend.encryptText) {
+                    return {
+                        type: 'encrypted',
+                        payload: await backend.encryptText(JSON.stringify(message)),
+                        timestamp: message.timestamp
+                    };
+                }
+                return message;
+            })
+            .then(outgoing => this._sendSyncMessage(outgoing))
+            .catch(error => console.warn('Failed to notify other tabs:', error));
+    }
+
+    /**
+     * 暗号化の設定が変更されたことを他のタブに通知
+     * @private
+     */
+    _postEncryptionChanged() {
+        this._sendSyncMessage({ type: 'encryptionChanged', timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * カテゴリまたはリストが変更されたことを他のタブに通知
+     * 非同期バックエンドは書き込み完了後に通知する
+     * @param {string} type - 通知の種類（categoriesChanged/listsChanged）
+     * @private
+     */
+    _postMetadataChanged(type) {
+        if (!this.syncChannel && !this.syncStorageListener) {
+            return;
+        }
+
+        const backend = this.backend;
+        Promise.resolve(backend.flush ? backend.flush() : undefined)
+            .then(() => this._sendSyncMessage({ type, timestamp: new Date().toISOString() }))
+            .catch(error => console.warn('Failed to notify other tabs:', error));
+    }
+
+    /**
+     * 同期メッセージを送信
+     * @param {Object} message - メッセージ
+     * @private
+     */
+    _sendSyncMessage(message) {
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(message);
+            } else if (this.syncStorageListener) {
+                localStorage.setItem(this._getSyncKey(), JSON.stringify(message));
+            }
+        } catch (error) {
+            console.warn('Failed to notify other tabs:', error);
+        }
+    }
+
+    /**
+     * storageイベント用に残っている同期メッセージを削除（暗号化前の平文を残さないため）
+     * @private
+     */
+    _removeSyncFallbackItem() {
+        try {
+            localStorage.removeItem(this._getSyncKey());
+        } catch (error) {
+            // localStorageが使えない場合は残っていない
+        }
+    }
+
+    /**
+     * 他のタブからの変更通知を処理
+     * @param {Object} message - 変更通知
+     * @param {Object} handlers - startSyncに渡されたコールバック（onRemoteChange, onEncryptionChanged, onCategoriesChanged, onListsChanged）
+     * @private
+     */
+    _handleSyncMessage(message, handlers) {
+        if (!message) {
+            return;
+        }
+
+        if (message.type === 'encryptionChanged') {
+            if (handlers.onEncryptionChanged) {
+                handlers.onEncryptionChanged();
+            }
+            return;
+        }
+
+        if (message.type === 'categoriesChanged' || message.type === 'listsChanged') {
+            const handler = message.type === 'listsChanged' ? handlers.onListsChanged : handlers.onCategoriesChanged;
+            if (!handler) {
+                return;
+            }
+
+            const reload = this.backend.reload ? this.backend.reload() : undefined;
+
+            Promise.resolve(reload)
+                .catch(error => console.warn('Failed to reload storage after remote change:', error))
+                .then(() => handler());
+            return;
+        }
+
+        if (message.type === 'encrypted') {
+            if (!this.backend.decryptText) {
+                return;
+            }
+
+            this.backend.decryptText(message.payload)
+                .then(text => this._handleSyncMessage(JSON.parse(text), handlers))
+                .catch(error => console.warn('Ignoring sync message that could not be decrypted:', error));
+            return;
+        }
+
+        if (message.type !== 'todosChanged') {
+            return;
+        }
+
+        if (this._compareVersions(message.version, this.version) > 0) {
+            // 新しいバージョンのアプリで保存された変更は取り込まず、保存を停止する
+            console.warn(`Another tab is running a newer app version (${message.version}). Saving is disabled.`);
+            this.newerDataVersion = message.version;
+            return;
+        }
+
+        const reload = this.backend.reload ? this.backend.reload() : undefined;
+
+        Promise.resolve(reload)
+            .catch(error => console.warn('Failed to reload storage after remote change:', error))
+            .then(() => {
+                handlers.onRemoteChange({
+                    upserts: Todo.fromJSONArray(message.upserts),
+                    deletes: message.deletes
+                });
+            });
+    }
+
+    /**
+     * 保存済みのTODO件数を取得（Todoインスタンスを生成せずに数える）
+     * @returns {number} - 件数
+     * @private
+     */
+    _countStoredTodos() {
+        const data = this.backend.readData();
+        if (!data) {
+            return 0;
+        }
+        return (Array.isArray(data) ? data : data.todos || []).length;
+    }
+
+    /**
+     * ストレージ使用量をチェック
+     * @private
+     */
+    _checkStorageUsage() {
+        // 使用量の計算は全データを走査するため、1分に1回までとする
+        if (Date.now() - this.lastUsageCheck < 60 * 1000) {
+            return;
+        }
+        this.lastUsageCheck = Date.now();
+
+        const info = this.getStorageInfo();
+
+        if (info.usagePercentage > 80) {
+            console.warn(`Storage usage is high: ${info.usagePercentage}%`);
+        }
+
+        if (info.usagePercentage > 95) {
+            console.error('Storage is nearly full. Consider cleaning up old data.');
+        }
+    }
+
+    /**
+     * データの結合（重複処理付き）
+     * 同じIDのTODOは指定された結合方法で解決する:
+     * - newest: 更新日時（updatedAt）が新しい方を採用（同時刻で内容が異なる場合は競合としてローカルを保持）
+     * - local: ローカルを優先
+     * - imported: インポートを優先
+     * - field: フィールド単位で結合（片方のみ値がある項目は補完し、両方で異なる項目は更新日時が新しい方を採用して競合として報告）
+     * @param {Array<Todo>} currentTodos - 現在のTodo配列
+     * @param {Array<Todo>} importedTodos - インポートされたTodo配列
+     * @param {string} [strategy='newest'] - 結合方法
+     * @returns {{todos: Array<Todo>, items: Array<Object>}} - 結合されたTodo配列と項目ごとの結果
+     * @private
+     */
+    _mergeWithConflictResolution(currentTodos, importedTodos, strategy = 'newest') {
+        if (!StorageManager.getMergeStrategies().includes(strategy)) {
+            throw new Error(`Unknown merge strategy: ${strategy}`);
+        }
+
+        const result = [...currentTodos];
+        const indexById = new Map(result.map((todo, index) => [todo.id, index]));
+        const items = [];
+
+        for (const importedTodo of importedTodos) {
+            const index = indexById.get(importedTodo.id);
+
+            if (index === undefined) {
+                indexById.set(importedTodo.id, result.length);
+                result.push(importedTodo);
+                items.push({ id: importedTodo.id, title: importedTodo.title, action: 'added', reason: 'new', fields: [] });
+                continue;
+            }
+
+            const outcome = this._resolveConflict(result[index], importedTodo, strategy);
+            result[index] = outcome.todo;
+            items.push({
+                id: outcome.todo.id,
+                title: outcome.todo.title,
+                action: outcome.action,
+                reason: outcome.reason,
+                fields: outcome.fields
+            });
+        }
+
+        return { todos: result, items };
+    }
+
+    /**
+     * 同じIDのTODOの競合を解決
+     * @param {Todo} localTodo - ローカルのTodo
+     * @param {Todo} importedTodo - インポートされたTodo
+     * @param {string} strategy - 結合方法
+     * @returns {{todo: Todo, action: string, reason: string, fields: Array<string>}} - 採用するTodoと結果
+     * @private
+     */
+    _resolveConflict(localTodo, importedTodo, strategy) {
+        const localData = localTodo.toJSON();
+        const importedData = importedTodo.toJSON();
+        // 変更履歴は内容の違いとして扱わない（採用した方の変更履歴を残す）
+        const fields = Object.keys(importedData).filter(field =>
+            field !== 'updatedAt' && field !== 'activity' &&
+            JSON.stringify(localData[field]) !== JSON.stringify(importedData[field])
+        );
+
+        if (fields.length === 0) {
+            return { todo: localTodo, action: 'skipped', reason: 'identical', fields };
+        }
+
+        switch (strategy) {
+            case 'local':
+                return { todo: localTodo, action: 'skipped', reason: 'preferLocal', fields };
+
+            case 'imported':
+                return { todo: importedTodo, action: 'updated', reason: 'preferImported', fields };
+
+            case 'field':
+                return this._mergeFields(localTodo, importedTodo, fields);
+
+            case 'newest':
+            default: {
+                const timeDiff = importedTodo.updatedAt.getTime() - localTodo.updatedAt.getTime();
+
+                if (timeDiff > 0) {
+                    return { todo: importedTodo, action: 'updated', reason: 'importedNewer', fields };
+                }
+                if (timeDiff < 0) {
+                    return { todo: localTodo, action: 'skipped', reason: 'localNewer', fields };
+                }
+                return { todo: localTodo, action: 'conflicted', reason: 'sameTimestamp', fields };
+            }
+        }
+    }
+
+    /**
+     * フィールド単位でTODOを結合
+     * @param {Todo} localTodo - ローカルのTodo
+     * @param {Todo} importedTodo - インポートされたTodo
+     * @param {Array<string>} fields - 値が異なるフィールド名
+     * @returns {{todo: Todo, action: string, reason: string, fields: Array<string>}} - 結合したTodoと結果
+     * @private
+     */
+    _mergeFields(localTodo, importedTodo, fields) {
+        const isEmpty = (value) => value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+
+        const merged = localTodo.toJSON();
+        const importedData = importedTodo.toJSON();
+        const importedIsNewer = importedTodo.updatedAt > localTodo.updatedAt;
+        const conflicts = [];
+        const applied = [];
+
+        fields.forEach(field => {
+            if (field === 'createdAt') {
+                // 作成日時は古い方を採用
+                if (importedTodo.createdAt < localTodo.createdAt) {
+                    merged.createdAt = importedData.createdAt;
+                    applied.push(field);
+                }
+                return;
+            }
+
+            if (isEmpty(importedData[field])) {
+                return;
+            }
+
+            if (isEmpty(merged[field])) {
+                merged[field] = importedData[field];
+                applied.push(field);
+                return;
+            }
+
+            // 両方に異なる値がある場合は更新日時が新しい方を採用
+            conflicts.push(field);
+            if (importedIsNewer) {
+                merged[field] = importedData[field];
+            }
+        });
+
+        if (applied.length === 0 && conflicts.length === 0) {
+            return { todo: localTodo, action: 'skipped', reason: 'preferLocal', fields };
+        }
+
+        if (importedIsNewer) {
+            merged.updatedAt = importedData.updatedAt;
+        }
+
+        return {
+            todo: Todo.fromJSON(merged),
+            action: conflicts.length > 0 ? 'conflicted' : 'updated',
+            reason: 'fieldMerge',
+            fields: conflicts.length > 0 ? conflicts : applied
+        };
+    }
+
+    /**
+     * インポート結果レポートを作成
+     * @param {Array<Object>} items - 項目ごとの結果
+     * @param {boolean} merge - 既存データと結合したか
+     * @param {string} strategy - 結合方法
+     * @returns {Object} - インポート結果レポート
+     * @private
+     */
+    _createImportReport(items, merge, strategy) {
+        const count = (action) => items.filter(item => item.action === action).length;
+
+        return {
+            merge,
+            strategy,
+            total: items.length,
+            added: count('added'),
+            updated: count('updated'),
+            skipped: count('skipped'),
+            conflicted: count('conflicted'),
+            items,
+            errors: []
+        };
+    }
+
+    /**
+     * 保存が停止されているかどうか
+     * 新しいバージョンのアプリで保存されたデータを読み込んだ場合、上書きによるデータ消失を防ぐため保存を停止する
+     * @returns {boolean} - 保存が停止されている場合true
+     */
+    isReadOnly() {
+        return this.newerDataVersion !== null;
+    }
+
+    // ===== 静的メソッド =====
+
+    /**
+     * 利用可能な結合方法の一覧を取得
+     * @returns {Array<string>} - 結合方法ID
+     * @static
+     */
+    static getMergeStrategies() {
+        return ['newest', 'local', 'imported', 'field'];
+    }
+
+    /**
+     * スキーマの移行ステップ一覧を取得（古い順）
+     * 各ステップは直前のバージョンのデータを受け取り、versionのスキーマに変換する。
+     * Todoにフィールドを追加する場合は、ここに新しいバージョンのステップを追加する。
+     * 最後のステップのバージョンが現在のスキーマバージョンとなる。
+     * @returns {Array<{version: string, description: string, migrate: function(Object|Array): Object}>}
+     * @static
+     */
+    static getMigrations() {
+        return [
+            {
+                version: '1.0.0',
+                description: '配列のみの旧形式を {version, timestamp, todos} 形式に変換',
+                migrate: (data) => {
+                    if (!Array.isArray(data)) {
+                        return { ...data };
+                    }
+
+                    return {
+                        timestamp: new Date().toISOString(),
+                        todos: data.filter(todo => todo && typeof todo === 'object')
+                    };
+                }
+            },
+            {
+                version: '1.1.0',
+                description: 'リストを持たないTODOを既定のリストに移動',
+                migrate: (data) => ({
+                    ...data,
+                    todos: data.todos.map(todo => (
+                        todo && typeof todo === 'object' && !todo.listId
+                            ? { ...todo, listId: ListRegistry.getDefaultId() }
+                            : todo
+                    ))
+                })
+            }
+        ];
+    }
 
     /**
      * ストレージクリーンアップ（静的メソッド）
@@ -7,11 +7,24 @@ class Todo {
      * Todoインスタンスを作成
      * @param {Object} data - Todo項目のデータ
      * @param {string} data.title - タスクタイトル（必須）
-     * @param {string} [data.description=''] - 詳細説明
+     * @param {string} [data.description=''] - 詳細説明（Markdown）
      * @param {string} [data.category=''] - カテゴリ
+     * @param {Array<string>|string} [data.tags=[]] - タグ（"#"は省略可。文字列の場合は空白・カンマ区切り）
      * @param {string} [data.priority='medium'] - 優先度（high/medium/low）
      * @param {Date|string|null} [data.dueDate=null] - 期限
+     * @param {Date|string|null} [data.startDate=null] - 開始日時（未完了の場合、この日時まで一覧に表示しない。スヌーズで設定）
      * @param {boolean} [data.completed=false] - 完了状態
+     * @param {Array<Object>} [data.subtasks=[]] - サブタスク（title, completed, dueDate）
+     * @param {Object|null} [data.recurrence=null] - 繰り返しルール（Recurrence参照）
+     * @param {Array<string>|string} [data.dependsOn=[]] - 先に完了が必要なTODOのID（文字列の場合は空白・カンマ区切り）
+     * @param {number|null} [data.estimateMinutes=null] - 見積もり時間（分）
+     * @param {Array<Object>} [data.timeEntries=[]] - 作業記録（startedAt, endedAt。計測中はendedAtがnull）
+     * @param {Array<Object>} [data.reminders=[]] - リマインダー（日時指定はtype: 'absolute', at。期限の前はtype: 'beforeDue', offsetMinutes）
+     * @param {Array<Object>} [data.attachments=[]] - 添付（リンクはtype: 'link', url, label。ファイルはtype: 'file', name, mimeType, size で、内容はStorageManagerに保存）
+     * @param {number|null} [data.position=null] - 手動の並び順での位置（小さいほど上。未設定の場合はTodoManagerが設定）
+     * @param {string} [data.listId='default'] - 所属するリストのID（ListRegistry参照）
+     * @param {Date|string|null} [data.deletedAt=null] - ゴミ箱に移動した日時（ゴミ箱にない場合はnull）
+     * @param {Array<Object>} [data.activity=[]] - 変更履歴（at, label, changes。古い順）
      * @param {string} [data.id] - 一意識別子（自動生成）
      * @param {Date|string} [data.createdAt] - 作成日時（自動設定）
      * @param {Date|string} [data.updatedAt] - 更新日時（自動設定）
@@ -25,11 +38,24 @@ class Todo {
         // データの初期化
         this.id = data.id || this._generateId();
         this.title = this._sanitizeText(data.title);
-        this.description = this._sanitizeText(data.description || '');
+        this.description = this._normalizeDescription(data.description);
         this.category = this._validateCategory(data.category || '');
+        this.tags = Todo.parseTags(data.tags);
         this.priority = this._validatePriority(data.priority || 'medium');
         this.dueDate = this._parseDueDate(data.dueDate);
+        this.startDate = this._parseDate(data.startDate);
         this.completed = Boolean(data.completed);
+        this.subtasks = this._parseSubtasks(data.subtasks);
+        this.recurrence = Recurrence.normalize(data.recurrence);
+        this.dependsOn = this._parseDependsOn(data.dependsOn);
+        this.estimateMinutes = this._parseEstimate(data.estimateMinutes);
+        this.timeEntries = this._parseTimeEntries(data.timeEntries);
+        this.reminders = this._parseReminders(data.reminders);
+        this.attachments = this._parseAttachments(data.attachments);
+        this.position = this._parsePosition(data.position);
+        this.listId = this._parseListId(data.listId);
+        this.deletedAt = this._parseDate(data.deletedAt);
+        this.activity = this._parseActivity(data.activity);
         this.createdAt = this._parseDate(data.createdAt) || new Date();
         this.updatedAt = this._parseDate(data.updatedAt) || new Date();
     }
@@ -49,13 +75,17 @@ class Todo {
         }
 
         if (updateData.description !== undefined) {
-            this.description = this._sanitizeText(updateData.description);
+            this.description = this._normalizeDescription(updateData.description);
         }
 
         if (updateData.category !== undefined) {
             this.category = this._validateCategory(updateData.category);
         }
 
+        if (updateData.tags !== undefined) {
+            this.tags = Todo.parseTags(updateData.tags);
+        }
+
         if (updateData.priority !== undefined) {
             this.priority = this._validatePriority(updateData.priority);
         }
@@ -64,10 +94,42 @@ class Todo {
             this.dueDate = this._parseDueDate(updateData.dueDate);
         }
 
+        if (updateData.startDate !== undefined) {
+            this.startDate = this._parseDate(updateData.startDate);
+        }
+
         if (updateData.completed !== undefined) {
             this.completed = Boolean(updateData.completed);
         }
 
+        if (updateData.subtasks !== undefined) {
+            this.subtasks = this._parseSubtasks(updateData.subtasks);
+        }
+
+        if (updateData.recurrence !== undefined) {
+            this.recurrence = Recurrence.normalize(updateData.recurrence);
+        }
+
+        if (updateData.dependsOn !== undefined) {
+            this.dependsOn = this._parseDependsOn(updateData.dependsOn);
+        }
+
+        if (updateData.estimateMinutes !== undefined) {
+            this.estimateMinutes = this._parseEstimate(updateData.estimateMinutes);
+        }
+
+        if (updateData.timeEntries !== undefined) {
+            this.timeEntries = this._parseTimeEntries(updateData.timeEntries);
+        }
+
+        if (updateData.reminders !== undefined) {
+            this.reminders = this._parseReminders(updateData.reminders);
+        }
+
+        if (updateData.listId !== undefined) {
+            this.listId = this._parseListId(updateData.listId);
+        }
+
         // 更新日時を自動設定
         this.updatedAt = new Date();
 
@@ -84,9 +146,18 @@ class Todo {
             title: this.title,
             description: this.description,
             category: this.category,
+            tags: [...this.tags],
             priority: this.priority,
             dueDate: this.dueDate,
+            startDate: this.startDate,
             completed: this.completed,
+            subtasks: this.subtasks.map(subtask => ({ ...subtask, id: null })), // サブタスクにも新しいIDを生成
+            recurrence: this.recurrence ? { ...this.recurrence, occurrence: 1 } : null,
+            dependsOn: [...this.dependsOn],
+            estimateMinutes: this.estimateMinutes, // 作業記録・変更履歴は複製しない
+            reminders: this.reminders.map(({ type, at, offsetMinutes }) => ({ type, at, offsetMinutes })), // 通知済みの状態は引き継がない
+            attachments: this.attachments.map(attachment => ({ ...attachment })), // 添付ファイルの内容は複製元と共有する
+            listId: this.listId,
             createdAt: new Date(), // 新しい作成日時
             updatedAt: new Date()  // 新しい更新日時
         });
@@ -94,14 +165,488 @@ class Todo {
 
     /**
      * 完了状態を切り替え
+     * @param {boolean} [includeSubtasks=false] - 完了にする場合、サブタスクもすべて完了にするか
      * @returns {Todo} - 自身のインスタンス
      */
-    toggleCompleted() {
+    toggleCompleted(includeSubtasks = false) {
         this.completed = !this.completed;
+
+        if (this.completed && includeSubtasks) {
+            this.subtasks.forEach(subtask => {
+                subtask.completed = true;
+            });
+        }
+
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    /**
+     * 繰り返しの次回分のTODOを作成
+     * 次回の期限は繰り返しルールから計算し、サブタスクは未完了に戻して期限を同じだけずらす（開始日時も同じだけずらす）
+     * （依存先と作業記録は今回分のものなので引き継がず、見積もり時間・添付・リストは引き継ぐ。
+     *   リマインダーは期限の前のものはそのまま、日時指定のものは期限と同じだけずらして引き継ぐ）
+     * @param {Date} [completedAt=new Date()] - 完了日時
+     * @returns {Todo|null} - 次回分のTodo、繰り返しでない・繰り返しが終了している場合はnull
+     */
+    createNextOccurrence(completedAt = new Date()) {
+        if (!this.recurrence) {
+            return null;
+        }
+
+        const nextDueDate = Recurrence.getNextDueDate(this.recurrence, this.dueDate, completedAt);
+        if (!nextDueDate) {
+            return null;
+        }
+
+        const offset = this.dueDate ? nextDueDate.getTime() - this.dueDate.getTime() : null;
+
+        return new Todo({
+            title: this.title,
+            description: this.description,
+            category: this.category,
+            tags: [...this.tags],
+            priority: this.priority,
+            dueDate: nextDueDate,
+            startDate: this.startDate && offset !== null ? new Date(this.startDate.getTime() + offset) : null,
+            subtasks: this.subtasks.map(subtask => ({
+                title: subtask.title,
+                dueDate: subtask.dueDate && offset !== null ? new Date(subtask.dueDate.getTime() + offset) : null
+            })),
+            recurrence: { ...this.recurrence, occurrence: this.recurrence.occurrence + 1 },
+            estimateMinutes: this.estimateMinutes,
+            reminders: this.reminders
+                .filter(reminder => reminder.type === 'beforeDue' || offset !== null)
+                .map(({ type, at, offsetMinutes }) => ({
+                    type,
+                    at: at ? new Date(at.getTime() + offset) : null,
+                    offsetMinutes
+                })),
+            attachments: this.attachments.map(attachment => ({ ...attachment })),
+            listId: this.listId
+        });
+    }
+
+    // ===== サブタスク =====
+
+    /**
+     * サブタスクを追加
+     * @param {Object} subtaskData - サブタスクのデータ
+     * @param {string} subtaskData.title - タイトル（必須）
+     * @param {Date|string|null} [subtaskData.dueDate=null] - 期限
+     * @returns {Object} - 追加されたサブタスク
+     */
+    addSubtask(subtaskData) {
+        const subtask = this._createSubtask({ ...subtaskData, id: null });
+        this.subtasks.push(subtask);
+        this.updatedAt = new Date();
+        return subtask;
+    }
+
+    /**
+     * サブタスクを更新
+     * @param {string} subtaskId - サブタスクのID
+     * @param {Object} updateData - 更新するデータ（title, completed, dueDate）
+     * @returns {Object} - 更新されたサブタスク
+     */
+    updateSubtask(subtaskId, updateData) {
+        const subtask = this._findSubtask(subtaskId);
+
+        if (updateData.title !== undefined) {
+            if (typeof updateData.title !== 'string' || updateData.title.trim() === '') {
+                throw new Error('Subtask title must be a non-empty string');
+            }
+            subtask.title = this._sanitizeText(updateData.title);
+        }
+
+        if (updateData.completed !== undefined) {
+            subtask.completed = Boolean(updateData.completed);
+        }
+
+        if (updateData.dueDate !== undefined) {
+            subtask.dueDate = this._parseDueDate(updateData.dueDate);
+        }
+
+        this.updatedAt = new Date();
+        return subtask;
+    }
+
+    /**
+     * サブタスクの完了状態を切り替え
+     * @param {string} subtaskId - サブタスクのID
+     * @returns {Object} - 切り替え後のサブタスク
+     */
+    toggleSubtask(subtaskId) {
+        const subtask = this._findSubtask(subtaskId);
+        return this.updateSubtask(subtaskId, { completed: !subtask.completed });
+    }
+
+    /**
+     * サブタスクを削除
+     * @param {string} subtaskId - サブタスクのID
+     * @returns {Object} - 削除されたサブタスク
+     */
+    removeSubtask(subtaskId) {
+        const subtask = this._findSubtask(subtaskId);
+        this.subtasks = this.subtasks.filter(item => item !== subtask);
+        this.updatedAt = new Date();
+        return subtask;
+    }
+
+    /**
+     * サブタスクの進捗を取得
+     * @returns {{completed: number, total: number}} - 完了したサブタスク数と総数
+     */
+    getSubtaskProgress() {
+        return {
+            completed: this.subtasks.filter(subtask => subtask.completed).length,
+            total: this.subtasks.length
+        };
+    }
+
+    // ===== 添付 =====
+
+    /**
+     * 添付を追加
+     * @param {Object} attachmentData - 添付のデータ
+     * @param {string} attachmentData.type - 種類（link/file）
+     * @param {string} [attachmentData.url] - リンクのURL（http/https）
+     * @param {string} [attachmentData.label] - リンクの表示名（省略時はURLから作成）
+     * @param {string} [attachmentData.name] - ファイル名
+     * @param {string} [attachmentData.mimeType] - ファイルのMIMEタイプ
+     * @param {number} [attachmentData.size] - ファイルのサイズ（バイト）
+     * @returns {Object} - 追加された添付
+     */
+    addAttachment(attachmentData) {
+        const attachment = this._createAttachment({ ...attachmentData, id: null, addedAt: null });
+        this.attachments.push(attachment);
+        this.updatedAt = new Date();
+        return attachment;
+    }
+
+    /**
+     * 添付を削除
+     * @param {string} attachmentId - 添付のID
+     * @returns {Object} - 削除された添付
+     */
+    removeAttachment(attachmentId) {
+        const attachment = this.attachments.find(item => item.id === attachmentId);
+
+        if (!attachment) {
+            throw new Error(`Attachment not found: ${attachmentId}`);
+        }
+
+        this.attachments = this.attachments.filter(item => item !== attachment);
+        this.updatedAt = new Date();
+        return attachment;
+    }
+
+    // ===== リマインダー =====
+
+    /**
+     * リマインダーを追加
+     * @param {Object} reminderData - リマインダーのデータ
+     * @param {string} reminderData.type - 種類（absolute: 日時指定 / beforeDue: 期限の前）
+     * @param {Date|string} [reminderData.at] - 通知日時（日時指定の場合）
+     * @param {number} [reminderData.offsetMinutes] - 期限の何分前に通知するか（期限の前の場合）
+     * @returns {Object} - 追加されたリマインダー
+     */
+    addReminder(reminderData) {
+        const reminder = this._createReminder({ ...reminderData, id: null, snoozedUntil: null, dismissedAt: null });
+        this.reminders.push(reminder);
+        this.updatedAt = new Date();
+        return reminder;
+    }
+
+    /**
+     * リマインダーを削除
+     * @param {string} reminderId - リマインダーのID
+     * @returns {Object} - 削除されたリマインダー
+     */
+    removeReminder(reminderId) {
+        const reminder = this._findReminder(reminderId);
+        this.reminders = this.reminders.filter(item => item !== reminder);
+        this.updatedAt = new Date();
+        return reminder;
+    }
+
+    /**
+     * リマインダーを後で再通知する（スヌーズ）
+     * @param {string} reminderId - リマインダーのID
+     * @param {number} minutes - 再通知までの時間（分）
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Object} - 更新されたリマインダー
+     */
+    snoozeReminder(reminderId, minutes, now = new Date()) {
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            throw new Error('Snooze minutes must be a positive number');
+        }
+
+        const reminder = this._findReminder(reminderId);
+        reminder.snoozedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+        this.updatedAt = new Date();
+        return reminder;
+    }
+
+    /**
+     * 通知したリマインダーを閉じる（期限の前のリマインダーは、期限が変わると再び通知する）
+     * @param {string} reminderId - リマインダーのID
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Object} - 更新されたリマインダー
+     */
+    dismissReminder(reminderId, now = new Date()) {
+        const reminder = this._findReminder(reminderId);
+        reminder.dismissedAt = new Date(now.getTime());
+        reminder.snoozedUntil = null;
+        this.updatedAt = new Date();
+        return reminder;
+    }
+
+    /**
+     * リマインダーの通知日時を取得（スヌーズは含まない）
+     * @param {Object} reminder - リマインダー
+     * @returns {Date|null} - 通知日時、期限の前のリマインダーで期限がない場合はnull
+     */
+    getReminderTime(reminder) {
+        if (reminder.type === 'absolute') {
+            return reminder.at;
+        }
+
+        return this.dueDate ? new Date(this.dueDate.getTime() - reminder.offsetMinutes * 60 * 1000) : null;
+    }
+
+    /**
+     * リマインダーを次に通知する日時を取得（スヌーズ中はスヌーズの終了日時）
+     * @param {Object} reminder - リマインダー
+     * @returns {Date|null} - 通知日時、閉じた・通知日時がない・完了またはゴミ箱のTODOの場合はnull
+     */
+    getNextReminderTime(reminder) {
+        const time = this.getReminderTime(reminder);
+
+        if (!time || this.completed || this.isTrashed()) {
+            return null;
+        }
+        if (reminder.dismissedAt && reminder.dismissedAt >= time) {
+            return null;
+        }
+
+        return reminder.snoozedUntil && reminder.snoozedUntil > time ? reminder.snoozedUntil : time;
+    }
+
+    /**
+     * 通知日時を過ぎたリマインダーを取得（閉じていないもの）
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Array<Object>} - リマインダーの配列（通知日時の古い順）
+     */
+    getDueReminders(now = new Date()) {
+        return this.reminders
+            .filter(reminder => {
+                const time = this.getNextReminderTime(reminder);
+                return time !== null && time <= now;
+            })
+            .sort((a, b) => this.getNextReminderTime(a) - this.getNextReminderTime(b));
+    }
+
+    // ===== 開始日時 =====
+
+    /**
+     * 指定した日時まで一覧に表示しない（スヌーズ）
+     * @param {Date} until - 再び表示する日時
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Todo} - 自身のインスタンス
+     * @throws {Error} - 日時が不正、または現在日時より前の場合
+     */
+    snooze(until, now = new Date()) {
+        const startDate = this._parseDate(until);
+
+        if (!startDate || startDate <= now) {
+            throw new Error('Snooze date must be a valid date in the future');
+        }
+
+        this.startDate = startDate;
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    /**
+     * 開始日時の状態を取得
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {string} - 状態（scheduled: 開始前で非表示 / started: 24時間以内に開始日時を迎えた / normal: それ以外・完了済み）
+     */
+    getStartStatus(now = new Date()) {
+        if (!this.startDate || this.completed) {
+            return 'normal';
+        }
+
+        const timeDiff = now.getTime() - this.startDate.getTime();
+
+        if (timeDiff < 0) {
+            return 'scheduled';
+        } else if (timeDiff < 24 * 60 * 60 * 1000) {
+            return 'started';
+        } else {
+            return 'normal';
+        }
+    }
+
+    /**
+     * 開始日時まで一覧に表示しないかチェック
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {boolean} - 未完了で開始日時が現在日時より後の場合true
+     */
+    isScheduled(now = new Date()) {
+        return this.getStartStatus(now) === 'scheduled';
+    }
+
+    // ===== 作業時間 =====
+
+    /**
+     * 作業時間の計測を開始
+     * @param {Date} [now=new Date()] - 開始日時
+     * @returns {Object} - 追加された作業記録（id, startedAt, endedAt）
+     * @throws {Error} - 既に計測中の場合
+     */
+    startTimer(now = new Date()) {
+        if (this.getRunningTimeEntry()) {
+            throw new Error('Timer is already running');
+        }
+
+        const entry = { id: this._generateId('time'), startedAt: new Date(now.getTime()), endedAt: null };
+        this.timeEntries.push(entry);
+        this.updatedAt = new Date();
+        return entry;
+    }
+
+    /**
+     * 作業時間の計測を終了
+     * @param {Date} [now=new Date()] - 終了日時
+     * @returns {Object} - 終了した作業記録
+     * @throws {Error} - 計測中でない場合
+     */
+    stopTimer(now = new Date()) {
+        const entry = this.getRunningTimeEntry();
+
+        if (!entry) {
+            throw new Error('Timer is not running');
+        }
+
+        entry.endedAt = new Date(Math.max(now.getTime(), entry.startedAt.getTime()));
+        this.updatedAt = new Date();
+        return entry;
+    }
+
+    /**
+     * 作業記録を削除
+     * @param {string} entryId - 作業記録のID
+     * @returns {Object} - 削除された作業記録
+     * @throws {Error} - 作業記録が見つからない場合
+     */
+    removeTimeEntry(entryId) {
+        const entry = this.timeEntries.find(item => item.id === entryId);
+
+        if (!entry) {
+            throw new Error(`Time entry not found: ${entryId}`);
+        }
+
+        this.timeEntries = this.timeEntries.filter(item => item !== entry);
+        this.updatedAt = new Date();
+        return entry;
+    }
+
+    /**
+     * 計測中の作業記録を取得
+     * @returns {Object|null} - 計測中の作業記録、計測中でない場合はnull
+     */
+    getRunningTimeEntry() {
+        return this.timeEntries.find(entry => entry.endedAt === null) || null;
+    }
+
+    /**
+     * 作業時間の合計を取得（計測中の記録は現在までの時間を含める）
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {number} - 作業時間（ミリ秒）
+     */
+    getTrackedTime(now = new Date()) {
+        return this.timeEntries.reduce((total, entry) =>
+            total + Math.max(0, (entry.endedAt || now).getTime() - entry.startedAt.getTime()), 0);
+    }
+
+    // ===== ゴミ箱 =====
+
+    /**
+     * ゴミ箱に移動（計測中の作業時間は終了する）
+     * @param {Date} [now=new Date()] - 移動日時
+     * @returns {Todo} - 自身のインスタンス
+     */
+    moveToTrash(now = new Date()) {
+        if (this.getRunningTimeEntry()) {
+            this.stopTimer(now);
+        }
+
+        this.deletedAt = new Date(now.getTime());
         this.updatedAt = new Date();
         return this;
     }
 
+    /**
+     * ゴミ箱から元に戻す
+     * @returns {Todo} - 自身のインスタンス
+     */
+    restoreFromTrash() {
+        this.deletedAt = null;
+        this.updatedAt = new Date();
+        return this;
+    }
+
+    /**
+     * ゴミ箱にあるかチェック
+     * @returns {boolean} - ゴミ箱にある場合true
+     */
+    isTrashed() {
+        return this.deletedAt !== null;
+    }
+
+    // ===== 変更履歴 =====
+
+    /**
+     * 変更履歴を記録（上限を超えた場合は古いものから破棄）
+     * 変更と同時に記録するため、更新日時は変更しない
+     * @param {string} label - 操作の表示名
+     * @param {Array<{field: string, from: *, to: *}>} changes - 項目ごとの変更前後の値（Todo.diffActivityの形式）
+     * @param {Date} [at=new Date()] - 変更日時
+     * @returns {Object} - 記録した変更履歴
+     */
+    recordActivity(label, changes, at = new Date()) {
+        const entry = { at: new Date(at.getTime()), label, changes };
+        const limit = Todo.getActivityLimit();
+
+        this.activity.push(entry);
+        if (this.activity.length > limit) {
+            this.activity.splice(0, this.activity.length - limit);
+        }
+
+        return entry;
+    }
+
+    /**
+     * 期限が後ろにずらされた変更を取得
+     * @returns {Array<{at: Date, from: Date, to: Date}>} - 古い順の期限の延期
+     */
+    getDueDateSlips() {
+        return this.activity.flatMap(entry => entry.changes
+            .filter(change => change.field === 'dueDate' && change.from && change.to &&
+                new Date(change.to) > new Date(change.from))
+            .map(change => ({ at: entry.at, from: new Date(change.from), to: new Date(change.to) })));
+    }
+
+    /**
+     * 期限が繰り返し延期されているかチェック
+     * @returns {boolean} - 期限が2回以上後ろにずらされている未完了のTODOの場合true
+     */
+    hasRepeatedDueDateSlips() {
+        return !this.completed && this.getDueDateSlips().length >= 2;
+    }
+
     /**
      * 期限の状態を取得
      * @returns {string} - 'overdue'（期限切れ）、'due-soon'（間もなく期限）、'normal'（通常）
@@ -170,9 +715,45 @@ class Todo {
             title: this.title,
             description: this.description,
             category: this.category,
+            tags: [...this.tags],
             priority: this.priority,
             dueDate: this.dueDate ? this.dueDate.toISOString() : null,
+            startDate: this.startDate ? this.startDate.toISOString() : null,
             completed: this.completed,
+            subtasks: this.subtasks.map(subtask => ({
+                id: subtask.id,
+                title: subtask.title,
+                completed: subtask.completed,
+                dueDate: subtask.dueDate ? subtask.dueDate.toISOString() : null
+            })),
+            recurrence: Recurrence.toJSON(this.recurrence),
+            dependsOn: [...this.dependsOn],
+            estimateMinutes: this.estimateMinutes,
+            timeEntries: this.timeEntries.map(entry => ({
+                id: entry.id,
+                startedAt: entry.startedAt.toISOString(),
+                endedAt: entry.endedAt ? entry.endedAt.toISOString() : null
+            })),
+            reminders: this.reminders.map(reminder => ({
+                id: reminder.id,
+                type: reminder.type,
+                at: reminder.at ? reminder.at.toISOString() : null,
+                offsetMinutes: reminder.offsetMinutes,
+                snoozedUntil: reminder.snoozedUntil ? reminder.snoozedUntil.toISOString() : null,
+                dismissedAt: reminder.dismissedAt ? reminder.dismissedAt.toISOString() : null
+            })),
+            attachments: this.attachments.map(attachment => ({
+                ...attachment,
+                addedAt: attachment.addedAt.toISOString()
+            })),
+            position: this.position,
+            listId: this.listId,
+            deletedAt: this.deletedAt ? this.deletedAt.toISOString() : null,
+            activity: this.activity.map(entry => ({
+                at: entry.at.toISOString(),
+                label: entry.label,
+                changes: entry.changes.map(change => ({ ...change }))
+            })),
             createdAt: this.createdAt.toISOString(),
             updatedAt: this.updatedAt.toISOString()
         };
@@ -180,21 +761,386 @@ class Todo {
 
     /**
      * 検索用文字列を取得
-     * @returns {string} - 検索対象文字列（タイトル + 説明）
+     * @returns {string} - 検索対象文字列（タイトル + 説明（Markdownの書式を除く） + サブタスクのタイトル + "#"付きのタグ + 添付の名前）
      */
     getSearchText() {
-        return `${this.title} ${this.description}`.toLowerCase();
+        const description = MarkdownRenderer.toPlainText(this.description);
+        const subtaskTitles = this.subtasks.map(subtask => subtask.title).join(' ');
+        const attachmentNames = this.attachments.map(attachment => attachment.label || attachment.name).join(' ');
+        return `${this.title} ${description} ${subtaskTitles} ${Todo.formatTags(this.tags)} ${attachmentNames}`.toLowerCase();
+    }
+
+    /**
+     * タグが付いているかチェック（大文字・小文字は区別しない）
+     * @param {string} tag - タグ（"#"は省略可）
+     * @returns {boolean} - タグが付いている場合true
+     */
+    hasTag(tag) {
+        const [normalized] = Todo.parseTags(tag);
+        return Boolean(normalized) && this.tags.some(item => item.toLowerCase() === normalized.toLowerCase());
+    }
+
+    /**
+     * 指定したTODOの完了を待っているかチェック
+     * @param {string} todoId - TODOのID
+     * @returns {boolean} - 依存先に含まれる場合true
+     */
+    hasDependency(todoId) {
+        return this.dependsOn.includes(todoId);
     }
 
     // ===== プライベートメソッド =====
 
     /**
      * 一意のIDを生成
+     * @param {string} [prefix='todo'] - IDの接頭辞
      * @returns {string} - UUID風のランダムID
      * @private
      */
-    _generateId() {
-        return 'todo-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+    _generateId(prefix = 'todo') {
+        return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * 依存先のTODOのIDをパース（自分自身のIDは除外）
+     * @param {Array<string>|string|null|undefined} dependsOn - IDの配列、または空白・カンマ区切りの文字列
+     * @returns {Array<string>} - IDの配列
+     * @private
+     */
+    _parseDependsOn(dependsOn) {
+        return Todo.parseDependsOn(dependsOn).filter(todoId => todoId !== this.id);
+    }
+
+    /**
+     * 見積もり時間をパース
+     * @param {number|string|null|undefined} estimate - 見積もり時間（分）
+     * @returns {number|null} - 見積もり時間（分、整数）、未設定または無効な場合はnull
+     * @private
+     */
+    _parseEstimate(estimate) {
+        if (estimate === null || estimate === undefined || estimate === '') {
+            return null;
+        }
+
+        const minutes = Number(estimate);
+
+        // 無効な見積もりの場合
+        if (!Number.isFinite(minutes) || minutes < 0) {
+            console.warn(`Invalid estimate: ${estimate}`);
+            return null;
+        }
+
+        return Math.round(minutes);
+    }
+
+    /**
+     * 手動の並び順での位置をパース
+     * @param {number|string|null|undefined} position - 位置
+     * @returns {number|null} - 位置、未設定または無効な場合はnull
+     * @private
+     */
+    _parsePosition(position) {
+        if (position === null || position === undefined || position === '') {
+            return null;
+        }
+
+        const value = Number(position);
+
+        // 無効な位置の場合
+        if (!Number.isFinite(value)) {
+            console.warn(`Invalid position: ${position}`);
+            return null;
+        }
+
+        return value;
+    }
+
+    /**
+     * リストIDをパース
+     * @param {string|null|undefined} listId - リストID
+     * @returns {string} - リストID、未設定の場合は既定のリストのID
+     * @private
+     */
+    _parseListId(listId) {
+        const normalized = typeof listId === 'string' ? listId.trim() : '';
+        return normalized || ListRegistry.getDefaultId();
+    }
+
+    /**
+     * 作業記録の配列をパース（不正な項目は除外）
+     * 計測中の記録が複数ある場合は最後に開始したものだけを計測中として残し、
+     * それ以外はその開始時点で終了したものとして扱う
+     * @param {Array<Object>|undefined} timeEntries - 作業記録のデータ
+     * @returns {Array<Object>} - 開始日時順の作業記録の配列
+     * @private
+     */
+    _parseTimeEntries(timeEntries) {
+        if (!Array.isArray(timeEntries)) {
+            return [];
+        }
+
+        const entries = timeEntries
+            .filter(entry => entry && typeof entry === 'object')
+            .map(entry => ({
+                id: typeof entry.id === 'string' && entry.id ? entry.id : this._generateId('time'),
+                startedAt: this._parseDate(entry.startedAt),
+                endedAt: entry.endedAt ? this._parseDate(entry.endedAt) : null,
+                running: !entry.endedAt
+            }))
+            .filter(entry => entry.startedAt && (entry.running || (entry.endedAt && entry.endedAt >= entry.startedAt)))
+            .sort((a, b) => a.startedAt - b.startedAt);
+
+        const running = entries.filter(entry => entry.running);
+        running.slice(0, -1).forEach(entry => {
+            const next = entries.find(other => other.startedAt > entry.startedAt);
+            entry.endedAt = next ? new Date(next.startedAt.getTime()) : new Date(entry.startedAt.getTime());
+        });
+
+        return entries.map(({ id, startedAt, endedAt }) => ({ id, startedAt, endedAt }));
+    }
+
+    /**
+     * リマインダーの配列をパース（不正な項目は除外）
+     * @param {Array<Object>|undefined} reminders - リマインダーのデータ
+     * @returns {Array<Object>} - リマインダーの配列
+     * @private
+     */
+    _parseReminders(reminders) {
+        if (!Array.isArray(reminders)) {
+            return [];
+        }
+
+        return reminders.map(reminderData => {
+            try {
+                return this._createReminder(reminderData);
+            } catch (error) {
+                console.warn('Invalid reminder:', reminderData);
+                return null;
+            }
+        }).filter(reminder => reminder !== null);
+    }
+
+    /**
+     * リマインダーを作成
+     * @param {Object} reminderData - リマインダーのデータ
+     * @returns {Object} - リマインダー（id, type, at, offsetMinutes, snoozedUntil, dismissedAt）
+     * @throws {Error} - 種類・通知日時・期限の前の時間が不正な場合
+     * @private
+     */
+    _createReminder(reminderData) {
+        if (!reminderData || typeof reminderData !== 'object') {
+            throw new Error('Reminder data must be an object');
+        }
+
+        const reminder = {
+            id: typeof reminderData.id === 'string' && reminderData.id ? reminderData.id : this._generateId('reminder'),
+            type: reminderData.type,
+            at: null,
+            offsetMinutes: null,
+            snoozedUntil: this._parseDate(reminderData.snoozedUntil),
+            dismissedAt: this._parseDate(reminderData.dismissedAt)
+        };
+
+        if (reminderData.type === 'absolute') {
+            reminder.at = this._parseDate(reminderData.at);
+            if (!reminder.at) {
+                throw new Error('Reminder time must be a valid date');
+            }
+        } else if (reminderData.type === 'beforeDue') {
+            const offsetMinutes = Number(reminderData.offsetMinutes);
+            if (!Number.isInteger(offsetMinutes) || offsetMinutes < 0 || offsetMinutes > 365 * 24 * 60) {
+                throw new Error('Reminder offset must be an integer between 0 and 525600 minutes');
+            }
+            reminder.offsetMinutes = offsetMinutes;
+        } else {
+            throw new Error(`Invalid reminder type: ${reminderData.type}`);
+        }
+
+        return reminder;
+    }
+
+    /**
+     * リマインダーを取得
+     * @param {string} reminderId - リマインダーのID
+     * @returns {Object} - リマインダー
+     * @throws {Error} - リマインダーが見つからない場合
+     * @private
+     */
+    _findReminder(reminderId) {
+        const reminder = this.reminders.find(item => item.id === reminderId);
+
+        if (!reminder) {
+            throw new Error(`Reminder not found: ${reminderId}`);
+        }
+
+        return reminder;
+    }
+
+    /**
+     * 添付の配列をパース（不正な項目は除外）
+     * @param {Array<Object>|undefined} attachments - 添付のデータ
+     * @returns {Array<Object>} - 添付の配列
+     * @private
+     */
+    _parseAttachments(attachments) {
+        if (!Array.isArray(attachments)) {
+            return [];
+        }
+
+        return attachments.map(attachmentData => {
+            try {
+                return this._createAttachment(attachmentData);
+            } catch (error) {
+                console.warn('Invalid attachment:', attachmentData);
+                return null;
+            }
+        }).filter(attachment => attachment !== null);
+    }
+
+    /**
+     * 添付を作成
+     * リンクはhttp/httpsのURLのみ受け付ける（javascript: などを開かないため）
+     * @param {Object} attachmentData - 添付のデータ
+     * @returns {Object} - 添付
+     * @throws {Error} - 種類・URL・ファイル名が不正な場合
+     * @private
+     */
+    _createAttachment(attachmentData) {
+        if (!attachmentData || typeof attachmentData !== 'object') {
+            throw new Error('Attachment data must be an object');
+        }
+
+        const base = {
+            id: typeof attachmentData.id === 'string' && attachmentData.id ? attachmentData.id : this._generateId('attachment'),
+            type: attachmentData.type
+        };
+        const addedAt = this._parseDate(attachmentData.addedAt) || new Date();
+
+        if (attachmentData.type === 'link') {
+            let url;
+            try {
+                url = new URL(String(attachmentData.url));
+            } catch (error) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                throw new Error('Attachment URL must be an http or https URL');
+            }
+
+            return {
+                ...base,
+                url: url.href,
+                label: this._sanitizeText(attachmentData.label || '').slice(0, 100) || Todo.getLinkLabel(url.href),
+                addedAt
+            };
+        }
+
+        if (attachmentData.type === 'file') {
+            const name = this._sanitizeText(attachmentData.name || '').slice(0, 255);
+            if (!name) {
+                throw new Error('Attachment file name is required');
+            }
+
+            const mimeType = typeof attachmentData.mimeType === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(attachmentData.mimeType)
+                ? attachmentData.mimeType.toLowerCase()
+                : 'application/octet-stream';
+            const size = Number(attachmentData.size);
+
+            return {
+                ...base,
+                name,
+                mimeType,
+                size: Number.isInteger(size) && size >= 0 ? size : 0,
+                addedAt
+            };
+        }
+
+        throw new Error(`Invalid attachment type: ${attachmentData.type}`);
+    }
+
+    /**
+     * 変更履歴の配列をパース（不正な項目は除外し、上限を超える古いものは破棄）
+     * @param {Array<Object>|undefined} activity - 変更履歴のデータ
+     * @returns {Array<Object>} - 変更履歴の配列
+     * @private
+     */
+    _parseActivity(activity) {
+        if (!Array.isArray(activity)) {
+            return [];
+        }
+
+        return activity
+            .filter(entry => entry && typeof entry === 'object' && Array.isArray(entry.changes))
+            .map(entry => ({
+                at: this._parseDate(entry.at),
+                label: typeof entry.label === 'string' ? entry.label : '',
+                changes: entry.changes
+                    .filter(change => change && typeof change.field === 'string')
+                    .map(change => ({
+                        field: change.field,
+                        from: change.from === undefined ? null : change.from,
+                        to: change.to === undefined ? null : change.to
+                    }))
+            }))
+            .filter(entry => entry.at)
+            .slice(-Todo.getActivityLimit());
+    }
+
+    /**
+     * サブタスクの配列をパース（不正な項目は除外）
+     * @param {Array<Object>|undefined} subtasks - サブタスクのデータ
+     * @returns {Array<Object>} - サブタスクの配列
+     * @private
+     */
+    _parseSubtasks(subtasks) {
+        if (!Array.isArray(subtasks)) {
+            return [];
+        }
+
+        return subtasks.map(subtaskData => {
+            try {
+                return this._createSubtask(subtaskData);
+            } catch (error) {
+                console.warn('Invalid subtask:', subtaskData);
+                return null;
+            }
+        }).filter(subtask => subtask !== null);
+    }
+
+    /**
+     * サブタスクを作成
+     * @param {Object} subtaskData - サブタスクのデータ
+     * @returns {{id: string, title: string, completed: boolean, dueDate: Date|null}} - サブタスク
+     * @private
+     */
+    _createSubtask(subtaskData) {
+        if (!subtaskData || typeof subtaskData.title !== 'string' || subtaskData.title.trim() === '') {
+            throw new Error('Subtask title is required and must be a non-empty string');
+        }
+
+        return {
+            id: subtaskData.id || this._generateId('subtask'),
+            title: this._sanitizeText(subtaskData.title),
+            completed: Boolean(subtaskData.completed),
+            dueDate: this._parseDueDate(subtaskData.dueDate)
+        };
+    }
+
+    /**
+     * IDでサブタスクを取得
+     * @param {string} subtaskId - サブタスクのID
+     * @returns {Object} - サブタスク
+     * @throws {Error} - 見つからない場合
+     * @private
+     */
+    _findSubtask(subtaskId) {
+        const subtask = this.subtasks.find(item => item.id === subtaskId);
+
+        if (!subtask) {
+            throw new Error(`Subtask not found: ${subtaskId}`);
+        }
+
+        return subtask;
     }
 
     /**
@@ -211,23 +1157,37 @@ class Todo {
         return text.replace(/<[^>]*>/g, '').trim();
     }
 
+    /**
+     * 詳細説明を正規化
+     * 詳細説明はMarkdownとして保存するため、タグのように見える部分も除去しない
+     * （表示時にMarkdownRendererで許可した要素のみのHTMLに変換する）
+     * @param {string} description - 詳細説明
+     * @returns {string} - 正規化された詳細説明
+     * @private
+     */
+    _normalizeDescription(description) {
+        if (typeof description !== 'string') {
+            return '';
+        }
+        return description.replace(/\r\n?/g, '\n').trim();
+    }
+
     /**
      * カテゴリをバリデーション
-     * @param {string} category - カテゴリ名
-     * @returns {string} - 正規化されたカテゴリ名
+     * 登録済みカテゴリのIDまたは名前に一致する場合はそのIDに揃え、
+     * 未登録の値はそのまま残す（TodoManagerがカテゴリとして登録する）
+     * @param {string} category - カテゴリIDまたは名前
+     * @returns {string} - 正規化されたカテゴリID
      * @private
      */
     _validateCategory(category) {
-        const validCategories = ['work', 'personal', 'shopping', 'health', 'learning', 'other'];
-        const normalizedCategory = typeof category === 'string' ? category.toLowerCase() : '';
+        const normalizedCategory = this._sanitizeText(category);
 
-        if (normalizedCategory === '' || validCategories.includes(normalizedCategory)) {
-            return normalizedCategory;
+        if (normalizedCategory === '') {
+            return '';
         }
 
-        // 無効なカテゴリの場合は空文字を返す
-        console.warn(`Invalid category: ${category}. Using empty category.`);
-        return '';
+        return Todo.getCategoryRegistry().resolve(normalizedCategory) || normalizedCategory;
     }
 
     /**
@@ -343,6 +1303,77 @@ class Todo {
         }).filter(todo => todo !== null);
     }
 
+    /**
+     * タグの入力をタグの配列に変換
+     * 先頭の"#"を除き、空白・カンマ区切りの文字列も受け付ける。
+     * 大文字・小文字だけが異なるタグは最初のものに揃える
+     * @param {Array<string>|string|null|undefined} value - タグの配列または文字列（"#clientA #waiting" など）
+     * @returns {Array<string>} - "#"を除いたタグの配列
+     * @static
+     */
+    static parseTags(value) {
+        const items = Array.isArray(value) ? value : [value];
+        const tags = [];
+
+        items
+            .filter(item => typeof item === 'string')
+            .flatMap(item => item.split(/[\s,、，]+/))
+            .map(item => item.replace(/<[^>]*>/g, '').replace(/^#+/, '').trim().slice(0, 50))
+            .forEach(tag => {
+                if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                    tags.push(tag);
+                }
+            });
+
+        return tags;
+    }
+
+    /**
+     * タグの配列を"#"付きの文字列に変換（"#clientA #waiting"）
+     * @param {Array<string>} tags - タグの配列
+     * @returns {string} - 空白区切りの文字列
+     * @static
+     */
+    static formatTags(tags) {
+        return tags.map(tag => `#${tag}`).join(' ');
+    }
+
+    /**
+     * 依存先のTODOのIDの入力をIDの配列に変換（空の値と重複は除外）
+     * @param {Array<string>|string|null|undefined} value - IDの配列、または空白・カンマ区切りの文字列
+     * @returns {Array<string>} - IDの配列
+     * @static
+     */
+    static parseDependsOn(value) {
+        const items = typeof value === 'string' ? value.split(/[\s,]+/) : (Array.isArray(value) ? value : []);
+
+        return items
+            .filter(todoId => typeof todoId === 'string' && todoId.trim() !== '')
+            .map(todoId => todoId.trim())
+            .filter((todoId, index, ids) => ids.indexOf(todoId) === index);
+    }
+
+    /**
+     * カテゴリの表示名や並び順の参照先となるレジストリを設定
+     * @param {CategoryRegistry} registry - カテゴリレジストリ
+     * @static
+     */
+    static setCategoryRegistry(registry) {
+        Todo.categoryRegistry = registry;
+    }
+
+    /**
+     * カテゴリレジストリを取得（未設定の場合は既定のカテゴリで作成）
+     * @returns {CategoryRegistry} - カテゴリレジストリ
+     * @static
+     */
+    static getCategoryRegistry() {
+        if (!Todo.categoryRegistry) {
+            Todo.categoryRegistry = new CategoryRegistry();
+        }
+        return Todo.categoryRegistry;
+    }
+
     /**
      * カテゴリの表示名を取得
      * @param {string} category - カテゴリID
@@ -350,15 +1381,7 @@ class Todo {
      * @static
      */
     static getCategoryDisplayName(category) {
-        const categoryMap = {
-            'work': '仕事',
-            'personal': '個人',
-            'shopping': '買い物',
-            'health': '健康',
-            'learning': '学習',
-            'other': 'その他'
-        };
-        return categoryMap[category] || category;
+        return Todo.getCategoryRegistry().getDisplayName(category);
     }
 
     /**
@@ -376,6 +1399,225 @@ class Todo {
         return priorityMap[priority] || priority;
     }
 
+    /**
+     * 項目の表示名を取得（変更履歴の表示用）
+     * @param {string} field - 項目名（Todo.toJSONのキー）
+     * @returns {string} - 表示名
+     * @static
+     */
+    static getFieldDisplayName(field) {
+        const fieldMap = {
+            'title': 'タイトル',
+            'description': '詳細説明',
+            'category': 'カテゴリ',
+            'tags': 'タグ',
+            'priority': '優先度',
+            'dueDate': '期限',
+            'startDate': '開始日時',
+            'completed': '完了状態',
+            'subtasks': 'サブタスク',
+            'recurrence': '繰り返し',
+            'dependsOn': '先に完了が必要なタスク',
+            'estimateMinutes': '見積もり時間',
+            'timeEntries': '作業時間',
+            'reminders': 'リマインダー',
+            'attachments': '添付',
+            'listId': 'リスト',
+            'deletedAt': 'ゴミ箱'
+        };
+        return fieldMap[field] || field;
+    }
+
+    /**
+     * スヌーズの選択肢を取得（日時を指定する場合を除く）
+     * @returns {Object<string, string>} - 選択肢のID -> 表示名
+     * @static
+     */
+    static getSnoozeOptions() {
+        return {
+            tomorrow: '明日',
+            nextWeek: '来週'
+        };
+    }
+
+    /**
+     * スヌーズの選択肢から再び表示する日時を計算
+     * @param {string} option - 選択肢のID（tomorrow: 翌日の0時 / nextWeek: 次の月曜日の0時）
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Date} - 再び表示する日時
+     * @throws {Error} - 選択肢が不正な場合
+     * @static
+     */
+    static getSnoozeDate(option, now = new Date()) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        switch (option) {
+            case 'tomorrow':
+                date.setDate(date.getDate() + 1);
+                return date;
+            case 'nextWeek':
+                // 日曜日（0）は翌日、それ以外は翌週の月曜日
+                date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+                return date;
+            default:
+                throw new Error(`Invalid snooze option: ${option}`);
+        }
+    }
+
+    /**
+     * リマインダーの期限の前の時間の選択肢を取得
+     * @returns {Object<number, string>} - 期限の何分前か -> 表示名
+     * @static
+     */
+    static getReminderOffsets() {
+        return {
+            0: '期限の時刻',
+            5: '5分前',
+            15: '15分前',
+            30: '30分前',
+            60: '1時間前',
+            180: '3時間前',
+            1440: '1日前',
+            2880: '2日前',
+            10080: '1週間前'
+        };
+    }
+
+    /**
+     * リマインダーの設定内容を表示用の文字列に変換
+     * @param {Object} reminder - リマインダー（Todo.toJSONの形式も可）
+     * @returns {string} - 表示用の文字列（"期限の1日前"、"2026/10/20 9:00" など）
+     * @static
+     */
+    static describeReminder(reminder) {
+        if (reminder.type === 'absolute') {
+            return new Date(reminder.at).toLocaleString('ja-JP', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        }
+
+        const offsetMinutes = reminder.offsetMinutes;
+        if (offsetMinutes === 0) {
+            return '期限の時刻';
+        }
+
+        const units = [[7 * 24 * 60, '週間'], [24 * 60, '日'], [60, '時間'], [1, '分']];
+        const [size, unit] = units.find(([unitSize]) => offsetMinutes % unitSize === 0);
+        return `期限の${offsetMinutes / size}${unit}前`;
+    }
+
+    /**
+     * リンクのURLから表示名を作成（ホスト名と、パスの最後の部分）
+     * @param {string} url - URL
+     * @returns {string} - 表示名（"docs.example.com / spec.pdf" など）
+     * @static
+     */
+    static getLinkLabel(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return url;
+        }
+
+        const lastSegment = parsed.pathname.split('/').filter(segment => segment).pop() || '';
+        let decoded;
+        try {
+            decoded = decodeURIComponent(lastSegment);
+        } catch (error) {
+            decoded = lastSegment;
+        }
+
+        const host = parsed.hostname.replace(/^www\./, '');
+        return (decoded ? `${host} / ${decoded}` : host).slice(0, 100);
+    }
+
+    /**
+     * 1件のTODOに保持する変更履歴の最大数を取得
+     * @returns {number} - 変更履歴の最大数
+     * @static
+     */
+    static getActivityLimit() {
+        return 100;
+    }
+
+    /**
+     * 変更履歴に記録する項目の一覧を取得
+     * @returns {Array<string>} - 項目名（Todo.toJSONのキー）
+     * @static
+     */
+    static getActivityFields() {
+        return [
+            'title', 'description', 'category', 'tags', 'priority', 'dueDate', 'startDate', 'completed',
+            'subtasks', 'recurrence', 'dependsOn', 'estimateMinutes', 'timeEntries', 'reminders', 'attachments', 'listId', 'deletedAt'
+        ];
+    }
+
+    /**
+     * 変更履歴に記録する項目の差分を取得
+     * 変更前がない場合（作成時）は空でない項目だけを含める
+     * @param {Object|null} before - 変更前のTodo.toJSONの値（作成時はnull）
+     * @param {Object} after - 変更後のTodo.toJSONの値
+     * @returns {Array<{field: string, from: *, to: *}>} - 値が変わった項目と、変更前後の値（サブタスク・作業時間は要約した値）
+     * @static
+     */
+    static diffActivity(before, after) {
+        const isEmpty = (value) => value === null || value === '' || value === false ||
+            (Array.isArray(value) && value.length === 0) ||
+            (value && value.minutes === 0 && value.running === false);
+
+        return Todo.getActivityFields()
+            .map(field => ({
+                field,
+                from: before ? Todo._summarizeActivityValue(field, before[field]) : null,
+                to: Todo._summarizeActivityValue(field, after[field])
+            }))
+            .filter(change => before
+                ? JSON.stringify(change.from) !== JSON.stringify(change.to)
+                : !isEmpty(change.to));
+    }
+
+    /**
+     * 変更履歴に記録する値に変換
+     * 長い詳細説明は切り詰め、サブタスクは完了状態付きのタイトル、作業記録は合計時間、添付は名前に要約する
+     * @param {string} field - 項目名
+     * @param {*} value - Todo.toJSONの値
+     * @returns {*} - 変更履歴に記録する値
+     * @private
+     * @static
+     */
+    static _summarizeActivityValue(field, value) {
+        switch (field) {
+            case 'description':
+                return typeof value === 'string' && value.length > 200 ? `${value.slice(0, 200)}…` : value;
+
+            case 'subtasks':
+                return (value || []).map(subtask => `${subtask.completed ? '[x]' : '[ ]'} ${subtask.title}`);
+
+            case 'reminders':
+                // 通知・スヌーズの状態は記録せず、設定内容のみを記録する
+                return (value || []).map(reminder => Todo.describeReminder(reminder));
+
+            case 'attachments':
+                return (value || []).map(attachment => attachment.label || attachment.name);
+
+            case 'timeEntries': {
+                const entries = value || [];
+                const minutes = entries
+                    .filter(entry => entry.endedAt)
+                    .reduce((total, entry) => total + (new Date(entry.endedAt) - new Date(entry.startedAt)) / 60000, 0);
+                return { minutes: Math.round(minutes), running: entries.some(entry => !entry.endedAt) };
+            }
+
+            default:
+                return value === undefined ? null : value;
+        }
+    }
+
     /**
      * 優先度の数値を取得（ソート用）
      * @param {string} priority - 優先度ID
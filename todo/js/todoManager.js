@@ -14,6 +14,8 @@ class TodoManager {
         this.currentFilter = {
             search: '',
             category: '',
+            tags: [],
+            tagMode: 'any',
             priority: '',
             status: '',
             sortBy: 'createdAt',
@@ -26,62 +28,133 @@ class TodoManager {
         this.eventListeners.set('todoAdded', []);
         this.eventListeners.set('todoUpdated', []);
         this.eventListeners.set('todoDeleted', []);
+        this.eventListeners.set('todoRestored', []);
+        this.eventListeners.set('trashPurged', []);
         this.eventListeners.set('todoToggled', []);
+        this.eventListeners.set('subtaskChanged', []);
+        this.eventListeners.set('timerChanged', []);
+        this.eventListeners.set('attachmentChanged', []);
+        this.eventListeners.set('reminderChanged', []);
+        this.eventListeners.set('todoSnoozed', []);
+        this.eventListeners.set('todosStarted', []);
+        this.eventListeners.set('todoMoved', []);
+        this.eventListeners.set('todoMovedToList', []);
         this.eventListeners.set('filterChanged', []);
+        this.eventListeners.set('saveFailed', []);
+        this.eventListeners.set('backupFailed', []);
+        this.eventListeners.set('encryptionChanged', []);
+        this.eventListeners.set('categoriesChanged', []);
+        this.eventListeners.set('listsChanged', []);
+        this.eventListeners.set('currentListChanged', []);
+        this.eventListeners.set('historyChanged', []);
+
+        // 開始日時を迎えたTODOを最後に確認した日時（refreshStartDatesで、これ以降に開始日時を迎えたTODOを通知する）
+        this.lastStartDateCheck = new Date();
+
+        // 元に戻す・やり直しの履歴と、記録中の操作（コマンドID・表示名・変更されたTODOとカテゴリ・リスト・設定・通知を待つイベント。記録中でない場合はnull）
+        this.history = new CommandHistory();
+        this.recording = null;
+
+        // 最後に確定したTODO・カテゴリ・リスト・設定の状態（JSON文字列）。記録した操作の変更前の状態として使い、
+        // 操作の後に変更されたものだけを更新する
+        this.committedTodos = new Map();
+        this.committedRegistries = new Map();
+
+        // 未保存の変更（まとめて遅延保存する）と、保存に失敗したカテゴリ・リスト（次回の保存で再試行する）
+        this.dirtyIds = new Set();
+        this.deletedIds = new Set();
+        this.dirtyRegistries = new Set();
+        this.saveTimer = null;
+        this.saveDelay = 300;
+
+        // スナップショットを保存できなかった場合はbackupFailedイベントで知らせる
+        this.storageManager.setBackupFailureHandler(detail => this.emit('backupFailed', detail));
+
+        // ゴミ箱の保持日数（読み込み時に期限を過ぎたTODOを完全に削除する。0の場合は自動で削除しない）
+        const { trashRetentionDays, currentListId } = this.storageManager.loadSettings();
+        this.trashRetentionDays = Number.isInteger(trashRetentionDays) && trashRetentionDays >= 0 ? trashRetentionDays : 30;
+
+        // カテゴリ（TODOの読み込み時にカテゴリ名をIDに揃えるため、先に読み込む）
+        this.categories = new CategoryRegistry(this.storageManager.loadCategories());
+        Todo.setCategoryRegistry(this.categories);
+
+        // リストと表示中のリスト（nullの場合はすべてのリストを表示。保存済みのリストがなくなっていれば既定のリスト）
+        this.lists = new ListRegistry(this.storageManager.loadLists());
+        this.currentListId = currentListId === null || this.lists.has(currentListId) ? currentListId : ListRegistry.getDefaultId();
+        this._commitRegistry('categories');
+        this._commitRegistry('lists');
+        this._commitRegistry('settings');
 
         // 初期データ読み込み
         this.loadTodos();
+
+        // どのTODOからも参照されていない添付ファイルの内容を削除
+        // （添付の削除を元に戻せるよう、操作のたびではなく起動時のみ行う）
+        if (this._isWritable()) {
+            this.storageManager.pruneAttachmentData(this.todos);
+        }
     }
 
     // ===== CRUD操作 =====
 
     /**
-     * 新しいTODOを追加
+     * 新しいTODOを追加（手動の並び順では先頭に追加する）
+     * リストを省略した場合は表示中のリスト（すべてのリストの表示中は既定のリスト）に追加し、
+     * カテゴリを省略した場合はそのリストの既定のカテゴリにする
      * @param {Object} todoData - TODO項目のデータ
      * @returns {Todo|null} - 追加されたTodoインスタンス、エラー時はnull
      */
     addTodo(todoData) {
-        try {
-            // バリデーション
-            if (!todoData || !todoData.title || typeof todoData.title !== 'string') {
-                throw new Error('タスクタイトルが必要です');
-            }
+        return this._record('タスクの追加', () => {
+            try {
+                this._ensureWritable();
 
-            // 重複チェック（同じタイトルの未完了タスク）
-            const duplicateExists = this.todos.some(todo =>
-                todo.title.toLowerCase() === todoData.title.toLowerCase() && !todo.completed
-            );
+                // バリデーション
+                if (!todoData || !todoData.title || typeof todoData.title !== 'string') {
+                    throw new Error('タスクタイトルが必要です');
+                }
 
-            if (duplicateExists) {
-                throw new Error('同じタイトルの未完了タスクが既に存在します');
-            }
+                const list = this._findList(todoData.listId || this.currentListId || ListRegistry.getDefaultId());
 
-            // 新しいTodoを作成
-            const newTodo = new Todo(todoData);
+                // 重複チェック（同じリストで同じタイトルの未完了タスク。ゴミ箱のタスクは除く）
+                const duplicateExists = this.getActiveTodos().some(todo =>
+                    todo.listId === list.id && todo.title.toLowerCase() === todoData.title.toLowerCase() && !todo.completed
+                );
 
-            // メモリに追加
-            this.todos.push(newTodo);
+                if (duplicateExists) {
+                    throw new Error('同じタイトルの未完了タスクが既に存在します');
+                }
 
-            // ストレージに保存
-            if (!this.storageManager.saveTodos(this.todos)) {
-                // 保存失敗時はメモリからも削除
-                this.todos.pop();
-                throw new Error('データの保存に失敗しました');
-            }
+                // 新しいTodoを作成
+                const newTodo = new Todo({
+                    ...todoData,
+                    listId: list.id,
+                    category: todoData.category || list.defaultCategory
+                });
+                this._validateDependencies(newTodo.id, newTodo.dependsOn);
+                newTodo.position = this._getTopPosition();
 
-            // フィルターを再適用
-            this.applyFilter();
+                // メモリに追加
+                this.todos.push(newTodo);
+                this._registerCategories([newTodo]);
 
-            // イベント発火
-            this.emit('todoAdded', { todo: newTodo });
-            this.emit('todosChanged', { todos: this.todos });
+                // ストレージへの保存を予約
+                this._markDirty(newTodo.id);
 
-            return newTodo;
+                // フィルターを再適用
+                this.applyFilter();
 
-        } catch (error) {
-            console.error('Error adding todo:', error);
-            throw error;
-        }
+                // イベント発火
+                this.emit('todoAdded', { todo: newTodo });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return newTodo;
+
+            } catch (error) {
+                console.error('Error adding todo:', error);
+                throw error;
+            }
+        });
     }
 
     /**
@@ -91,129 +164,150 @@ class TodoManager {
      * @returns {Todo|null} - 更新されたTodoインスタンス、エラー時はnull
      */
     updateTodo(todoId, updateData) {
-        try {
-            const todoIndex = this.todos.findIndex(todo => todo.id === todoId);
-
-            if (todoIndex === -1) {
-                throw new Error('指定されたタスクが見つかりません');
-            }
-
-            const originalTodo = this.todos[todoIndex];
-
-            // タイトル重複チェック（自身以外で同じタイトルの未完了タスク）
-            if (updateData.title) {
-                const duplicateExists = this.todos.some(todo =>
-                    todo.id !== todoId &&
-                    todo.title.toLowerCase() === updateData.title.toLowerCase() &&
-                    !todo.completed
-                );
+        return this._record('タスクの編集', () => {
+            try {
+                this._ensureWritable();
+
+                const originalTodo = this._findEditableTodo(todoId);
+                const listId = updateData.listId !== undefined ? this._findList(updateData.listId).id : originalTodo.listId;
+
+                // タイトル重複チェック（同じリストで自身以外の同じタイトルの未完了タスク。ゴミ箱のタスクは除く）
+                if (updateData.title) {
+                    const duplicateExists = this.getActiveTodos().some(todo =>
+                        todo.id !== todoId &&
+                        todo.listId === listId &&
+                        todo.title.toLowerCase() === updateData.title.toLowerCase() &&
+                        !todo.completed
+                    );
+
+                    if (duplicateExists) {
+                        throw new Error('同じタイトルの未完了タスクが既に存在します');
+                    }
+                }
 
-                if (duplicateExists) {
-                    throw new Error('同じタイトルの未完了タスクが既に存在します');
+                if (updateData.dependsOn !== undefined) {
+                    this._validateDependencies(todoId, Todo.parseDependsOn(updateData.dependsOn));
                 }
-            }
 
-            // Todoを更新
-            const updatedTodo = originalTodo.update(updateData);
+                // Todoを更新
+                const updatedTodo = originalTodo.update(updateData);
+                this._registerCategories([updatedTodo]);
 
-            // ストレージに保存
-            if (!this.storageManager.saveTodos(this.todos)) {
-                // 保存失敗時は元に戻す
-                this.todos[todoIndex] = originalTodo;
-                throw new Error('データの保存に失敗しました');
-            }
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
 
-            // フィルターを再適用
-            this.applyFilter();
+                // フィルターを再適用
+                this.applyFilter();
 
-            // イベント発火
-            this.emit('todoUpdated', { todo: updatedTodo, originalTodo });
-            this.emit('todosChanged', { todos: this.todos });
+                // イベント発火
+                this.emit('todoUpdated', { todo: updatedTodo, originalTodo });
+                this.emit('todosChanged', { todos: this.todos });
 
-            return updatedTodo;
+                return updatedTodo;
 
-        } catch (error) {
-            console.error('Error updating todo:', error);
-            throw error;
-        }
+            } catch (error) {
+                console.error('Error updating todo:', error);
+                throw error;
+            }
+        });
     }
 
     /**
-     * TODOを削除
+     * TODOをゴミ箱に移動
+     * ゴミ箱のTODOは一覧・統計に含まれず、restoreTodoで元に戻せる（完全に削除するにはdeleteTodoPermanently）。
+     * このTODOの完了を待っていたTODOは、ゴミ箱にある間は完了待ちとして扱わない
+     * （todoDeletedイベントのdependentsに含まれる）
      * @param {string} todoId - 削除するTodoのID
      * @returns {boolean} - 削除成功の可否
      */
     deleteTodo(todoId) {
-        try {
-            const todoIndex = this.todos.findIndex(todo => todo.id === todoId);
-
-            if (todoIndex === -1) {
-                throw new Error('指定されたタスクが見つかりません');
-            }
+        return this._record('タスクの削除', () => {
+            try {
+                this._ensureWritable();
 
-            const deletedTodo = this.todos[todoIndex];
+                const deletedTodo = this._findEditableTodo(todoId);
+                const dependents = this.getDependents(todoId).filter(dependent => !dependent.completed);
 
-            // メモリから削除
-            this.todos.splice(todoIndex, 1);
+                deletedTodo.moveToTrash();
 
-            // ストレージに保存
-            if (!this.storageManager.saveTodos(this.todos)) {
-                // 保存失敗時は元に戻す
-                this.todos.splice(todoIndex, 0, deletedTodo);
-                throw new Error('データの保存に失敗しました');
-            }
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
 
-            // フィルターを再適用
-            this.applyFilter();
+                // フィルターを再適用
+                this.applyFilter();
 
-            // イベント発火
-            this.emit('todoDeleted', { todo: deletedTodo });
-            this.emit('todosChanged', { todos: this.todos });
+                // イベント発火
+                this.emit('todoDeleted', { todo: deletedTodo, dependents });
+                this.emit('todosChanged', { todos: this.todos });
 
-            return true;
+                return true;
 
-        } catch (error) {
-            console.error('Error deleting todo:', error);
-            throw error;
-        }
+            } catch (error) {
+                console.error('Error deleting todo:', error);
+                throw error;
+            }
+        });
     }
 
     /**
      * TODOの完了状態を切り替え
+     * 繰り返しのTODOを完了にした場合は、次回の期限で次回分のTODOを作成する
+     * （繰り返しルールは次回分に引き継ぎ、完了したTODOからは外す）。
+     * 完了にしたことで着手できるようになったTODOはtodoToggledイベントのunblockedに含まれる。
+     * 作業時間を計測中のTODOを完了にした場合は計測を終了する
      * @param {string} todoId - 切り替えるTodoのID
+     * @param {Object} [options] - オプション
+     * @param {boolean} [options.includeSubtasks=false] - 完了にする場合、サブタスクもすべて完了にするか
      * @returns {Todo|null} - 切り替え後のTodoインスタンス、エラー時はnull
      */
-    toggleTodo(todoId) {
-        try {
-            const todo = this.todos.find(t => t.id === todoId);
+    toggleTodo(todoId, { includeSubtasks = false } = {}) {
+        return this._record('完了状態の変更', () => {
+            try {
+                this._ensureWritable();
 
-            if (!todo) {
-                throw new Error('指定されたタスクが見つかりません');
-            }
+                const todo = this._findEditableTodo(todoId);
 
-            const wasCompleted = todo.completed;
-            todo.toggleCompleted();
+                const wasCompleted = todo.completed;
+                todo.toggleCompleted(includeSubtasks);
 
-            // ストレージに保存
-            if (!this.storageManager.saveTodos(this.todos)) {
-                // 保存失敗時は元に戻す
-                todo.toggleCompleted();
-                throw new Error('データの保存に失敗しました');
-            }
+                if (todo.completed && todo.getRunningTimeEntry()) {
+                    todo.stopTimer();
+                }
 
-            // フィルターを再適用
-            this.applyFilter();
+                let nextOccurrence = null;
+                if (todo.completed && todo.recurrence) {
+                    nextOccurrence = todo.createNextOccurrence();
+                    // 未完了に戻して再度完了にしても次回分が重複しないよう、ルールは次回分にのみ残す
+                    todo.recurrence = null;
+
+                    if (nextOccurrence) {
+                        nextOccurrence.position = this._getTopPosition();
+                        this.todos.push(nextOccurrence);
+                        this._markDirty(nextOccurrence.id);
+                    }
+                }
 
-            // イベント発火
-            this.emit('todoToggled', { todo, wasCompleted });
-            this.emit('todosChanged', { todos: this.todos });
+                const unblocked = todo.completed
+                    ? this.getDependents(todoId).filter(dependent => !dependent.completed && !this.isBlocked(dependent.id))
+                    : [];
 
-            return todo;
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
 
-        } catch (error) {
-            console.error('Error toggling todo:', error);
-            throw error;
-        }
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('todoToggled', { todo, wasCompleted, nextOccurrence, unblocked });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return todo;
+
+            } catch (error) {
+                console.error('Error toggling todo:', error);
+                throw error;
+            }
+        });
     }
 
     /**
@@ -225,329 +319,3113 @@ class TodoManager {
         return this.todos.find(todo => todo.id === todoId) || null;
     }
 
-    // ===== データ操作 =====
+    // ===== サブタスク =====
 
     /**
-     * ストレージからTODOを読み込み
-     * @returns {Array<Todo>} - 読み込まれたTodo配列
+     * TODOにサブタスクを追加
+     * @param {string} todoId - 親TodoのID
+     * @param {Object} subtaskData - サブタスクのデータ（title, dueDate）
+     * @returns {Object} - 追加されたサブタスク
      */
-    loadTodos() {
-        try {
-            this.todos = this.storageManager.loadTodos();
-            this.applyFilter();
-
-            // イベント発火
-            this.emit('todosChanged', { todos: this.todos });
-
-            return this.todos;
-
-        } catch (error) {
-            console.error('Error loading todos:', error);
-            this.todos = [];
-            this.filteredTodos = [];
-            return [];
+    addSubtask(todoId, subtaskData) {
+        if (!subtaskData || typeof subtaskData.title !== 'string' || subtaskData.title.trim() === '') {
+            throw new Error('サブタスクのタイトルが必要です');
         }
+
+        return this._changeSubtask(todoId, null, 'added', todo => todo.addSubtask(subtaskData));
     }
 
     /**
-     * すべてのTODOをクリア
-     * @returns {boolean} - クリア成功の可否
+     * サブタスクを更新
+     * @param {string} todoId - 親TodoのID
+     * @param {string} subtaskId - サブタスクのID
+     * @param {Object} updateData - 更新データ（title, completed, dueDate）
+     * @returns {Object} - 更新されたサブタスク
      */
-    clearAllTodos() {
-        try {
-            const originalTodos = [...this.todos];
-
-            // メモリをクリア
-            this.todos = [];
-            this.filteredTodos = [];
-
-            // ストレージをクリア
-            if (!this.storageManager.clearAll()) {
-                // 失敗時は元に戻す
-                this.todos = originalTodos;
-                this.applyFilter();
-                throw new Error('データのクリアに失敗しました');
-            }
+    updateSubtask(todoId, subtaskId, updateData) {
+        if (updateData.title !== undefined && (typeof updateData.title !== 'string' || updateData.title.trim() === '')) {
+            throw new Error('サブタスクのタイトルが必要です');
+        }
 
-            // イベント発火
-            this.emit('todosChanged', { todos: this.todos });
+        return this._changeSubtask(todoId, subtaskId, 'updated', todo => todo.updateSubtask(subtaskId, updateData));
+    }
 
-            return true;
+    /**
+     * サブタスクの完了状態を切り替え
+     * @param {string} todoId - 親TodoのID
+     * @param {string} subtaskId - サブタスクのID
+     * @returns {Object} - 切り替え後のサブタスク
+     */
+    toggleSubtask(todoId, subtaskId) {
+        return this._changeSubtask(todoId, subtaskId, 'toggled', todo => todo.toggleSubtask(subtaskId));
+    }
 
-        } catch (error) {
-            console.error('Error clearing todos:', error);
-            throw error;
-        }
+    /**
+     * サブタスクを削除
+     * @param {string} todoId - 親TodoのID
+     * @param {string} subtaskId - サブタスクのID
+     * @returns {Object} - 削除されたサブタスク
+     */
+    deleteSubtask(todoId, subtaskId) {
+        return this._changeSubtask(todoId, subtaskId, 'deleted', todo => todo.removeSubtask(subtaskId));
     }
 
-    // ===== フィルター・検索・ソート =====
+    // ===== 依存関係 =====
 
     /**
-     * フィルターを設定
-     * @param {Object} filter - フィルター設定
-     * @param {string} [filter.search=''] - 検索キーワード
-     * @param {string} [filter.category=''] - カテゴリフィルター
-     * @param {string} [filter.priority=''] - 優先度フィルター
-     * @param {string} [filter.status=''] - 状態フィルター
-     * @param {string} [filter.sortBy='createdAt'] - ソート基準
-     * @param {string} [filter.sortOrder='desc'] - ソート順序
+     * 依存先（先に完了が必要なTODO）を追加
+     * @param {string} todoId - TodoのID
+     * @param {string} prerequisiteId - 依存先のTodoのID
+     * @returns {Todo} - 更新されたTodo
+     * @throws {Error} - タスクが見つからない、または依存関係が循環する場合
      */
-    setFilter(filter) {
-        this.currentFilter = {
-            ...this.currentFilter,
-            ...filter
-        };
+    addDependency(todoId, prerequisiteId) {
+        const todo = this.getTodoById(todoId);
 
-        this.applyFilter();
+        if (!todo) {
+            throw new Error('指定されたタスクが見つかりません');
+        }
 
-        // イベント発火
-        this.emit('filterChanged', { filter: this.currentFilter });
+        return this.updateTodo(todoId, { dependsOn: [...todo.dependsOn, prerequisiteId] });
     }
 
     /**
-     * 現在のフィルター設定を適用
+     * 依存先を外す
+     * @param {string} todoId - TodoのID
+     * @param {string} prerequisiteId - 依存先のTodoのID
+     * @returns {Todo} - 更新されたTodo
      */
-    applyFilter() {
-        let filtered = [...this.todos];
+    removeDependency(todoId, prerequisiteId) {
+        const todo = this.getTodoById(todoId);
 
-        // 検索フィルター
-        if (this.currentFilter.search) {
-            const searchTerm = this.currentFilter.search.toLowerCase();
-            filtered = filtered.filter(todo =>
-                todo.getSearchText().includes(searchTerm)
-            );
+        if (!todo) {
+            throw new Error('指定されたタスクが見つかりません');
         }
 
-        // カテゴリフィルター
-        if (this.currentFilter.category) {
-            filtered = filtered.filter(todo => todo.category === this.currentFilter.category);
-        }
+        return this.updateTodo(todoId, { dependsOn: todo.dependsOn.filter(id => id !== prerequisiteId) });
+    }
 
-        // 優先度フィルター
-        if (this.currentFilter.priority) {
-            filtered = filtered.filter(todo => todo.priority === this.currentFilter.priority);
-        }
+    /**
+     * 依存先のうち、まだ完了していないTODOを取得（ゴミ箱の依存先は除く）
+     * @param {string} todoId - TodoのID
+     * @returns {Array<Todo>} - 完了を待っているTodo配列
+     */
+    getBlockingTodos(todoId) {
+        const todo = this.getTodoById(todoId);
 
-        // 状態フィルター
-        if (this.currentFilter.status) {
-            if (this.currentFilter.status === 'completed') {
-                filtered = filtered.filter(todo => todo.completed);
-            } else if (this.currentFilter.status === 'pending') {
-                filtered = filtered.filter(todo => !todo.completed);
-            }
+        if (!todo) {
+            return [];
         }
 
-        // ソート
-        filtered.sort((a, b) => {
-            let comparison = 0;
-
-            switch (this.currentFilter.sortBy) {
-                case 'title':
-                    comparison = a.title.localeCompare(b.title);
-                    break;
-                case 'priority':
-                    comparison = Todo.getPriorityValue(b.priority) - Todo.getPriorityValue(a.priority);
-                    break;
-                case 'dueDate':
-                    const aDate = a.dueDate ? new Date(a.dueDate) : new Date('9999-12-31');
-                    const bDate = b.dueDate ? new Date(b.dueDate) : new Date('9999-12-31');
-                    comparison = aDate - bDate;
-                    break;
-                case 'createdAt':
-                default:
-                    comparison = new Date(a.createdAt) - new Date(b.createdAt);
-                    break;
-            }
-
-            return this.currentFilter.sortOrder === 'desc' ? -comparison : comparison;
-        });
-
-        this.filteredTodos = filtered;
+        return todo.dependsOn
+            .map(prerequisiteId => this.getTodoById(prerequisiteId))
+            .filter(prerequisite => prerequisite && !prerequisite.completed && !prerequisite.isTrashed());
     }
 
     /**
-     * フィルターをクリア
+     * 未完了の依存先があるかチェック
+     * @param {string} todoId - TodoのID
+     * @returns {boolean} - 依存先の完了待ちの場合true
      */
-    clearFilter() {
-        this.currentFilter = {
-            search: '',
-            category: '',
-            priority: '',
-            status: '',
-            sortBy: 'createdAt',
-            sortOrder: 'desc'
-        };
-
-        this.applyFilter();
+    isBlocked(todoId) {
+        return this.getBlockingTodos(todoId).length > 0;
+    }
 
-        // イベント発火
-        this.emit('filterChanged', { filter: this.currentFilter });
+    /**
+     * このTODOの完了を待っているTODOを取得（ゴミ箱のTODOは除く）
+     * @param {string} todoId - TodoのID
+     * @returns {Array<Todo>} - 依存先にこのTODOを含むTodo配列
+     */
+    getDependents(todoId) {
+        return this.getActiveTodos().filter(todo => todo.hasDependency(todoId));
     }
 
-    // ===== 統計・分析 =====
+    // ===== 作業時間 =====
 
     /**
-     * TODO統計を取得
-     * @returns {Object} - 統計情報
+     * 作業時間の計測を開始
+     * 同時に計測できるのは1件のみのため、他のTODOで計測中の場合はそちらを終了する
+     * @param {string} todoId - TodoのID
+     * @returns {Object} - 追加された作業記録
+     * @throws {Error} - タスクが見つからない、完了済み、または既に計測中の場合
      */
-    getStatistics() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(todo => todo.completed).length;
-        const pending = total - completed;
+    startTimer(todoId) {
+        return this._changeTimer(todoId, 'started', (todo) => {
+            if (todo.completed) {
+                throw new Error('完了したタスクの作業時間は計測できません');
+            }
+            if (todo.getRunningTimeEntry()) {
+                throw new Error('このタスクは既に計測中です');
+            }
 
-        // カテゴリ別統計
-        const categoryStats = {};
-        this.todos.forEach(todo => {
-            const category = todo.category || 'その他';
-            categoryStats[category] = (categoryStats[category] || 0) + 1;
-        });
+            const now = new Date();
+            const stopped = this.todos
+                .filter(other => other.getRunningTimeEntry())
+                .map(other => {
+                    other.stopTimer(now);
+                    this._markDirty(other.id);
+                    return other;
+                });
 
-        // 優先度別統計
-        const priorityStats = {};
-        this.todos.forEach(todo => {
-            priorityStats[todo.priority] = (priorityStats[todo.priority] || 0) + 1;
+            return { entry: todo.startTimer(now), stopped };
         });
+    }
 
-        // 期限状態統計
-        const dueStats = {
-            overdue: 0,
-            dueSoon: 0,
-            normal: 0,
-            noDueDate: 0
-        };
-
-        this.todos.filter(todo => !todo.completed).forEach(todo => {
-            if (!todo.dueDate) {
-                dueStats.noDueDate++;
-            } else {
-                const status = todo.getDueStatus();
-                dueStats[status]++;
+    /**
+     * 作業時間の計測を終了
+     * @param {string} todoId - TodoのID
+     * @returns {Object} - 終了した作業記録
+     * @throws {Error} - タスクが見つからない、または計測中でない場合
+     */
+    stopTimer(todoId) {
+        return this._changeTimer(todoId, 'stopped', (todo) => {
+            if (!todo.getRunningTimeEntry()) {
+                throw new Error('このタスクは計測中ではありません');
             }
-        });
 
-        return {
-            total,
-            completed,
-            pending,
-            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
-            categoryStats,
-            priorityStats,
-            dueStats
-        };
+            return { entry: todo.stopTimer(), stopped: [] };
+        });
     }
 
-    // ===== エクスポート・インポート =====
-
     /**
-     * データをエクスポート
-     * @returns {string|null} - JSON文字列、エラー時はnull
+     * 作業記録を削除
+     * @param {string} todoId - TodoのID
+     * @param {string} entryId - 作業記録のID
+     * @returns {Object} - 削除された作業記録
      */
-    exportData() {
-        return this.storageManager.exportData();
+    deleteTimeEntry(todoId, entryId) {
+        return this._changeTimer(todoId, 'deleted', (todo) => {
+            if (!todo.timeEntries.some(entry => entry.id === entryId)) {
+                throw new Error('指定された作業記録が見つかりません');
+            }
+
+            return { entry: todo.removeTimeEntry(entryId), stopped: [] };
+        });
     }
 
     /**
-     * データをインポート
-     * @param {string} jsonString - インポートするJSON文字列
-     * @param {boolean} [merge=false] - 既存データと結合するか
-     * @returns {boolean} - インポート成功の可否
+     * 計測中の作業時間を取得
+     * @returns {{todo: Todo, entry: Object}|null} - 計測中のTodoと作業記録、計測中でない場合はnull
      */
-    importData(jsonString, merge = false) {
-        try {
-            if (!this.storageManager.importData(jsonString, merge)) {
-                throw new Error('データのインポートに失敗しました');
-            }
+    getRunningTimer() {
+        const todo = this.todos.find(item => item.getRunningTimeEntry());
+        return todo ? { todo, entry: todo.getRunningTimeEntry() } : null;
+    }
 
-            // データを再読み込み
-            this.loadTodos();
+    // ===== 添付 =====
 
-            return true;
+    /**
+     * リンクを添付
+     * @param {string} todoId - TodoのID
+     * @param {string} url - URL（http/https）
+     * @param {string} [label=''] - 表示名（省略時はURLから作成）
+     * @returns {Object} - 追加された添付
+     * @throws {Error} - タスクが見つからない、またはURLが不正な場合
+     */
+    addLinkAttachment(todoId, url, label = '') {
+        const trimmedUrl = typeof url === 'string' ? url.trim() : '';
+        if (!/^https?:\/\/\S+$/i.test(trimmedUrl)) {
+            throw new Error('http:// または https:// で始まるURLを入力してください');
+        }
 
-        } catch (error) {
-            console.error('Error importing data:', error);
-            throw error;
+        return this._changeAttachment(todoId, null, 'added', todo => todo.addAttachment({ type: 'link', url: trimmedUrl, label }));
+    }
+
+    /**
+     * ファイルを添付
+     * ファイルの内容はTODOとは別にストレージへ保存し、TODOには名前・種類・サイズのみを持つ
+     * @param {string} todoId - TodoのID
+     * @param {Object} file - ファイル
+     * @param {string} file.name - ファイル名
+     * @param {string} file.mimeType - MIMEタイプ
+     * @param {string} file.dataUrl - 内容（Base64形式のData URL）
+     * @returns {Object} - 追加された添付
+     * @throws {Error} - タスクが見つからない、サイズ上限を超えている、または保存できない場合
+     */
+    addFileAttachment(todoId, { name, mimeType, dataUrl }) {
+        const content = ZipArchive.fromDataUrl(dataUrl);
+        if (!content) {
+            throw new Error('添付ファイルの内容を読み込めません');
         }
+        this.storageManager.validateAttachmentSize(content.bytes.length);
+
+        return this._changeAttachment(todoId, null, 'added', todo => {
+            const attachment = todo.addAttachment({ type: 'file', name, mimeType: mimeType || content.mimeType, size: content.bytes.length });
+
+            try {
+                this.storageManager.saveAttachmentData(attachment.id, dataUrl);
+            } catch (error) {
+                todo.removeAttachment(attachment.id);
+                throw error;
+            }
+
+            return attachment;
+        });
     }
 
-    // ===== イベント管理 =====
+    /**
+     * 添付を外す
+     * （ファイルの内容は元に戻せるよう残し、次回起動時に参照されていなければ削除する）
+     * @param {string} todoId - TodoのID
+     * @param {string} attachmentId - 添付のID
+     * @returns {Object} - 外した添付
+     */
+    removeAttachment(todoId, attachmentId) {
+        return this._changeAttachment(todoId, attachmentId, 'removed', todo => todo.removeAttachment(attachmentId));
+    }
 
     /**
-     * イベントリスナーを追加
-     * @param {string} eventName - イベント名
-     * @param {function} callback - コールバック関数
+     * 添付ファイルの内容を取得
+     * @param {string} attachmentId - 添付のID
+     * @returns {string|null} - 内容（Base64形式のData URL）、見つからない場合はnull
      */
-    addEventListener(eventName, callback) {
-        if (!this.eventListeners.has(eventName)) {
-            this.eventListeners.set(eventName, []);
+    getAttachmentData(attachmentId) {
+        return this.storageManager.loadAttachmentData(attachmentId);
+    }
+
+    /**
+     * 添付ファイル1件あたりのサイズ上限を取得
+     * @returns {number} - バイト数
+     */
+    getAttachmentSizeLimit() {
+        return this.storageManager.getAttachmentSizeLimit();
+    }
+
+    // ===== リマインダー =====
+
+    /**
+     * リマインダーを追加
+     * @param {string} todoId - TodoのID
+     * @param {Object} reminderData - リマインダーのデータ（type: 'absolute' と at、または type: 'beforeDue' と offsetMinutes）
+     * @returns {Object} - 追加されたリマインダー
+     * @throws {Error} - タスクが見つからない、期限がないのに期限の前を指定した、または日時が不正な場合
+     */
+    addReminder(todoId, reminderData) {
+        return this._changeReminder(todoId, null, 'added', todo => {
+            if (reminderData.type === 'beforeDue' && !todo.dueDate) {
+                throw new Error('期限が設定されていないタスクには「期限の前」のリマインダーを設定できません');
+            }
+            if (reminderData.type === 'absolute' && (!reminderData.at || isNaN(new Date(reminderData.at).getTime()))) {
+                throw new Error('通知する日時を入力してください');
+            }
+
+            return todo.addReminder(reminderData);
+        });
+    }
+
+    /**
+     * リマインダーを削除
+     * @param {string} todoId - TodoのID
+     * @param {string} reminderId - リマインダーのID
+     * @returns {Object} - 削除されたリマインダー
+     */
+    removeReminder(todoId, reminderId) {
+        return this._changeReminder(todoId, reminderId, 'removed', todo => todo.removeReminder(reminderId));
+    }
+
+    /**
+     * 通知したリマインダーを後で再通知する（スヌーズ）
+     * @param {string} todoId - TodoのID
+     * @param {string} reminderId - リマインダーのID
+     * @param {number} minutes - 再通知までの時間（分）
+     * @returns {Object} - 更新されたリマインダー
+     */
+    snoozeReminder(todoId, reminderId, minutes) {
+        return this._changeReminder(todoId, reminderId, 'snoozed', todo => todo.snoozeReminder(reminderId, minutes));
+    }
+
+    /**
+     * 通知したリマインダーを閉じる
+     * @param {string} todoId - TodoのID
+     * @param {string} reminderId - リマインダーのID
+     * @returns {Object} - 更新されたリマインダー
+     */
+    dismissReminder(todoId, reminderId) {
+        return this._changeReminder(todoId, reminderId, 'dismissed', todo => todo.dismissReminder(reminderId));
+    }
+
+    /**
+     * 通知日時を過ぎたリマインダーを取得（ゴミ箱・完了のTODOは除く）
+     * アプリを閉じている間に通知日時を過ぎたものも含む
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Array<{todo: Todo, reminder: Object, time: Date}>} - 通知日時の古い順
+     */
+    getDueReminders(now = new Date()) {
+        return this.getActiveTodos()
+            .flatMap(todo => todo.getDueReminders(now).map(reminder => ({ todo, reminder, time: todo.getNextReminderTime(reminder) })))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * 次に通知するリマインダーの日時を取得
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Date|null} - 現在日時より後の最も早い通知日時、ない場合はnull
+     */
+    getNextReminderTime(now = new Date()) {
+        return this.getActiveTodos().reduce((earliest, todo) => {
+            todo.reminders.forEach(reminder => {
+                const time = todo.getNextReminderTime(reminder);
+                if (time && time > now && (!earliest || time < earliest)) {
+                    earliest = time;
+                }
+            });
+            return earliest;
+        }, null);
+    }
+
+    // ===== 開始日時・スヌーズ =====
+
+    /**
+     * TODOを指定した日時まで一覧に表示しない（スヌーズ）
+     * 開始日時を設定し、その日時を迎えると一覧に再び表示される
+     * @param {string} todoId - TodoのID
+     * @param {Date} until - 再び表示する日時
+     * @returns {Todo} - スヌーズしたTodo
+     * @throws {Error} - タスクが見つからない、完了済み、または日時が現在より前の場合
+     */
+    snoozeTodo(todoId, until) {
+        return this._record('タスクのスヌーズ', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+
+                if (todo.completed) {
+                    throw new Error('完了したタスクはスヌーズできません');
+                }
+                if (!(until instanceof Date) || isNaN(until.getTime()) || until <= new Date()) {
+                    throw new Error('再表示する日時には現在より後の日時を指定してください');
+                }
+
+                todo.snooze(until);
+
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('todoSnoozed', { todo, until: todo.startDate });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return todo;
+
+            } catch (error) {
+                console.error('Error snoozing todo:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 開始日時を迎えていないTODOを取得（ゴミ箱・完了のTODOは除く）
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Array<Todo>} - 開始日時の早い順のTodo配列
+     */
+    getScheduledTodos(now = new Date()) {
+        return this.getActiveTodos()
+            .filter(todo => todo.isScheduled(now))
+            .sort((a, b) => a.startDate - b.startDate);
+    }
+
+    /**
+     * 前回の確認以降に開始日時を迎えたTODOを確認し、一覧に再び表示する
+     * 該当するTODOがある場合はフィルターを再適用し、todosStartedイベントを発火する
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {Array<Todo>} - 開始日時を迎えたTodo配列
+     */
+    refreshStartDates(now = new Date()) {
+        const since = this.lastStartDateCheck;
+        const started = this.getActiveTodos().filter(todo =>
+            !todo.completed && todo.startDate && todo.startDate > since && todo.startDate <= now
+        );
+
+        this.lastStartDateCheck = now;
+
+        if (started.length > 0) {
+            this.applyFilter();
+
+            this.emit('todosStarted', { todos: started });
+            this.emit('todosChanged', { todos: this.todos });
         }
 
-        this.eventListeners.get(eventName).push(callback);
+        return started;
     }
 
+    // ===== 並び替え =====
+
     /**
-     * イベントリスナーを削除
-     * @param {string} eventName - イベント名
-     * @param {function} callback - コールバック関数
+     * TODOを手動の並び順で別のTODOの前または後ろに移動
+     * 移動するTODOだけに前後のTODOの間の位置を設定し、間が空いていない場合のみすべての位置を振り直す
+     * @param {string} todoId - 移動するTodoのID
+     * @param {string} targetId - 基準にするTodoのID
+     * @param {string} [placement='before'] - 基準のTODOの前（before）または後ろ（after）
+     * @returns {Todo} - 移動したTodo
+     * @throws {Error} - タスクが見つからない、またはゴミ箱のタスクの場合
      */
-    removeEventListener(eventName, callback) {
-        if (this.eventListeners.has(eventName)) {
-            const listeners = this.eventListeners.get(eventName);
-            const index = listeners.indexOf(callback);
-            if (index > -1) {
-                listeners.splice(index, 1);
+    moveTodo(todoId, targetId, placement = 'before') {
+        return this._record('並び替え', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+                const target = this._findEditableTodo(targetId);
+
+                if (todo === target) {
+                    return todo;
+                }
+
+                const ordered = this.getActiveTodos()
+                    .sort((a, b) => this._comparePosition(a, b))
+                    .filter(item => item !== todo);
+                const index = ordered.indexOf(target) + (placement === 'after' ? 1 : 0);
+                const position = this._getPositionBetween(ordered[index - 1], ordered[index]);
+
+                // 位置は内容の変更ではないため、更新日時は変更しない
+                if (position !== null) {
+                    todo.position = position;
+                    this._markDirty(todo.id);
+                } else {
+                    this._renumberPositions(todo, target, placement);
+                }
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('todoMoved', { todo, target, placement });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return todo;
+
+            } catch (error) {
+                console.error('Error moving todo:', error);
+                throw error;
             }
+        });
+    }
+
+    /**
+     * TODOを表示中の一覧で1つ上または下に移動（キーボード操作用）
+     * フィルターで隠れているTODOは飛ばし、表示中の隣のTODOの前または後ろに移動する
+     * @param {string} todoId - 移動するTodoのID
+     * @param {number} direction - 移動する方向（-1: 上 / 1: 下）
+     * @returns {Todo|null} - 移動したTodo、一覧の端で移動できない場合はnull
+     * @throws {Error} - 並び順が手動でない場合
+     */
+    moveTodoInList(todoId, direction) {
+        if (this.currentFilter.sortBy !== 'manual') {
+            throw new Error('並び順を「手動」にすると並び替えできます');
         }
+
+        const index = this.filteredTodos.findIndex(todo => todo.id === todoId);
+        const target = index === -1 ? null : this.filteredTodos[index + direction];
+
+        if (!target) {
+            return null;
+        }
+
+        return this.moveTodo(todoId, target.id, direction < 0 ? 'before' : 'after');
     }
 
+    // ===== ゴミ箱 =====
+
     /**
-     * イベントを発火
-     * @param {string} eventName - イベント名
-     * @param {*} data - イベントデータ
+     * ゴミ箱のTODOを取得
+     * @returns {Array<Todo>} - ゴミ箱に移動した日時の新しい順のTodo配列
      */
-    emit(eventName, data) {
-        if (this.eventListeners.has(eventName)) {
-            const listeners = this.eventListeners.get(eventName);
-            listeners.forEach(callback => {
-                try {
-                    callback(data);
-                } catch (error) {
-                    console.error(`Error in event listener for ${eventName}:`, error);
+    getTrashedTodos() {
+        return this.todos
+            .filter(todo => todo.isTrashed())
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+
+    /**
+     * ゴミ箱のTODOを元に戻す
+     * @param {string} todoId - TodoのID
+     * @returns {Todo} - 元に戻したTodo
+     * @throws {Error} - ゴミ箱にタスクが見つからない場合
+     */
+    restoreTodo(todoId) {
+        return this._record('ゴミ箱から元に戻す', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findTrashedTodo(todoId);
+                todo.restoreFromTrash();
+
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('todoRestored', { todo });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return todo;
+
+            } catch (error) {
+                console.error('Error restoring todo:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * ゴミ箱のTODOを完全に削除
+     * このTODOの完了を待っていたTODOからは依存先を外す
+     * @param {string} todoId - TodoのID
+     * @returns {boolean} - 削除成功の可否
+     * @throws {Error} - ゴミ箱にタスクが見つからない場合
+     */
+    deleteTodoPermanently(todoId) {
+        return this._record('タスクの完全な削除', () => {
+            try {
+                this._ensureWritable();
+
+                this._purgeTodos([this._findTrashedTodo(todoId)], false);
+
+                return true;
+
+            } catch (error) {
+                console.error('Error deleting todo permanently:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * ゴミ箱を空にする（ゴミ箱のTODOをすべて完全に削除）
+     * @returns {number} - 削除したTODOの件数
+     */
+    emptyTrash() {
+        return this._record('ゴミ箱を空にする', () => {
+            try {
+                this._ensureWritable();
+
+                const trashed = this.getTrashedTodos();
+                if (trashed.length > 0) {
+                    this._purgeTodos(trashed, false);
                 }
-            });
+
+                return trashed.length;
+
+            } catch (error) {
+                console.error('Error emptying trash:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 保持日数を過ぎたゴミ箱のTODOを完全に削除
+     * @param {Date} [now=new Date()] - 現在日時
+     * @returns {number} - 削除したTODOの件数
+     */
+    purgeExpiredTrash(now = new Date()) {
+        if (this.trashRetentionDays === 0) {
+            return 0;
+        }
+
+        this._ensureWritable();
+
+        const expiresBefore = now.getTime() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.getTrashedTodos().filter(todo => todo.deletedAt.getTime() <= expiresBefore);
+
+        if (expired.length > 0) {
+            this._purgeTodos(expired, true);
         }
+
+        return expired.length;
     }
 
-    // ===== Getter =====
+    /**
+     * ゴミ箱の保持日数を取得
+     * @returns {number} - 保持日数（0の場合は自動で削除しない）
+     */
+    getTrashRetentionDays() {
+        return this.trashRetentionDays;
+    }
 
     /**
-     * すべてのTODOを取得
-     * @returns {Array<Todo>} - Todo配列
+     * ゴミ箱の保持日数を設定して保存し、保持日数を過ぎたTODOを完全に削除
+     * @param {number} days - 保持日数（0〜365の整数。0の場合は自動で削除しない）
+     * @returns {number} - 完全に削除したTODOの件数
+     * @throws {Error} - 日数が不正、または保存に失敗した場合
      */
-    getAllTodos() {
-        return [...this.todos];
+    setTrashRetentionDays(days) {
+        return this._record('ゴミ箱の保持日数の変更', () => {
+            const retentionDays = Number(days);
+
+            if (!Number.isInteger(retentionDays) || retentionDays < 0 || retentionDays > 365) {
+                throw new Error('ゴミ箱の保持日数は0〜365の整数で指定してください');
+            }
+
+            this._ensureWritable();
+
+            if (!this.storageManager.saveSettings({ trashRetentionDays: retentionDays })) {
+                throw new Error('データの保存に失敗しました');
+            }
+
+            this.trashRetentionDays = retentionDays;
+            this._touchRegistry('settings');
+
+            return this.purgeExpiredTrash();
+        });
     }
 
+    // ===== カテゴリ =====
+
     /**
-     * フィルターされたTODOを取得
-     * @returns {Array<Todo>} - フィルター済みTodo配列
+     * すべてのカテゴリを並び順どおりに取得
+     * @returns {Array<{id: string, name: string, color: string}>} - カテゴリの配列
      */
-    getFilteredTodos() {
-        return [...this.filteredTodos];
+    getCategories() {
+        return this.categories.getAll();
     }
 
     /**
-     * 現在のフィルター設定を取得
-     * @returns {Object} - フィルター設定
+     * IDでカテゴリを取得
+     * @param {string} categoryId - カテゴリID
+     * @returns {Object|null} - カテゴリ（id, name, color）、見つからない場合はnull
      */
-    getCurrentFilter() {
-        return { ...this.currentFilter };
+    getCategory(categoryId) {
+        return this.categories.get(categoryId);
     }
 
     /**
-     * ストレージ情報を取得
-     * @returns {Object} - ストレージ使用量情報
+     * カテゴリを作成
+     * @param {Object} categoryData - カテゴリのデータ
+     * @param {string} categoryData.name - 名前
+     * @param {string} [categoryData.color] - カラーコード（#rrggbb）
+     * @returns {Object} - 作成されたカテゴリ
      */
-    getStorageInfo() {
-        return this.storageManager.getStorageInfo();
+    createCategory(categoryData) {
+        return this._changeCategories(() => this.categories.create(categoryData));
+    }
+
+    /**
+     * カテゴリの名前を変更
+     * TODOはカテゴリIDで参照しているため、名前を変えてもTODOはそのカテゴリに残る。
+     * 他のカテゴリと同じ名前に変更した場合は、そのカテゴリに統合する（TODOを付け替えて元のカテゴリを削除）
+     * @param {string} categoryId - カテゴリID
+     * @param {string} name - 新しい名前
+     * @returns {Object} - 変更後のカテゴリ（統合した場合は統合先のカテゴリ）
+     */
+    renameCategory(categoryId, name) {
+        return this._changeCategories(() => {
+            const targetId = this.categories.resolve(name);
+            const isSameName = targetId &&
+                this.categories.getDisplayName(targetId).toLowerCase() === String(name).trim().toLowerCase();
+
+            if (isSameName && targetId !== categoryId && this.categories.has(categoryId)) {
+                this._reassignCategory(categoryId, targetId);
+                this._reassignListCategory(categoryId, targetId);
+                this.categories.remove(categoryId);
+                return this.categories.get(targetId);
+            }
+
+            return this.categories.rename(categoryId, name);
+        });
+    }
+
+    /**
+     * カテゴリの色を変更
+     * @param {string} categoryId - カテゴリID
+     * @param {string} color - カラーコード（#rrggbb）
+     * @returns {Object} - 変更後のカテゴリ
+     */
+    recolorCategory(categoryId, color) {
+        return this._changeCategories(() => this.categories.recolor(categoryId, color));
+    }
+
+    /**
+     * カテゴリの並び順を変更
+     * @param {Array<string>} categoryIds - 新しい並び順のカテゴリID
+     * @returns {Array<Object>} - 並び替え後のカテゴリ
+     */
+    reorderCategories(categoryIds) {
+        return this._changeCategories(() => {
+            this.categories.reorder(categoryIds);
+            return this.categories.getAll();
+        });
+    }
+
+    /**
+     * カテゴリを削除し、そのカテゴリのTODO（と、既定のカテゴリにしているリスト）を別のカテゴリに付け替える
+     * @param {string} categoryId - 削除するカテゴリID
+     * @param {string} [reassignTo=''] - 付け替え先のカテゴリID（空文字の場合はカテゴリなし）
+     * @returns {number} - 付け替えたTODOの件数
+     */
+    deleteCategory(categoryId, reassignTo = '') {
+        let reassigned = 0;
+
+        this._changeCategories(() => {
+            if (reassignTo && (reassignTo === categoryId || !this.categories.has(reassignTo))) {
+                throw new Error('付け替え先のカテゴリが見つかりません');
+            }
+
+            const category = this.categories.remove(categoryId);
+            reassigned = this._reassignCategory(categoryId, reassignTo);
+            this._reassignListCategory(categoryId, reassignTo);
+
+            if (this.currentFilter.category === categoryId) {
+                this.currentFilter.category = reassignTo;
+            }
+
+            return category;
+        });
+
+        return reassigned;
+    }
+
+    // ===== リスト =====
+
+    /**
+     * すべてのリストを作成順に取得
+     * @returns {Array<{id: string, name: string, color: string, defaultCategory: string}>} - リストの配列
+     */
+    getLists() {
+        return this.lists.getAll();
+    }
+
+    /**
+     * IDでリストを取得
+     * @param {string} listId - リストID
+     * @returns {Object|null} - リスト（id, name, color, defaultCategory）、見つからない場合はnull
+     */
+    getList(listId) {
+        return this.lists.get(listId);
+    }
+
+    /**
+     * 表示中のリストのIDを取得
+     * @returns {string|null} - リストID、すべてのリストを表示中の場合はnull
+     */
+    getCurrentListId() {
+        return this.currentListId;
+    }
+
+    /**
+     * 表示するリストを切り替え（選択は設定に保存し、次回の起動時も同じリストを表示する）
+     * @param {string|null} listId - リストID（nullの場合はすべてのリスト）
+     * @throws {Error} - リストが見つからない場合
+     */
+    setCurrentList(listId) {
+        if (listId !== null) {
+            this._findList(listId);
+        }
+
+        this.currentListId = listId;
+
+        // 保存できない場合（読み取り専用など）も表示は切り替える
+        if (this._isWritable()) {
+            this.storageManager.saveSettings({ currentListId: listId });
+        }
+
+        this.applyFilter();
+
+        // イベント発火
+        this.emit('currentListChanged', { listId });
+        this.emit('filterChanged', { filter: this.currentFilter });
+    }
+
+    /**
+     * リストを作成
+     * @param {Object} listData - リストのデータ
+     * @param {string} listData.name - 名前
+     * @param {string} [listData.color] - カラーコード（#rrggbb）
+     * @param {string} [listData.defaultCategory=''] - このリストに追加するタスクの既定のカテゴリID
+     * @returns {Object} - 作成されたリスト
+     */
+    createList(listData) {
+        return this._changeLists(() => {
+            if (listData && listData.defaultCategory) {
+                this._validateListCategory(listData.defaultCategory);
+            }
+
+            return this.lists.create(listData);
+        });
+    }
+
+    /**
+     * リストの名前を変更
+     * @param {string} listId - リストID
+     * @param {string} name - 新しい名前
+     * @returns {Object} - 変更後のリスト
+     */
+    renameList(listId, name) {
+        return this._changeLists(() => this.lists.rename(listId, name));
+    }
+
+    /**
+     * リストの色を変更
+     * @param {string} listId - リストID
+     * @param {string} color - カラーコード（#rrggbb）
+     * @returns {Object} - 変更後のリスト
+     */
+    recolorList(listId, color) {
+        return this._changeLists(() => this.lists.recolor(listId, color));
+    }
+
+    /**
+     * リストの既定のカテゴリを変更（以降にこのリストへ追加するタスクに適用し、既存のタスクは変更しない）
+     * @param {string} listId - リストID
+     * @param {string} categoryId - カテゴリID（空文字の場合はカテゴリなし）
+     * @returns {Object} - 変更後のリスト
+     */
+    setListDefaultCategory(listId, categoryId) {
+        return this._changeLists(() => {
+            if (categoryId) {
+                this._validateListCategory(categoryId);
+            }
+
+            return this.lists.setDefaultCategory(listId, categoryId);
+        });
+    }
+
+    /**
+     * リストを削除し、そのリストのTODO（ゴミ箱のTODOを含む）を別のリストに移動
+     * 削除したリストを表示中の場合は、移動先のリストを表示する
+     * @param {string} listId - 削除するリストID（既定のリストは削除できない）
+     * @param {string} [moveTo='default'] - 移動先のリストID
+     * @returns {number} - 移動したTODOの件数
+     */
+    deleteList(listId, moveTo = ListRegistry.getDefaultId()) {
+        let moved = 0;
+
+        this._changeLists(() => {
+            if (moveTo === listId || !this.lists.has(moveTo)) {
+                throw new Error('移動先のリストが見つかりません');
+            }
+
+            const list = this.lists.remove(listId);
+            const targets = this.todos.filter(todo => todo.listId === listId);
+
+            targets.forEach(todo => {
+                todo.update({ listId: moveTo });
+                this._markDirty(todo.id);
+            });
+            moved = targets.length;
+
+            if (this.currentListId === listId) {
+                this.setCurrentList(moveTo);
+            }
+
+            return list;
+        });
+
+        return moved;
+    }
+
+    /**
+     * TODOを別のリストに移動
+     * @param {string} todoId - 移動するTodoのID
+     * @param {string} listId - 移動先のリストID
+     * @returns {Todo} - 移動したTodo
+     * @throws {Error} - タスクまたはリストが見つからない、ゴミ箱のタスク、または移動先に同じタイトルの未完了タスクがある場合
+     */
+    moveTodoToList(todoId, listId) {
+        return this._record('リストの移動', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+                const list = this._findList(listId);
+                const fromListId = todo.listId;
+
+                if (fromListId === list.id) {
+                    return todo;
+                }
+
+                const duplicateExists = !todo.completed && this.getActiveTodos().some(item =>
+                    item.listId === list.id && !item.completed && item.title.toLowerCase() === todo.title.toLowerCase()
+                );
+
+                if (duplicateExists) {
+                    throw new Error(`リスト「${list.name}」に同じタイトルの未完了タスクが既に存在します`);
+                }
+
+                todo.update({ listId: list.id });
+
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('todoMovedToList', { todo, from: fromListId, to: list.id });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return todo;
+
+            } catch (error) {
+                console.error('Error moving todo to list:', error);
+                throw error;
+            }
+        });
+    }
+
+    // ===== データ操作 =====
+
+    /**
+     * ストレージからTODOを読み込み
+     * @returns {Array<Todo>} - 読み込まれたTodo配列
+     */
+    loadTodos() {
+        try {
+            // 未保存の変更を書き込んでから読み込む
+            this.flushChanges();
+
+            const previousIds = this.todos.map(todo => todo.id);
+
+            this.todos = this.storageManager.loadTodos();
+            this._registerCategories(this.todos);
+            this._registerLists(this.todos);
+            this._ensurePositions();
+            // 一部だけのインポートなどで参照先がなくなった依存先を外す
+            this._pruneDependencies();
+            this._ensureSingleTimer();
+            this._commitLoadedTodos(previousIds);
+            this.applyFilter();
+
+            // 読み取り専用や未解錠の場合は完全に削除しない
+            if (this._isWritable()) {
+                this.purgeExpiredTrash();
+            }
+
+            // イベント発火
+            this.emit('todosChanged', { todos: this.todos });
+
+            return this.todos;
+
+        } catch (error) {
+            console.error('Error loading todos:', error);
+            this.todos = [];
+            this.filteredTodos = [];
+            this.committedTodos = new Map();
+            return [];
+        }
+    }
+
+    /**
+     * すべてのTODOをゴミ箱に移動
+     * @returns {boolean} - クリア成功の可否
+     */
+    clearAllTodos() {
+        return this._record('すべてのタスクの削除', () => {
+            try {
+                this._ensureWritable();
+
+                const now = new Date();
+                this.getActiveTodos().forEach(todo => {
+                    todo.moveToTrash(now);
+                    this._markDirty(todo.id);
+                });
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('todosChanged', { todos: this.todos });
+
+                return true;
+
+            } catch (error) {
+                console.error('Error clearing todos:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 未保存の変更をすぐに書き込む
+     * 変更のあったTODOのみを書き込むため、他のタブで保存された内容を上書きしない。
+     * 保存に失敗したカテゴリ・リストもここで再試行する。
+     * 失敗した変更は保持して次回に再試行し、saveFailedイベントを発火する
+     * （非同期バックエンドで後から書き込みに失敗した場合も、変更を未保存に戻してsaveFailedイベントを発火する）
+     * @returns {boolean} - 保存成功の可否（未保存の変更がない場合もtrue）
+     */
+    flushChanges() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        if (!this.hasPendingChanges()) {
+            return true;
+        }
+
+        const registries = [...this.dirtyRegistries];
+        const upserts = [...this.dirtyIds]
+            .map(todoId => this.todos.find(todo => todo.id === todoId))
+            .filter(todo => todo);
+        const deletes = [...this.deletedIds];
+
+        const registryWrites = registries.map(name => this._writeRegistry(name));
+        const todoWrite = this.storageManager.saveChanges(upserts, deletes);
+
+        if (todoWrite) {
+            this.dirtyIds.clear();
+            this.deletedIds.clear();
+        }
+
+        // 1回の保存で失敗を1度だけ通知するよう、この保存で開始した書き込みをまとめて監視する
+        const writes = [...registryWrites, todoWrite].filter(write => write);
+        this._watchWrites(writes, {
+            upsertIds: todoWrite ? upserts.map(todo => todo.id) : [],
+            deleteIds: todoWrite ? deletes : [],
+            registries: registries.filter((name, index) => registryWrites[index])
+        });
+
+        if (writes.length < registries.length + 1) {
+            const error = new Error('データの保存に失敗しました');
+            console.error('Error saving changes:', error);
+            this.emit('saveFailed', { error });
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 未保存の変更があるかチェック
+     * @returns {boolean} - 未保存の変更（保存に失敗したカテゴリ・リストを含む）がある場合true
+     */
+    hasPendingChanges() {
+        return this.dirtyIds.size > 0 || this.deletedIds.size > 0 || this.dirtyRegistries.size > 0;
+    }
+
+    // ===== 元に戻す・やり直し =====
+
+    /**
+     * 最後の操作を元に戻す
+     * @param {number|null} [commandId=null] - 元に戻す操作のコマンドID（指定した場合、最後の操作でなければ元に戻さない）
+     * @returns {string} - 元に戻した操作の表示名
+     * @throws {Error} - 元に戻せる操作がない、または指定した操作の後に別の操作が行われている場合
+     */
+    undo(commandId = null) {
+        const command = this.history.peekUndo();
+
+        if (!command) {
+            throw new Error('元に戻せる操作がありません');
+        }
+        if (commandId !== null && command.id !== commandId) {
+            throw new Error('後から別の操作が行われたため、この操作は元に戻せません');
+        }
+
+        try {
+            this.history.undo();
+            this.emit('historyChanged', this.getHistoryState());
+            return command.label;
+
+        } catch (error) {
+            console.error('Error undoing command:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 最後に元に戻した操作をやり直す
+     * @returns {string} - やり直した操作の表示名
+     * @throws {Error} - やり直せる操作がない場合
+     */
+    redo() {
+        const command = this.history.peekRedo();
+
+        if (!command) {
+            throw new Error('やり直せる操作がありません');
+        }
+
+        try {
+            this.history.redo();
+            this.emit('historyChanged', this.getHistoryState());
+            return command.label;
+
+        } catch (error) {
+            console.error('Error redoing command:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 元に戻す・やり直しの状態を取得
+     * @returns {{undo: {id: number, label: string}|null, redo: {id: number, label: string}|null}} - 次に元に戻す・やり直す操作
+     */
+    getHistoryState() {
+        const toState = (command) => command ? { id: command.id, label: command.label } : null;
+
+        return {
+            undo: toState(this.history.peekUndo()),
+            redo: toState(this.history.peekRedo())
+        };
+    }
+
+    /**
+     * 元に戻す・やり直しの履歴を破棄
+     */
+    clearHistory() {
+        this.history.clear();
+        this.emit('historyChanged', this.getHistoryState());
+    }
+
+    // ===== タブ間同期 =====
+
+    /**
+     * 他のタブとの同期を開始
+     * 他のタブで保存された変更はメモリ上のリストに結合され、todosChangedイベントが発火する
+     * （他のタブで暗号化の設定が変更された場合はencryptionChangedイベント、
+     * カテゴリが変更された場合はcategoriesChangedイベント、リストが変更された場合はlistsChangedイベントが発火する）
+     */
+    startSync() {
+        this.storageManager.startSync(
+            (changes) => this.applyRemoteChanges(changes),
+            () => this.emit('encryptionChanged', { remote: true }),
+            () => this.reloadCategories(),
+            () => this.reloadLists()
+        );
+    }
+
+    /**
+     * 他のタブとの同期を停止
+     */
+    stopSync() {
+        this.storageManager.stopSync();
+    }
+
+    /**
+     * 他のタブでの変更をメモリ上のリストに結合
+     * 同じTODOがこのタブでより新しく更新されている場合はこのタブの内容を残す
+     * （変更はすでに保存済みのため、ここでは保存しない）。
+     * 元に戻すと他のタブでの変更を上書きしてしまうため、元に戻す・やり直しの履歴は破棄する
+     * @param {Object} changes - 変更内容
+     * @param {Array<Todo>} changes.upserts - 追加・更新されたTODO
+     * @param {Array<string>} changes.deletes - 削除されたTODOのID
+     * @returns {boolean} - メモリ上のリストが変更された場合true
+     */
+    applyRemoteChanges({ upserts, deletes }) {
+        let changed = false;
+
+        upserts.forEach(remoteTodo => {
+            const index = this.todos.findIndex(todo => todo.id === remoteTodo.id);
+
+            if (index === -1) {
+                this.todos.push(remoteTodo);
+                changed = true;
+                return;
+            }
+
+            const localTodo = this.todos[index];
+            if (remoteTodo.updatedAt >= localTodo.updatedAt &&
+                JSON.stringify(remoteTodo) !== JSON.stringify(localTodo)) {
+                this.todos[index] = remoteTodo;
+                this.dirtyIds.delete(remoteTodo.id);
+                changed = true;
+            }
+        });
+
+        deletes.forEach(todoId => {
+            this.dirtyIds.delete(todoId);
+            this.deletedIds.delete(todoId);
+
+            const index = this.todos.findIndex(todo => todo.id === todoId);
+            if (index !== -1) {
+                this.todos.splice(index, 1);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this._commitTodos([...upserts.map(todo => todo.id), ...deletes]);
+            this._registerCategories(upserts);
+            this._registerLists(upserts);
+            // 複数のタブでほぼ同時に計測を開始した場合に備える
+            this._ensureSingleTimer();
+            this.applyFilter();
+            this.clearHistory();
+            this.emit('todosChanged', { todos: this.todos, remote: true });
+        }
+
+        return changed;
+    }
+
+    /**
+     * 保存済みのカテゴリを読み直す（他のタブでカテゴリが変更された場合。元に戻す・やり直しの履歴は破棄する）
+     */
+    reloadCategories() {
+        this.categories = new CategoryRegistry(this.storageManager.loadCategories());
+        Todo.setCategoryRegistry(this.categories);
+        this._registerCategories(this.todos);
+        this._commitRegistry('categories');
+        this.clearHistory();
+
+        this.emit('categoriesChanged', { categories: this.categories.getAll(), remote: true });
+    }
+
+    /**
+     * 保存済みのリストを読み直す（他のタブでリストが変更された場合。元に戻す・やり直しの履歴は破棄する）
+     * 表示中のリストが削除されていた場合は既定のリストを表示する
+     */
+    reloadLists() {
+        this.lists = new ListRegistry(this.storageManager.loadLists());
+        this._registerLists(this.todos);
+        this._commitRegistry('lists');
+        this.clearHistory();
+
+        if (this.currentListId !== null && !this.lists.has(this.currentListId)) {
+            this.currentListId = ListRegistry.getDefaultId();
+        }
+        this.applyFilter();
+
+        this.emit('listsChanged', { lists: this.lists.getAll(), remote: true });
+        this.emit('todosChanged', { todos: this.todos, remote: true });
+    }
+
+    // ===== フィルター・検索・ソート =====
+
+    /**
+     * フィルターを設定
+     * @param {Object} filter - フィルター設定
+     * @param {string} [filter.search=''] - 検索キーワード
+     * @param {string} [filter.category=''] - カテゴリフィルター
+     * @param {Array<string>} [filter.tags=[]] - タグフィルター
+     * @param {string} [filter.tagMode='any'] - タグの一致条件（any: いずれかのタグ / all: すべてのタグ）
+     * @param {string} [filter.priority=''] - 優先度フィルター
+     * @param {string} [filter.status=''] - 状態フィルター（pending/completed/actionable: 着手可能/blocked: 依存先の完了待ち/scheduled: 開始日時の前）
+     *        開始日時の前のTODOは、scheduledを指定した場合のみ表示する
+     * @param {string} [filter.sortBy='createdAt'] - ソート基準（createdAt/dueDate/priority/title/manual: 手動の並び順）
+     * @param {string} [filter.sortOrder='desc'] - ソート順序
+     */
+    setFilter(filter) {
+        this.currentFilter = {
+            ...this.currentFilter,
+            ...filter
+        };
+
+        this.applyFilter();
+
+        // イベント発火
+        this.emit('filterChanged', { filter: this.currentFilter });
+    }
+
+    /**
+     * 現在のフィルター設定を適用（表示中のリストのTODOのみ）
+     */
+    applyFilter() {
+        const now = new Date();
+        let filtered = this.getActiveTodos();
+
+        // リスト
+        if (this.currentListId !== null) {
+            filtered = filtered.filter(todo => todo.listId === this.currentListId);
+        }
+
+        // 検索フィルター
+        if (this.currentFilter.search) {
+            const searchTerm = this.currentFilter.search.toLowerCase();
+            filtered = filtered.filter(todo =>
+                todo.getSearchText().includes(searchTerm)
+            );
+        }
+
+        // カテゴリフィルター
+        if (this.currentFilter.category) {
+            filtered = filtered.filter(todo => todo.category === this.currentFilter.category);
+        }
+
+        // タグフィルター
+        if (this.currentFilter.tags.length > 0) {
+            const matchTags = this.currentFilter.tagMode === 'all'
+                ? (todo) => this.currentFilter.tags.every(tag => todo.hasTag(tag))
+                : (todo) => this.currentFilter.tags.some(tag => todo.hasTag(tag));
+            filtered = filtered.filter(matchTags);
+        }
+
+        // 優先度フィルター
+        if (this.currentFilter.priority) {
+            filtered = filtered.filter(todo => todo.priority === this.currentFilter.priority);
+        }
+
+        // 開始日時の前のTODOは「開始前」の状態フィルターでのみ表示
+        if (this.currentFilter.status === 'scheduled') {
+            filtered = filtered.filter(todo => todo.isScheduled(now));
+        } else {
+            filtered = filtered.filter(todo => !todo.isScheduled(now));
+        }
+
+        // 状態フィルター
+        if (this.currentFilter.status) {
+            if (this.currentFilter.status === 'completed') {
+                filtered = filtered.filter(todo => todo.completed);
+            } else if (this.currentFilter.status === 'pending') {
+                filtered = filtered.filter(todo => !todo.completed);
+            } else if (this.currentFilter.status === 'actionable') {
+                filtered = filtered.filter(todo => !todo.completed && !this.isBlocked(todo.id));
+            } else if (this.currentFilter.status === 'blocked') {
+                filtered = filtered.filter(todo => !todo.completed && this.isBlocked(todo.id));
+            }
+        }
+
+        // ソート
+        filtered.sort((a, b) => {
+            let comparison = 0;
+
+            switch (this.currentFilter.sortBy) {
+                case 'title':
+                    comparison = a.title.localeCompare(b.title);
+                    break;
+                case 'priority':
+                    comparison = Todo.getPriorityValue(b.priority) - Todo.getPriorityValue(a.priority);
+                    break;
+                case 'dueDate':
+                    const aDate = a.dueDate ? new Date(a.dueDate) : new Date('9999-12-31');
+                    const bDate = b.dueDate ? new Date(b.dueDate) : new Date('9999-12-31');
+                    comparison = aDate - bDate;
+                    break;
+                case 'manual':
+                    // 手動の並び順は並び替えた順のまま表示する（sortOrderは使わない）
+                    return this._comparePosition(a, b);
+                case 'createdAt':
+                default:
+                    comparison = new Date(a.createdAt) - new Date(b.createdAt);
+                    break;
+            }
+
+            return this.currentFilter.sortOrder === 'desc' ? -comparison : comparison;
+        });
+
+        this.filteredTodos = filtered;
+    }
+
+    /**
+     * フィルターをクリア
+     */
+    clearFilter() {
+        this.currentFilter = {
+            search: '',
+            category: '',
+            tags: [],
+            tagMode: 'any',
+            priority: '',
+            status: '',
+            sortBy: 'createdAt',
+            sortOrder: 'desc'
+        };
+
+        this.applyFilter();
+
+        // イベント発火
+        this.emit('filterChanged', { filter: this.currentFilter });
+    }
+
+    /**
+     * 使われているすべてのタグを取得（入力補完・タグフィルター用。ゴミ箱のTODOは除く）
+     * @returns {Array<{tag: string, count: number}>} - タグと件数（件数の多い順、同数は名前順）
+     */
+    getAllTags() {
+        const counts = new Map();
+
+        this.getActiveTodos().forEach(todo => {
+            todo.tags.forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            });
+        });
+
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    // ===== 統計・分析 =====
+
+    /**
+     * TODO統計を取得（ゴミ箱のTODOは除く）
+     * リスト別統計（listStats）は、listIdの指定にかかわらずすべてのリストを集計する
+     * @param {string|null} [listId=null] - 集計するリストID（nullの場合はすべてのリスト）
+     * @returns {Object} - 統計情報
+     */
+    getStatistics(listId = null) {
+        const activeTodos = this.getActiveTodos();
+        const todos = listId === null ? activeTodos : activeTodos.filter(todo => todo.listId === listId);
+        const total = todos.length;
+        const completed = todos.filter(todo => todo.completed).length;
+        const pending = total - completed;
+
+        // サブタスク統計
+        const subtaskStats = { total: 0, completed: 0, pending: 0, completionRate: 0 };
+        todos.forEach(todo => {
+            const progress = todo.getSubtaskProgress();
+            subtaskStats.total += progress.total;
+            subtaskStats.completed += progress.completed;
+        });
+        subtaskStats.pending = subtaskStats.total - subtaskStats.completed;
+        subtaskStats.completionRate = subtaskStats.total > 0
+            ? Math.round((subtaskStats.completed / subtaskStats.total) * 100)
+            : 0;
+
+        // カテゴリ別統計（カテゴリの並び順どおり、カテゴリなしは空文字のキー）
+        const categoryStats = {};
+        this.categories.getAll().forEach(category => {
+            categoryStats[category.id] = 0;
+        });
+        todos.forEach(todo => {
+            categoryStats[todo.category] = (categoryStats[todo.category] || 0) + 1;
+        });
+
+        // リスト別統計（リストの作成順）
+        const listStats = {};
+        this.lists.getAll().forEach(list => {
+            const listTodos = activeTodos.filter(todo => todo.listId === list.id);
+            const listCompleted = listTodos.filter(todo => todo.completed).length;
+
+            listStats[list.id] = {
+                total: listTodos.length,
+                completed: listCompleted,
+                pending: listTodos.length - listCompleted,
+                completionRate: listTodos.length > 0 ? Math.round((listCompleted / listTodos.length) * 100) : 0
+            };
+        });
+
+        // 優先度別統計
+        const priorityStats = {};
+        todos.forEach(todo => {
+            priorityStats[todo.priority] = (priorityStats[todo.priority] || 0) + 1;
+        });
+
+        // 期限状態統計
+        const dueStats = {
+            overdue: 0,
+            dueSoon: 0,
+            normal: 0,
+            noDueDate: 0
+        };
+
+        todos.filter(todo => !todo.completed).forEach(todo => {
+            if (!todo.dueDate) {
+                dueStats.noDueDate++;
+            } else {
+                const status = todo.getDueStatus();
+                dueStats[status]++;
+            }
+        });
+
+        return {
+            total,
+            completed,
+            pending,
+            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+            categoryStats,
+            listStats,
+            priorityStats,
+            dueStats,
+            subtaskStats,
+            timeStats: this._getTimeStatistics(todos, new Date())
+        };
+    }
+
+    // ===== エクスポート・インポート =====
+
+    /**
+     * データをエクスポート
+     * @param {string} [format='json'] - 出力形式（json/csv/ics/md/zip）
+     * @param {boolean} [filteredOnly=false] - 現在のフィルター結果のみを出力するか
+     * @param {string|null} [listId=null] - 出力するリストID（nullの場合はすべてのリスト）
+     * @returns {string|Uint8Array|null} - 出力文字列（zipの場合はバイト列）、エラー時はnull
+     */
+    exportData(format = 'json', filteredOnly = false, listId = null) {
+        let todos = filteredOnly ? this.getFilteredTodos() : this.getAllTodos();
+        let lists = this.lists.toJSON();
+
+        // 一部のリストのみを出力する場合は、出力するTODOのリストの定義のみを含める
+        if (listId !== null) {
+            todos = todos.filter(todo => todo.listId === listId);
+            lists = lists.filter(list => list.id === listId);
+        } else if (filteredOnly) {
+            lists = lists.filter(list => todos.some(todo => todo.listId === list.id));
+        }
+
+        try {
+            switch (format) {
+                case 'csv':
+                    return CsvConverter.toCsv(todos);
+                case 'ics':
+                    return ICalConverter.toICal(todos);
+                case 'md':
+                    return MarkdownConverter.toMarkdown(todos);
+                case 'zip':
+                    return this.storageManager.exportArchive(todos, this.categories.toJSON(), lists);
+                case 'json':
+                default:
+                    return this.storageManager.exportData(todos, this.categories.toJSON(), true, lists);
+            }
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * データをインポート
+     * @param {string} jsonString - インポートするJSON文字列
+     * @param {boolean} [merge=false] - 既存データと結合するか
+     * @param {string} [strategy='newest'] - ID重複時の結合方法（newest/local/imported/field）
+     * @param {string|null} [listId=null] - 取り込み先のリストID。指定した場合はすべてのタスクをこのリストに入れ、
+     *        置き換える場合もこのリストのタスクのみを置き換える（nullの場合はファイルのリストのまま）
+     * @returns {Object} - インポート結果レポート（added/updated/skipped/conflictedの件数と項目ごとの結果items）
+     */
+    importData(jsonString, merge = false, strategy = 'newest', listId = null) {
+        return this._record('インポート', () => {
+            try {
+                if (listId !== null) {
+                    this._findList(listId);
+                }
+
+                // 結合の対象になるよう、未保存の変更を先に書き込む
+                this.flushChanges();
+
+                const previousIds = this.todos.map(todo => todo.id);
+                const report = this.storageManager.importData(jsonString, merge, strategy, listId);
+
+                if (!report) {
+                    throw new Error('データのインポートに失敗しました');
+                }
+
+                // ファイルに含まれるカテゴリ・リストを結合してから再読み込み（名前と色を引き継ぐ）
+                if (report.categories && this.categories.merge(report.categories)) {
+                    this._saveCategories();
+                }
+                if (listId === null && report.lists && this.lists.merge(report.lists)) {
+                    this._saveLists();
+                    this.emit('listsChanged', { lists: this.lists.getAll() });
+                }
+
+                // データを再読み込み
+                this._reloadAfterFullWrite(previousIds, report.write);
+
+                return report;
+
+            } catch (error) {
+                console.error('Error importing data:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * ZIPアーカイブ（JSON＋添付ファイル）をインポート
+     * @param {Uint8Array|ArrayBuffer} archive - ZIPアーカイブのバイト列
+     * @param {boolean} [merge=false] - 既存データと結合するか
+     * @param {string} [strategy='newest'] - ID重複時の結合方法（newest/local/imported/field）
+     * @param {string|null} [listId=null] - 取り込み先のリストID（importData参照）
+     * @returns {Object} - インポート結果レポート（保存できなかった添付ファイルはattachmentErrorsに含まれる）
+     * @throws {Error} - ZIPアーカイブとして読み込めない場合
+     */
+    importArchive(archive, merge = false, strategy = 'newest', listId = null) {
+        return this.importData(this.storageManager.readArchive(archive), merge, strategy, listId);
+    }
+
+    /**
+     * CSVデータをインポート
+     * @param {string} csvText - CSV文字列
+     * @param {Object<string, number>} mapping - 取り込み先フィールド名 -> 列番号（CsvConverter.guessMappingの形式）
+     * @param {boolean} [merge=false] - 既存データと結合するか
+     * @param {string} [strategy='newest'] - ID重複時の結合方法
+     * @param {string|null} [listId=null] - 取り込み先のリストID（importData参照）
+     * @returns {Object} - インポート結果レポート（変換できなかった行はerrorsに行番号付きで含まれる）
+     */
+    importCsv(csvText, mapping, merge = false, strategy = 'newest', listId = null) {
+        const { rows } = CsvConverter.parse(csvText);
+        const { todos, errors } = CsvConverter.toTodos(rows, mapping);
+
+        // リストの列はIDのほか名前でも指定できる
+        todos.forEach(todo => {
+            todo.listId = this.lists.resolve(todo.listId) || todo.listId;
+        });
+
+        // 有効な行がない場合は既存データに触れずにエラーのみ報告する
+        if (todos.length === 0) {
+            return { merge, strategy, total: 0, added: 0, updated: 0, skipped: 0, conflicted: 0, items: [], errors };
+        }
+
+        return { ...this.importTodos(todos, merge, strategy, listId), errors };
+    }
+
+    /**
+     * iCalendarデータをインポート
+     * @param {string} icsText - iCalendar文字列（VTODO/VEVENTを取り込む）
+     * @param {boolean} [merge=false] - 既存データと結合するか
+     * @param {string} [strategy='newest'] - ID重複時の結合方法
+     * @param {string|null} [listId=null] - 取り込み先のリストID（importData参照）
+     * @returns {Object} - インポート結果レポート（変換できなかった項目はerrorsに行番号付きで含まれる）
+     */
+    importICal(icsText, merge = false, strategy = 'newest', listId = null) {
+        const { todos, errors } = ICalConverter.toTodos(icsText);
+
+        // 有効な項目がない場合は既存データに触れずにエラーのみ報告する
+        if (todos.length === 0) {
+            return { merge, strategy, total: 0, added: 0, updated: 0, skipped: 0, conflicted: 0, items: [], errors };
+        }
+
+        return { ...this.importTodos(todos, merge, strategy, listId), errors };
+    }
+
+    /**
+     * Markdownのチェックリストを取り込み、項目ごとにタスクとして追加
+     * 既存データとは照合せず、addTodoで表示中のリストに1件ずつ追加する（追加できなかった項目はerrorsに行番号付きで含まれる）
+     * @param {string} markdownText - Markdown文字列
+     * @returns {Object} - インポート結果レポート
+     */
+    importMarkdown(markdownText) {
+        return this._record('インポート', () => {
+            const { entries, errors } = MarkdownConverter.parse(markdownText);
+            const items = [];
+
+            entries.forEach(({ row, data }) => {
+                try {
+                    const todo = this.addTodo(data);
+                    items.push({ id: todo.id, title: todo.title, action: 'added', reason: 'new', fields: [] });
+                } catch (error) {
+                    errors.push({ row, message: error.message });
+                }
+            });
+
+            errors.sort((a, b) => a.row - b.row);
+
+            return {
+                merge: true,
+                strategy: null,
+                total: items.length,
+                added: items.length,
+                updated: 0,
+                skipped: 0,
+                conflicted: 0,
+                items,
+                errors
+            };
+        });
+    }
+
+    /**
+     * 変換済みのTodo配列をインポート
+     * @param {Array<Todo>} todos - インポートするTodo配列
+     * @param {boolean} [merge=false] - 既存データと結合するか
+     * @param {string} [strategy='newest'] - ID重複時の結合方法
+     * @param {string|null} [listId=null] - 取り込み先のリストID（importData参照）
+     * @returns {Object} - インポート結果レポート
+     */
+    importTodos(todos, merge = false, strategy = 'newest', listId = null) {
+        return this._record('インポート', () => {
+            try {
+                if (listId !== null) {
+                    this._findList(listId);
+                }
+
+                this.flushChanges();
+
+                const previousIds = this.todos.map(todo => todo.id);
+                const report = this.storageManager.importTodos(todos, merge, strategy, listId);
+
+                if (!report) {
+                    throw new Error('データのインポートに失敗しました');
+                }
+
+                // データを再読み込み
+                this._reloadAfterFullWrite(previousIds, report.write);
+
+                return report;
+
+            } catch (error) {
+                console.error('Error importing todos:', error);
+                throw error;
+            }
+        });
+    }
+
+    // ===== バックアップ =====
+
+    /**
+     * バックアップ（スナップショット）の一覧を取得
+     * @returns {Array<Object>} - 新しい順のスナップショット情報
+     */
+    getBackups() {
+        return this.storageManager.listBackups();
+    }
+
+    /**
+     * スナップショットと現在のTODOの差分を取得
+     * @param {string} backupId - スナップショットID
+     * @returns {Object|null} - 差分情報、読み込めない場合はnull
+     */
+    getBackupDiff(backupId) {
+        return this.storageManager.diffBackup(backupId, this.todos);
+    }
+
+    /**
+     * スナップショットから復元
+     * @param {string} backupId - スナップショットID
+     * @returns {boolean} - 復元成功の可否
+     */
+    restoreBackup(backupId) {
+        return this._record('バックアップからの復元', () => {
+            try {
+                // 復元前の状態をスナップショットに残すため、未保存の変更を先に書き込む
+                this.flushChanges();
+
+                const previousIds = this.todos.map(todo => todo.id);
+                const write = this.storageManager.restoreBackup(backupId);
+                if (!write) {
+                    throw new Error('バックアップの復元に失敗しました');
+                }
+
+                // データを再読み込み
+                this._reloadAfterFullWrite(previousIds, write);
+
+                return true;
+
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                throw error;
+            }
+        });
+    }
+
+    // ===== 暗号化 =====
+
+    /**
+     * 保存データが暗号化されているかチェック
+     * @returns {boolean} - 暗号化されている場合true
+     */
+    isEncrypted() {
+        return this.storageManager.isEncrypted();
+    }
+
+    /**
+     * 保存データの暗号化を開始
+     * @param {string} passphrase - パスフレーズ（8文字以上）
+     * @returns {Promise<void>}
+     */
+    async enableEncryption(passphrase) {
+        // 未保存の変更を平文のまま残さないよう先に書き込む
+        this.flushChanges();
+        await this.storageManager.enableEncryption(passphrase);
+        this.emit('encryptionChanged', { remote: false });
+    }
+
+    /**
+     * パスフレーズを変更
+     * @param {string} currentPassphrase - 現在のパスフレーズ
+     * @param {string} newPassphrase - 新しいパスフレーズ（8文字以上）
+     * @returns {Promise<void>}
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        this.flushChanges();
+        await this.storageManager.changePassphrase(currentPassphrase, newPassphrase);
+        this.emit('encryptionChanged', { remote: false });
+    }
+
+    /**
+     * 保存データの暗号化を解除
+     * @param {string} passphrase - 現在のパスフレーズ
+     * @returns {Promise<void>}
+     */
+    async disableEncryption(passphrase) {
+        this.flushChanges();
+        await this.storageManager.disableEncryption(passphrase);
+        this.emit('encryptionChanged', { remote: false });
+    }
+
+    /**
+     * データをパスフレーズで暗号化してエクスポート
+     * @param {string} format - 出力形式（json/csv/ics/md）
+     * @param {boolean} filteredOnly - 現在のフィルター結果のみを出力するか
+     * @param {string} passphrase - パスフレーズ
+     * @param {string|null} [listId=null] - 出力するリストID（nullの場合はすべてのリスト）
+     * @returns {Promise<string|null>} - 暗号化されたファイルの内容（JSON）、エラー時はnull
+     */
+    async exportEncryptedData(format, filteredOnly, passphrase, listId = null) {
+        if (format === 'zip') {
+            throw new Error('ZIPアーカイブは暗号化できません。JSONを選択してください');
+        }
+
+        const text = this.exportData(format, filteredOnly, listId);
+        if (text === null) {
+            return null;
+        }
+
+        const envelope = await CryptoService.encryptWithPassphrase(text, passphrase, format);
+        return JSON.stringify(envelope, null, 2);
+    }
+
+    /**
+     * 暗号化されたエクスポートファイルを復号
+     * @param {string} text - ファイルの内容
+     * @param {string} passphrase - パスフレーズ
+     * @returns {Promise<{format: string, text: string}>} - 元の出力形式と内容
+     * @throws {Error} - 暗号化されたファイルでない、またはパスフレーズが正しくない場合
+     */
+    async decryptImportData(text, passphrase) {
+        const envelope = CryptoService.parseEnvelope(text);
+        if (!envelope) {
+            throw new Error('暗号化されたファイルではありません');
+        }
+
+        return CryptoService.decryptWithPassphrase(envelope, passphrase);
+    }
+
+    // ===== イベント管理 =====
+
+    /**
+     * イベントリスナーを追加
+     * @param {string} eventName - イベント名
+     * @param {function} callback - コールバック関数
+     */
+    addEventListener(eventName, callback) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+
+        this.eventListeners.get(eventName).push(callback);
+    }
+
+    /**
+     * イベントリスナーを削除
+     * @param {string} eventName - イベント名
+     * @param {function} callback - コールバック関数
+     */
+    removeEventListener(eventName, callback) {
+        if (this.eventListeners.has(eventName)) {
+            const listeners = this.eventListeners.get(eventName);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * イベントを発火
+     * @param {string} eventName - イベント名
+     * @param {*} data - イベントデータ
+     */
+    emit(eventName, data) {
+        if (!this.eventListeners.has(eventName)) {
+            return;
+        }
+
+        // 記録中の操作で発火したイベントは、リスナーが変更履歴を参照できるよう操作の最後に変更履歴を記録してから通知し、
+        // その操作を元に戻すためのコマンドIDを含める
+        if (this.recording !== null) {
+            this.recording.events.push({
+                eventName,
+                data: data && typeof data === 'object' ? { ...data, commandId: this.recording.id } : data
+            });
+            return;
+        }
+
+        const listeners = this.eventListeners.get(eventName);
+        listeners.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in event listener for ${eventName}:`, error);
+            }
+        });
+    }
+
+    // ===== Getter =====
+
+    /**
+     * すべてのTODOを取得（ゴミ箱のTODOを含む）
+     * @returns {Array<Todo>} - Todo配列
+     */
+    getAllTodos() {
+        return [...this.todos];
+    }
+
+    /**
+     * ゴミ箱にないTODOを取得
+     * @returns {Array<Todo>} - Todo配列
+     */
+    getActiveTodos() {
+        return this.todos.filter(todo => !todo.isTrashed());
+    }
+
+    /**
+     * フィルターされたTODOを取得
+     * @returns {Array<Todo>} - フィルター済みTodo配列
+     */
+    getFilteredTodos() {
+        return [...this.filteredTodos];
+    }
+
+    /**
+     * 現在のフィルター設定を取得
+     * @returns {Object} - フィルター設定
+     */
+    getCurrentFilter() {
+        return { ...this.currentFilter };
+    }
+
+    /**
+     * ストレージ情報を取得
+     * @returns {Object} - ストレージ使用量情報
+     */
+    getStorageInfo() {
+        return this.storageManager.getStorageInfo();
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * 保存できる状態かチェック（変更前に呼び出す）
+     * @throws {Error} - ストレージが使用できない、新しいバージョンのデータで保存が停止されている、または暗号化されたデータが未解錠の場合
+     * @private
+     */
+    _ensureWritable() {
+        if (!this._isWritable()) {
+            throw new Error('データの保存に失敗しました');
+        }
+    }
+
+    /**
+     * 保存できる状態かどうか
+     * @returns {boolean} - ストレージが使用でき、読み取り専用でも未解錠でもない場合true
+     * @private
+     */
+    _isWritable() {
+        return this.storageManager.isStorageAvailable && !this.storageManager.isReadOnly() &&
+            !this.storageManager.isLocked();
+    }
+
+    /**
+     * 操作を実行し、変更されたTODO・カテゴリ・リスト・設定を元に戻す・やり直すコマンドとして履歴に記録
+     * 操作中に保存対象になったTODO（_markDirty/_markDeleted）と保存されたカテゴリ・リスト・設定だけを、
+     * 最後に確定した状態と比較するため、一括操作（インポート・全削除など）も1つのコマンドになる。
+     * 記録中の操作から呼ばれた操作は、外側の操作にまとめて記録する。
+     * 変更されたTODOには、項目ごとの変更前後の値を変更履歴として操作の最後に一度だけ記録し、
+     * 操作中に発火したイベントはその後で通知する
+     * @param {string} label - 操作の表示名
+     * @param {function(): *} operation - 実行する操作
+     * @returns {*} - operationの戻り値
+     * @private
+     */
+    _record(label, operation) {
+        if (this.recording !== null) {
+            return operation();
+        }
+
+        const commandId = this.history.createId();
+        const recording = {
+            id: commandId,
+            label,
+            todoIds: new Set(),
+            registries: new Set(),
+            events: []
+        };
+        let result;
+        let completed = false;
+
+        this.recording = recording;
+        try {
+            result = operation();
+            completed = true;
+        } finally {
+            // 例外で中断した場合も、途中までの変更に変更履歴を記録して確定し、発火したイベントを通知する
+            const todosById = new Map(this.todos.map(todo => [todo.id, todo]));
+            this._recordActivity(todosById);
+            this.recording = null;
+            this._finishRecording(recording, todosById, completed);
+        }
+
+        return result;
+    }
+
+    /**
+     * 記録した操作の変更を確定し、元に戻す・やり直すコマンドとして履歴に追加してから、操作中に発火したイベントを通知
+     * @param {Object} recording - 記録した操作
+     * @param {Map<string, Todo>} todosById - IDごとの現在のTodo
+     * @param {boolean} completed - 操作が最後まで完了したか（例外で中断した場合は履歴に追加しない）
+     * @private
+     */
+    _finishRecording(recording, todosById, completed) {
+        const { id: commandId, label } = recording;
+        const { todos: changes, registries } = this._commitRecording(recording, todosById);
+        const pushed = completed && (changes.length > 0 || registries.length > 0);
+
+        if (pushed) {
+            const toRegistryStates = (key) => registries.map(change => ({ name: change.name, json: change[key] }));
+
+            this.history.push({
+                id: commandId,
+                label,
+                undo: () => this._applySnapshot(
+                    changes.map(change => ({ todoId: change.todoId, json: change.before })),
+                    toRegistryStates('before'),
+                    `元に戻す（${label}）`
+                ),
+                redo: () => this._applySnapshot(
+                    changes.map(change => ({ todoId: change.todoId, json: change.after })),
+                    toRegistryStates('after'),
+                    `やり直し（${label}）`
+                )
+            });
+        }
+
+        recording.events.forEach(({ eventName, data }) => this.emit(eventName, data));
+
+        if (pushed) {
+            this.emit('historyChanged', this.getHistoryState());
+        }
+    }
+
+    /**
+     * 記録中の操作で変更されたTODOに、確定した状態との差分を変更履歴として記録し、保存を予約
+     * 操作の前の状態に戻ったTODOには記録しない
+     * @param {Map<string, Todo>} todosById - IDごとの現在のTodo
+     * @private
+     */
+    _recordActivity(todosById) {
+        const { label, todoIds } = this.recording;
+
+        todoIds.forEach(todoId => {
+            const todo = todosById.get(todoId);
+            if (!todo) {
+                return;
+            }
+
+            const previous = this.committedTodos.get(todoId);
+            const current = todo.toJSON();
+
+            if (previous === JSON.stringify(current)) {
+                return;
+            }
+
+            const changes = Todo.diffActivity(previous ? JSON.parse(previous) : null, current);
+
+            if (changes.length > 0 || !previous) {
+                todo.recordActivity(label, changes);
+                this._markDirty(todoId);
+            }
+        });
+    }
+
+    /**
+     * 記録した操作で変更されたTODO・カテゴリ・リスト・設定を確定した状態と比較し、現在の状態を確定する
+     * @param {Object} recording - 記録した操作
+     * @param {Map<string, Todo>} todosById - IDごとの現在のTodo
+     * @returns {{todos: Array<{todoId: string, before: string|null, after: string|null}>,
+     *            registries: Array<{name: string, before: string, after: string}>}} - 変更前後のJSON文字列（nullは存在しない状態）
+     * @private
+     */
+    _commitRecording(recording, todosById) {
+        const todos = [];
+        const registries = [];
+
+        recording.todoIds.forEach(todoId => {
+            const todo = todosById.get(todoId);
+            const before = this.committedTodos.get(todoId) || null;
+            const after = todo ? JSON.stringify(todo.toJSON()) : null;
+
+            if (before !== after) {
+                todos.push({ todoId, before, after });
+            }
+            this._setCommittedTodo(todoId, after);
+        });
+
+        recording.registries.forEach(name => {
+            const before = this.committedRegistries.get(name);
+            const after = this._commitRegistry(name);
+
+            if (before !== after) {
+                registries.push({ name, before, after });
+            }
+        });
+
+        return { todos, registries };
+    }
+
+    /**
+     * TODOを変更されたものとして扱う
+     * 記録中の操作ではその操作の変更に含め、それ以外（記録しない変更）では現在の状態をすぐに確定する
+     * @param {string} todoId - TodoのID
+     * @private
+     */
+    _touchTodo(todoId) {
+        if (this.recording !== null) {
+            this.recording.todoIds.add(todoId);
+        } else {
+            this._commitTodos([todoId]);
+        }
+    }
+
+    /**
+     * カテゴリ・リスト・設定を変更されたものとして扱う（扱いは_touchTodoと同じ）
+     * @param {string} name - categories/lists/settings
+     * @private
+     */
+    _touchRegistry(name) {
+        if (this.recording !== null) {
+            this.recording.registries.add(name);
+        } else {
+            this._commitRegistry(name);
+        }
+    }
+
+    /**
+     * TODOの現在の状態を確定する
+     * @param {Array<string>} todoIds - TodoのID（存在しないTODOは削除された状態として確定する）
+     * @private
+     */
+    _commitTodos(todoIds) {
+        todoIds.forEach(todoId => {
+            const todo = this.getTodoById(todoId);
+            this._setCommittedTodo(todoId, todo ? JSON.stringify(todo.toJSON()) : null);
+        });
+    }
+
+    /**
+     * 読み込んだTODOの状態を確定する
+     * 記録中の操作（インポート・復元）で読み込んだ場合は、読み込み前後のすべてのTODOをその操作の変更に含める
+     * @param {Array<string>} previousIds - 読み込み前のTodoのID
+     * @private
+     */
+    _commitLoadedTodos(previousIds) {
+        if (this.recording !== null) {
+            previousIds.forEach(todoId => this.recording.todoIds.add(todoId));
+            this.todos.forEach(todo => this.recording.todoIds.add(todo.id));
+            return;
+        }
+
+        this.committedTodos = new Map(this.todos.map(todo => [todo.id, JSON.stringify(todo.toJSON())]));
+    }
+
+    /**
+     * 確定したTODOの状態を設定
+     * @param {string} todoId - TodoのID
+     * @param {string|null} json - JSON文字列（nullの場合は削除された状態）
+     * @private
+     */
+    _setCommittedTodo(todoId, json) {
+        if (json === null) {
+            this.committedTodos.delete(todoId);
+        } else {
+            this.committedTodos.set(todoId, json);
+        }
+    }
+
+    /**
+     * カテゴリ・リスト・設定の現在の状態を確定する
+     * 設定は元に戻せる項目（ゴミ箱の保持日数）だけを対象にする
+     * @param {string} name - categories/lists/settings
+     * @returns {string} - 確定したJSON文字列
+     * @private
+     */
+    _commitRegistry(name) {
+        const state = name === 'settings' ? { trashRetentionDays: this.trashRetentionDays } : this[name].toJSON();
+        const json = JSON.stringify(state);
+        this.committedRegistries.set(name, json);
+        return json;
+    }
+
+    /**
+     * スナップショットの状態をTODO・カテゴリ・リスト・設定に反映して保存を予約し、イベントを発火
+     * 他のタブで古い内容として無視されないよう、反映したTODOの更新日時は現在日時にする。
+     * 変更履歴はスナップショットの時点に戻さず、反映した変更を追記する
+     * @param {Array<{todoId: string, json: string|null}>} states - 反映するTODOの状態（nullは存在しない状態）
+     * @param {Array<{name: string, json: string}>} registries - 反映するカテゴリ・リスト・設定（categories/lists/settings）のJSON文字列
+     * @param {string} label - 変更履歴に記録する操作の表示名
+     * @private
+     */
+    _applySnapshot(states, registries, label) {
+        this._ensureWritable();
+
+        const categories = registries.find(registry => registry.name === 'categories')?.json ?? null;
+        const lists = registries.find(registry => registry.name === 'lists')?.json ?? null;
+        const settings = registries.find(registry => registry.name === 'settings')?.json ?? null;
+
+        if (settings !== null) {
+            const { trashRetentionDays } = JSON.parse(settings);
+
+            if (!this.storageManager.saveSettings({ trashRetentionDays })) {
+                throw new Error('データの保存に失敗しました');
+            }
+            this.trashRetentionDays = trashRetentionDays;
+            this._touchRegistry('settings');
+        }
+
+        // TODOのカテゴリを解決できるよう、カテゴリを先に反映する
+        if (categories !== null) {
+            this.categories = new CategoryRegistry(JSON.parse(categories));
+            Todo.setCategoryRegistry(this.categories);
+            this._saveCategories();
+        }
+        if (lists !== null) {
+            this.lists = new ListRegistry(JSON.parse(lists));
+            this._saveLists();
+        }
+
+        states.forEach(({ todoId, json }) => {
+            const index = this.todos.findIndex(todo => todo.id === todoId);
+
+            if (json === null) {
+                if (index !== -1) {
+                    this.todos.splice(index, 1);
+                }
+                this._markDeleted(todoId);
+                return;
+            }
+
+            const todo = Todo.fromJSON(JSON.parse(json));
+            todo.updatedAt = new Date();
+
+            if (index === -1) {
+                todo.recordActivity(label, []);
+                this.todos.push(todo);
+            } else {
+                const current = this.todos[index];
+                const changes = Todo.diffActivity(current.toJSON(), todo.toJSON());
+
+                todo.activity = current.activity;
+                if (changes.length > 0) {
+                    todo.recordActivity(label, changes);
+                }
+                this.todos[index] = todo;
+            }
+            this._markDirty(todoId);
+        });
+
+        // フィルターを再適用
+        this.applyFilter();
+
+        // イベント発火
+        if (categories !== null) {
+            this.emit('categoriesChanged', { categories: this.categories.getAll() });
+        }
+        if (lists !== null) {
+            this.emit('listsChanged', { lists: this.lists.getAll() });
+        }
+        this.emit('todosChanged', { todos: this.todos });
+    }
+
+    /**
+     * 変更できるTODOを取得
+     * @param {string} todoId - TodoのID
+     * @returns {Todo} - Todoインスタンス
+     * @throws {Error} - タスクが見つからない、またはゴミ箱にある場合
+     * @private
+     */
+    _findEditableTodo(todoId) {
+        const todo = this.getTodoById(todoId);
+
+        if (!todo) {
+            throw new Error('指定されたタスクが見つかりません');
+        }
+        if (todo.isTrashed()) {
+            throw new Error('ゴミ箱のタスクは変更できません。元に戻してから操作してください');
+        }
+
+        return todo;
+    }
+
+    /**
+     * 手動の並び順で比較（位置が同じ場合は作成日時の新しい順）
+     * @param {Todo} a - 比較するTodo
+     * @param {Todo} b - 比較するTodo
+     * @returns {number} - aが先の場合は負の数
+     * @private
+     */
+    _comparePosition(a, b) {
+        return (a.position - b.position) || (b.createdAt - a.createdAt);
+    }
+
+    /**
+     * 手動の並び順で先頭になる位置を取得
+     * @returns {number} - すべてのTODOより小さい位置
+     * @private
+     */
+    _getTopPosition() {
+        return this.todos.reduce((min, todo) => todo.position !== null && todo.position < min ? todo.position : min, 0) - 1;
+    }
+
+    /**
+     * 手動の並び順で2つのTODOの間になる位置を取得
+     * 先頭・末尾に移動する場合は、ゴミ箱を含むすべてのTODOより前・後ろの位置にする
+     * @param {Todo|undefined} previous - 前のTodo（先頭に移動する場合はundefined）
+     * @param {Todo|undefined} next - 後ろのTodo（末尾に移動する場合はundefined）
+     * @returns {number|null} - 位置、間が空いていない場合はnull
+     * @private
+     */
+    _getPositionBetween(previous, next) {
+        if (!previous) {
+            return this._getTopPosition();
+        }
+        if (!next) {
+            return this.todos.reduce((max, todo) => todo.position !== null && todo.position > max ? todo.position : max, 0) + 1;
+        }
+
+        const position = (previous.position + next.position) / 2;
+        return position > previous.position && position < next.position ? position : null;
+    }
+
+    /**
+     * 移動するTODOを基準のTODOの前または後ろに置き、ゴミ箱を含むすべてのTODOの位置を0から振り直す
+     * （ゴミ箱から戻したTODOの位置が他のTODOと重ならないよう、ゴミ箱のTODOも含める）
+     * @param {Todo} todo - 移動するTodo
+     * @param {Todo} target - 基準にするTodo
+     * @param {string} placement - 基準のTODOの前（before）または後ろ（after）
+     * @private
+     */
+    _renumberPositions(todo, target, placement) {
+        const ordered = [...this.todos]
+            .sort((a, b) => this._comparePosition(a, b))
+            .filter(item => item !== todo);
+        ordered.splice(ordered.indexOf(target) + (placement === 'after' ? 1 : 0), 0, todo);
+
+        ordered.forEach((item, index) => {
+            if (item.position !== index) {
+                item.position = index;
+                this._markDirty(item.id);
+            }
+        });
+    }
+
+    /**
+     * 位置が未設定のTODO（以前のバージョンのデータやCSVからのインポート）に位置を設定
+     * 作成日時の新しい順に、位置が設定済みのTODOより上に並べる
+     * （読み込み時の補完のため、次に変更されるまで保存はしない）
+     * @private
+     */
+    _ensurePositions() {
+        const unpositioned = this.todos
+            .filter(todo => todo.position === null)
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        const top = this._getTopPosition() + 1;
+        unpositioned.forEach((todo, index) => {
+            todo.position = top - unpositioned.length + index;
+        });
+    }
+
+    /**
+     * ゴミ箱のTODOを取得
+     * @param {string} todoId - TodoのID
+     * @returns {Todo} - Todoインスタンス
+     * @throws {Error} - ゴミ箱にタスクが見つからない場合
+     * @private
+     */
+    _findTrashedTodo(todoId) {
+        const todo = this.getTodoById(todoId);
+
+        if (!todo || !todo.isTrashed()) {
+            throw new Error('ゴミ箱に指定されたタスクが見つかりません');
+        }
+
+        return todo;
+    }
+
+    /**
+     * TODOを完全に削除して保存を予約し、イベントを発火
+     * 削除したTODOの完了を待っていたTODOからは依存先を外す
+     * @param {Array<Todo>} todos - 削除するTodo配列
+     * @param {boolean} expired - 保持日数を過ぎたための削除か
+     * @private
+     */
+    _purgeTodos(todos, expired) {
+        const purgedIds = new Set(todos.map(todo => todo.id));
+
+        // メモリから削除
+        this.todos = this.todos.filter(todo => !purgedIds.has(todo.id));
+        this._pruneDependencies();
+
+        // ストレージへの保存を予約
+        purgedIds.forEach(todoId => this._markDeleted(todoId));
+
+        // フィルターを再適用
+        this.applyFilter();
+
+        // イベント発火
+        this.emit('trashPurged', { todos, expired });
+        this.emit('todosChanged', { todos: this.todos });
+    }
+
+    /**
+     * サブタスクを変更して保存を予約し、イベントを発火
+     * @param {string} todoId - 親TodoのID
+     * @param {string|null} subtaskId - 変更するサブタスクのID（追加の場合はnull）
+     * @param {string} action - 変更の種類（added/updated/toggled/deleted）
+     * @param {function(Todo): Object} operation - 親Todoを受け取り、変更したサブタスクを返す処理
+     * @returns {Object} - 変更したサブタスク
+     * @private
+     */
+    _changeSubtask(todoId, subtaskId, action, operation) {
+        return this._record('サブタスクの変更', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+
+                if (subtaskId !== null && !todo.subtasks.some(subtask => subtask.id === subtaskId)) {
+                    throw new Error('指定されたサブタスクが見つかりません');
+                }
+
+                const subtask = operation(todo);
+
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('subtaskChanged', { todo, subtask, action });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return subtask;
+
+            } catch (error) {
+                console.error('Error changing subtask:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 添付を変更して保存を予約し、イベントを発火
+     * @param {string} todoId - TodoのID
+     * @param {string|null} attachmentId - 変更する添付のID（追加の場合はnull）
+     * @param {string} action - 変更の種類（added/removed）
+     * @param {function(Todo): Object} operation - Todoを受け取り、変更した添付を返す処理
+     * @returns {Object} - 変更した添付
+     * @private
+     */
+    _changeAttachment(todoId, attachmentId, action, operation) {
+        return this._record('添付の変更', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+
+                if (attachmentId !== null && !todo.attachments.some(attachment => attachment.id === attachmentId)) {
+                    throw new Error('指定された添付が見つかりません');
+                }
+
+                const attachment = operation(todo);
+
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('attachmentChanged', { todo, attachment, action });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return attachment;
+
+            } catch (error) {
+                console.error('Error changing attachment:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * リマインダーを変更して保存を予約し、イベントを発火
+     * @param {string} todoId - TodoのID
+     * @param {string|null} reminderId - 変更するリマインダーのID（追加の場合はnull）
+     * @param {string} action - 変更の種類（added/removed/snoozed/dismissed）
+     * @param {function(Todo): Object} operation - Todoを受け取り、変更したリマインダーを返す処理
+     * @returns {Object} - 変更したリマインダー
+     * @private
+     */
+    _changeReminder(todoId, reminderId, action, operation) {
+        const labels = {
+            snoozed: 'リマインダーのスヌーズ',
+            dismissed: 'リマインダーを閉じる'
+        };
+
+        return this._record(labels[action] || 'リマインダーの変更', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+
+                if (reminderId !== null && !todo.reminders.some(reminder => reminder.id === reminderId)) {
+                    throw new Error('指定されたリマインダーが見つかりません');
+                }
+
+                const reminder = operation(todo);
+
+                // ストレージへの保存を予約
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('reminderChanged', { todo, reminder, action });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return reminder;
+
+            } catch (error) {
+                console.error('Error changing reminder:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 作業時間を変更して保存を予約し、イベントを発火
+     * @param {string} todoId - TodoのID
+     * @param {string} action - 変更の種類（started/stopped/deleted）
+     * @param {function(Todo): {entry: Object, stopped: Array<Todo>}} operation - Todoを受け取り、変更した作業記録と計測を終了した他のTodoを返す処理
+     * @returns {Object} - 変更した作業記録
+     * @private
+     */
+    _changeTimer(todoId, action, operation) {
+        return this._record('作業時間の記録', () => {
+            try {
+                this._ensureWritable();
+
+                const todo = this._findEditableTodo(todoId);
+
+                const { entry, stopped } = operation(todo);
+
+                // ストレージへの保存を予約（計測中の状態も保存し、再読み込み後も計測を続ける）
+                this._markDirty(todoId);
+
+                // フィルターを再適用
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('timerChanged', { todo, entry, action, stopped });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return entry;
+
+            } catch (error) {
+                console.error('Error changing timer:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * 計測中の作業記録が複数のTODOにある場合、最後に開始したもの以外を終了する
+     * （最後に開始した計測の開始時点で終了したものとして扱う）
+     * @private
+     */
+    _ensureSingleTimer() {
+        const running = this.todos
+            .filter(todo => todo.getRunningTimeEntry())
+            .sort((a, b) => a.getRunningTimeEntry().startedAt - b.getRunningTimeEntry().startedAt);
+
+        if (running.length <= 1) {
+            return;
+        }
+
+        const latestStartedAt = running[running.length - 1].getRunningTimeEntry().startedAt;
+
+        running.slice(0, -1).forEach(todo => {
+            todo.stopTimer(latestStartedAt);
+
+            // 読み取り専用や未解錠の場合は表示だけを揃え、保存はしない
+            if (this._isWritable()) {
+                this._markDirty(todo.id);
+            }
+        });
+    }
+
+    /**
+     * 見積もり時間と作業時間の集計を取得
+     * 作業時間は作業した週に（週をまたぐ記録は週ごとに分けて）、見積もり時間は期限（なければ作成日時）の週に集計する
+     * @param {Array<Todo>} todos - 集計するTodo配列
+     * @param {Date} now - 現在日時（計測中の記録はこの日時までを集計する）
+     * @returns {Object} - 合計（estimatedMinutes, actualMinutes）、カテゴリ別（byCategory）、週別（byWeek、月曜始まりで古い順）
+     * @private
+     */
+    _getTimeStatistics(todos, now) {
+        const toMinutes = (milliseconds) => Math.round(milliseconds / 60000);
+        const createTotals = () => ({ estimatedMinutes: 0, actualMilliseconds: 0 });
+
+        const total = createTotals();
+        const byCategory = {};
+        const byWeek = new Map();
+
+        // カテゴリの並び順どおり、カテゴリなしは空文字のキー
+        this.categories.getAll().forEach(category => {
+            byCategory[category.id] = createTotals();
+        });
+
+        const getWeek = (date) => {
+            const weekStart = TodoManager._getWeekStart(date);
+            const key = TodoManager._formatDateKey(weekStart);
+
+            if (!byWeek.has(key)) {
+                byWeek.set(key, { weekStart: key, ...createTotals() });
+            }
+
+            return byWeek.get(key);
+        };
+
+        todos.forEach(todo => {
+            const estimate = todo.estimateMinutes || 0;
+            const tracked = todo.getTrackedTime(now);
+            const categoryTotals = byCategory[todo.category] || (byCategory[todo.category] = createTotals());
+
+            total.estimatedMinutes += estimate;
+            total.actualMilliseconds += tracked;
+            categoryTotals.estimatedMinutes += estimate;
+            categoryTotals.actualMilliseconds += tracked;
+
+            if (estimate > 0) {
+                getWeek(todo.dueDate || todo.createdAt).estimatedMinutes += estimate;
+            }
+
+            todo.timeEntries.forEach(entry => {
+                const end = entry.endedAt || now;
+                let cursor = entry.startedAt;
+
+                while (cursor < end) {
+                    const nextWeek = TodoManager._getWeekStart(cursor);
+                    nextWeek.setDate(nextWeek.getDate() + 7);
+
+                    const segmentEnd = end < nextWeek ? end : nextWeek;
+                    getWeek(cursor).actualMilliseconds += segmentEnd - cursor;
+                    cursor = segmentEnd;
+                }
+            });
+        });
+
+        const finalize = ({ actualMilliseconds, ...totals }) => ({ ...totals, actualMinutes: toMinutes(actualMilliseconds) });
+
+        return {
+            ...finalize(total),
+            byCategory: Object.fromEntries(
+                Object.entries(byCategory).map(([categoryId, totals]) => [categoryId, finalize(totals)])
+            ),
+            byWeek: [...byWeek.values()]
+                .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+                .map(finalize)
+        };
+    }
+
+    /**
+     * 日時を含む週の開始日時（月曜日の0時、ローカル時刻）を取得
+     * @param {Date} date - 日時
+     * @returns {Date} - 週の開始日時
+     * @private
+     * @static
+     */
+    static _getWeekStart(date) {
+        const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+        return weekStart;
+    }
+
+    /**
+     * 日付を "YYYY-MM-DD" 形式（ローカル時刻）に変換
+     * @param {Date} date - 日付
+     * @returns {string} - 日付文字列
+     * @private
+     * @static
+     */
+    static _formatDateKey(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * 依存先を検証
+     * ゴミ箱のタスクは、すでに依存先に含まれている場合（元に戻したときに再び完了待ちになる）を除いて指定できない
+     * @param {string} todoId - 依存先を設定するTodoのID
+     * @param {Array<string>} dependsOn - 依存先のTodoのID
+     * @throws {Error} - 自分自身・存在しないタスクを指定した場合、または依存関係が循環する場合
+     * @private
+     */
+    _validateDependencies(todoId, dependsOn) {
+        const todo = this.getTodoById(todoId);
+
+        dependsOn.forEach(prerequisiteId => {
+            if (prerequisiteId === todoId) {
+                throw new Error('タスク自身を依存先にすることはできません');
+            }
+
+            const prerequisite = this.getTodoById(prerequisiteId);
+            if (!prerequisite || (prerequisite.isTrashed() && !(todo && todo.hasDependency(prerequisiteId)))) {
+                throw new Error('依存先のタスクが見つかりません');
+            }
+
+            if (this._dependsOnTransitively(prerequisiteId, todoId)) {
+                throw new Error(`"${prerequisite.title}" はこのタスクの完了を待っているため、依存先にすると循環します`);
+            }
+        });
+    }
+
+    /**
+     * 依存先をたどって指定したTODOに行き着くかチェック
+     * @param {string} fromId - たどり始めるTodoのID
+     * @param {string} targetId - 探すTodoのID
+     * @returns {boolean} - 直接または間接的に依存している場合true
+     * @private
+     */
+    _dependsOnTransitively(fromId, targetId) {
+        const visited = new Set();
+        const stack = [fromId];
+
+        while (stack.length > 0) {
+            const todo = this.getTodoById(stack.pop());
+            if (!todo || visited.has(todo.id)) continue;
+
+            if (todo.hasDependency(targetId)) {
+                return true;
+            }
+
+            visited.add(todo.id);
+            stack.push(...todo.dependsOn);
+        }
+
+        return false;
+    }
+
+    /**
+     * 存在しないTODOへの依存と、循環している依存を外して保存を予約
+     * （削除・インポート・以前のデータなどで残った参照を掃除する）
+     * @returns {Array<Todo>} - 依存先を外したTodo配列
+     * @private
+     */
+    _pruneDependencies() {
+        const todoIds = new Set(this.todos.map(todo => todo.id));
+        const pruned = [];
+
+        this.todos.forEach(todo => {
+            const dependsOn = todo.dependsOn.filter(prerequisiteId =>
+                todoIds.has(prerequisiteId) && !this._dependsOnTransitively(prerequisiteId, todo.id)
+            );
+
+            if (dependsOn.length !== todo.dependsOn.length) {
+                todo.update({ dependsOn });
+                pruned.push(todo);
+            }
+        });
+
+        // 読み取り専用や未解錠の場合は表示だけを揃え、保存はしない
+        if (this._isWritable()) {
+            pruned.forEach(todo => this._markDirty(todo.id));
+        }
+
+        return pruned;
+    }
+
+    /**
+     * カテゴリを変更して保存し、イベントを発火
+     * @param {function(): *} operation - カテゴリを変更する処理
+     * @returns {*} - operationの戻り値
+     * @private
+     */
+    _changeCategories(operation) {
+        return this._record('カテゴリの変更', () => {
+            try {
+                this._ensureWritable();
+
+                const result = operation();
+
+                this._saveCategories();
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('categoriesChanged', { categories: this.categories.getAll() });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return result;
+
+            } catch (error) {
+                console.error('Error changing categories:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * カテゴリのTODOを別のカテゴリに付け替えて保存を予約
+     * @param {string} fromId - 付け替え元のカテゴリID
+     * @param {string} toId - 付け替え先のカテゴリID（空文字の場合はカテゴリなし）
+     * @returns {number} - 付け替えたTODOの件数
+     * @private
+     */
+    _reassignCategory(fromId, toId) {
+        const targets = this.todos.filter(todo => todo.category === fromId);
+
+        targets.forEach(todo => {
+            todo.update({ category: toId });
+            this._markDirty(todo.id);
+        });
+
+        return targets.length;
+    }
+
+    /**
+     * 未登録のカテゴリを持つTODOがあれば、そのカテゴリを登録して保存
+     * （インポートしたファイルや以前のバージョンのデータに含まれるカテゴリを失わないため）
+     * @param {Array<Todo>} todos - 確認するTODO
+     * @private
+     */
+    _registerCategories(todos) {
+        const created = todos
+            .filter(todo => todo.category && !this.categories.has(todo.category))
+            .map(todo => this.categories.ensure(todo.category))
+            .filter(result => result.created);
+
+        if (created.length > 0) {
+            this._saveCategories();
+            this.emit('categoriesChanged', { categories: this.categories.getAll() });
+        }
+    }
+
+    /**
+     * カテゴリを保存
+     * @private
+     */
+    _saveCategories() {
+        this._touchRegistry('categories');
+
+        const write = this._writeRegistry('categories');
+        if (!write) {
+            const error = new Error('データの保存に失敗しました');
+            console.error('Error saving categories:', error);
+            this.emit('saveFailed', { error });
+            return;
+        }
+
+        this._watchWrites([write], { registries: ['categories'] });
+    }
+
+    /**
+     * リストを変更して保存し、イベントを発火
+     * @param {function(): *} operation - リストを変更する処理
+     * @returns {*} - operationの戻り値
+     * @private
+     */
+    _changeLists(operation) {
+        return this._record('リストの変更', () => {
+            try {
+                this._ensureWritable();
+
+                const result = operation();
+
+                this._saveLists();
+                this.applyFilter();
+
+                // イベント発火
+                this.emit('listsChanged', { lists: this.lists.getAll() });
+                this.emit('todosChanged', { todos: this.todos });
+
+                return result;
+
+            } catch (error) {
+                console.error('Error changing lists:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * IDでリストを取得
+     * @param {string} listId - リストID
+     * @returns {Object} - リスト
+     * @throws {Error} - リストが見つからない場合
+     * @private
+     */
+    _findList(listId) {
+        const list = this.lists.get(listId);
+
+        if (!list) {
+            throw new Error('指定されたリストが見つかりません');
+        }
+
+        return list;
+    }
+
+    /**
+     * リストの既定のカテゴリに指定するカテゴリIDをバリデーション
+     * @param {string} categoryId - カテゴリID
+     * @throws {Error} - カテゴリが見つからない場合
+     * @private
+     */
+    _validateListCategory(categoryId) {
+        if (!this.categories.has(categoryId)) {
+            throw new Error('指定されたカテゴリが見つかりません');
+        }
+    }
+
+    /**
+     * カテゴリを既定のカテゴリにしているリストを別のカテゴリに付け替えて保存
+     * @param {string} fromId - 付け替え元のカテゴリID
+     * @param {string} toId - 付け替え先のカテゴリID（空文字の場合はカテゴリなし）
+     * @private
+     */
+    _reassignListCategory(fromId, toId) {
+        const targets = this.lists.getAll().filter(list => list.defaultCategory === fromId);
+
+        if (targets.length === 0) {
+            return;
+        }
+
+        targets.forEach(list => this.lists.setDefaultCategory(list.id, toId));
+        this._saveLists();
+        this.emit('listsChanged', { lists: this.lists.getAll() });
+    }
+
+    /**
+     * 未登録のリストに入っているTODOがあれば、そのリストを登録して保存
+     * （リストの定義を含まないファイルからインポートしたTODOのリストを失わないため）
+     * @param {Array<Todo>} todos - 確認するTODO
+     * @private
+     */
+    _registerLists(todos) {
+        const created = todos
+            .filter(todo => !this.lists.has(todo.listId))
+            .map(todo => this.lists.ensure(todo.listId))
+            .filter(result => result.created);
+
+        if (created.length > 0) {
+            this._saveLists();
+            this.emit('listsChanged', { lists: this.lists.getAll() });
+        }
+    }
+
+    /**
+     * リストを保存
+     * @private
+     */
+    _saveLists() {
+        this._touchRegistry('lists');
+
+        const write = this._writeRegistry('lists');
+        if (!write) {
+            const error = new Error('データの保存に失敗しました');
+            console.error('Error saving lists:', error);
+            this.emit('saveFailed', { error });
+            return;
+        }
+
+        this._watchWrites([write], { registries: ['lists'] });
+    }
+
+    /**
+     * TODOを保存対象として記録し、保存を予約
+     * @param {string} todoId - 追加・更新されたTodoのID
+     * @private
+     */
+    _markDirty(todoId) {
+        this.deletedIds.delete(todoId);
+        this.dirtyIds.add(todoId);
+        this._touchTodo(todoId);
+        this._scheduleSave();
+    }
+
+    /**
+     * カテゴリまたはリストの現在の状態を書き込む
+     * 失敗した場合は保存に失敗したものとして記録し、次回の保存（flushChanges）で再試行する
+     * @param {string} name - categories/lists
+     * @returns {Promise<void>|false} - 書き込みの完了を待つPromise、保存に失敗した場合はfalse
+     * @private
+     */
+    _writeRegistry(name) {
+        const write = name === 'categories'
+            ? this.storageManager.saveCategories(this.categories.toJSON())
+            : this.storageManager.saveLists(this.lists.toJSON());
+
+        if (write) {
+            this.dirtyRegistries.delete(name);
+        } else {
+            this.dirtyRegistries.add(name);
+        }
+
+        return write;
+    }
+
+    /**
+     * 開始した書き込みを監視し、いずれかが失敗した場合は変更を未保存に戻してsaveFailedイベントを発火
+     * （未保存に戻した変更は次回の保存で再試行する。他の呼び出し元が開始した書き込みの失敗は通知しない）
+     * @param {Array<Promise<void>>} writes - 監視する書き込み
+     * @param {Object} changes - 書き込んだ変更
+     * @param {Array<string>} [changes.upsertIds=[]] - 書き込んだTodoのID
+     * @param {Array<string>} [changes.deleteIds=[]] - 削除したTodoのID
+     * @param {Array<string>} [changes.registries=[]] - 書き込んだカテゴリ・リスト（categories/lists）
+     * @private
+     */
+    _watchWrites(writes, { upsertIds = [], deleteIds = [], registries = [] }) {
+        if (writes.length === 0) {
+            return;
+        }
+
+        Promise.all(writes).catch(error => {
+            // 書き込み後にさらに変更・削除されたものは、その後の状態を優先する
+            upsertIds.forEach(todoId => {
+                if (!this.deletedIds.has(todoId)) {
+                    this.dirtyIds.add(todoId);
+                }
+            });
+            deleteIds.forEach(todoId => {
+                if (!this.dirtyIds.has(todoId)) {
+                    this.deletedIds.add(todoId);
+                }
+            });
+            registries.forEach(name => this.dirtyRegistries.add(name));
+
+            console.error('Error saving changes:', error);
+            this.emit('saveFailed', { error });
+        });
+    }
+
+    /**
+     * 全体を書き込んだ後（インポート・復元）にデータを再読み込みし、書き込みの失敗を監視
+     * @param {Array<string>} previousIds - 書き込み前のTodoのID（失敗した場合に削除をやり直すため）
+     * @param {Promise<void>} write - 全体の書き込みの完了を待つPromise
+     * @private
+     */
+    _reloadAfterFullWrite(previousIds, write) {
+        this.loadTodos();
+
+        const currentIds = new Set(this.todos.map(todo => todo.id));
+        this._watchWrites([write], {
+            upsertIds: [...currentIds],
+            deleteIds: previousIds.filter(todoId => !currentIds.has(todoId))
+        });
+    }
+
+    /**
+     * TODOを削除対象として記録し、保存を予約
+     * @param {string} todoId - 削除されたTodoのID
+     * @private
+     */
+    _markDeleted(todoId) {
+        this.dirtyIds.delete(todoId);
+        this.deletedIds.add(todoId);
+        this._touchTodo(todoId);
+        this._scheduleSave();
+    }
+
+    /**
+     * 保存を予約（短時間の連続した変更は1回の書き込みにまとめる）
+     * @private
+     */
+    _scheduleSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flushChanges();
+        }, this.saveDelay);
     }
 }
\ No newline at end of file
@@ -12,6 +12,21 @@ class UIManager {
         this.currentEditingTodo = null;
         this.modal = null;
 
+        // サブタスクを展開表示しているTODOのID（再描画後も開いたままにする）
+        this.expandedSubtaskIds = new Set();
+
+        // 添付欄を展開表示しているTODOのID（再描画後も開いたままにする）
+        this.expandedAttachmentIds = new Set();
+
+        // リマインダー欄を展開表示しているTODOのID（再描画後も開いたままにする）
+        this.expandedReminderIds = new Set();
+
+        // フォームで入力中のタグ
+        this.formTags = [];
+
+        // 計測中の作業時間を毎秒更新するタイマー
+        this.timerTickInterval = null;
+
         // DOM要素の参照を保持
         this.elements = {};
 
@@ -24,6 +39,7 @@ class UIManager {
         this.setupTodoManagerEvents();
 
         // 初期表示
+        this.renderCategoryOptions();
         this.updateDisplay();
     }
 
@@ -38,9 +54,24 @@ class UIManager {
             todoForm: document.getElementById('todoForm'),
             todoTitle: document.getElementById('todoTitle'),
             todoDescription: document.getElementById('todoDescription'),
+            todoDescriptionPreview: document.getElementById('todoDescriptionPreview'),
             todoCategory: document.getElementById('todoCategory'),
+            todoTagInput: document.getElementById('todoTagInput'),
+            todoTagChips: document.getElementById('todoTagChips'),
+            todoDependsOn: document.getElementById('todoDependsOn'),
+            dependencyRow: document.getElementById('dependencyRow'),
             todoPriority: document.getElementById('todoPriority'),
             todoDueDate: document.getElementById('todoDueDate'),
+            todoStartDate: document.getElementById('todoStartDate'),
+            todoEstimate: document.getElementById('todoEstimate'),
+            todoRecurrence: document.getElementById('todoRecurrence'),
+            recurrenceInterval: document.getElementById('recurrenceInterval'),
+            recurrenceIntervalUnit: document.getElementById('recurrenceIntervalUnit'),
+            recurrenceWeekdays: document.getElementById('recurrenceWeekdays'),
+            recurrenceDayOfMonth: document.getElementById('recurrenceDayOfMonth'),
+            recurrenceEnd: document.getElementById('recurrenceEnd'),
+            recurrenceUntil: document.getElementById('recurrenceUntil'),
+            recurrenceCount: document.getElementById('recurrenceCount'),
             submitBtn: document.getElementById('submitBtn'),
             resetBtn: document.getElementById('resetBtn'),
             titleError: document.getElementById('titleError'),
@@ -48,30 +79,53 @@ class UIManager {
             // フィルター要素
             searchInput: document.getElementById('searchInput'),
             filterCategory: document.getElementById('filterCategory'),
+            filterTagInput: document.getElementById('filterTagInput'),
+            filterTagChips: document.getElementById('filterTagChips'),
+            filterTagMode: document.getElementById('filterTagMode'),
+            tagSuggestions: document.getElementById('tagSuggestions'),
             filterPriority: document.getElementById('filterPriority'),
             filterStatus: document.getElementById('filterStatus'),
             sortBy: document.getElementById('sortBy'),
             clearFilters: document.getElementById('clearFilters'),
 
+            // リスト（サイドバー）要素
+            listNav: document.getElementById('listNav'),
+            addListBtn: document.getElementById('addListBtn'),
+            listManagerBtn: document.getElementById('listManagerBtn'),
+            todoListTitle: document.getElementById('todoListTitle'),
+
             // リスト要素
             todoList: document.getElementById('todoList'),
             emptyState: document.getElementById('emptyState'),
             exportBtn: document.getElementById('exportBtn'),
             importBtn: document.getElementById('importBtn'),
             importFile: document.getElementById('importFile'),
+            pasteImportBtn: document.getElementById('pasteImportBtn'),
+            encryptionBtn: document.getElementById('encryptionBtn'),
+            categoryBtn: document.getElementById('categoryBtn'),
+            timeReportBtn: document.getElementById('timeReportBtn'),
+            trashBtn: document.getElementById('trashBtn'),
+            trashCount: document.getElementById('trashCount'),
+            backupBtn: document.getElementById('backupBtn'),
 
             // 統計要素
             totalTasks: document.getElementById('totalTasks'),
             completedTasks: document.getElementById('completedTasks'),
             remainingTasks: document.getElementById('remainingTasks'),
+            subtaskProgress: document.getElementById('subtaskProgress'),
+            trackedTime: document.getElementById('trackedTime'),
 
             // モーダル要素
             modal: document.getElementById('modal'),
             modalTitle: document.getElementById('modalTitle'),
+            modalContent: document.querySelector('.modal-content'),
             modalClose: document.querySelector('.modal-close'),
             modalCancel: document.getElementById('modalCancel'),
             modalConfirm: document.getElementById('modalConfirm'),
 
+            // リマインダー要素
+            reminderPanel: document.getElementById('reminderPanel'),
+
             // トースト要素
             toastContainer: document.getElementById('toastContainer')
         };
@@ -91,6 +145,9 @@ class UIManager {
         // フォーム送信
         this.elements.todoForm?.addEventListener('submit', (e) => this.handleFormSubmit(e));
         this.elements.resetBtn?.addEventListener('click', () => this.resetForm());
+        this.elements.todoDescription?.addEventListener('input', () => this.updateDescriptionPreview());
+        this.elements.todoRecurrence?.addEventListener('change', () => this.updateRecurrenceFields());
+        this.elements.recurrenceEnd?.addEventListener('change', () => this.updateRecurrenceFields());
 
         // 検索とフィルター（デバウンス付き）
         this.elements.searchInput?.addEventListener('input', (e) => this.handleSearchInput(e));
@@ -98,13 +155,62 @@ class UIManager {
         this.elements.filterPriority?.addEventListener('change', (e) => this.handleFilterChange(e));
         this.elements.filterStatus?.addEventListener('change', (e) => this.handleFilterChange(e));
         this.elements.sortBy?.addEventListener('change', (e) => this.handleFilterChange(e));
+        this.elements.filterTagMode?.addEventListener('change', (e) => {
+            this.todoManager.setFilter({ tagMode: e.target.value });
+        });
+
+        // タグ入力（フォームとフィルター）
+        this.setupTagInput(this.elements.todoTagInput, {
+            onAdd: (tags) => {
+                this.formTags = Todo.parseTags([...this.formTags, ...tags]);
+                this.renderFormTags();
+            },
+            onRemoveLast: () => {
+                this.formTags = this.formTags.slice(0, -1);
+                this.renderFormTags();
+            }
+        });
+        this.elements.todoTagChips?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip-remove');
+            if (!chip) return;
+            this.formTags = this.formTags.filter(tag => tag !== chip.getAttribute('data-tag'));
+            this.renderFormTags();
+        });
+
+        this.setupTagInput(this.elements.filterTagInput, {
+            onAdd: (tags) => tags.forEach(tag => this.addFilterTag(tag)),
+            onRemoveLast: () => {
+                const tags = this.todoManager.getCurrentFilter().tags;
+                if (tags.length > 0) this.removeFilterTag(tags[tags.length - 1]);
+            }
+        });
+        this.elements.filterTagChips?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip-remove');
+            if (chip) this.removeFilterTag(chip.getAttribute('data-tag'));
+        });
         this.elements.clearFilters?.addEventListener('click', () => this.clearFilters());
 
+        // リストの切り替え・管理
+        this.elements.listNav?.addEventListener('click', (e) => {
+            const item = e.target.closest('.list-nav-item');
+            if (item) this.todoManager.setCurrentList(item.getAttribute('data-list-id') || null);
+        });
+        this.elements.addListBtn?.addEventListener('click', () => this.showListManager(true));
+        this.elements.listManagerBtn?.addEventListener('click', () => this.showListManager());
+
         // エクスポート・インポート
-        this.elements.exportBtn?.addEventListener('click', () => this.exportData());
+        this.elements.exportBtn?.addEventListener('click', () => this.showExportOptions());
         this.elements.importBtn?.addEventListener('click', () => this.triggerImport());
         this.elements.importFile?.addEventListener('change', (e) => this.handleImport(e));
 
+        // バックアップ
+        this.elements.pasteImportBtn?.addEventListener('click', () => this.showMarkdownImport());
+        this.elements.backupBtn?.addEventListener('click', () => this.showBackupPicker());
+        this.elements.encryptionBtn?.addEventListener('click', () => this.showEncryptionSettings());
+        this.elements.categoryBtn?.addEventListener('click', () => this.showCategoryManager());
+        this.elements.timeReportBtn?.addEventListener('click', () => this.showTimeReport());
+        this.elements.trashBtn?.addEventListener('click', () => this.showTrash());
+
         // モーダル
         this.elements.modalClose?.addEventListener('click', () => this.closeModal());
         this.elements.modalCancel?.addEventListener('click', () => this.closeModal());
@@ -123,12 +229,61 @@ class UIManager {
         this.todoManager.addEventListener('todosChanged', () => this.updateDisplay());
         this.todoManager.addEventListener('todoAdded', (data) => this.showToast('タスクが追加されました', 'success'));
         this.todoManager.addEventListener('todoUpdated', (data) => this.showToast('タスクが更新されました', 'info'));
-        this.todoManager.addEventListener('todoDeleted', (data) => this.showToast('タスクが削除されました', 'warning'));
+        this.todoManager.addEventListener('todoDeleted', (data) => {
+            let message = 'タスクをゴミ箱に移動しました';
+            if (data.dependents && data.dependents.length > 0) {
+                message += `（${data.dependents.length}件のタスクの完了待ちを解除しました）`;
+            }
+            this.showToast(message, 'warning', 6000, this.createUndoAction(data.commandId));
+        });
+        this.todoManager.addEventListener('todoRestored', (data) => this.showToast(`"${data.todo.title}" を元に戻しました`, 'success'));
+        this.todoManager.addEventListener('trashPurged', (data) => {
+            this.showToast(data.expired
+                ? `保持期間を過ぎた${data.todos.length}件のタスクをゴミ箱から削除しました`
+                : `${data.todos.length}件のタスクを完全に削除しました`, 'warning', 6000, this.createUndoAction(data.commandId));
+        });
         this.todoManager.addEventListener('todoToggled', (data) => {
-            const message = data.todo.completed ? 'タスクを完了しました' : 'タスクを未完了に戻しました';
+            let message = data.todo.completed ? 'タスクを完了しました' : 'タスクを未完了に戻しました';
+            if (data.nextOccurrence) {
+                message += `。次回分を作成しました（期限: ${this.formatDate(data.nextOccurrence.dueDate)}）`;
+            }
+            if (data.unblocked && data.unblocked.length > 0) {
+                message += `。${data.unblocked.map(todo => `"${todo.title}"`).join('、')} に着手できます`;
+            }
             this.showToast(message, 'success');
         });
+        this.todoManager.addEventListener('todoSnoozed', (data) => {
+            this.showToast(`"${data.todo.title}" を ${this.formatDate(data.until)} まで非表示にしました`, 'info', 6000, this.createUndoAction(data.commandId));
+        });
+        this.todoManager.addEventListener('todosStarted', (data) => {
+            this.showToast(data.todos.length === 1
+                ? `🌅 "${data.todos[0].title}" の開始日時になりました`
+                : `🌅 ${data.todos.length}件のタスクの開始日時になりました`, 'info', 6000);
+        });
+        this.todoManager.addEventListener('timerChanged', (data) => {
+            if (data.action === 'started') {
+                const stopped = data.stopped.map(todo => `"${todo.title}"`).join('、');
+                this.showToast(`"${data.todo.title}" の計測を開始しました${stopped ? `（${stopped} の計測を終了）` : ''}`, 'info');
+            } else if (data.action === 'stopped') {
+                this.showToast(`"${data.todo.title}" の計測を終了しました（${this.formatDuration((data.entry.endedAt - data.entry.startedAt) / 60000)}）`, 'success');
+            }
+        });
         this.todoManager.addEventListener('filterChanged', () => this.updateDisplay());
+        this.todoManager.addEventListener('categoriesChanged', () => {
+            this.renderCategoryOptions();
+            this.updateDisplay();
+        });
+        this.todoManager.addEventListener('listsChanged', () => this.updateDisplay());
+        this.todoManager.addEventListener('todoMovedToList', (data) => {
+            const list = this.todoManager.getList(data.to);
+            this.showToast(`"${data.todo.title}" を「${list ? list.name : data.to}」に移動しました`, 'success', 6000, this.createUndoAction(data.commandId));
+        });
+        this.todoManager.addEventListener('saveFailed', () => {
+            this.showToast('データの保存に失敗しました。変更は次回の保存時に再試行されます', 'error', 10000);
+        });
+        this.todoManager.addEventListener('backupFailed', () => {
+            this.showToast('バックアップ（スナップショット）を保存できませんでした。ストレージの空き容量を確認してください', 'warning', 10000);
+        });
     }
 
     // ===== 表示更新 =====
@@ -137,9 +292,13 @@ class UIManager {
      * 全体表示を更新
      */
     updateDisplay() {
+        this.renderListSidebar();
+        this.updateTagControls();
+        this.renderDependencyOptions();
         this.updateTodoList();
         this.updateStatistics();
         this.updateEmptyState();
+        this.updateTimerTicker();
     }
 
     /**
@@ -176,23 +335,91 @@ class UIManager {
             li.classList.add(dueStatus);
         }
 
+        // 未完了の依存先がある場合はブロック中として表示
+        const blockingTodos = todo.completed ? [] : this.todoManager.getBlockingTodos(todo.id);
+        if (blockingTodos.length > 0) {
+            li.classList.add('blocked');
+        }
+        const dependentCount = this.todoManager.getDependents(todo.id).length;
+        const isTiming = Boolean(todo.getRunningTimeEntry());
+        if (isTiming) {
+            li.classList.add('timing');
+        }
+
+        // 開始日時の前（「開始前」で絞り込んだ場合のみ表示）、または開始日時を迎えたばかりの場合は強調表示
+        const startStatus = todo.getStartStatus();
+        if (startStatus === 'scheduled') {
+            li.classList.add('scheduled');
+        } else if (startStatus === 'started') {
+            li.classList.add('just-started');
+        }
+
+        // 期限が繰り返し延期されている場合は強調表示
+        const dueDateSlipCount = todo.hasRepeatedDueDateSlips() ? todo.getDueDateSlips().length : 0;
+        if (dueDateSlipCount > 0) {
+            li.classList.add('due-slipping');
+        }
+
+        // すべてのリストを表示中は、どのリストのタスクかを表示
+        const showList = this.todoManager.getCurrentListId() === null;
+        const canMoveList = this.todoManager.getLists().length > 1;
+
+        // 手動の並び順ではドラッグ用のハンドルを表示
+        const sortable = this.todoManager.getCurrentFilter().sortBy === 'manual';
+        if (sortable) {
+            li.classList.add('sortable');
+        }
+
         li.innerHTML = `
+            ${sortable ? `
+                <button type="button" class="drag-handle" title="ドラッグまたはAlt+↑/↓で並び替え"
+                        aria-label="${this.escapeHtml(todo.title)} を並び替え（Alt+↑/↓で移動）">⠿</button>
+            ` : ''}
             <input type="checkbox" class="todo-checkbox" ${todo.completed ? 'checked' : ''}
                    aria-label="タスクを完了としてマークする">
             <div class="todo-content">
                 <h3 class="todo-title">${this.escapeHtml(todo.title)}</h3>
-                ${todo.description ? `<p class="todo-description">${this.escapeHtml(todo.description)}</p>` : ''}
+                ${todo.description ? `<div class="todo-description markdown-body">${MarkdownRenderer.render(todo.description)}</div>` : ''}
+                ${this.createTagsHtml(todo.tags)}
                 <div class="todo-meta">
-                    ${todo.category ? `<span class="todo-category ${todo.category}">${Todo.getCategoryDisplayName(todo.category)}</span>` : ''}
+                    ${showList ? this.createListBadgeHtml(todo.listId) : ''}
+                    ${todo.category ? this.createCategoryBadgeHtml(todo.category) : ''}
                     <span class="todo-priority ${todo.priority}">${Todo.getPriorityDisplayName(todo.priority)}</span>
                     ${todo.dueDate ? `<span class="todo-due-date ${dueStatus}">${todo.getFormattedDueDate()}</span>` : ''}
+                    ${startStatus !== 'normal' ? this.createStartDateHtml(todo, startStatus) : ''}
+                    ${dueDateSlipCount > 0 ? `<span class="todo-due-slips" title="期限が後ろにずらされた回数">⏩ 延期${dueDateSlipCount}回</span>` : ''}
+                    ${todo.recurrence ? `<span class="todo-recurrence" title="繰り返し">🔁 ${this.escapeHtml(Recurrence.describe(todo.recurrence))}</span>` : ''}
+                    ${blockingTodos.length > 0 ? `<span class="todo-blocked" title="先に完了が必要なタスク">⛔ ブロック中: ${blockingTodos.map(blocking => this.escapeHtml(blocking.title)).join('、')}</span>` : ''}
+                    ${dependentCount > 0 ? `<span class="todo-dependents" title="このタスクの完了を待っているタスク">🔗 ${dependentCount}件が完了待ち</span>` : ''}
+                    ${this.createTimeHtml(todo)}
+                    ${todo.attachments.length > 0 ? `<span class="todo-attachment-count" title="添付">📎 ${todo.attachments.length}</span>` : ''}
+                    ${todo.reminders.length > 0 ? `<span class="todo-reminder-count" title="リマインダー">🔔 ${todo.reminders.length}</span>` : ''}
                     <span class="todo-created">作成: ${this.formatDate(todo.createdAt)}</span>
                 </div>
+                ${this.createSubtasksHtml(todo)}
+                ${this.createAttachmentsHtml(todo)}
+                ${this.createRemindersHtml(todo)}
             </div>
             <div class="todo-actions">
+                ${todo.completed ? '' : `
+                    <button class="btn btn-outline timer-btn${isTiming ? ' running' : ''}" title="${isTiming ? '計測を終了' : '計測を開始'}" aria-pressed="${isTiming}">
+                        <span class="btn-icon">${isTiming ? '⏹️' : '▶️'}</span>
+                    </button>
+                    <button class="btn btn-outline snooze-btn" title="スヌーズ（指定した日時まで非表示）">
+                        <span class="btn-icon">💤</span>
+                    </button>
+                `}
                 <button class="btn btn-outline edit-btn" title="編集">
                     <span class="btn-icon">✏️</span>
                 </button>
+                ${canMoveList ? `
+                    <button class="btn btn-outline move-list-btn" title="別のリストに移動">
+                        <span class="btn-icon">📂</span>
+                    </button>
+                ` : ''}
+                <button class="btn btn-outline activity-btn" title="変更履歴">
+                    <span class="btn-icon">🕘</span>
+                </button>
                 <button class="btn btn-outline duplicate-btn" title="複製">
                     <span class="btn-icon">📋</span>
                 </button>
@@ -208,6 +435,307 @@ class UIManager {
         return li;
     }
 
+    /**
+     * 開始日時の表示のHTMLを作成
+     * @param {Todo} todo - Todoインスタンス
+     * @param {string} startStatus - 開始日時の状態（Todo.getStartStatus）
+     * @returns {string} - 開始日時のHTML
+     */
+    createStartDateHtml(todo, startStatus) {
+        return startStatus === 'scheduled'
+            ? `<span class="todo-start-date scheduled" title="この日時まで一覧に表示しません">💤 ${this.formatDate(todo.startDate)} から</span>`
+            : `<span class="todo-start-date started" title="開始日時を迎えて再表示されたタスク">🌅 ${this.formatDate(todo.startDate)} から着手</span>`;
+    }
+
+    /**
+     * カテゴリのバッジのHTMLを作成（カテゴリの色で表示）
+     * @param {string} categoryId - カテゴリID
+     * @returns {string} - バッジのHTML
+     */
+    createCategoryBadgeHtml(categoryId) {
+        const category = this.todoManager.getCategory(categoryId);
+        const style = category ? ` style="--category-color: ${category.color}"` : '';
+
+        return `<span class="todo-category"${style}>${this.escapeHtml(Todo.getCategoryDisplayName(categoryId))}</span>`;
+    }
+
+    /**
+     * TODOのタグのHTMLを作成（クリックでタグの絞り込みに追加）
+     * @param {Array<string>} tags - タグ
+     * @returns {string} - タグ一覧のHTML（タグがない場合は空文字）
+     */
+    createTagsHtml(tags) {
+        if (tags.length === 0) {
+            return '';
+        }
+
+        return `
+            <ul class="todo-tags" aria-label="タグ">
+                ${tags.map(tag => `
+                    <li><button type="button" class="tag-chip" data-tag="${this.escapeHtml(tag)}" title="このタグで絞り込む">#${this.escapeHtml(tag)}</button></li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * フォームとフィルターのカテゴリの選択肢をカテゴリの並び順どおりに作り直す
+     * 選択中のカテゴリが削除された場合は未選択に戻す
+     */
+    renderCategoryOptions() {
+        const categories = this.todoManager.getCategories();
+        const optionsHtml = categories.map(category =>
+            `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.name)}</option>`
+        ).join('');
+
+        const selects = [
+            { element: this.elements.todoCategory, placeholder: 'カテゴリを選択', value: this.elements.todoCategory?.value },
+            { element: this.elements.filterCategory, placeholder: 'すべて', value: this.todoManager.getCurrentFilter().category }
+        ];
+
+        selects.forEach(({ element, placeholder, value }) => {
+            if (!element) return;
+
+            element.innerHTML = `<option value="">${placeholder}</option>${optionsHtml}`;
+            element.value = categories.some(category => category.id === value) ? value : '';
+        });
+    }
+
+    /**
+     * サブタスク欄（折りたたみ表示・進捗・追加フォーム）のHTMLを作成
+     * @param {Todo} todo - Todoインスタンス
+     * @returns {string} - サブタスク欄のHTML
+     */
+    createSubtasksHtml(todo) {
+        const progress = todo.getSubtaskProgress();
+        const percent = progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0;
+        const now = new Date();
+
+        const items = todo.subtasks.map(subtask => {
+            const overdue = subtask.dueDate && !subtask.completed && subtask.dueDate < now;
+
+            return `
+                <li class="subtask-item${subtask.completed ? ' completed' : ''}" data-subtask-id="${this.escapeHtml(subtask.id)}">
+                    <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''}
+                           aria-label="サブタスクを完了としてマークする">
+                    <span class="subtask-title">${this.escapeHtml(subtask.title)}</span>
+                    ${subtask.dueDate ? `<span class="subtask-due-date${overdue ? ' overdue' : ''}">${overdue ? '⚠️' : '📅'} ${this.formatDate(subtask.dueDate)}</span>` : ''}
+                    <button type="button" class="subtask-delete-btn" title="サブタスクを削除" aria-label="サブタスクを削除">×</button>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <details class="todo-subtasks" ${this.expandedSubtaskIds.has(todo.id) ? 'open' : ''}>
+                <summary class="subtask-summary">
+                    ${progress.total > 0 ? `
+                        サブタスク
+                        <span class="subtask-progress">${progress.completed}/${progress.total}</span>
+                        <span class="subtask-progress-bar" aria-hidden="true"><span style="width: ${percent}%"></span></span>
+                    ` : 'サブタスクを追加'}
+                </summary>
+                ${progress.total > 0 ? `<ul class="subtask-list">${items}</ul>` : ''}
+                <form class="subtask-form">
+                    <input type="text" class="form-input subtask-title-input" placeholder="サブタスクのタイトル"
+                           maxlength="100" aria-label="サブタスクのタイトル">
+                    <input type="datetime-local" class="form-input subtask-due-input" aria-label="サブタスクの期限">
+                    <button type="submit" class="btn btn-outline">追加</button>
+                </form>
+            </details>
+        `;
+    }
+
+    /**
+     * 添付欄（折りたたみ表示・リンクとファイルの一覧・追加フォーム）のHTMLを作成
+     * ファイルのプレビューは内容の読み込みが必要なため、欄を開いたときに表示する（loadAttachmentPreviews）
+     * @param {Todo} todo - Todoインスタンス
+     * @returns {string} - 添付欄のHTML
+     */
+    createAttachmentsHtml(todo) {
+        const items = todo.attachments.map(attachment => `
+            <li class="attachment-item ${attachment.type === 'link' ? 'link' : 'file'}" data-attachment-id="${this.escapeHtml(attachment.id)}">
+                ${attachment.type === 'link' ? `
+                    <a class="attachment-link" href="${this.escapeHtml(attachment.url)}" target="_blank" rel="noopener noreferrer"
+                       title="${this.escapeHtml(attachment.url)}">🔗 ${this.escapeHtml(attachment.label)}</a>
+                ` : `
+                    <span class="attachment-name">📄 ${this.escapeHtml(attachment.name)}</span>
+                    <span class="attachment-size">${this.formatFileSize(attachment.size)}</span>
+                    <div class="attachment-preview"></div>
+                `}
+                <button type="button" class="attachment-remove-btn" title="添付を外す" aria-label="添付を外す">×</button>
+            </li>
+        `).join('');
+
+        return `
+            <details class="todo-attachments" ${this.expandedAttachmentIds.has(todo.id) ? 'open' : ''}>
+                <summary class="attachment-summary">
+                    ${todo.attachments.length > 0 ? `添付 <span class="attachment-count">${todo.attachments.length}</span>` : 'リンク・ファイルを添付'}
+                </summary>
+                ${todo.attachments.length > 0 ? `<ul class="attachment-list">${items}</ul>` : ''}
+                <form class="attachment-form">
+                    <input type="url" class="form-input attachment-url-input" placeholder="https://..." aria-label="添付するリンクのURL">
+                    <input type="text" class="form-input attachment-label-input" placeholder="表示名（省略可）"
+                           maxlength="100" aria-label="リンクの表示名">
+                    <button type="submit" class="btn btn-outline">リンクを追加</button>
+                    <label class="btn btn-outline attachment-file-label">
+                        ファイルを追加
+                        <input type="file" class="attachment-file-input" hidden>
+                    </label>
+                </form>
+                <p class="attachment-hint">ファイルは${this.formatFileSize(this.todoManager.getAttachmentSizeLimit())}まで添付できます</p>
+            </details>
+        `;
+    }
+
+    /**
+     * 添付ファイルのプレビューを表示（画像は縮小表示、それ以外はダウンロードリンク）
+     * @param {HTMLElement} element - TODO要素
+     * @param {Todo} todo - Todoインスタンス
+     */
+    loadAttachmentPreviews(element, todo) {
+        todo.attachments.filter(attachment => attachment.type === 'file').forEach(attachment => {
+            const preview = element.querySelector(`[data-attachment-id="${attachment.id}"] .attachment-preview`);
+            if (!preview || preview.childElementCount > 0) return;
+
+            const dataUrl = this.todoManager.getAttachmentData(attachment.id);
+            if (!dataUrl) {
+                preview.textContent = 'ファイルが見つかりません';
+                return;
+            }
+
+            const link = document.createElement('a');
+            link.className = 'attachment-download';
+            link.href = dataUrl;
+            link.download = attachment.name;
+
+            if (attachment.mimeType.startsWith('image/')) {
+                const image = document.createElement('img');
+                image.className = 'attachment-image';
+                image.src = dataUrl;
+                image.alt = attachment.name;
+                link.appendChild(image);
+            } else {
+                link.textContent = 'ダウンロード';
+            }
+
+            preview.appendChild(link);
+        });
+    }
+
+    /**
+     * 選択されたファイルを読み込んで添付
+     * @param {string} todoId - TodoのID
+     * @param {File} file - 選択されたファイル
+     */
+    handleAttachmentFile(todoId, file) {
+        const limit = this.todoManager.getAttachmentSizeLimit();
+        if (file.size > limit) {
+            this.showToast(`添付ファイルは${this.formatFileSize(limit)}までです（"${file.name}" は${this.formatFileSize(file.size)}）`, 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const added = this.runAction(() => this.todoManager.addFileAttachment(todoId, {
+                name: file.name,
+                mimeType: file.type,
+                dataUrl: event.target.result
+            }));
+
+            if (added) {
+                this.showToast(`"${file.name}" を添付しました`, 'success');
+            }
+        };
+        reader.onerror = () => this.showToast('ファイルの読み込みに失敗しました', 'error');
+
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * リマインダー欄（折りたたみ表示・設定済みのリマインダーの一覧・追加フォーム）のHTMLを作成
+     * @param {Todo} todo - Todoインスタンス
+     * @returns {string} - リマインダー欄のHTML
+     */
+    createRemindersHtml(todo) {
+        const items = todo.reminders.map(reminder => {
+            const nextTime = todo.getNextReminderTime(reminder);
+
+            return `
+                <li class="reminder-item" data-reminder-id="${this.escapeHtml(reminder.id)}">
+                    <span class="reminder-description">🔔 ${this.escapeHtml(Todo.describeReminder(reminder))}</span>
+                    <span class="reminder-next">${nextTime ? `通知: ${this.formatDate(nextTime)}` : '通知済み'}</span>
+                    <button type="button" class="reminder-remove-btn" title="リマインダーを削除" aria-label="リマインダーを削除">×</button>
+                </li>
+            `;
+        }).join('');
+
+        const offsetOptions = Object.entries(Todo.getReminderOffsets())
+            .map(([minutes, label]) => `<option value="${minutes}">${label}</option>`)
+            .join('');
+
+        return `
+            <details class="todo-reminders" ${this.expandedReminderIds.has(todo.id) ? 'open' : ''}>
+                <summary class="reminder-summary">
+                    ${todo.reminders.length > 0 ? `リマインダー <span class="reminder-count">${todo.reminders.length}</span>` : 'リマインダーを設定'}
+                </summary>
+                ${todo.reminders.length > 0 ? `<ul class="reminder-list">${items}</ul>` : ''}
+                <form class="reminder-form">
+                    <select class="form-select reminder-type-select" aria-label="通知するタイミング">
+                        ${todo.dueDate ? `<optgroup label="期限の前">${offsetOptions}</optgroup>` : ''}
+                        <option value="absolute">日時を指定</option>
+                    </select>
+                    <input type="datetime-local" class="form-input reminder-at-input" aria-label="通知する日時" ${todo.dueDate ? 'hidden' : ''}>
+                    <button type="submit" class="btn btn-outline">追加</button>
+                </form>
+            </details>
+        `;
+    }
+
+    /**
+     * 通知日時を過ぎたリマインダーをリマインダーパネルに表示
+     * 各リマインダーはスヌーズするか閉じるまで表示し続ける
+     * @param {Array<{todo: Todo, reminder: Object, time: Date}>} entries - 通知日時を過ぎたリマインダー
+     */
+    renderDueReminders(entries) {
+        const panel = this.elements.reminderPanel;
+        if (!panel) return;
+
+        panel.hidden = entries.length === 0;
+        panel.innerHTML = entries.map(({ todo, reminder, time }) => `
+            <div class="reminder-card" data-todo-id="${this.escapeHtml(todo.id)}" data-reminder-id="${this.escapeHtml(reminder.id)}">
+                <div class="reminder-card-title">🔔 ${this.escapeHtml(todo.title)}</div>
+                <div class="reminder-card-time">
+                    ${this.formatDate(time)}${reminder.type === 'beforeDue' ? `（${this.escapeHtml(Todo.describeReminder(reminder))}）` : ''}
+                    ${todo.dueDate ? ` / 期限: ${todo.getFormattedDueDate()}` : ''}
+                </div>
+                <div class="reminder-card-actions">
+                    <select class="form-select reminder-snooze-select" aria-label="スヌーズする時間">
+                        <option value="5">5分後</option>
+                        <option value="15">15分後</option>
+                        <option value="60">1時間後</option>
+                        <option value="1440">明日</option>
+                    </select>
+                    <button type="button" class="btn btn-outline reminder-snooze-btn">スヌーズ</button>
+                    <button type="button" class="btn btn-primary reminder-dismiss-btn">閉じる</button>
+                </div>
+            </div>
+        `).join('');
+
+        panel.querySelectorAll('.reminder-card').forEach(card => {
+            const todoId = card.getAttribute('data-todo-id');
+            const reminderId = card.getAttribute('data-reminder-id');
+
+            card.querySelector('.reminder-snooze-btn').addEventListener('click', () => {
+                const minutes = Number(card.querySelector('.reminder-snooze-select').value);
+                this.runAction(() => this.todoManager.snoozeReminder(todoId, reminderId, minutes));
+            });
+
+            card.querySelector('.reminder-dismiss-btn').addEventListener('click', () => {
+                this.runAction(() => this.todoManager.dismissReminder(todoId, reminderId));
+            });
+        });
+    }
+
     /**
      * TODOアイテムにイベントリスナーを設定
      * @param {HTMLElement} element - TODO要素
@@ -221,6 +749,35 @@ class UIManager {
             this.handleTodoToggle(todo.id);
         });
 
+        // 作業時間の計測
+        const timerBtn = element.querySelector('.timer-btn');
+        timerBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleTimerToggle(todo.id);
+        });
+
+        // 並び替え（ハンドルのドラッグ、またはAlt+↑/↓）
+        element.querySelector('.drag-handle')?.addEventListener('pointerdown', (e) => this.startTodoDrag(e, element, todo));
+        element.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') || this.isTextEditingTarget(e.target)) {
+                return;
+            }
+            if (this.todoManager.getCurrentFilter().sortBy !== 'manual') {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.handleTodoMove(todo.id, e.key === 'ArrowUp' ? -1 : 1);
+        });
+
+        // スヌーズボタン
+        const snoozeBtn = element.querySelector('.snooze-btn');
+        snoozeBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showSnoozeDialog(todo);
+        });
+
         // 編集ボタン
         const editBtn = element.querySelector('.edit-btn');
         editBtn?.addEventListener('click', (e) => {
@@ -228,6 +785,20 @@ class UIManager {
             this.editTodo(todo);
         });
 
+        // リストの移動ボタン
+        const moveListBtn = element.querySelector('.move-list-btn');
+        moveListBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showMoveToListDialog(todo);
+        });
+
+        // 変更履歴ボタン
+        const activityBtn = element.querySelector('.activity-btn');
+        activityBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showActivityLog(todo.id);
+        });
+
         // 複製ボタン
         const duplicateBtn = element.querySelector('.duplicate-btn');
         duplicateBtn?.addEventListener('click', (e) => {
@@ -241,17 +812,177 @@ class UIManager {
             e.stopPropagation();
             this.confirmDeleteTodo(todo);
         });
+
+        // 詳細説明のチェックリスト（Markdownの "- [ ]" を書き換える）
+        element.querySelectorAll('.todo-description input[data-task-index]').forEach(taskCheckbox => {
+            taskCheckbox.addEventListener('change', (e) => {
+                e.stopPropagation();
+                const taskIndex = Number(taskCheckbox.getAttribute('data-task-index'));
+                this.runAction(() => this.todoManager.updateTodo(todo.id, {
+                    description: MarkdownRenderer.toggleTaskItem(todo.description, taskIndex)
+                }));
+            });
+        });
+
+        // タグで絞り込み
+        element.querySelectorAll('.tag-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.addFilterTag(chip.getAttribute('data-tag'));
+            });
+        });
+
+        // サブタスクの展開状態
+        const subtasks = element.querySelector('.todo-subtasks');
+        subtasks?.addEventListener('toggle', () => {
+            if (subtasks.open) {
+                this.expandedSubtaskIds.add(todo.id);
+            } else {
+                this.expandedSubtaskIds.delete(todo.id);
+            }
+        });
+
+        // サブタスクの完了・削除
+        element.querySelectorAll('.subtask-item').forEach(item => {
+            const subtaskId = item.getAttribute('data-subtask-id');
+
+            item.querySelector('.subtask-checkbox')?.addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.runAction(() => this.todoManager.toggleSubtask(todo.id, subtaskId));
+            });
+
+            item.querySelector('.subtask-delete-btn')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.runAction(() => this.todoManager.deleteSubtask(todo.id, subtaskId));
+            });
+        });
+
+        // 添付欄の展開状態（開いたときにファイルのプレビューを読み込む）
+        const attachments = element.querySelector('.todo-attachments');
+        if (attachments?.open) {
+            this.loadAttachmentPreviews(element, todo);
+        }
+        attachments?.addEventListener('toggle', () => {
+            if (attachments.open) {
+                this.expandedAttachmentIds.add(todo.id);
+                this.loadAttachmentPreviews(element, todo);
+            } else {
+                this.expandedAttachmentIds.delete(todo.id);
+            }
+        });
+
+        // 添付を外す
+        element.querySelectorAll('.attachment-item').forEach(item => {
+            const attachmentId = item.getAttribute('data-attachment-id');
+
+            item.querySelector('.attachment-remove-btn')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.runAction(() => this.todoManager.removeAttachment(todo.id, attachmentId));
+            });
+        });
+
+        // リンク・ファイルの添付
+        const attachmentForm = element.querySelector('.attachment-form');
+        attachmentForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            this.runAction(() => this.todoManager.addLinkAttachment(
+                todo.id,
+                attachmentForm.querySelector('.attachment-url-input').value,
+                attachmentForm.querySelector('.attachment-label-input').value.trim()
+            ));
+        });
+        attachmentForm?.querySelector('.attachment-file-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+
+            if (file) {
+                this.handleAttachmentFile(todo.id, file);
+            }
+        });
+
+        // リマインダー欄の展開状態
+        const reminders = element.querySelector('.todo-reminders');
+        reminders?.addEventListener('toggle', () => {
+            if (reminders.open) {
+                this.expandedReminderIds.add(todo.id);
+            } else {
+                this.expandedReminderIds.delete(todo.id);
+            }
+        });
+
+        // リマインダーの削除
+        element.querySelectorAll('.reminder-item').forEach(item => {
+            const reminderId = item.getAttribute('data-reminder-id');
+
+            item.querySelector('.reminder-remove-btn')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.runAction(() => this.todoManager.removeReminder(todo.id, reminderId));
+            });
+        });
+
+        // リマインダーの追加（日時を指定する場合のみ日時の入力欄を表示）
+        const reminderForm = element.querySelector('.reminder-form');
+        const reminderTypeSelect = reminderForm?.querySelector('.reminder-type-select');
+        const reminderAtInput = reminderForm?.querySelector('.reminder-at-input');
+        reminderTypeSelect?.addEventListener('change', () => {
+            reminderAtInput.hidden = reminderTypeSelect.value !== 'absolute';
+        });
+        reminderForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const reminderData = reminderTypeSelect.value === 'absolute'
+                ? { type: 'absolute', at: reminderAtInput.value ? new Date(reminderAtInput.value) : null }
+                : { type: 'beforeDue', offsetMinutes: Number(reminderTypeSelect.value) };
+
+            this.runAction(() => this.todoManager.addReminder(todo.id, reminderData));
+        });
+
+        // サブタスクの追加
+        const subtaskForm = element.querySelector('.subtask-form');
+        subtaskForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const titleInput = subtaskForm.querySelector('.subtask-title-input');
+            const dueInput = subtaskForm.querySelector('.subtask-due-input');
+
+            const added = this.runAction(() => this.todoManager.addSubtask(todo.id, {
+                title: titleInput.value.trim(),
+                dueDate: dueInput.value ? new Date(dueInput.value) : null
+            }));
+
+            // 再描画後のフォームにフォーカスを戻して続けて入力できるようにする
+            if (added) {
+                this.elements.todoList
+                    ?.querySelector(`[data-todo-id="${todo.id}"] .subtask-title-input`)
+                    ?.focus();
+            }
+        });
     }
 
     /**
-     * 統計情報を更新
+     * 統計情報を更新（表示中のリストの統計）
      */
     updateStatistics() {
-        const stats = this.todoManager.getStatistics();
+        const stats = this.todoManager.getStatistics(this.todoManager.getCurrentListId());
 
         if (this.elements.totalTasks) this.elements.totalTasks.textContent = stats.total;
         if (this.elements.completedTasks) this.elements.completedTasks.textContent = stats.completed;
         if (this.elements.remainingTasks) this.elements.remainingTasks.textContent = stats.pending;
+        if (this.elements.subtaskProgress) {
+            this.elements.subtaskProgress.textContent = `${stats.subtaskStats.completed}/${stats.subtaskStats.total}`;
+        }
+        if (this.elements.trackedTime) {
+            this.elements.trackedTime.textContent =
+                `${this.formatDuration(stats.timeStats.actualMinutes)}/${this.formatDuration(stats.timeStats.estimatedMinutes)}`;
+        }
+        if (this.elements.trashCount) {
+            const trashedCount = this.todoManager.getTrashedTodos().length;
+            this.elements.trashCount.textContent = trashedCount > 0 ? trashedCount : '';
+        }
     }
 
     /**
@@ -268,7 +999,7 @@ class UIManager {
         // 空の状態メッセージをカスタマイズ
         if (isEmpty) {
             const filter = this.todoManager.getCurrentFilter();
-            const hasActiveFilter = filter.search || filter.category || filter.priority || filter.status;
+            const hasActiveFilter = filter.search || filter.category || filter.tags.length > 0 || filter.priority || filter.status;
 
             if (hasActiveFilter) {
                 this.elements.emptyState.innerHTML = `
@@ -280,11 +1011,14 @@ class UIManager {
                     </p>
                 `;
             } else {
+                const scheduledCount = this.todoManager.getScheduledTodos().length;
+
                 this.elements.emptyState.innerHTML = `
                     <div class="empty-icon">📝</div>
                     <h3 class="empty-title">タスクがありません</h3>
                     <p class="empty-description">
                         上のフォームから新しいタスクを追加してください
+                        ${scheduledCount > 0 ? `<br>開始日時の前のタスクが${scheduledCount}件あります（状態「開始前」で表示できます）` : ''}
                     </p>
                 `;
             }
@@ -353,9 +1087,20 @@ class UIManager {
 
     /**
      * TODOの完了状態切り替えを処理
+     * 未完了のサブタスクがあるTODOを完了にする場合は、サブタスクも完了にするかを確認する
      * @param {string} todoId - TodoのID
      */
     handleTodoToggle(todoId) {
+        const todo = this.todoManager.getTodoById(todoId);
+        const progress = todo ? todo.getSubtaskProgress() : null;
+
+        if (todo && !todo.completed && progress.completed < progress.total) {
+            // 確認中はチェックボックスを元の状態に戻しておく
+            this.updateTodoList();
+            this.showSubtaskCompletionOptions(todo, progress.total - progress.completed);
+            return;
+        }
+
         try {
             this.todoManager.toggleTodo(todoId);
         } catch (error) {
@@ -363,6 +1108,51 @@ class UIManager {
         }
     }
 
+    /**
+     * 親タスクの完了時にサブタスクも完了にするかを選ぶダイアログを表示
+     * @param {Todo} todo - 完了にするTodo
+     * @param {number} pendingCount - 未完了のサブタスク数
+     */
+    showSubtaskCompletionOptions(todo, pendingCount) {
+        const container = document.createElement('div');
+        container.className = 'import-options';
+        container.innerHTML = `
+            <p>"${this.escapeHtml(todo.title)}" には未完了のサブタスクが${pendingCount}件あります。</p>
+            <label class="import-option">
+                <input type="checkbox" name="includeSubtasks" checked>
+                サブタスクもすべて完了にする
+            </label>
+        `;
+
+        this.showCustomModal('タスクの完了', container, {
+            confirmText: '完了にする',
+            onConfirm: () => {
+                const includeSubtasks = container.querySelector('input[name="includeSubtasks"]').checked;
+
+                try {
+                    this.todoManager.toggleTodo(todo.id, { includeSubtasks });
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        });
+    }
+
+    /**
+     * TODOの操作を実行し、エラーをトーストで表示
+     * @param {function(): Object} action - 実行する操作
+     * @returns {boolean} - 操作成功の可否
+     */
+    runAction(action) {
+        try {
+            action();
+            return true;
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return false;
+        }
+    }
+
     /**
      * キーボードショートカットを処理
      * @param {Event} e - キーボードイベント
@@ -388,6 +1178,20 @@ class UIManager {
             e.preventDefault();
             this.elements.searchInput?.focus();
         }
+
+        // Ctrl+Z: 元に戻す、Ctrl+Shift+Z / Ctrl+Y: やり直す
+        // （文字の入力欄ではブラウザの入力の取り消しを優先し、モーダル表示中は操作しない）
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') &&
+            !this.isTextEditingTarget(e.target) && !this.elements.modal?.classList.contains('show')) {
+            e.preventDefault();
+
+            if (key === 'y' || e.shiftKey) {
+                this.handleRedo();
+            } else {
+                this.handleUndo();
+            }
+        }
     }
 
     /**
@@ -399,22 +1203,26 @@ class UIManager {
         if (!file) return;
 
         const reader = new FileReader();
+
+        // ZIPアーカイブ（JSON＋添付ファイル）はバイト列として読み込む
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            reader.onload = (event) => {
+                this.showImportOptions((merge, strategy, listId) =>
+                    this.todoManager.importArchive(event.target.result, merge, strategy, listId)
+                );
+                e.target.value = '';
+            };
+            reader.readAsArrayBuffer(file);
+            return;
+        }
+
         reader.onload = (event) => {
             try {
-                const jsonString = event.target.result;
-
-                // 確認ダイアログを表示
-                this.showConfirmModal(
-                    'データのインポート',
-                    'インポートされたデータで現在のデータを上書きしますか？',
-                    () => {
-                        if (this.todoManager.importData(jsonString, false)) {
-                            this.showToast('データをインポートしました', 'success');
-                        } else {
-                            this.showToast('インポートに失敗しました', 'error');
-                        }
-                    }
-                );
+                const text = event.target.result;
+                const extension = file.name.toLowerCase().split('.').pop();
+                const format = ['csv', 'md', 'ics'].includes(extension) ? extension : 'json';
+
+                this.startImport(format, text);
 
             } catch (error) {
                 this.showToast('ファイルの読み込みに失敗しました', 'error');
@@ -427,43 +1235,522 @@ class UIManager {
         reader.readAsText(file);
     }
 
-    // ===== CRUD操作UI =====
-
     /**
-     * TODOを編集モードにする
-     * @param {Todo} todo - 編集するTodo
+     * 形式に応じたインポートダイアログを表示
+     * 暗号化されたファイルはパスフレーズの入力後に元の形式で取り込む
+     * @param {string} format - ファイル形式（json/csv/md/ics）
+     * @param {string} text - ファイルの内容
      */
-    editTodo(todo) {
-        this.currentEditingTodo = todo;
-
-        // フォームにデータを設定
-        if (this.elements.todoTitle) this.elements.todoTitle.value = todo.title;
-        if (this.elements.todoDescription) this.elements.todoDescription.value = todo.description;
-        if (this.elements.todoCategory) this.elements.todoCategory.value = todo.category;
-        if (this.elements.todoPriority) this.elements.todoPriority.value = todo.priority;
-        if (this.elements.todoDueDate && todo.dueDate) {
-            // datetime-local形式に変換
-            const date = new Date(todo.dueDate);
-            const localDateTime = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
-                .toISOString().slice(0, 16);
-            this.elements.todoDueDate.value = localDateTime;
+    startImport(format, text) {
+        if (format === 'json' && CryptoService.parseEnvelope(text)) {
+            this.showDecryptImport(text);
+            return;
         }
 
-        // ボタンテキストを変更
-        if (this.elements.submitBtn) {
-            this.elements.submitBtn.innerHTML = '<span class="btn-icon">✏️</span>タスクを更新';
+        switch (format) {
+            case 'csv':
+                // CSVは列マッピングを選択してから取り込む
+                this.showCsvMapping(text);
+                break;
+            case 'md':
+                // Markdownは内容を確認してから取り込む
+                this.showMarkdownImport(text);
+                break;
+            case 'ics':
+                this.showImportOptions((merge, strategy, listId) =>
+                    this.todoManager.importICal(text, merge, strategy, listId)
+                );
+                break;
+            case 'json':
+            default:
+                // インポート方法の選択ダイアログを表示
+                this.showImportOptions((merge, strategy, listId) =>
+                    this.todoManager.importData(text, merge, strategy, listId)
+                );
         }
-
-        // フォームまでスクロール
-        this.elements.todoForm?.scrollIntoView({ behavior: 'smooth' });
-
-        // タイトルフィールドにフォーカス
-        this.elements.todoTitle?.focus();
     }
 
     /**
-     * TODOを複製
-     * @param {Todo} todo - 複製するTodo
+     * 暗号化されたファイルのパスフレーズ入力ダイアログを表示
+     * @param {string} text - 暗号化されたファイルの内容
+     */
+    showDecryptImport(text) {
+        const container = document.createElement('div');
+        container.className = 'passphrase-form';
+        container.innerHTML = `
+            <p>このファイルは暗号化されています。エクスポート時に設定したパスフレーズを入力してください。</p>
+            <input type="password" class="form-input" name="importPassphrase" autocomplete="off" aria-label="パスフレーズ">
+            <div class="error-message passphrase-error" role="alert"></div>
+        `;
+
+        const input = container.querySelector('input[name="importPassphrase"]');
+        const errorElement = container.querySelector('.passphrase-error');
+
+        this.showCustomModal('暗号化されたファイル', container, {
+            confirmText: '復号',
+            onConfirm: () => {
+                if (!input.value) {
+                    errorElement.textContent = 'パスフレーズを入力してください';
+                    return false;
+                }
+
+                this.runPassphraseTask(errorElement, '復号しています…', async () => {
+                    const decrypted = await this.todoManager.decryptImportData(text, input.value);
+                    this.startImport(decrypted.format, decrypted.text);
+                });
+
+                return false;
+            }
+        });
+
+        input.focus();
+    }
+
+    /**
+     * CSVの列マッピング選択ダイアログを表示
+     * @param {string} csvText - CSV文字列
+     */
+    showCsvMapping(csvText) {
+        let parsed;
+        try {
+            parsed = CsvConverter.parse(csvText);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        const { headers, rows } = parsed;
+        const mapping = CsvConverter.guessMapping(headers);
+        const fieldLabels = {
+            title: 'タイトル *',
+            description: '詳細説明',
+            category: 'カテゴリ',
+            tags: 'タグ',
+            priority: '優先度',
+            dueDate: '期限',
+            startDate: '開始日時',
+            completed: '完了状態',
+            subtasks: 'サブタスク（JSON）',
+            recurrence: '繰り返し（JSON）',
+            dependsOn: '依存先（タスクのID）',
+            estimateMinutes: '見積もり（分）',
+            timeEntries: '作業記録（JSON）',
+            attachments: '添付（JSON）',
+            reminders: 'リマインダー（JSON）',
+            position: '並び順',
+            listId: 'リスト（IDまたは名前）',
+            deletedAt: 'ゴミ箱に移動した日時',
+            activity: '変更履歴（JSON）',
+            id: 'ID（再インポート時の照合用）',
+            createdAt: '作成日時',
+            updatedAt: '更新日時'
+        };
+
+        const container = document.createElement('div');
+        container.className = 'csv-mapping';
+        container.innerHTML = `
+            <p>${rows.length}行のデータがあります。各項目に対応する列を選択してください。</p>
+            <div class="csv-mapping-fields">
+                ${Object.keys(fieldLabels).map(field => `
+                    <label class="csv-mapping-field">
+                        <span class="form-label">${fieldLabels[field]}</span>
+                        <select class="form-select" data-field="${field}">
+                            <option value="-1">（取り込まない）</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${this.escapeHtml(header || `列${index + 1}`)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="csv-preview">
+                <table>
+                    <thead><tr>${headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr></thead>
+                    <tbody>
+                        ${rows.slice(0, 3).map(row => `
+                            <tr>${headers.map((header, index) => `<td>${this.escapeHtml(row[index] || '')}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="error-message csv-mapping-error"></div>
+        `;
+
+        this.showCustomModal('CSVの列マッピング', container, {
+            wide: true,
+            confirmText: '次へ',
+            onConfirm: () => {
+                const selectedMapping = {};
+                container.querySelectorAll('select[data-field]').forEach(select => {
+                    selectedMapping[select.getAttribute('data-field')] = Number(select.value);
+                });
+
+                if (selectedMapping.title < 0) {
+                    container.querySelector('.csv-mapping-error').textContent = 'タイトルの列を選択してください';
+                    return false;
+                }
+
+                this.showImportOptions((merge, strategy, listId) =>
+                    this.todoManager.importCsv(csvText, selectedMapping, merge, strategy, listId)
+                );
+            }
+        });
+    }
+
+    /**
+     * Markdownチェックリストの貼り付けダイアログを表示
+     * @param {string} [markdownText=''] - 初期表示するMarkdown文字列
+     */
+    showMarkdownImport(markdownText = '') {
+        const container = document.createElement('div');
+        container.className = 'markdown-import';
+        container.innerHTML = `
+            <p>
+                <code>- [ ]</code> / <code>- [x]</code> 形式のチェックリストを貼り付けてください。
+                見出しはカテゴリ、行末の「(優先度: 高)」「(期限: 2026-01-31 10:00)」は優先度と期限として取り込みます。
+            </p>
+            <textarea class="form-textarea markdown-import-text" rows="12" placeholder="## 仕事&#10;&#10;- [ ] 議事録を共有する (期限: 2026-01-31)"></textarea>
+            <div class="error-message markdown-import-error"></div>
+        `;
+
+        const textarea = container.querySelector('.markdown-import-text');
+        textarea.value = markdownText;
+
+        this.showCustomModal('Markdownから追加', container, {
+            wide: true,
+            confirmText: '追加',
+            onConfirm: () => {
+                const { entries, errors } = MarkdownConverter.parse(textarea.value);
+
+                if (entries.length === 0 && errors.length === 0) {
+                    container.querySelector('.markdown-import-error').textContent = 'チェックリストの項目が見つかりません';
+                    return false;
+                }
+
+                const { result: report, commandId } = this.runUndoable(() => this.todoManager.importMarkdown(textarea.value));
+                this.showImportReport(report, commandId);
+            }
+        });
+
+        textarea.focus();
+    }
+
+    /**
+     * インポート方法（置き換え/結合・結合方法・取り込み先のリスト）の選択ダイアログを表示
+     * @param {function(boolean, string, string|null): Object} performImport - インポートを実行し結果レポートを返す関数
+     *        （取り込み先のリストIDがnullの場合はファイルのリストのまま取り込む）
+     */
+    showImportOptions(performImport) {
+        const container = document.createElement('div');
+        container.className = 'import-options';
+        container.innerHTML = `
+            <p>インポート方法を選択してください。</p>
+            <label class="import-option">
+                <input type="radio" name="importMode" value="replace" checked>
+                現在のデータを置き換える
+            </label>
+            <label class="import-option">
+                <input type="radio" name="importMode" value="merge">
+                現在のデータと結合する
+            </label>
+            <div class="form-group import-strategy">
+                <label for="importStrategy" class="form-label">同じタスクが存在する場合</label>
+                <select id="importStrategy" class="form-select" disabled>
+                    ${StorageManager.getMergeStrategies().map(strategy =>
+                        `<option value="${strategy}">${this.getMergeStrategyLabel(strategy)}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <div class="form-group import-list">
+                <label for="importList" class="form-label">取り込み先のリスト</label>
+                <select id="importList" class="form-select" aria-describedby="importListHelp">
+                    <option value="">ファイルのリストのまま</option>
+                    ${this.todoManager.getLists().map(list =>
+                        `<option value="${this.escapeHtml(list.id)}">${this.escapeHtml(list.name)}</option>`
+                    ).join('')}
+                </select>
+                <small id="importListHelp" class="form-help">リストを選ぶと、すべてのタスクをそのリストに取り込みます（置き換える場合も、そのリストのタスクだけを置き換えます）</small>
+            </div>
+        `;
+
+        const strategySelect = container.querySelector('#importStrategy');
+        container.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                strategySelect.disabled = container.querySelector('input[name="importMode"]:checked').value !== 'merge';
+            });
+        });
+
+        this.showCustomModal('データのインポート', container, {
+            confirmText: 'インポート',
+            onConfirm: () => {
+                const merge = container.querySelector('input[name="importMode"]:checked').value === 'merge';
+                const listId = container.querySelector('#importList').value || null;
+
+                try {
+                    const { result: report, commandId } = this.runUndoable(() => performImport(merge, strategySelect.value, listId));
+                    this.showImportReport(report, commandId);
+                } catch (error) {
+                    this.showToast(error.message, 'error', 10000);
+                }
+            }
+        });
+    }
+
+    /**
+     * インポート結果レポートを表示
+     * @param {Object} report - TodoManager.importDataが返す結果レポート
+     * @param {number|null} [commandId=null] - インポートを元に戻すためのコマンドID
+     */
+    showImportReport(report, commandId = null) {
+        const actionLabels = {
+            'added': '追加',
+            'updated': '更新',
+            'skipped': 'スキップ',
+            'conflicted': '競合'
+        };
+
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <p class="import-summary">
+                追加 ${report.added}件 / 更新 ${report.updated}件 /
+                スキップ ${report.skipped}件 / 競合 ${report.conflicted}件
+            </p>
+            ${report.merge && report.strategy ? `<p class="import-strategy-used">結合方法: ${this.getMergeStrategyLabel(report.strategy)}</p>` : ''}
+            ${report.errors.length > 0 ? `
+                <h4 class="diff-heading diff-removed">取り込めなかった行（${report.errors.length}件）</h4>
+                <ul class="import-report-list import-errors">
+                    ${report.errors.map(error => `
+                        <li class="import-report-item conflicted">
+                            <span class="import-action">${error.row}行目</span>
+                            <span class="import-reason">${this.escapeHtml(error.message)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            ${report.attachmentErrors && report.attachmentErrors.length > 0 ? `
+                <h4 class="diff-heading diff-removed">保存できなかった添付ファイル（${report.attachmentErrors.length}件）</h4>
+                <ul class="import-report-list import-errors">
+                    ${report.attachmentErrors.map(error => `
+                        <li class="import-report-item conflicted">
+                            <span class="import-title">${this.escapeHtml(error.name)}</span>
+                            <span class="import-reason">${this.escapeHtml(error.message)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            <ul class="import-report-list">
+                ${report.items.map(item => `
+                    <li class="import-report-item ${item.action}">
+                        <span class="import-action">${actionLabels[item.action] || item.action}</span>
+                        <span class="import-title">${this.escapeHtml(item.title)}</span>
+                        <span class="import-reason">
+                            ${this.getImportReasonLabel(item.reason)}
+                            ${item.fields.length > 0 && item.action !== 'added' ? `（${item.fields.map(field => this.escapeHtml(field)).join(', ')}）` : ''}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        this.showCustomModal('インポート結果', container, { wide: true });
+
+        if (report.total > 0) {
+            this.showToast('データをインポートしました', 'success', 6000, this.createUndoAction(commandId));
+        } else {
+            this.showToast('インポートできるデータがありませんでした', 'warning');
+        }
+    }
+
+    /**
+     * 結合方法の表示名を取得
+     * @param {string} strategy - 結合方法ID
+     * @returns {string} - 表示名
+     */
+    getMergeStrategyLabel(strategy) {
+        const strategyMap = {
+            'newest': '更新日時が新しい方を残す',
+            'local': '現在のデータを優先',
+            'imported': 'インポートしたデータを優先',
+            'field': '項目ごとに結合'
+        };
+        return strategyMap[strategy] || strategy;
+    }
+
+    /**
+     * インポート結果の理由の表示名を取得
+     * @param {string} reason - 理由ID
+     * @returns {string} - 表示名
+     */
+    getImportReasonLabel(reason) {
+        const reasonMap = {
+            'new': '新しいタスク',
+            'identical': '内容が同じ',
+            'preferLocal': '現在のデータを優先',
+            'preferImported': 'インポートしたデータを優先',
+            'importedNewer': 'インポートしたデータの方が新しい',
+            'localNewer': '現在のデータの方が新しい',
+            'sameTimestamp': '更新日時が同じで内容が異なる（現在のデータを保持）',
+            'fieldMerge': '項目ごとに結合'
+        };
+        return reasonMap[reason] || reason;
+    }
+
+    // ===== CRUD操作UI =====
+
+    /**
+     * TODOを編集モードにする
+     * @param {Todo} todo - 編集するTodo
+     */
+    editTodo(todo) {
+        this.currentEditingTodo = todo;
+
+        // フォームにデータを設定
+        if (this.elements.todoTitle) this.elements.todoTitle.value = todo.title;
+        if (this.elements.todoDescription) this.elements.todoDescription.value = todo.description;
+        this.updateDescriptionPreview();
+        if (this.elements.todoCategory) this.elements.todoCategory.value = todo.category;
+        this.formTags = [...todo.tags];
+        this.renderFormTags();
+        this.renderDependencyOptions(todo.dependsOn);
+        if (this.elements.todoEstimate) {
+            this.elements.todoEstimate.value = todo.estimateMinutes !== null ? todo.estimateMinutes / 60 : '';
+        }
+        if (this.elements.todoPriority) this.elements.todoPriority.value = todo.priority;
+        if (this.elements.todoDueDate && todo.dueDate) {
+            this.elements.todoDueDate.value = this.formatDateTimeLocal(todo.dueDate);
+        }
+        if (this.elements.todoStartDate) {
+            this.elements.todoStartDate.value = todo.startDate ? this.formatDateTimeLocal(todo.startDate) : '';
+        }
+        this.setRecurrenceFormData(todo.recurrence);
+
+        // ボタンテキストを変更
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.innerHTML = '<span class="btn-icon">✏️</span>タスクを更新';
+        }
+
+        // フォームまでスクロール
+        this.elements.todoForm?.scrollIntoView({ behavior: 'smooth' });
+
+        // タイトルフィールドにフォーカス
+        this.elements.todoTitle?.focus();
+    }
+
+    /**
+     * TODOを表示中の一覧で1つ上または下に移動し、移動したTODOのハンドルにフォーカスを戻す
+     * @param {string} todoId - TodoのID
+     * @param {number} direction - 移動する方向（-1: 上 / 1: 下）
+     */
+    handleTodoMove(todoId, direction) {
+        this.runAction(() => this.todoManager.moveTodoInList(todoId, direction));
+
+        // 再描画で要素が作り直されるため、フォーカスを移動後の要素に戻す
+        this.elements.todoList?.querySelector(`[data-todo-id="${todoId}"] .drag-handle`)?.focus();
+    }
+
+    /**
+     * ハンドルのドラッグでTODOの並び替えを開始
+     * ポインターを離した位置のTODOの上半分なら前、下半分なら後ろに移動する
+     * @param {PointerEvent} e - ハンドルのpointerdownイベント
+     * @param {HTMLElement} element - ドラッグするTODO要素
+     * @param {Todo} todo - ドラッグするTodo
+     */
+    startTodoDrag(e, element, todo) {
+        if (e.button !== 0) return;
+
+        e.preventDefault();
+        const handle = e.currentTarget;
+        handle.setPointerCapture?.(e.pointerId);
+        element.classList.add('dragging');
+
+        let drop = null;
+        const clearDropIndicator = () => {
+            this.elements.todoList.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+                item.classList.remove('drop-before', 'drop-after');
+            });
+        };
+
+        const handleMove = (event) => {
+            const over = document.elementFromPoint(event.clientX, event.clientY)?.closest('.todo-item');
+
+            clearDropIndicator();
+            drop = null;
+
+            if (!over || over === element || !this.elements.todoList.contains(over)) {
+                return;
+            }
+
+            const rect = over.getBoundingClientRect();
+            const placement = event.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+            over.classList.add(`drop-${placement}`);
+            drop = { targetId: over.getAttribute('data-todo-id'), placement };
+        };
+
+        const handleEnd = (event) => {
+            handle.removeEventListener('pointermove', handleMove);
+            handle.removeEventListener('pointerup', handleEnd);
+            handle.removeEventListener('pointercancel', handleEnd);
+            element.classList.remove('dragging');
+            clearDropIndicator();
+
+            if (event.type === 'pointerup' && drop) {
+                this.runAction(() => this.todoManager.moveTodo(todo.id, drop.targetId, drop.placement));
+            }
+        };
+
+        handle.addEventListener('pointermove', handleMove);
+        handle.addEventListener('pointerup', handleEnd);
+        handle.addEventListener('pointercancel', handleEnd);
+    }
+
+    /**
+     * スヌーズの日時を選ぶダイアログを表示
+     * 明日・来週はボタンを押すとすぐにスヌーズし、日時を指定する場合は確認ボタンでスヌーズする
+     * @param {Todo} todo - スヌーズするTodo
+     */
+    showSnoozeDialog(todo) {
+        const content = document.createElement('div');
+        content.className = 'snooze-dialog';
+        content.innerHTML = `
+            <p>"${this.escapeHtml(todo.title)}" を一覧から隠し、指定した日時に再び表示します。</p>
+            <div class="snooze-options">
+                ${Object.entries(Todo.getSnoozeOptions()).map(([option, label]) => `
+                    <button type="button" class="btn btn-outline snooze-option-btn" data-snooze-option="${option}">
+                        ${label}
+                        <small>${this.formatDate(Todo.getSnoozeDate(option))}</small>
+                    </button>
+                `).join('')}
+            </div>
+            <label for="snoozeUntil" class="form-label">日時を指定</label>
+            <input type="datetime-local" id="snoozeUntil" class="form-input">
+        `;
+
+        content.querySelectorAll('.snooze-option-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const until = Todo.getSnoozeDate(button.getAttribute('data-snooze-option'));
+                if (this.runAction(() => this.todoManager.snoozeTodo(todo.id, until))) {
+                    this.closeModal();
+                }
+            });
+        });
+
+        this.showCustomModal('タスクのスヌーズ', content, {
+            confirmText: '指定した日時までスヌーズ',
+            onConfirm: () => {
+                const value = content.querySelector('#snoozeUntil').value;
+                if (!value) {
+                    this.showToast('再表示する日時を入力してください', 'error');
+                    return false;
+                }
+
+                return this.runAction(() => this.todoManager.snoozeTodo(todo.id, new Date(value)));
+            }
+        });
+    }
+
+    /**
+     * TODOを複製
+     * @param {Todo} todo - 複製するTodo
      */
     duplicateTodo(todo) {
         try {
@@ -471,156 +1758,1593 @@ class UIManager {
                 title: `${todo.title}のコピー`,
                 description: todo.description,
                 category: todo.category,
+                tags: [...todo.tags],
                 priority: todo.priority,
                 dueDate: todo.dueDate,
-                completed: false
+                startDate: todo.startDate,
+                completed: false,
+                // サブタスクは未完了の状態で複製する
+                subtasks: todo.subtasks.map(subtask => ({ title: subtask.title, dueDate: subtask.dueDate })),
+                recurrence: todo.recurrence ? { ...todo.recurrence, occurrence: 1 } : null,
+                dependsOn: [...todo.dependsOn],
+                estimateMinutes: todo.estimateMinutes,
+                listId: todo.listId
             };
 
-            this.todoManager.addTodo(duplicateData);
-        } catch (error) {
-            this.showToast(error.message, 'error');
-        }
+            this.todoManager.addTodo(duplicateData);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * TODO削除の確認ダイアログを表示
+     * @param {Todo} todo - 削除するTodo
+     */
+    confirmDeleteTodo(todo) {
+        this.showConfirmModal(
+            'タスクの削除',
+            `"${this.escapeHtml(todo.title)}" をゴミ箱に移動しますか？<br>ゴミ箱から元に戻せます。`,
+            () => {
+                try {
+                    this.todoManager.deleteTodo(todo.id);
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+            }
+        );
+    }
+
+    /**
+     * 編集モードを終了
+     */
+    exitEditMode() {
+        this.currentEditingTodo = null;
+        this.resetForm();
+
+        // ボタンテキストを元に戻す
+        if (this.elements.submitBtn) {
+            this.elements.submitBtn.innerHTML = '<span class="btn-icon">+</span>タスクを追加';
+        }
+    }
+
+    // ===== フォーム操作 =====
+
+    /**
+     * フォームデータを取得
+     * @returns {Object} - フォームデータ
+     */
+    getFormData() {
+        const data = {
+            title: this.elements.todoTitle?.value.trim(),
+            description: this.elements.todoDescription?.value.trim(),
+            category: this.elements.todoCategory?.value,
+            // 確定していない入力中のタグも含める
+            tags: Todo.parseTags([...this.formTags, this.elements.todoTagInput?.value || '']),
+            priority: this.elements.todoPriority?.value,
+            dueDate: this.elements.todoDueDate?.value ? new Date(this.elements.todoDueDate.value) : null,
+            startDate: this.elements.todoStartDate?.value ? new Date(this.elements.todoStartDate.value) : null,
+            // 見積もりは時間単位で入力し、分で保存する
+            estimateMinutes: this.elements.todoEstimate?.value ? Math.round(Number(this.elements.todoEstimate.value) * 60) : null,
+            recurrence: this.getRecurrenceFormData(),
+            dependsOn: [...(this.elements.todoDependsOn?.selectedOptions || [])].map(option => option.value)
+        };
+
+        return data;
+    }
+
+    /**
+     * フォームの依存先の選択肢を作り直す
+     * 編集中のTODO自身は除き、ゴミ箱にない未完了のTODOと選択中のTODOを表示する（選択できるTODOがない場合は欄ごと隠す）
+     * @param {Array<string>|null} [selectedIds=null] - 選択するTODOのID（nullの場合は現在の選択を残す）
+     */
+    renderDependencyOptions(selectedIds = null) {
+        const select = this.elements.todoDependsOn;
+        if (!select) return;
+
+        const selected = selectedIds || [...select.selectedOptions].map(option => option.value);
+        const editingId = this.currentEditingTodo ? this.currentEditingTodo.id : null;
+        const candidates = this.todoManager.getAllTodos().filter(todo =>
+            todo.id !== editingId && ((!todo.completed && !todo.isTrashed()) || selected.includes(todo.id))
+        );
+
+        select.innerHTML = candidates.map(todo => `
+            <option value="${this.escapeHtml(todo.id)}" ${selected.includes(todo.id) ? 'selected' : ''}>${this.escapeHtml(todo.title)}${todo.isTrashed() ? '（ゴミ箱）' : (todo.completed ? '（完了）' : '')}</option>
+        `).join('');
+
+        if (this.elements.dependencyRow) {
+            this.elements.dependencyRow.hidden = candidates.length === 0;
+        }
+    }
+
+    /**
+     * フォームの繰り返し設定を取得
+     * @returns {Object|null} - 繰り返しルール、繰り返さない場合はnull
+     */
+    getRecurrenceFormData() {
+        const frequency = this.elements.todoRecurrence?.value;
+        if (!frequency) {
+            return null;
+        }
+
+        const endType = this.elements.recurrenceEnd?.value;
+        const weekdays = [...(this.elements.recurrenceWeekdays?.querySelectorAll('input:checked') || [])]
+            .map(checkbox => Number(checkbox.value));
+
+        return {
+            frequency,
+            interval: Number(this.elements.recurrenceInterval?.value) || 1,
+            weekdays,
+            dayOfMonth: Number(this.elements.recurrenceDayOfMonth?.value) || null,
+            until: endType === 'until' && this.elements.recurrenceUntil?.value
+                ? new Date(`${this.elements.recurrenceUntil.value}T00:00`)
+                : null,
+            count: endType === 'count' ? Number(this.elements.recurrenceCount?.value) || null : null,
+            // 編集時は何回目かを引き継ぐ
+            occurrence: this.currentEditingTodo?.recurrence?.occurrence || 1
+        };
+    }
+
+    /**
+     * フォームに繰り返し設定を反映
+     * @param {Object|null} rule - 繰り返しルール
+     */
+    setRecurrenceFormData(rule) {
+        if (!this.elements.todoRecurrence) return;
+
+        const pad = (number) => String(number).padStart(2, '0');
+
+        this.elements.todoRecurrence.value = rule ? rule.frequency : '';
+        this.elements.recurrenceInterval.value = rule ? rule.interval : 1;
+        this.elements.recurrenceDayOfMonth.value = rule && rule.dayOfMonth ? rule.dayOfMonth : '';
+        this.elements.recurrenceWeekdays.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = Boolean(rule) && rule.weekdays.includes(Number(checkbox.value));
+        });
+
+        this.elements.recurrenceEnd.value = rule && rule.until ? 'until' : (rule && rule.count ? 'count' : '');
+        this.elements.recurrenceUntil.value = rule && rule.until
+            ? `${rule.until.getFullYear()}-${pad(rule.until.getMonth() + 1)}-${pad(rule.until.getDate())}`
+            : '';
+        this.elements.recurrenceCount.value = rule && rule.count ? rule.count : '';
+
+        this.updateRecurrenceFields();
+    }
+
+    /**
+     * 繰り返しの種類と終了条件に応じて、入力欄の表示を切り替える
+     */
+    updateRecurrenceFields() {
+        if (!this.elements.todoRecurrence) return;
+
+        const frequency = this.elements.todoRecurrence.value;
+        const intervalUnits = { daily: '日ごと', weekly: '週ごと', monthly: 'か月ごと', afterCompletion: '日後' };
+
+        document.querySelectorAll('.recurrence-option').forEach(option => {
+            option.hidden = !frequency || !option.dataset.frequencies.split(' ').includes(frequency);
+        });
+
+        if (this.elements.recurrenceIntervalUnit) {
+            this.elements.recurrenceIntervalUnit.textContent = intervalUnits[frequency] || '';
+        }
+
+        const endType = this.elements.recurrenceEnd?.value;
+        if (this.elements.recurrenceUntil) this.elements.recurrenceUntil.hidden = endType !== 'until';
+        if (this.elements.recurrenceCount) this.elements.recurrenceCount.hidden = endType !== 'count';
+    }
+
+    /**
+     * フォームをリセット
+     */
+    resetForm() {
+        this.elements.todoForm?.reset();
+        this.clearError();
+
+        // デフォルト値を設定
+        if (this.elements.todoPriority) this.elements.todoPriority.value = 'medium';
+        this.setRecurrenceFormData(null);
+        this.formTags = [];
+        this.renderFormTags();
+        this.renderDependencyOptions([]);
+        this.updateDescriptionPreview();
+    }
+
+    /**
+     * 詳細説明のプレビューを更新（入力が空の場合は隠す）
+     */
+    updateDescriptionPreview() {
+        const preview = this.elements.todoDescriptionPreview;
+        if (!preview) return;
+
+        const description = this.elements.todoDescription?.value || '';
+        preview.innerHTML = MarkdownRenderer.render(description, { interactive: false });
+        preview.hidden = description.trim() === '';
+    }
+
+    /**
+     * エラーメッセージを表示
+     * @param {string} message - エラーメッセージ
+     */
+    showError(message) {
+        if (this.elements.titleError) {
+            this.elements.titleError.textContent = message;
+            this.elements.titleError.style.display = 'block';
+        }
+
+        // フィールドにエラー状態を追加
+        this.elements.todoTitle?.classList.add('error');
+    }
+
+    /**
+     * エラーメッセージをクリア
+     */
+    clearError() {
+        if (this.elements.titleError) {
+            this.elements.titleError.textContent = '';
+            this.elements.titleError.style.display = 'none';
+        }
+
+        // フィールドのエラー状態を削除
+        this.elements.todoTitle?.classList.remove('error');
+    }
+
+    // ===== フィルター操作 =====
+
+    /**
+     * フィルターをクリア
+     */
+    clearFilters() {
+        // フォーム要素をクリア
+        if (this.elements.searchInput) this.elements.searchInput.value = '';
+        if (this.elements.filterCategory) this.elements.filterCategory.value = '';
+        if (this.elements.filterTagInput) this.elements.filterTagInput.value = '';
+        if (this.elements.filterTagMode) this.elements.filterTagMode.value = 'any';
+        if (this.elements.filterPriority) this.elements.filterPriority.value = '';
+        if (this.elements.filterStatus) this.elements.filterStatus.value = '';
+        if (this.elements.sortBy) this.elements.sortBy.value = 'createdAt';
+
+        // TodoManagerのフィルターをクリア
+        this.todoManager.clearFilter();
+    }
+
+    // ===== タグ =====
+
+    /**
+     * タグの入力欄を設定
+     * Enter・スペース・カンマ、または入力補完の候補を選んだときにタグを確定し、
+     * 空の状態でBackspaceを押すと最後のタグを取り除く
+     * @param {HTMLInputElement} input - 入力欄
+     * @param {Object} handlers - コールバック
+     * @param {function(Array<string>): void} handlers.onAdd - タグが確定したとき
+     * @param {function(): void} handlers.onRemoveLast - 最後のタグを取り除くとき
+     */
+    setupTagInput(input, { onAdd, onRemoveLast }) {
+        if (!input) return;
+
+        const commit = () => {
+            const tags = Todo.parseTags(input.value);
+            input.value = '';
+            if (tags.length > 0) onAdd(tags);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (['Enter', ' ', ','].includes(e.key) && !e.isComposing) {
+                // 入力中のタグがある場合はフォームを送信せずにタグを確定する
+                if (input.value.trim()) {
+                    e.preventDefault();
+                    commit();
+                } else if (e.key !== 'Enter') {
+                    e.preventDefault();
+                }
+            } else if (e.key === 'Backspace' && input.value === '') {
+                onRemoveLast();
+            }
+        });
+
+        // 入力補完の候補を選んだ場合（キー入力を伴わない置き換え）
+        input.addEventListener('input', (e) => {
+            if (!e.inputType || e.inputType === 'insertReplacementText') {
+                commit();
+            }
+        });
+
+        input.addEventListener('blur', commit);
+    }
+
+    /**
+     * タグの入力補完の候補とフィルターのタグ表示を更新
+     */
+    updateTagControls() {
+        if (this.elements.tagSuggestions) {
+            this.elements.tagSuggestions.innerHTML = this.todoManager.getAllTags()
+                .map(({ tag, count }) => `<option value="#${this.escapeHtml(tag)}">${count}件</option>`)
+                .join('');
+        }
+
+        const filter = this.todoManager.getCurrentFilter();
+        this.renderTagChips(this.elements.filterTagChips, filter.tags);
+        if (this.elements.filterTagMode) this.elements.filterTagMode.value = filter.tagMode;
+    }
+
+    /**
+     * フォームで入力中のタグを表示
+     */
+    renderFormTags() {
+        this.renderTagChips(this.elements.todoTagChips, this.formTags);
+    }
+
+    /**
+     * 取り除くボタン付きのタグを表示
+     * @param {HTMLElement} container - 表示先の要素
+     * @param {Array<string>} tags - タグ
+     */
+    renderTagChips(container, tags) {
+        if (!container) return;
+
+        container.innerHTML = tags.map(tag => `
+            <li class="tag-chip">
+                #${this.escapeHtml(tag)}
+                <button type="button" class="tag-chip-remove" data-tag="${this.escapeHtml(tag)}" aria-label="${this.escapeHtml(tag)}を取り除く">×</button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * タグの絞り込みにタグを追加
+     * @param {string} tag - タグ
+     */
+    addFilterTag(tag) {
+        const tags = this.todoManager.getCurrentFilter().tags;
+        this.todoManager.setFilter({ tags: Todo.parseTags([...tags, tag]) });
+    }
+
+    /**
+     * タグの絞り込みからタグを取り除く
+     * @param {string} tag - タグ
+     */
+    removeFilterTag(tag) {
+        const tags = this.todoManager.getCurrentFilter().tags;
+        this.todoManager.setFilter({ tags: tags.filter(item => item !== tag) });
+    }
+
+    // ===== 作業時間 =====
+
+    /**
+     * 作業時間の計測の開始・終了を切り替え
+     * @param {string} todoId - TodoのID
+     */
+    handleTimerToggle(todoId) {
+        const todo = this.todoManager.getTodoById(todoId);
+        if (!todo) return;
+
+        try {
+            if (todo.getRunningTimeEntry()) {
+                this.todoManager.stopTimer(todoId);
+            } else {
+                this.todoManager.startTimer(todoId);
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * TODOの作業時間（実績と見積もり）のHTMLを作成
+     * @param {Todo} todo - Todoインスタンス
+     * @returns {string} - 作業時間のHTML（見積もりも作業記録もない場合は空文字）
+     */
+    createTimeHtml(todo) {
+        if (todo.estimateMinutes === null && todo.timeEntries.length === 0) {
+            return '';
+        }
+
+        const actualMinutes = todo.getTrackedTime() / 60000;
+        const isOver = todo.estimateMinutes !== null && actualMinutes > todo.estimateMinutes;
+        const isTiming = Boolean(todo.getRunningTimeEntry());
+
+        return `
+            <span class="todo-time${isTiming ? ' running' : ''}${isOver ? ' over-estimate' : ''}" title="作業時間 / 見積もり">
+                ⏱ <span class="todo-time-actual">${this.formatDuration(actualMinutes, isTiming)}</span>${todo.estimateMinutes !== null ? ` / 見積 ${this.formatDuration(todo.estimateMinutes)}` : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * 計測中のタスクがある間だけ、作業時間の表示を毎秒更新する
+     */
+    updateTimerTicker() {
+        const running = this.todoManager.getRunningTimer();
+
+        if (running && !this.timerTickInterval) {
+            this.timerTickInterval = setInterval(() => this.tickTimer(), 1000);
+        } else if (!running && this.timerTickInterval) {
+            clearInterval(this.timerTickInterval);
+            this.timerTickInterval = null;
+        }
+    }
+
+    /**
+     * 計測中のタスクの作業時間と、ヘッダーの合計を更新
+     */
+    tickTimer() {
+        const running = this.todoManager.getRunningTimer();
+        if (!running) {
+            this.updateTimerTicker();
+            return;
+        }
+
+        const actual = this.elements.todoList
+            ?.querySelector(`[data-todo-id="${running.todo.id}"] .todo-time-actual`);
+        if (actual) {
+            actual.textContent = this.formatDuration(running.todo.getTrackedTime() / 60000, true);
+        }
+
+        this.updateStatistics();
+    }
+
+    /**
+     * 見積もりと作業時間の集計（合計・カテゴリ別・週別）を表示
+     */
+    showTimeReport() {
+        const timeStats = this.todoManager.getStatistics().timeStats;
+
+        const createRows = (rows) => rows.map(({ label, estimatedMinutes, actualMinutes }) => {
+            const difference = actualMinutes - estimatedMinutes;
+            return `
+                <tr>
+                    <th scope="row">${this.escapeHtml(label)}</th>
+                    <td>${this.formatDuration(estimatedMinutes)}</td>
+                    <td>${this.formatDuration(actualMinutes)}</td>
+                    <td class="${difference > 0 ? 'over-estimate' : ''}">${difference > 0 ? '+' : (difference < 0 ? '-' : '')}${this.formatDuration(Math.abs(difference))}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const createTable = (caption, labelHeader, rows) => rows.length === 0 ? '' : `
+            <table class="time-report-table">
+                <caption>${caption}</caption>
+                <thead>
+                    <tr><th scope="col">${labelHeader}</th><th scope="col">見積</th><th scope="col">実績</th><th scope="col">差</th></tr>
+                </thead>
+                <tbody>${createRows(rows)}</tbody>
+            </table>
+        `;
+
+        const categoryRows = Object.entries(timeStats.byCategory)
+            .filter(([, totals]) => totals.estimatedMinutes > 0 || totals.actualMinutes > 0)
+            .map(([categoryId, totals]) => ({ label: categoryId ? Todo.getCategoryDisplayName(categoryId) : 'カテゴリなし', ...totals }));
+
+        const weekRows = timeStats.byWeek
+            .slice()
+            .reverse()
+            .map(({ weekStart, ...totals }) => ({ label: `${weekStart.replace(/-/g, '/')}〜`, ...totals }));
+
+        const container = document.createElement('div');
+        container.className = 'time-report';
+        container.innerHTML = categoryRows.length === 0 && weekRows.length === 0
+            ? '<p class="time-report-empty">見積もりや作業記録のあるタスクはまだありません。タスクの ▶️ ボタンで計測を開始できます。</p>'
+            : `
+                <p class="time-report-total">
+                    合計: 見積 <strong>${this.formatDuration(timeStats.estimatedMinutes)}</strong> /
+                    実績 <strong>${this.formatDuration(timeStats.actualMinutes)}</strong>
+                </p>
+                ${createTable('カテゴリ別', 'カテゴリ', categoryRows)}
+                ${createTable('週別（月曜始まり、新しい順）', '週', weekRows)}
+                <p class="time-report-help">作業時間は作業した週に、見積もりは期限（期限がない場合は作成日）の週に集計しています。</p>
+            `;
+
+        this.showCustomModal('作業時間', container, { wide: true });
+    }
+
+    /**
+     * 時間を "時:分" 形式に変換
+     * @param {number} minutes - 時間（分）
+     * @param {boolean} [withSeconds=false] - 秒まで表示するか（"時:分:秒"）
+     * @returns {string} - フォーマットされた時間
+     */
+    formatDuration(minutes, withSeconds = false) {
+        const totalSeconds = Math.max(0, Math.floor(minutes * 60));
+        const pad = (number) => String(number).padStart(2, '0');
+        const hours = Math.floor(totalSeconds / 3600);
+        const restMinutes = Math.floor((totalSeconds % 3600) / 60);
+
+        return withSeconds
+            ? `${hours}:${pad(restMinutes)}:${pad(totalSeconds % 60)}`
+            : `${hours}:${pad(restMinutes)}`;
+    }
+
+    // ===== 変更履歴 =====
+
+    /**
+     * TODOの変更履歴を新しい順に表示（期限の延期は強調表示）
+     * @param {string} todoId - TodoのID
+     */
+    showActivityLog(todoId) {
+        const todo = this.todoManager.getTodoById(todoId);
+        if (!todo) {
+            this.showToast('指定されたタスクが見つかりません', 'error');
+            return;
+        }
+
+        const slipCount = todo.getDueDateSlips().length;
+
+        const createChangeRows = (changes) => changes.map(change => {
+            const isSlip = change.field === 'dueDate' && change.from && change.to &&
+                new Date(change.to) > new Date(change.from);
+
+            return `
+                <tr class="${isSlip ? 'activity-slip' : ''}">
+                    <th scope="row">${this.escapeHtml(Todo.getFieldDisplayName(change.field))}${isSlip ? ' ⏩' : ''}</th>
+                    <td class="activity-from">${this.escapeHtml(this.formatActivityValue(change.field, change.from))}</td>
+                    <td class="activity-to">${this.escapeHtml(this.formatActivityValue(change.field, change.to))}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const items = todo.activity.slice().reverse().map(entry => `
+            <li class="activity-item">
+                <div class="activity-item-header">
+                    <span class="activity-label">${this.escapeHtml(entry.label)}</span>
+                    <time class="activity-date" datetime="${entry.at.toISOString()}">${this.formatDate(entry.at)}</time>
+                </div>
+                ${entry.changes.length > 0 ? `
+                    <table class="activity-changes">
+                        <thead>
+                            <tr><th scope="col">項目</th><th scope="col">変更前</th><th scope="col">変更後</th></tr>
+                        </thead>
+                        <tbody>${createChangeRows(entry.changes)}</tbody>
+                    </table>
+                ` : ''}
+            </li>
+        `).join('');
+
+        const container = document.createElement('div');
+        container.className = 'activity-log';
+        container.innerHTML = `
+            <p class="activity-summary">
+                作成: ${this.formatDate(todo.createdAt)} ・ 更新: ${this.formatDate(todo.updatedAt)}
+                ${slipCount > 0 ? ` ・ <span class="activity-slip-count${todo.hasRepeatedDueDateSlips() ? ' repeated' : ''}">期限の延期: ${slipCount}回</span>` : ''}
+            </p>
+            ${items
+                ? `<ul class="activity-list">${items}</ul>`
+                : '<p class="activity-empty">変更履歴はまだありません</p>'}
+            <p class="activity-help">変更履歴はタスクごとに直近${Todo.getActivityLimit()}件まで保存されます。</p>
+        `;
+
+        this.showCustomModal(`変更履歴: ${todo.title}`, container, { wide: true });
+    }
+
+    /**
+     * 変更履歴の値を表示用の文字列に変換
+     * @param {string} field - 項目名
+     * @param {*} value - 変更履歴に記録された値（Todo.diffActivityの形式）
+     * @returns {string} - 表示用の文字列（エスケープ前）
+     */
+    formatActivityValue(field, value) {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return field === 'completed' ? '未完了' : '（なし）';
+        }
+
+        switch (field) {
+            case 'dueDate':
+            case 'startDate':
+            case 'deletedAt':
+                return this.formatDate(value);
+            case 'completed':
+                return value ? '完了' : '未完了';
+            case 'priority':
+                return Todo.getPriorityDisplayName(value);
+            case 'category':
+                return Todo.getCategoryDisplayName(value);
+            case 'listId':
+                return this.todoManager.getList(value)?.name || value;
+            case 'tags':
+                return Todo.formatTags(value);
+            case 'subtasks':
+                return value.join('、');
+            case 'recurrence': {
+                const rule = Recurrence.normalize(value);
+                return rule ? Recurrence.describe(rule) : '（なし）';
+            }
+            case 'dependsOn':
+                return value.map(todoId => this.todoManager.getTodoById(todoId)?.title || '（削除されたタスク）').join('、');
+            case 'estimateMinutes':
+                return this.formatDuration(value);
+            case 'timeEntries':
+                return `${this.formatDuration(value.minutes)}${value.running ? '（計測中）' : ''}`;
+            case 'attachments':
+            case 'reminders':
+                return value.join('、');
+            default:
+                return String(value);
+        }
+    }
+
+    // ===== ゴミ箱 =====
+
+    /**
+     * ゴミ箱を表示
+     * 元に戻す・完全に削除する操作と、保持日数の変更を行う
+     */
+    showTrash() {
+        const container = document.createElement('div');
+        container.className = 'trash-manager';
+        container.innerHTML = `
+            <form class="trash-settings">
+                <label for="trashRetentionDays">ゴミ箱に移動してから</label>
+                <input type="number" id="trashRetentionDays" class="form-input" name="retentionDays" min="0" max="365" step="1" required>
+                <span>日後に完全に削除（0の場合は自動で削除しない）</span>
+                <button type="submit" class="btn btn-outline">変更</button>
+            </form>
+            <div class="error-message trash-error" role="alert"></div>
+            <ul class="trash-list"></ul>
+            <div class="trash-footer">
+                <button type="button" class="btn btn-outline trash-empty-btn">ゴミ箱を空にする</button>
+            </div>
+        `;
+
+        const list = container.querySelector('.trash-list');
+        const settingsForm = container.querySelector('.trash-settings');
+        const errorElement = container.querySelector('.trash-error');
+        const emptyButton = container.querySelector('.trash-empty-btn');
+
+        const render = () => {
+            const trashed = this.todoManager.getTrashedTodos();
+            const retentionDays = this.todoManager.getTrashRetentionDays();
+
+            settingsForm.elements.retentionDays.value = retentionDays;
+            emptyButton.disabled = trashed.length === 0;
+
+            if (trashed.length === 0) {
+                list.innerHTML = '<li class="trash-empty">ゴミ箱は空です</li>';
+                return;
+            }
+
+            list.innerHTML = trashed.map(todo => {
+                const purgeAt = new Date(todo.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+                const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+                return `
+                    <li class="trash-item" data-todo-id="${this.escapeHtml(todo.id)}">
+                        <div class="trash-item-info">
+                            <span class="trash-item-title${todo.completed ? ' completed' : ''}">${this.escapeHtml(todo.title)}</span>
+                            <span class="trash-item-meta">
+                                ${todo.category ? `${this.escapeHtml(Todo.getCategoryDisplayName(todo.category))} ・ ` : ''}${this.formatDate(todo.deletedAt)} に削除${retentionDays > 0 ? ` ・ あと${daysLeft}日で自動削除` : ''}
+                            </span>
+                        </div>
+                        <div class="trash-item-actions">
+                            <button type="button" class="btn btn-outline trash-restore-btn">元に戻す</button>
+                            <button type="button" class="btn btn-outline trash-delete-btn">完全に削除</button>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        };
+
+        // 変更に失敗した場合はエラーを表示して元の表示に戻す
+        const run = (operation) => {
+            try {
+                operation();
+                errorElement.textContent = '';
+            } catch (error) {
+                errorElement.textContent = error.message;
+            }
+            render();
+        };
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.trash-item');
+            if (!item) return;
+
+            const todoId = item.getAttribute('data-todo-id');
+
+            if (e.target.closest('.trash-restore-btn')) {
+                run(() => this.todoManager.restoreTodo(todoId));
+            } else if (e.target.closest('.trash-delete-btn')) {
+                this.confirmPurgeTrash(this.todoManager.getTodoById(todoId));
+            }
+        });
+
+        settingsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(() => this.todoManager.setTrashRetentionDays(settingsForm.elements.retentionDays.value));
+        });
+
+        emptyButton.addEventListener('click', () => this.confirmPurgeTrash());
+
+        render();
+        this.showCustomModal('ゴミ箱', container, { wide: true });
+    }
+
+    /**
+     * ゴミ箱のTODOを完全に削除する前に確認
+     * @param {Todo|null} [todo=null] - 完全に削除するTodo（省略時はゴミ箱を空にする）
+     */
+    confirmPurgeTrash(todo = null) {
+        const message = todo
+            ? `"${this.escapeHtml(todo.title)}" を完全に削除しますか？`
+            : `ゴミ箱の${this.todoManager.getTrashedTodos().length}件のタスクをすべて完全に削除しますか？`;
+
+        this.showCustomModal('完全に削除', `<p>${message}<br>完全に削除したタスクはゴミ箱から元に戻せません。</p>`, {
+            confirmText: '完全に削除',
+            onConfirm: () => {
+                try {
+                    if (todo) {
+                        this.todoManager.deleteTodoPermanently(todo.id);
+                    } else {
+                        this.todoManager.emptyTrash();
+                    }
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+
+                this.showTrash();
+            }
+        });
+    }
+
+    // ===== リスト =====
+
+    /**
+     * サイドバーのリスト一覧（未完了の件数付き）とタスク一覧の見出しを、表示中のリストに合わせて更新
+     */
+    renderListSidebar() {
+        const lists = this.todoManager.getLists();
+        const currentListId = this.todoManager.getCurrentListId();
+        const { listStats } = this.todoManager.getStatistics();
+        const totalPending = lists.reduce((total, list) => total + (listStats[list.id]?.pending || 0), 0);
+
+        const createItemHtml = (listId, name, color, pending) => `
+            <li>
+                <button type="button" class="list-nav-item" data-list-id="${this.escapeHtml(listId)}"
+                        ${color ? `style="--list-color: ${color}"` : ''} ${listId === (currentListId || '') ? 'aria-current="true"' : ''}>
+                    ${color ? '<span class="list-color-dot" aria-hidden="true"></span>' : ''}
+                    <span class="list-nav-name">${this.escapeHtml(name)}</span>
+                    <span class="list-nav-count" title="未完了のタスク">${pending}</span>
+                </button>
+            </li>
+        `;
+
+        if (this.elements.listNav) {
+            this.elements.listNav.innerHTML = createItemHtml('', 'すべてのリスト', null, totalPending) +
+                lists.map(list => createItemHtml(list.id, list.name, list.color, listStats[list.id]?.pending || 0)).join('');
+        }
+
+        if (this.elements.todoListTitle) {
+            const currentList = this.todoManager.getList(currentListId);
+            this.elements.todoListTitle.textContent = currentList ? currentList.name : 'すべてのリスト';
+            this.elements.todoListTitle.style.setProperty('--list-color', currentList ? currentList.color : 'transparent');
+        }
+    }
+
+    /**
+     * リストのバッジのHTMLを作成（すべてのリストの表示中に、タスクのリストを示す）
+     * @param {string} listId - リストID
+     * @returns {string} - バッジのHTML
+     */
+    createListBadgeHtml(listId) {
+        const list = this.todoManager.getList(listId);
+        const style = list ? ` style="--list-color: ${list.color}"` : '';
+
+        return `<span class="todo-list-badge"${style} title="リスト">${this.escapeHtml(list ? list.name : listId)}</span>`;
+    }
+
+    /**
+     * リストの管理ダイアログを表示（リストごとの件数・完了率と、すべてのリストの合計を表示）
+     * 名前・色・既定のカテゴリの変更は入力したその場で保存し、作成したリストはすぐに表示する
+     * @param {boolean} [focusAdd=false] - 新しいリストの名前の入力欄にフォーカスするか
+     */
+    showListManager(focusAdd = false) {
+        const container = document.createElement('div');
+        container.className = 'list-manager';
+        container.innerHTML = `
+            <p class="list-manager-help">既定のカテゴリは、そのリストに追加するタスクのカテゴリを省略したときに使われます。</p>
+            <p class="list-manager-summary"></p>
+            <ul class="list-manager-list"></ul>
+            <form class="list-add-form">
+                <input type="color" class="list-color-input" name="color" aria-label="色">
+                <input type="text" class="form-input" name="name" placeholder="新しいリスト名（例: Sprint 42）" maxlength="30" aria-label="新しいリスト名">
+                <select class="form-select" name="defaultCategory" aria-label="既定のカテゴリ"></select>
+                <button type="submit" class="btn btn-primary">追加</button>
+            </form>
+            <div class="error-message list-error" role="alert"></div>
+        `;
+
+        const summary = container.querySelector('.list-manager-summary');
+        const list = container.querySelector('.list-manager-list');
+        const addForm = container.querySelector('.list-add-form');
+        const errorElement = container.querySelector('.list-error');
+
+        const createCategoryOptionsHtml = (selected) => `
+            <option value="">既定のカテゴリなし</option>
+            ${this.todoManager.getCategories().map(category => `
+                <option value="${this.escapeHtml(category.id)}" ${category.id === selected ? 'selected' : ''}>${this.escapeHtml(category.name)}</option>
+            `).join('')}
+        `;
+
+        const render = () => {
+            const lists = this.todoManager.getLists();
+            const stats = this.todoManager.getStatistics();
+
+            summary.textContent = `すべてのリスト: ${stats.total}件（未完了 ${stats.pending}件・完了率 ${stats.completionRate}%）`;
+
+            list.innerHTML = lists.map(item => {
+                const listStats = stats.listStats[item.id];
+                const isDefault = item.id === ListRegistry.getDefaultId();
+
+                return `
+                    <li class="list-manager-item" data-list-id="${this.escapeHtml(item.id)}">
+                        <input type="color" class="list-color-input" value="${item.color}" aria-label="${this.escapeHtml(item.name)}の色">
+                        <input type="text" class="form-input list-name-input" value="${this.escapeHtml(item.name)}" maxlength="30" aria-label="リスト名">
+                        <select class="form-select list-category-select" aria-label="${this.escapeHtml(item.name)}の既定のカテゴリ">
+                            ${createCategoryOptionsHtml(item.defaultCategory)}
+                        </select>
+                        <span class="list-stats">${listStats.total}件（未完了 ${listStats.pending}件・完了率 ${listStats.completionRate}%）</span>
+                        <button type="button" class="btn btn-outline list-delete-btn"
+                                title="${isDefault ? '既定のリストは削除できません' : '削除'}" ${isDefault ? 'disabled' : ''}>🗑️</button>
+                    </li>
+                `;
+            }).join('');
+
+            addForm.elements.color.value = CategoryRegistry.getPalette()[lists.length % CategoryRegistry.getPalette().length];
+            addForm.elements.defaultCategory.innerHTML = createCategoryOptionsHtml(addForm.elements.defaultCategory.value);
+        };
+
+        // 変更に失敗した場合はエラーを表示して元の値に戻す
+        const run = (operation) => {
+            try {
+                operation();
+                errorElement.textContent = '';
+            } catch (error) {
+                errorElement.textContent = error.message;
+            }
+            render();
+        };
+
+        list.addEventListener('change', (e) => {
+            const item = e.target.closest('.list-manager-item');
+            if (!item) return;
+
+            const listId = item.getAttribute('data-list-id');
+
+            if (e.target.classList.contains('list-name-input')) {
+                run(() => this.todoManager.renameList(listId, e.target.value));
+            } else if (e.target.classList.contains('list-color-input')) {
+                run(() => this.todoManager.recolorList(listId, e.target.value));
+            } else if (e.target.classList.contains('list-category-select')) {
+                run(() => this.todoManager.setListDefaultCategory(listId, e.target.value));
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.list-manager-item');
+            if (item && e.target.closest('.list-delete-btn')) {
+                this.confirmDeleteList(item.getAttribute('data-list-id'));
+            }
+        });
+
+        addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(() => {
+                const created = this.todoManager.createList({
+                    name: addForm.elements.name.value,
+                    color: addForm.elements.color.value,
+                    defaultCategory: addForm.elements.defaultCategory.value
+                });
+                this.todoManager.setCurrentList(created.id);
+                addForm.elements.name.value = '';
+            });
+        });
+
+        render();
+        this.showCustomModal('リストの管理・統計', container, { wide: true });
+
+        if (focusAdd) {
+            addForm.elements.name.focus();
+        }
+    }
+
+    /**
+     * リストの削除を確認（そのリストのタスクの移動先を選択）
+     * @param {string} listId - 削除するリストID
+     */
+    confirmDeleteList(listId) {
+        const list = this.todoManager.getList(listId);
+        const count = this.todoManager.getAllTodos().filter(todo => todo.listId === listId).length;
+        const others = this.todoManager.getLists().filter(item => item.id !== listId);
+
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <p>リスト「${this.escapeHtml(list.name)}」を削除しますか？</p>
+            ${count > 0 ? `
+                <label class="form-label" for="listMoveTo">このリストの${count}件のタスク（ゴミ箱を含む）の移動先</label>
+                <select id="listMoveTo" class="form-select">
+                    ${others.map(item => `<option value="${this.escapeHtml(item.id)}">${this.escapeHtml(item.name)}</option>`).join('')}
+                </select>
+            ` : ''}
+        `;
+
+        this.showCustomModal('リストの削除', container, {
+            confirmText: '削除',
+            onConfirm: () => {
+                const moveTo = container.querySelector('#listMoveTo')?.value || ListRegistry.getDefaultId();
+
+                try {
+                    const { result: moved, commandId } = this.runUndoable(() => this.todoManager.deleteList(listId, moveTo));
+                    this.showToast(moved > 0
+                        ? `リストを削除し、${moved}件のタスクを移動しました`
+                        : 'リストを削除しました', 'success', 6000, this.createUndoAction(commandId));
+                } catch (error) {
+                    this.showToast(error.message, 'error');
+                }
+
+                this.showListManager();
+            }
+        });
+    }
+
+    /**
+     * タスクを別のリストに移動するダイアログを表示
+     * @param {Todo} todo - 移動するTodo
+     */
+    showMoveToListDialog(todo) {
+        const others = this.todoManager.getLists().filter(list => list.id !== todo.listId);
+
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <p>"${this.escapeHtml(todo.title)}" を移動するリストを選択してください。</p>
+            <select id="moveToList" class="form-select" aria-label="移動先のリスト">
+                ${others.map(list => `<option value="${this.escapeHtml(list.id)}">${this.escapeHtml(list.name)}</option>`).join('')}
+            </select>
+        `;
+
+        this.showCustomModal('リストの移動', container, {
+            confirmText: '移動',
+            onConfirm: () => this.runAction(() =>
+                this.todoManager.moveTodoToList(todo.id, container.querySelector('#moveToList').value)
+            )
+        });
     }
 
+    // ===== カテゴリ =====
+
     /**
-     * TODO削除の確認ダイアログを表示
-     * @param {Todo} todo - 削除するTodo
+     * カテゴリの管理ダイアログを表示
+     * 名前・色の変更と並び替えは入力したその場で保存し、削除は付け替え先を選んでから行う
      */
-    confirmDeleteTodo(todo) {
-        this.showConfirmModal(
-            'タスクの削除',
-            `"${todo.title}" を削除しますか？<br>この操作は取り消せません。`,
-            () => {
+    showCategoryManager() {
+        const container = document.createElement('div');
+        container.className = 'category-manager';
+        container.innerHTML = `
+            <p class="category-help">名前を変えてもタスクはそのカテゴリに残ります。既存のカテゴリと同じ名前にすると統合されます。</p>
+            <ul class="category-list"></ul>
+            <form class="category-add-form">
+                <input type="color" class="category-color-input" name="color" aria-label="色">
+                <input type="text" class="form-input" name="name" placeholder="新しいカテゴリ名" maxlength="30" aria-label="新しいカテゴリ名">
+                <button type="submit" class="btn btn-primary">追加</button>
+            </form>
+            <div class="error-message category-error" role="alert"></div>
+        `;
+
+        const list = container.querySelector('.category-list');
+        const addForm = container.querySelector('.category-add-form');
+        const errorElement = container.querySelector('.category-error');
+
+        const render = () => {
+            const categories = this.todoManager.getCategories();
+            const counts = this.todoManager.getStatistics().categoryStats;
+
+            list.innerHTML = categories.map((category, index) => `
+                <li class="category-item" data-category-id="${this.escapeHtml(category.id)}">
+                    <input type="color" class="category-color-input" value="${category.color}" aria-label="${this.escapeHtml(category.name)}の色">
+                    <input type="text" class="form-input category-name-input" value="${this.escapeHtml(category.name)}" maxlength="30" aria-label="カテゴリ名">
+                    <span class="category-count">${counts[category.id] || 0}件</span>
+                    <div class="category-actions">
+                        <button type="button" class="btn btn-outline category-up-btn" title="上へ" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button type="button" class="btn btn-outline category-down-btn" title="下へ" ${index === categories.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button type="button" class="btn btn-outline category-delete-btn" title="削除">🗑️</button>
+                    </div>
+                </li>
+            `).join('');
+
+            addForm.elements.color.value = CategoryRegistry.getPalette()[categories.length % CategoryRegistry.getPalette().length];
+        };
+
+        // 変更に失敗した場合はエラーを表示して元の値に戻す
+        const run = (operation) => {
+            try {
+                operation();
+                errorElement.textContent = '';
+            } catch (error) {
+                errorElement.textContent = error.message;
+            }
+            render();
+        };
+
+        list.addEventListener('change', (e) => {
+            const item = e.target.closest('.category-item');
+            if (!item) return;
+
+            const categoryId = item.getAttribute('data-category-id');
+
+            if (e.target.classList.contains('category-name-input')) {
+                run(() => this.todoManager.renameCategory(categoryId, e.target.value));
+            } else if (e.target.classList.contains('category-color-input')) {
+                run(() => this.todoManager.recolorCategory(categoryId, e.target.value));
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.category-item');
+            if (!item) return;
+
+            const categoryId = item.getAttribute('data-category-id');
+            const ids = this.todoManager.getCategories().map(category => category.id);
+            const index = ids.indexOf(categoryId);
+
+            if (e.target.closest('.category-up-btn') || e.target.closest('.category-down-btn')) {
+                const targetIndex = e.target.closest('.category-up-btn') ? index - 1 : index + 1;
+                [ids[index], ids[targetIndex]] = [ids[targetIndex], ids[index]];
+                run(() => this.todoManager.reorderCategories(ids));
+            } else if (e.target.closest('.category-delete-btn')) {
+                this.confirmDeleteCategory(categoryId);
+            }
+        });
+
+        addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run(() => {
+                this.todoManager.createCategory({ name: addForm.elements.name.value, color: addForm.elements.color.value });
+                addForm.elements.name.value = '';
+            });
+        });
+
+        render();
+        this.showCustomModal('カテゴリの管理', container, { wide: true });
+    }
+
+    /**
+     * カテゴリの削除を確認（そのカテゴリのタスクの付け替え先を選択）
+     * @param {string} categoryId - 削除するカテゴリID
+     */
+    confirmDeleteCategory(categoryId) {
+        const category = this.todoManager.getCategory(categoryId);
+        const count = this.todoManager.getStatistics().categoryStats[categoryId] || 0;
+        const others = this.todoManager.getCategories().filter(item => item.id !== categoryId);
+
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <p>カテゴリ「${this.escapeHtml(category.name)}」を削除しますか？</p>
+            ${count > 0 ? `
+                <label class="form-label" for="categoryReassign">このカテゴリの${count}件のタスクの移動先</label>
+                <select id="categoryReassign" class="form-select">
+                    <option value="">カテゴリなし</option>
+                    ${others.map(item => `<option value="${this.escapeHtml(item.id)}">${this.escapeHtml(item.name)}</option>`).join('')}
+                </select>
+            ` : ''}
+        `;
+
+        this.showCustomModal('カテゴリの削除', container, {
+            confirmText: '削除',
+            onConfirm: () => {
+                const reassignTo = container.querySelector('#categoryReassign')?.value || '';
+
                 try {
-                    this.todoManager.deleteTodo(todo.id);
+                    const { result: reassigned, commandId } = this.runUndoable(() => this.todoManager.deleteCategory(categoryId, reassignTo));
+                    this.showToast(reassigned > 0
+                        ? `カテゴリを削除し、${reassigned}件のタスクを移動しました`
+                        : 'カテゴリを削除しました', 'success', 6000, this.createUndoAction(commandId));
                 } catch (error) {
                     this.showToast(error.message, 'error');
                 }
+
+                this.showCategoryManager();
             }
-        );
+        });
     }
 
+    // ===== エクスポート・インポート =====
+
     /**
-     * 編集モードを終了
+     * エクスポート形式の選択ダイアログを表示
      */
-    exitEditMode() {
-        this.currentEditingTodo = null;
-        this.resetForm();
+    showExportOptions() {
+        const formats = this.getExportFormats();
+        const currentList = this.todoManager.getList(this.todoManager.getCurrentListId());
+
+        const container = document.createElement('div');
+        container.className = 'import-options';
+        container.innerHTML = `
+            <p>出力形式を選択してください。</p>
+            ${Object.entries(formats).map(([format, info], index) => `
+                <label class="import-option">
+                    <input type="radio" name="exportFormat" value="${format}" ${index === 0 ? 'checked' : ''}>
+                    ${info.label}
+                </label>
+            `).join('')}
+            <fieldset class="export-scope">
+                <legend class="form-label">出力する範囲</legend>
+                <label class="import-option">
+                    <input type="radio" name="exportScope" value="all" checked>
+                    すべてのリスト
+                </label>
+                <label class="import-option">
+                    <input type="radio" name="exportScope" value="list" ${currentList ? '' : 'disabled'}>
+                    表示中のリスト${currentList ? `（${this.escapeHtml(currentList.name)}）` : ''}のみ
+                </label>
+                <label class="import-option">
+                    <input type="radio" name="exportScope" value="filtered">
+                    現在の表示（フィルター結果）のみ
+                </label>
+            </fieldset>
+            <label class="import-option">
+                <input type="checkbox" name="exportEncrypt" ${CryptoService.isSupported() ? '' : 'disabled'}>
+                パスフレーズで暗号化（インポート時にパスフレーズが必要）
+            </label>
+            <div class="passphrase-form export-passphrase" hidden>
+                <input type="password" class="form-input" name="exportPassphrase" placeholder="パスフレーズ（8文字以上）" autocomplete="new-password">
+                <input type="password" class="form-input" name="exportPassphraseConfirm" placeholder="パスフレーズ（確認）" autocomplete="new-password">
+            </div>
+            <div class="error-message passphrase-error" role="alert"></div>
+        `;
 
-        // ボタンテキストを元に戻す
-        if (this.elements.submitBtn) {
-            this.elements.submitBtn.innerHTML = '<span class="btn-icon">+</span>タスクを追加';
-        }
-    }
+        const encryptCheckbox = container.querySelector('input[name="exportEncrypt"]');
+        const passphraseFields = container.querySelector('.export-passphrase');
+        encryptCheckbox.addEventListener('change', () => {
+            passphraseFields.hidden = !encryptCheckbox.checked;
+        });
 
-    // ===== フォーム操作 =====
+        this.showCustomModal('データのエクスポート', container, {
+            confirmText: 'エクスポート',
+            onConfirm: () => {
+                const format = container.querySelector('input[name="exportFormat"]:checked').value;
+                const scope = container.querySelector('input[name="exportScope"]:checked').value;
+                const filteredOnly = scope === 'filtered';
+                const listId = scope === 'list' ? currentList.id : null;
+
+                if (!encryptCheckbox.checked) {
+                    this.exportData(format, filteredOnly, listId);
+                    return;
+                }
+
+                const passphrase = container.querySelector('input[name="exportPassphrase"]').value;
+                const confirmation = container.querySelector('input[name="exportPassphraseConfirm"]').value;
+                const errorElement = container.querySelector('.passphrase-error');
+                const validationError = this.validateNewPassphrase(passphrase, confirmation);
+
+                if (validationError) {
+                    errorElement.textContent = validationError;
+                    return false;
+                }
+
+                this.runPassphraseTask(errorElement, '暗号化しています…', async () => {
+                    await this.exportEncryptedData(format, filteredOnly, passphrase, listId);
+                    this.closeModal();
+                });
+
+                return false;
+            }
+        });
+    }
 
     /**
-     * フォームデータを取得
-     * @returns {Object} - フォームデータ
+     * エクスポート形式の一覧を取得
+     * @returns {Object<string, {label: string, mimeType: string, extension: string}>} - 形式ID -> 形式情報
      */
-    getFormData() {
-        const data = {
-            title: this.elements.todoTitle?.value.trim(),
-            description: this.elements.todoDescription?.value.trim(),
-            category: this.elements.todoCategory?.value,
-            priority: this.elements.todoPriority?.value,
-            dueDate: this.elements.todoDueDate?.value ? new Date(this.elements.todoDueDate.value) : null
+    getExportFormats() {
+        return {
+            json: { label: 'JSON（バックアップ・再インポート用。添付ファイルはBase64で埋め込み）', mimeType: 'application/json', extension: 'json' },
+            zip: { label: 'ZIPアーカイブ（JSON＋添付ファイル）', mimeType: 'application/zip', extension: 'zip' },
+            csv: { label: 'CSV（表計算ソフト用）', mimeType: 'text/csv', extension: 'csv' },
+            ics: { label: 'iCalendar（カレンダーアプリ用）', mimeType: 'text/calendar', extension: 'ics' },
+            md: { label: 'Markdown（チェックリスト）', mimeType: 'text/markdown', extension: 'md' }
         };
+    }
 
-        return data;
+    /**
+     * データをエクスポート
+     * @param {string} [format='json'] - 出力形式
+     * @param {boolean} [filteredOnly=false] - 現在のフィルター結果のみを出力するか
+     * @param {string|null} [listId=null] - 出力するリストID（nullの場合はすべてのリスト）
+     */
+    exportData(format = 'json', filteredOnly = false, listId = null) {
+        try {
+            const formatInfo = this.getExportFormats()[format];
+            const exportData = this.todoManager.exportData(format, filteredOnly, listId);
+            if (!exportData) {
+                throw new Error('エクスポートデータの生成に失敗しました');
+            }
+
+            this.downloadFile(exportData, formatInfo.mimeType, `todos-${new Date().toISOString().split('T')[0]}.${formatInfo.extension}`);
+
+            this.showToast('データをエクスポートしました', 'success');
+
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
     /**
-     * フォームをリセット
+     * データをパスフレーズで暗号化してエクスポート
+     * 暗号化したファイルは元の形式にかかわらずJSONとして保存する
+     * @param {string} format - 出力形式
+     * @param {boolean} filteredOnly - 現在のフィルター結果のみを出力するか
+     * @param {string} passphrase - パスフレーズ
+     * @param {string|null} [listId=null] - 出力するリストID（nullの場合はすべてのリスト）
+     * @returns {Promise<void>}
      */
-    resetForm() {
-        this.elements.todoForm?.reset();
-        this.clearError();
+    async exportEncryptedData(format, filteredOnly, passphrase, listId = null) {
+        const formatInfo = this.getExportFormats()[format];
+        const exportData = await this.todoManager.exportEncryptedData(format, filteredOnly, passphrase, listId);
+        if (!exportData) {
+            throw new Error('エクスポートデータの生成に失敗しました');
+        }
 
-        // デフォルト値を設定
-        if (this.elements.todoPriority) this.elements.todoPriority.value = 'medium';
+        this.downloadFile(exportData, 'application/json', `todos-${new Date().toISOString().split('T')[0]}.${formatInfo.extension}.encrypted.json`);
+
+        this.showToast('暗号化したデータをエクスポートしました', 'success');
     }
 
     /**
-     * エラーメッセージを表示
-     * @param {string} message - エラーメッセージ
+     * 文字列（またはバイト列）をファイルとしてダウンロード
+     * @param {string|Uint8Array} content - ファイルの内容
+     * @param {string} mimeType - MIMEタイプ
+     * @param {string} fileName - ファイル名
      */
-    showError(message) {
-        if (this.elements.titleError) {
-            this.elements.titleError.textContent = message;
-            this.elements.titleError.style.display = 'block';
+    downloadFile(content, mimeType, fileName) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // ===== 暗号化 =====
+
+    /**
+     * 暗号化の設定ダイアログを表示
+     * 暗号化していない場合は開始、暗号化中はパスフレーズの変更または解除を行う
+     */
+    showEncryptionSettings() {
+        if (!CryptoService.isSupported()) {
+            this.showToast('このブラウザでは暗号化を使用できません（HTTPSまたはlocalhostで開いてください）', 'error');
+            return;
         }
 
-        // フィールドにエラー状態を追加
-        this.elements.todoTitle?.classList.add('error');
+        const encrypted = this.todoManager.isEncrypted();
+        const container = document.createElement('div');
+        container.className = 'passphrase-form';
+
+        if (!encrypted) {
+            container.innerHTML = `
+                <p>保存データとバックアップをパスフレーズで暗号化します。起動時にパスフレーズの入力が必要になります。</p>
+                <p class="passphrase-warning">パスフレーズを忘れるとデータを復元できません。</p>
+                <input type="password" class="form-input" name="newPassphrase" placeholder="パスフレーズ（8文字以上）" autocomplete="new-password">
+                <input type="password" class="form-input" name="newPassphraseConfirm" placeholder="パスフレーズ（確認）" autocomplete="new-password">
+                <div class="error-message passphrase-error" role="alert"></div>
+            `;
+        } else {
+            container.innerHTML = `
+                <p>保存データは暗号化されています。</p>
+                <label class="import-option">
+                    <input type="radio" name="encryptionAction" value="change" checked>
+                    パスフレーズを変更
+                </label>
+                <label class="import-option">
+                    <input type="radio" name="encryptionAction" value="disable">
+                    暗号化を解除（平文で保存し直す）
+                </label>
+                <input type="password" class="form-input" name="currentPassphrase" placeholder="現在のパスフレーズ" autocomplete="current-password">
+                <div class="passphrase-new-fields">
+                    <input type="password" class="form-input" name="newPassphrase" placeholder="新しいパスフレーズ（8文字以上）" autocomplete="new-password">
+                    <input type="password" class="form-input" name="newPassphraseConfirm" placeholder="新しいパスフレーズ（確認）" autocomplete="new-password">
+                </div>
+                <div class="error-message passphrase-error" role="alert"></div>
+            `;
+
+            const newFields = container.querySelector('.passphrase-new-fields');
+            container.querySelectorAll('input[name="encryptionAction"]').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    newFields.hidden = radio.value === 'disable' && radio.checked;
+                });
+            });
+        }
+
+        const errorElement = container.querySelector('.passphrase-error');
+        const getValue = (name) => container.querySelector(`input[name="${name}"]`)?.value || '';
+
+        this.showCustomModal('データの暗号化', container, {
+            confirmText: encrypted ? '実行' : '暗号化する',
+            onConfirm: () => {
+                const action = encrypted
+                    ? container.querySelector('input[name="encryptionAction"]:checked').value
+                    : 'enable';
+
+                if (action !== 'enable' && !getValue('currentPassphrase')) {
+                    errorElement.textContent = '現在のパスフレーズを入力してください';
+                    return false;
+                }
+
+                if (action !== 'disable') {
+                    const validationError = this.validateNewPassphrase(getValue('newPassphrase'), getValue('newPassphraseConfirm'));
+                    if (validationError) {
+                        errorElement.textContent = validationError;
+                        return false;
+                    }
+                }
+
+                const tasks = {
+                    enable: () => this.todoManager.enableEncryption(getValue('newPassphrase')),
+                    change: () => this.todoManager.changePassphrase(getValue('currentPassphrase'), getValue('newPassphrase')),
+                    disable: () => this.todoManager.disableEncryption(getValue('currentPassphrase'))
+                };
+                const messages = {
+                    enable: 'データを暗号化しました',
+                    change: 'パスフレーズを変更しました',
+                    disable: '暗号化を解除しました'
+                };
+
+                this.runPassphraseTask(errorElement, '処理しています…', async () => {
+                    await tasks[action]();
+                    this.closeModal();
+                    this.showToast(messages[action], 'success');
+                });
+
+                return false;
+            }
+        });
     }
 
     /**
-     * エラーメッセージをクリア
+     * 新しいパスフレーズの入力内容を検証
+     * @param {string} passphrase - パスフレーズ
+     * @param {string} confirmation - 確認用の入力
+     * @returns {string|null} - エラーメッセージ、問題がない場合はnull
      */
-    clearError() {
-        if (this.elements.titleError) {
-            this.elements.titleError.textContent = '';
-            this.elements.titleError.style.display = 'none';
+    validateNewPassphrase(passphrase, confirmation) {
+        if (passphrase.length < 8) {
+            return 'パスフレーズは8文字以上にしてください';
+        }
+        if (passphrase !== confirmation) {
+            return 'パスフレーズが一致しません';
         }
+        return null;
+    }
 
-        // フィールドのエラー状態を削除
-        this.elements.todoTitle?.classList.remove('error');
+    /**
+     * パスフレーズを使う時間のかかる処理を実行（モーダルを開いたまま進捗とエラーを表示）
+     * @param {HTMLElement} messageElement - 進捗・エラーを表示する要素
+     * @param {string} progressText - 処理中に表示する文言
+     * @param {function(): Promise<void>} task - 実行する処理
+     */
+    runPassphraseTask(messageElement, progressText, task) {
+        const confirmButton = this.elements.modalConfirm;
+        confirmButton.disabled = true;
+        messageElement.textContent = progressText;
+
+        task()
+            .catch(error => {
+                messageElement.textContent = error.message;
+            })
+            .finally(() => {
+                confirmButton.disabled = false;
+            });
     }
 
-    // ===== フィルター操作 =====
+    /**
+     * インポートファイル選択をトリガー
+     */
+    triggerImport() {
+        this.elements.importFile?.click();
+    }
+
+    // ===== バックアップ =====
 
     /**
-     * フィルターをクリア
+     * バックアップ（スナップショット）の選択画面を表示
      */
-    clearFilters() {
-        // フォーム要素をクリア
-        if (this.elements.searchInput) this.elements.searchInput.value = '';
-        if (this.elements.filterCategory) this.elements.filterCategory.value = '';
-        if (this.elements.filterPriority) this.elements.filterPriority.value = '';
-        if (this.elements.filterStatus) this.elements.filterStatus.value = '';
-        if (this.elements.sortBy) this.elements.sortBy.value = 'createdAt';
+    showBackupPicker() {
+        const backups = this.todoManager.getBackups();
 
-        // TodoManagerのフィルターをクリア
-        this.todoManager.clearFilter();
+        const container = document.createElement('div');
+
+        if (backups.length === 0) {
+            container.innerHTML = '<p>バックアップはまだありません。</p>';
+        } else {
+            container.innerHTML = `
+                <p class="backup-help">保存のたびに直前の状態が自動で保存されます。差分を確認してから復元できます。</p>
+                <ul class="backup-list">
+                    ${backups.map(backup => `
+                        <li class="backup-item" data-backup-id="${this.escapeHtml(backup.id)}">
+                            <div class="backup-info">
+                                <span class="backup-date">${this.formatDate(backup.timestamp)}</span>
+                                <span class="backup-reason">${this.getBackupReasonLabel(backup.reason)}</span>
+                                <span class="backup-count">${backup.todoCount}件</span>
+                            </div>
+                            <div class="backup-actions">
+                                <button class="btn btn-outline backup-diff-btn">差分</button>
+                                <button class="btn btn-outline backup-restore-btn">復元</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+
+            container.addEventListener('click', (e) => {
+                const item = e.target.closest('.backup-item');
+                if (!item) return;
+
+                const backup = backups.find(b => b.id === item.getAttribute('data-backup-id'));
+
+                if (e.target.closest('.backup-diff-btn')) {
+                    this.showBackupDiff(backup);
+                } else if (e.target.closest('.backup-restore-btn')) {
+                    this.confirmRestoreBackup(backup);
+                }
+            });
+        }
+
+        this.showCustomModal('バックアップから復元', container, { wide: true });
     }
 
-    // ===== エクスポート・インポート =====
+    /**
+     * スナップショットと現在のデータの差分を表示
+     * @param {Object} backup - スナップショット情報
+     */
+    showBackupDiff(backup) {
+        const diff = this.todoManager.getBackupDiff(backup.id);
+
+        if (!diff) {
+            this.showToast('バックアップを読み込めませんでした', 'error');
+            return;
+        }
+
+        const renderTodos = (todos) => todos.map(todo =>
+            `<li>${this.escapeHtml(todo.title)}</li>`
+        ).join('');
+
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <p>${this.formatDate(backup.timestamp)} のバックアップを復元すると、次のように変更されます。</p>
+            <div class="backup-diff">
+                ${diff.added.length > 0 ? `
+                    <h4 class="diff-heading diff-added">復元されるタスク（${diff.added.length}件）</h4>
+                    <ul class="diff-list">${renderTodos(diff.added)}</ul>
+                ` : ''}
+                ${diff.removed.length > 0 ? `
+                    <h4 class="diff-heading diff-removed">削除されるタスク（${diff.removed.length}件）</h4>
+                    <ul class="diff-list">${renderTodos(diff.removed)}</ul>
+                ` : ''}
+                ${diff.changed.length > 0 ? `
+                    <h4 class="diff-heading diff-changed">内容が戻るタスク（${diff.changed.length}件）</h4>
+                    <ul class="diff-list">
+                        ${diff.changed.map(change => `
+                            <li>
+                                ${this.escapeHtml(change.after.title)}
+                                <span class="diff-fields">${change.fields.map(field => this.escapeHtml(field)).join(', ')}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <p class="diff-unchanged">変更なし: ${diff.unchangedCount}件</p>
+            </div>
+            <button class="btn btn-outline backup-back-btn">一覧に戻る</button>
+        `;
+
+        container.querySelector('.backup-back-btn').addEventListener('click', () => this.showBackupPicker());
+
+        this.showCustomModal('バックアップの差分', container, {
+            wide: true,
+            confirmText: 'この時点に復元',
+            onConfirm: () => this.restoreBackup(backup)
+        });
+    }
 
     /**
-     * データをエクスポート
+     * スナップショット復元の確認ダイアログを表示
+     * @param {Object} backup - スナップショット情報
+     */
+    confirmRestoreBackup(backup) {
+        this.showConfirmModal(
+            'バックアップから復元',
+            `${this.formatDate(backup.timestamp)} の状態（${backup.todoCount}件）に復元しますか？<br>現在の状態もバックアップとして保存されます。`,
+            () => this.restoreBackup(backup)
+        );
+    }
+
+    /**
+     * スナップショットから復元
+     * @param {Object} backup - スナップショット情報
      */
-    exportData() {
+    restoreBackup(backup) {
         try {
-            const exportData = this.todoManager.exportData();
-            if (!exportData) {
-                throw new Error('エクスポートデータの生成に失敗しました');
-            }
+            const { commandId } = this.runUndoable(() => this.todoManager.restoreBackup(backup.id));
+            this.showToast('バックアップから復元しました', 'success', 6000, this.createUndoAction(commandId));
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-            // ファイルとしてダウンロード
-            const blob = new Blob([exportData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `todos-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+    /**
+     * スナップショットの作成理由の表示名を取得
+     * @param {string} reason - 作成理由
+     * @returns {string} - 表示名
+     */
+    getBackupReasonLabel(reason) {
+        const reasonMap = {
+            'save': '保存前',
+            'clear': '全削除前',
+            'import': 'インポート前',
+            'restore': '復元前',
+            'migration': '移行前',
+            'legacy': '旧バックアップ'
+        };
+        return reasonMap[reason] || reason;
+    }
 
-            this.showToast('データをエクスポートしました', 'success');
+    // ===== 元に戻す・やり直し =====
 
+    /**
+     * 最後の操作を元に戻す
+     * @param {number|null} [commandId=null] - 元に戻す操作のコマンドID（トーストから元に戻す場合）
+     */
+    handleUndo(commandId = null) {
+        try {
+            const label = this.todoManager.undo(commandId);
+            this.showToast(`「${label}」を元に戻しました`, 'info', 6000, {
+                label: 'やり直す',
+                onClick: () => this.handleRedo()
+            });
         } catch (error) {
-            this.showToast(error.message, 'error');
+            this.showToast(error.message, 'warning');
         }
     }
 
     /**
-     * インポートファイル選択をトリガー
+     * 最後に元に戻した操作をやり直す
      */
-    triggerImport() {
-        this.elements.importFile?.click();
+    handleRedo() {
+        try {
+            const label = this.todoManager.redo();
+            this.showToast(`「${label}」をやり直しました`, 'info');
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+        }
+    }
+
+    /**
+     * 操作を実行し、その操作で記録されたコマンドIDを取得
+     * @param {function(): *} operation - 実行する操作
+     * @returns {{result: *, commandId: number|null}} - 操作の戻り値と、コマンドID（何も変更されなかった場合はnull）
+     */
+    runUndoable(operation) {
+        const previous = this.todoManager.getHistoryState().undo;
+        const result = operation();
+        const current = this.todoManager.getHistoryState().undo;
+
+        return {
+            result,
+            commandId: current && (!previous || current.id > previous.id) ? current.id : null
+        };
+    }
+
+    /**
+     * トーストの「元に戻す」アクションを作成
+     * @param {number|null|undefined} commandId - 元に戻す操作のコマンドID
+     * @returns {Object|null} - トーストのアクション（コマンドIDがない場合はnull）
+     */
+    createUndoAction(commandId) {
+        if (!commandId) {
+            return null;
+        }
+
+        return {
+            label: '元に戻す',
+            onClick: () => this.handleUndo(commandId)
+        };
     }
 
     // ===== モーダル操作 =====
@@ -632,20 +3356,56 @@ class UIManager {
      * @param {function} onConfirm - 確認時のコールバック
      */
     showConfirmModal(title, message, onConfirm) {
+        this.showCustomModal(title, `<p>${message}</p>`, { onConfirm });
+    }
+
+    /**
+     * 任意の内容でモーダルを表示
+     * @param {string} title - モーダルタイトル
+     * @param {string|HTMLElement} content - 本文（HTML文字列またはDOM要素）
+     * @param {Object} [options] - 表示オプション
+     * @param {function} [options.onConfirm] - 確認時のコールバック（falseを返すとモーダルを閉じない。省略時は確認ボタンを非表示）
+     * @param {string} [options.confirmText='確認'] - 確認ボタンのラベル
+     * @param {boolean} [options.wide=false] - 幅の広いモーダルで表示
+     */
+    showCustomModal(title, content, options = {}) {
         if (!this.elements.modal) return;
 
+        const { onConfirm = null, confirmText = '確認', wide = false } = options;
+        const modalBody = this.elements.modal.querySelector('.modal-body');
+
         this.elements.modalTitle.textContent = title;
-        this.elements.modal.querySelector('.modal-body').innerHTML = `<p>${message}</p>`;
+
+        if (typeof content === 'string') {
+            modalBody.innerHTML = content;
+        } else {
+            modalBody.innerHTML = '';
+            modalBody.appendChild(content);
+        }
+
+        this.elements.modalContent?.classList.toggle('modal-wide', wide);
 
         // 確認ボタンのイベントリスナーをリセット
         const newConfirmBtn = this.elements.modalConfirm.cloneNode(true);
         this.elements.modalConfirm.parentNode.replaceChild(newConfirmBtn, this.elements.modalConfirm);
         this.elements.modalConfirm = newConfirmBtn;
 
-        this.elements.modalConfirm.addEventListener('click', () => {
-            onConfirm();
-            this.closeModal();
-        });
+        this.elements.modalConfirm.textContent = confirmText;
+        this.elements.modalConfirm.style.display = onConfirm ? '' : 'none';
+        if (this.elements.modalCancel) {
+            this.elements.modalCancel.textContent = onConfirm ? 'キャンセル' : '閉じる';
+        }
+
+        if (onConfirm) {
+            this.elements.modalConfirm.addEventListener('click', () => {
+                if (onConfirm() === false) return;
+
+                // コールバック内で別のモーダルが開かれた場合は閉じない
+                if (this.elements.modalConfirm === newConfirmBtn) {
+                    this.closeModal();
+                }
+            });
+        }
 
         this.showModal();
     }
@@ -659,7 +3419,11 @@ class UIManager {
             this.elements.modal.setAttribute('aria-hidden', 'false');
 
             // フォーカストラップ
-            this.elements.modalConfirm?.focus();
+            if (this.elements.modalConfirm?.style.display !== 'none') {
+                this.elements.modalConfirm?.focus();
+            } else {
+                this.elements.modalCancel?.focus();
+            }
         }
     }
 
@@ -680,14 +3444,29 @@ class UIManager {
      * @param {string} message - メッセージ
      * @param {string} [type='info'] - 通知タイプ
      * @param {number} [duration=3000] - 表示時間（ミリ秒）
+     * @param {Object|null} [action=null] - トーストに表示するボタン
+     * @param {string} action.label - ボタンのラベル
+     * @param {function} action.onClick - クリック時のコールバック（トーストは閉じる）
      */
-    showToast(message, type = 'info', duration = 3000) {
+    showToast(message, type = 'info', duration = 3000, action = null) {
         if (!this.elements.toastContainer) return;
 
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.textContent = message;
 
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
+
         this.elements.toastContainer.appendChild(toast);
 
         // 自動削除
@@ -700,6 +3479,22 @@ class UIManager {
 
     // ===== ユーティリティ =====
 
+    /**
+     * 文字を入力中の要素かチェック（入力欄ではブラウザの入力の取り消しを優先する）
+     * @param {EventTarget} target - イベントの対象
+     * @returns {boolean} - テキスト入力欄・テキストエリア・編集可能な要素の場合true
+     */
+    isTextEditingTarget(target) {
+        if (!target || !target.tagName) return false;
+
+        if (target.isContentEditable || target.tagName === 'TEXTAREA') {
+            return true;
+        }
+
+        return target.tagName === 'INPUT' &&
+            !['checkbox', 'radio', 'button', 'submit', 'reset', 'color', 'file', 'range'].includes(target.type);
+    }
+
     /**
      * HTMLをエスケープ
      * @param {string} text - エスケープするテキスト
@@ -726,4 +3521,28 @@ class UIManager {
             minute: '2-digit'
         });
     }
+
+    /**
+     * 日時をdatetime-local入力欄の形式に変換
+     * @param {Date|string} date - 日時
+     * @returns {string} - ローカル時刻の "YYYY-MM-DDTHH:mm" 形式の文字列
+     */
+    formatDateTimeLocal(date) {
+        const d = new Date(date);
+        return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    /**
+     * ファイルサイズを表示用の文字列に変換
+     * @param {number} bytes - バイト数
+     * @returns {string} - フォーマットされたサイズ（"512 B"、"1.5 KB"、"2 MB" など）
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+
+        const [value, unit] = bytes < 1024 * 1024 ? [bytes / 1024, 'KB'] : [bytes / (1024 * 1024), 'MB'];
+        return `${Math.round(value * 10) / 10} ${unit}`;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * ZipArchive Class - ZIPアーカイブの作成と読み込み
+ * 添付ファイルを含むエクスポート用。圧縮は行わず（無圧縮のZIP）、ファイル名はUTF-8で保存する
+ */
+class ZipArchive {
+    /**
+     * ファイルの一覧からZIPアーカイブを作成
+     * @param {Array<{name: string, data: Uint8Array|string}>} files - ファイル名（"/"区切りのパス）と内容（文字列はUTF-8で保存）
+     * @param {Date} [modifiedAt=new Date()] - ファイルの更新日時
+     * @returns {Uint8Array} - ZIPアーカイブのバイト列
+     * @static
+     */
+    static create(files, modifiedAt = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date } = ZipArchive._toDosDateTime(modifiedAt);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = ZipArchive._crc32(data);
+
+            // ローカルファイルヘッダー
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);           // 展開に必要なバージョン
+            local.setUint16(6, 0x0800, true);       // ファイル名はUTF-8
+            local.setUint16(8, 0, true);            // 無圧縮
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            // セントラルディレクトリのエントリ
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+
+        // セントラルディレクトリの終端
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return ZipArchive._concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * ZIPアーカイブを読み込む
+     * @param {Uint8Array|ArrayBuffer} archive - ZIPアーカイブのバイト列
+     * @returns {Array<{name: string, data: Uint8Array}>} - ファイル名と内容（ディレクトリは除く）
+     * @throws {Error} - ZIPアーカイブでない、壊れている、または圧縮されたファイルを含む場合
+     * @static
+     */
+    static read(archive) {
+        const bytes = archive instanceof Uint8Array ? archive : new Uint8Array(archive);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // 末尾のコメントを考慮してセントラルディレクトリの終端を探す
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('ZIPファイルとして読み込めません');
+        }
+
+        const count = view.getUint16(endOffset + 10, true);
+        let position = view.getUint32(endOffset + 16, true);
+        const files = [];
+
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > bytes.length || view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('ZIPファイルが壊れています');
+            }
+
+            const method = view.getUint16(position + 10, true);
+            const crc = view.getUint32(position + 16, true);
+            const size = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) {
+                continue;
+            }
+            if (method !== 0) {
+                throw new Error(`圧縮されたファイル "${name}" は読み込めません（このアプリで書き出したZIPファイルを選択してください）`);
+            }
+
+            const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.slice(dataOffset, dataOffset + size);
+
+            if (data.length !== size || ZipArchive._crc32(data) !== crc) {
+                throw new Error(`ZIPファイルの "${name}" が壊れています`);
+            }
+
+            files.push({ name, data });
+        }
+
+        return files;
+    }
+
+    /**
+     * バイト列をData URLに変換
+     * @param {Uint8Array} bytes - バイト列
+     * @param {string} [mimeType='application/octet-stream'] - MIMEタイプ
+     * @returns {string} - Base64形式のData URL
+     * @static
+     */
+    static toDataUrl(bytes, mimeType = 'application/octet-stream') {
+        let binary = '';
+        const chunkSize = 0x8000;
+
+        // 大きな配列で引数の上限を超えないよう分割して変換
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Base64形式のData URLをバイト列に変換
+     * @param {string} dataUrl - Data URL
+     * @returns {{mimeType: string, bytes: Uint8Array}|null} - MIMEタイプとバイト列、Base64形式のData URLでない場合はnull
+     * @static
+     */
+    static fromDataUrl(dataUrl) {
+        const match = typeof dataUrl === 'string' ? dataUrl.match(/^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s) : null;
+        if (!match) {
+            return null;
+        }
+
+        let binary;
+        try {
+            binary = atob(match[2]);
+        } catch (error) {
+            return null;
+        }
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return { mimeType: match[1] || 'application/octet-stream', bytes };
+    }
+
+    // ===== プライベートメソッド =====
+
+    /**
+     * CRC-32を計算
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {number} - CRC-32（符号なし32ビット整数）
+     * @private
+     * @static
+     */
+    static _crc32(bytes) {
+        if (!ZipArchive._crcTable) {
+            ZipArchive._crcTable = new Uint32Array(256).map((value, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * 日時をMS-DOS形式に変換（ZIPのファイル更新日時）
+     * @param {Date} date - 日時
+     * @returns {{time: number, date: number}} - MS-DOS形式の時刻と日付
+     * @private
+     * @static
+     */
+    static _toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * バイト列を連結
+     * @param {Array<Uint8Array>} parts - バイト列の配列
+     * @returns {Uint8Array} - 連結したバイト列
+     * @private
+     * @static
+     */
+    static _concat(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+
+        return result;
+    }
+}